@@ -0,0 +1,110 @@
+// Checks that two backend instances share state the way DEPLOYMENT.md describes
+// (STORAGE_DRIVER=redis, SOCKET_ADAPTER=redis, same REDIS_URL):
+//
+//   npm run check:instances -- --a http://localhost:3001 --b http://localhost:3002
+//
+// 1. Players connected to different instances see each other move (Socket.IO Redis adapter).
+// 2. Cart adds sent to both instances at once all count (atomic updates in the shared store).
+
+import { randomUUID } from 'crypto';
+import { io } from 'socket.io-client';
+
+function parseArgs(argv) {
+    const options = { a: 'http://localhost:3001', b: 'http://localhost:3002', timeout: 5 };
+    for (let i = 0; i < argv.length; i += 2) {
+        const name = argv[i].replace(/^--/, '');
+        if (!(name in options)) {
+            console.error(`Unknown option --${name} (expected: ${Object.keys(options).map(o => `--${o}`).join(', ')})`);
+            process.exit(1);
+        }
+        options[name] = name === 'timeout' ? Number(argv[i + 1]) : argv[i + 1];
+    }
+    return options;
+}
+
+const options = parseArgs(process.argv.slice(2));
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function connectPlayer(url) {
+    const socket = io(`${url}/player`, {
+        transports: ['websocket'],
+        forceNew: true,
+        reconnection: false,
+        auth: { guestId: `guest-check-${randomUUID()}` }
+    });
+    return new Promise((resolve, reject) => {
+        socket.once('connect', () => resolve(socket));
+        socket.once('connect_error', (err) => reject(new Error(`${url}: ${err.message}`)));
+    });
+}
+
+// A player on A moves next to a player on B; B should get A in its snapshots
+async function checkPlayers() {
+    const [onA, onB] = await Promise.all([connectPlayer(options.a), connectPlayer(options.b)]);
+    try {
+        const seen = new Promise((resolve) => {
+            onB.on('players-snapshot', (snapshot) => {
+                if (snapshot.players.some(player => player.id === onA.id)) resolve(true);
+            });
+            setTimeout(resolve, options.timeout * 1000, false);
+        });
+        onB.emit('teleport', { position: [10, 0, 10], rotation: [0, 0, 0] });
+        await sleep(200);
+        onA.emit('teleport', { position: [11, 0, 10], rotation: [0, 0, 0] });
+        return (await seen) ? null : `B never saw the player connected to A within ${options.timeout}s`;
+    } finally {
+        onA.disconnect();
+        onB.disconnect();
+    }
+}
+
+async function request(url, path, init = {}) {
+    const response = await fetch(`${url}${path}`, {
+        ...init,
+        headers: { 'Content-Type': 'application/json', ...init.headers }
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+// Both instances add to the same guest cart at the same time; every add has to survive
+async function checkCart() {
+    const { body } = await request(options.a, '/api/products?page=1&limit=100');
+    const product = (body.products || []).find(p => p.stock >= 10);
+    if (!product) return 'No product with at least 10 in stock to test with';
+
+    const cartId = `guest-check-${randomUUID()}`;
+    const add = (url) => request(url, `/api/cart/${cartId}/items`, {
+        method: 'POST',
+        body: JSON.stringify({ productId: product.id, quantity: 1 })
+    });
+    try {
+        const results = await Promise.all([options.a, options.b, options.a, options.b, options.a, options.b].map(add));
+        const failed = results.find(result => result.status !== 201);
+        if (failed) return `Adding to the cart failed: ${failed.status} ${failed.body.error}`;
+
+        const { body: { cart } } = await request(options.b, `/api/cart/${cartId}`);
+        const line = cart.items.find(item => item.productId === product.id);
+        const quantity = line ? line.quantity : 0;
+        return quantity === results.length ? null : `Expected ${results.length} in the cart, found ${quantity}`;
+    } finally {
+        await request(options.a, `/api/cart/${cartId}`, { method: 'DELETE' }).catch(() => {});
+    }
+}
+
+async function main() {
+    console.log(`Checking ${options.a} and ${options.b}`);
+    let failures = 0;
+    for (const [name, check] of [['Players across instances', checkPlayers], ['Shared cart updates', checkCart]]) {
+        let problem;
+        try {
+            problem = await check();
+        } catch (error) {
+            problem = error.message;
+        }
+        if (problem) failures++;
+        console.log(problem ? `  ❌ ${name}: ${problem}` : `  ✅ ${name}`);
+    }
+    process.exit(failures === 0 ? 0 : 1);
+}
+
+main();
@@ -0,0 +1,137 @@
+// Load test for the /player namespace: N bots wander the mall and report what they receive.
+//
+//   npm run loadtest:players -- --bots 200 --duration 30 --url http://localhost:3001
+//
+// Compare bytes/snapshot numbers with different PLAYER_INTEREST_RADIUS and
+// PLAYER_FAR_UPDATE_INTERVAL settings on the server.
+
+import { io } from 'socket.io-client';
+import { MOVE_SPEED, SPRINT_SPEED, clampToMall } from '../../shared/mallBounds.js';
+
+function parseArgs(argv) {
+    const options = { bots: 50, duration: 20, url: 'http://localhost:3001', rate: 20, rampMs: 20 };
+    for (let i = 0; i < argv.length; i += 2) {
+        const name = argv[i].replace(/^--/, '');
+        if (!(name in options)) {
+            console.error(`Unknown option --${name} (expected: ${Object.keys(options).map(o => `--${o}`).join(', ')})`);
+            process.exit(1);
+        }
+        options[name] = name === 'url' ? argv[i + 1] : Number(argv[i + 1]);
+    }
+    return options;
+}
+
+const options = parseArgs(process.argv.slice(2));
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const totals = {
+    connected: 0,
+    connectErrors: 0,
+    snapshots: 0,
+    playersReceived: 0,
+    bytesReceived: 0,
+    corrections: 0,
+    movesSent: 0
+};
+
+// One simulated shopper: walks towards a random point, picks a new one on arrival
+function createBot(index) {
+    const socket = io(`${options.url}/player`, { transports: ['websocket'], forceNew: true, reconnection: false });
+    const state = {
+        position: clampToMall([Math.random() * 180 - 90, 0, Math.random() * 180 - 90]),
+        target: null,
+        speed: (Math.random() < 0.2 ? SPRINT_SPEED : MOVE_SPEED) * 60, // units per second
+        seq: 0,
+        timer: null
+    };
+
+    const pickTarget = () => {
+        state.target = clampToMall([Math.random() * 180 - 90, 0, Math.random() * 180 - 90]);
+    };
+
+    socket.on('connect', () => {
+        totals.connected++;
+        pickTarget();
+        // Start where we were placed
+        socket.emit('teleport', { position: state.position, rotation: [0, 0, 0] });
+
+        const stepSeconds = 1 / options.rate;
+        state.timer = setInterval(() => {
+            const dx = state.target[0] - state.position[0];
+            const dz = state.target[2] - state.position[2];
+            const distance = Math.hypot(dx, dz);
+            const step = state.speed * stepSeconds;
+            if (distance <= step) {
+                state.position = state.target;
+                pickTarget();
+            } else {
+                state.position = [state.position[0] + dx / distance * step, 0, state.position[2] + dz / distance * step];
+            }
+            state.seq++;
+            totals.movesSent++;
+            socket.emit('move', {
+                seq: state.seq,
+                position: state.position,
+                rotation: [0, Math.atan2(-dx, -dz), 0]
+            });
+        }, stepSeconds * 1000);
+    });
+
+    socket.on('connect_error', (err) => {
+        totals.connectErrors++;
+        if (totals.connectErrors === 1) console.error(`Bot ${index} failed to connect: ${err.message}`);
+    });
+
+    socket.on('players-snapshot', (snapshot) => {
+        totals.snapshots++;
+        totals.playersReceived += snapshot.players.length;
+        totals.bytesReceived += JSON.stringify(snapshot).length;
+    });
+
+    socket.on('position-corrected', ({ position }) => {
+        totals.corrections++;
+        state.position = position;
+    });
+
+    return {
+        stop() {
+            clearInterval(state.timer);
+            socket.disconnect();
+        }
+    };
+}
+
+async function main() {
+    console.log(`Starting ${options.bots} bots against ${options.url}/player for ${options.duration}s`);
+    const bots = [];
+    for (let i = 0; i < options.bots; i++) {
+        bots.push(createBot(i));
+        await sleep(options.rampMs); // Don't open every connection in the same instant
+    }
+
+    const startedAt = Date.now();
+    const report = setInterval(() => {
+        const seconds = (Date.now() - startedAt) / 1000;
+        console.log(`  ${seconds.toFixed(0)}s: ${totals.connected} connected, ${totals.snapshots} snapshots received`);
+    }, 5000);
+
+    await sleep(options.duration * 1000);
+    clearInterval(report);
+    bots.forEach(bot => bot.stop());
+
+    const seconds = (Date.now() - startedAt) / 1000;
+    const perBot = (value) => (totals.connected ? value / totals.connected / seconds : 0).toFixed(1);
+    console.log('\nResults');
+    console.log(`  Bots connected:          ${totals.connected}/${options.bots} (${totals.connectErrors} errors)`);
+    console.log(`  Moves sent:              ${totals.movesSent} (${perBot(totals.movesSent)}/s per bot)`);
+    console.log(`  Snapshots received:      ${totals.snapshots} (${perBot(totals.snapshots)}/s per bot)`);
+    console.log(`  Players per snapshot:    ${(totals.playersReceived / (totals.snapshots || 1)).toFixed(1)}`);
+    console.log(`  Bytes received per bot:  ${perBot(totals.bytesReceived)}/s`);
+    console.log(`  Position corrections:    ${totals.corrections}`);
+
+    // Give the disconnects a moment to flush
+    await sleep(500);
+    process.exit(totals.connected === options.bots ? 0 : 1);
+}
+
+main();
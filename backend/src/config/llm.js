@@ -0,0 +1,62 @@
+import { createGeminiProvider } from '../domain/ai/providers/geminiProvider.js';
+import { createOpenAIProvider } from '../domain/ai/providers/openaiProvider.js';
+import { createMockProvider } from '../domain/ai/providers/mockProvider.js';
+
+// LLM_PROVIDER: 'gemini', 'openai' (any OpenAI-compatible endpoint) or 'mock' (offline, rule-based).
+// Defaults to gemini when GEMINI_API_KEY is set, otherwise mock.
+const LLM_PROVIDER = (process.env.LLM_PROVIDER || (process.env.GEMINI_API_KEY ? 'gemini' : 'mock')).toLowerCase();
+
+let provider = null;
+
+/**
+ * Create an LLM provider by name.
+ * Every provider implements: generate(request) -> { text, toolCalls }, stream(request, onChunk) -> { text, toolCalls },
+ * generateImage(prompt, metadata?) -> { data: Buffer, mimeType }, where metadata is { subject } (what to draw, without
+ * the prompt's boilerplate).
+ * A request is { system, messages, tools, maxTokens, temperature, metadata? } where messages are
+ * { role: 'user', content }, { role: 'assistant', content, toolCalls? } or { role: 'tool', toolCallId, name, content },
+ * tools are [{ name, description, parameters (JSON Schema) }] and toolCalls are [{ id, name, arguments }].
+ * metadata holds the request's parameters in structured form; models never see it, the mock provider answers from it.
+ * @param {string} name - 'gemini' | 'openai' | 'mock'
+ * @returns {object} - LLM provider
+ */
+export function createLLMProvider(name) {
+    switch (name) {
+        case 'gemini':
+            return createGeminiProvider({
+                model: process.env.GEMINI_MODEL_NAME || 'gemini-2.0-flash',
+                imageModel: process.env.GEMINI_IMAGE_MODEL_NAME || 'gemini-2.5-flash-image'
+            });
+        case 'openai':
+            return createOpenAIProvider({
+                baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+                apiKey: process.env.OPENAI_API_KEY,
+                model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+                imageModel: process.env.OPENAI_IMAGE_MODEL || 'dall-e-3'
+            });
+        case 'mock':
+            return createMockProvider();
+        default:
+            throw new Error(`Unknown LLM_PROVIDER: ${name}`);
+    }
+}
+
+/**
+ * Get the process-wide LLM provider (created from LLM_PROVIDER on first use)
+ * @returns {object}
+ */
+export function getLLMProvider() {
+    if (!provider) {
+        provider = createLLMProvider(LLM_PROVIDER);
+        console.log(`✅ LLM provider: ${provider.name}`);
+    }
+    return provider;
+}
+
+/**
+ * Replace the process-wide provider (e.g. the mock provider in tests)
+ * @param {object} llmProvider - LLM provider
+ */
+export function setLLMProvider(llmProvider) {
+    provider = llmProvider;
+}
@@ -7,10 +7,11 @@ dotenv.config();
 const REDIS_URL = process.env.REDIS_URL || 'redis://localhost:6379/3';
 
 // Create Redis client
+// Database 3 unless the URL names one. Passed as an option rather than SELECTed after connecting,
+// so the connections node-redis opens itself (duplicate(), executeIsolated() for updates) use it too.
 const redisClient = createClient({
   url: REDIS_URL,
-  // If the URL already contains database, we don't strictly need this, but good to be explicit if separated
-  // database: 3, 
+  database: 3,
   keyPrefix: 'hackthon-13:'
 });
 
@@ -38,9 +39,9 @@ export async function connectRedis() {
   if (!isConnected) {
     try {
       await redisClient.connect();
-      // Ensure we are on the right database if not specified in URL
-      if (!REDIS_URL.includes('/3') && !REDIS_URL.includes('?db=3')) {
-        await redisClient.select(3);
+      // connect() also settles when a pending connection is aborted via disconnect()
+      if (!redisClient.isReady) {
+        throw new Error('Connection aborted before Redis became ready');
       }
       isConnected = true;
       console.log(`✅ Connected to Redis on ${REDIS_URL}`);
@@ -52,4 +53,18 @@ export async function connectRedis() {
   return redisClient;
 }
 
+/**
+ * Connect, but stop retrying after `timeoutMs` when Redis is unreachable
+ * (node-redis otherwise keeps reconnecting forever).
+ * @returns {Promise<import('redis').RedisClientType|null>} - Ready client, or null if Redis is down
+ */
+export async function connectRedisWithTimeout(timeoutMs = 5000) {
+  const timeout = new Promise(resolve => setTimeout(resolve, timeoutMs, null));
+  const client = await Promise.race([connectRedis(), timeout]);
+  if (client && client.isReady) return client;
+
+  if (redisClient.isOpen) await redisClient.disconnect().catch(() => {});
+  return null;
+}
+
 export { redisClient };
@@ -0,0 +1,88 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createMemoryAdapter } from '../shared/storage/memoryAdapter.js';
+import { createFileAdapter } from '../shared/storage/fileAdapter.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// STORAGE_DRIVER: 'memory' (default), 'file' or 'redis'
+const STORAGE_DRIVER = (process.env.STORAGE_DRIVER || 'memory').toLowerCase();
+// backend/src/config -> backend/data
+const STORAGE_FILE_DIR = process.env.STORAGE_FILE_DIR || path.join(__dirname, '..', '..', 'data');
+
+let adapterPromise = null;
+
+/**
+ * Create a storage adapter for a driver name.
+ * Every adapter implements: get, set, setIfAbsent (true when stored), update, delete, entries, values, size, clear, close.
+ * update(namespace, key, fn) is an atomic read-modify-write: fn(current or null) returns the new value, null to
+ * delete it or undefined to leave it as it is, and may throw to abort. fn must be synchronous and have no side
+ * effects, as the Redis adapter calls it again when another writer got in first. Resolves to the stored value.
+ * Redis is imported lazily so memory/file setups never touch it.
+ * @param {string} driver - 'memory' | 'file' | 'redis'
+ * @param {object} options - { dir } for file
+ * @returns {Promise<object>} - Storage adapter
+ */
+export async function createStorageAdapter(driver, options = {}) {
+    switch (driver) {
+        case 'memory':
+            return createMemoryAdapter();
+        case 'file':
+            return createFileAdapter({ dir: options.dir || STORAGE_FILE_DIR });
+        case 'redis': {
+            const { connectRedisWithTimeout } = await import('./redis.js');
+            const { createRedisAdapter } = await import('../shared/storage/redisAdapter.js');
+            const client = await connectRedisWithTimeout();
+            if (!client) {
+                console.warn('⚠️  Redis unavailable, falling back to in-memory storage');
+                return createMemoryAdapter();
+            }
+            return createRedisAdapter({ client });
+        }
+        default:
+            throw new Error(`Unknown STORAGE_DRIVER: ${driver}`);
+    }
+}
+
+/**
+ * Get the process-wide storage adapter (created from STORAGE_DRIVER on first use)
+ * @returns {Promise<object>}
+ */
+export function getStorage() {
+    if (!adapterPromise) {
+        adapterPromise = createStorageAdapter(STORAGE_DRIVER).then(adapter => {
+            console.log(`✅ Storage driver: ${adapter.name}`);
+            return adapter;
+        });
+    }
+    return adapterPromise;
+}
+
+/**
+ * Replace the process-wide adapter (e.g. a memory or file adapter in tests)
+ * @param {object} adapter - Storage adapter
+ */
+export function setStorage(adapter) {
+    adapterPromise = Promise.resolve(adapter);
+}
+
+/**
+ * A store bound to one namespace. Resolves the adapter on every call so domains
+ * can create their stores at import time, before the adapter is chosen.
+ * @param {string} namespace - e.g. 'products', 'rooms'
+ */
+export function createStore(namespace) {
+    return {
+        async get(key) { return (await getStorage()).get(namespace, key); },
+        async set(key, value) { return (await getStorage()).set(namespace, key, value); },
+        async setIfAbsent(key, value) { return (await getStorage()).setIfAbsent(namespace, key, value); },
+        async update(key, fn) { return (await getStorage()).update(namespace, key, fn); },
+        async delete(key) { return (await getStorage()).delete(namespace, key); },
+        async has(key) { return (await (await getStorage()).get(namespace, key)) !== null; },
+        async entries() { return (await getStorage()).entries(namespace); },
+        async values() { return (await getStorage()).values(namespace); },
+        async size() { return (await getStorage()).size(namespace); },
+        async clear() { return (await getStorage()).clear(namespace); }
+    };
+}
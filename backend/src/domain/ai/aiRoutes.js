@@ -11,12 +11,13 @@ router.post('/chat', async (req, res) => {
         // key difference: 'conversationId' vs 'roomId'. Map conversationId to roomId.
         const roomId = conversationId || `conv-${userId || 'anon'}-${Date.now()}`;
 
-        const response = await chatService.getBotResponse(message, roomId);
+        const response = await chatService.getBotResponse(message, roomId, { userId });
 
         res.json({
             success: true,
             conversationId: roomId,
-            response: response,
+            response: response.text,
+            productIds: response.productIds,
             timestamp: new Date().toISOString()
         });
     } catch (error) {
@@ -26,24 +27,29 @@ router.post('/chat', async (req, res) => {
 });
 
 // GET /api/ai/conversation/:conversationId
-router.get('/conversation/:conversationId', (req, res) => {
-    const history = chatService.getHistory(req.params.conversationId);
-    // Transform formatting if needed? 
-    // chatService history: [{ role, parts: [{text}] }]
-    // aiAgent history: [{ role, content, timestamp }]
-    // Adapter:
-    const adapted = history.map(h => ({
-        role: h.role === 'model' ? 'assistant' : h.role,
-        content: h.parts[0].text,
-        timestamp: new Date().toISOString() // We don't store timestamp in chatService history currently
-    }));
-
-    res.json({
-        success: true,
-        conversationId: req.params.conversationId,
-        messages: adapted,
-        count: adapted.length
-    });
+router.get('/conversation/:conversationId', async (req, res) => {
+    try {
+        const history = await chatService.getHistory(req.params.conversationId);
+        // Transform formatting if needed? 
+        // chatService history: [{ role, parts: [{text}] }]
+        // aiAgent history: [{ role, content, timestamp }]
+        // Adapter:
+        const adapted = history.map(h => ({
+            role: h.role === 'model' ? 'assistant' : h.role,
+            content: h.parts[0].text,
+            timestamp: new Date().toISOString() // We don't store timestamp in chatService history currently
+        }));
+
+        res.json({
+            success: true,
+            conversationId: req.params.conversationId,
+            messages: adapted,
+            count: adapted.length
+        });
+    } catch (error) {
+        console.error('AI Conversation Error:', error);
+        res.status(500).json({ error: 'Failed to fetch conversation' });
+    }
 });
 
 export default router;
@@ -20,9 +20,10 @@ export const geminiService = {
      * Generate content using Google Gemini API
      * @param {string} modelName - Model to use (e.g., 'gemini-2.0-flash')
      * @param {object} payload - Request payload (contents, systemInstruction, generationConfig)
+     * @param {object} options - { raw: true } returns the SDK candidates untouched (e.g. inline image data)
      * @returns {Promise<object>} - Response object matching expected format for chatService
      */
-    async generateContent(modelName, payload) {
+    async generateContent(modelName, payload, options = {}) {
         if (!genAI) {
             throw new Error('GEMINI_API_KEY is missing. Cannot call Gemini API.');
         }
@@ -43,6 +44,10 @@ export const geminiService = {
                 modelConfig.generationConfig = payload.generationConfig;
             }
 
+            if (payload.tools) {
+                modelConfig.tools = payload.tools;
+            }
+
             const model = genAI.getGenerativeModel(modelConfig);
 
             // Extract chat history from payload.contents
@@ -56,6 +61,9 @@ export const geminiService = {
             });
 
             const response = await result.response;
+            if (options.raw) {
+                return { candidates: response.candidates || [] };
+            }
             const text = response.text();
 
             // Return in a format similar to what chatService expects
@@ -76,5 +84,47 @@ export const geminiService = {
             console.error('Gemini API Error:', error);
             throw new Error(`Gemini API Error: ${error.message}`);
         }
+    },
+
+    /**
+     * Stream content from Google Gemini API
+     * @param {string} modelName - Model to use (e.g., 'gemini-2.0-flash')
+     * @param {object} payload - Request payload (contents, systemInstruction, generationConfig)
+     * @param {function(string): void} onChunk - Called with each text fragment as it arrives
+     * @returns {Promise<{text: string, functionCalls: Array}>} - The full response text and any function calls
+     */
+    async generateContentStream(modelName, payload, onChunk) {
+        if (!genAI) {
+            throw new Error('GEMINI_API_KEY is missing. Cannot call Gemini API.');
+        }
+
+        try {
+            const modelConfig = { model: modelName || DEFAULT_MODEL };
+            if (payload.systemInstruction) modelConfig.systemInstruction = payload.systemInstruction;
+            if (payload.generationConfig) modelConfig.generationConfig = payload.generationConfig;
+            if (payload.tools) modelConfig.tools = payload.tools;
+
+            const model = genAI.getGenerativeModel(modelConfig);
+            const result = await model.generateContentStream({
+                contents: payload.contents,
+                generationConfig: payload.generationConfig
+            });
+
+            let text = '';
+            for await (const chunk of result.stream) {
+                const chunkText = chunk.text();
+                if (chunkText) {
+                    text += chunkText;
+                    onChunk(chunkText);
+                }
+            }
+
+            const response = await result.response;
+            return { text, functionCalls: response.functionCalls() || [] };
+
+        } catch (error) {
+            console.error('Gemini API Stream Error:', error);
+            throw new Error(`Gemini API Error: ${error.message}`);
+        }
     }
 };
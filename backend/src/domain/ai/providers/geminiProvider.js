@@ -0,0 +1,118 @@
+import { geminiService } from '../geminiService.js';
+
+// Gemini accepts a subset of JSON Schema - drop keywords it rejects (minimum, default, ...)
+const SCHEMA_KEYS = ['type', 'description', 'enum', 'properties', 'required', 'items'];
+
+function toGeminiSchema(schema) {
+    const result = {};
+    for (const key of SCHEMA_KEYS) {
+        if (schema[key] === undefined) continue;
+        if (key === 'properties') {
+            result.properties = Object.fromEntries(
+                Object.entries(schema.properties).map(([name, prop]) => [name, toGeminiSchema(prop)])
+            );
+        } else if (key === 'items') {
+            result.items = toGeminiSchema(schema.items);
+        } else {
+            result[key] = schema[key];
+        }
+    }
+    return result;
+}
+
+function toTools(tools) {
+    return [{
+        functionDeclarations: tools.map(tool => {
+            const declaration = { name: tool.name, description: tool.description };
+            // Gemini rejects object schemas without properties
+            if (Object.keys(tool.parameters.properties || {}).length > 0) {
+                declaration.parameters = toGeminiSchema(tool.parameters);
+            }
+            return declaration;
+        })
+    }];
+}
+
+// Neutral chat messages -> Gemini contents (consecutive tool results share one 'function' turn)
+function toContents(messages) {
+    const contents = [];
+    for (const m of messages) {
+        if (m.role === 'tool') {
+            const part = { functionResponse: { name: m.name, response: m.content } };
+            const last = contents[contents.length - 1];
+            if (last && last.role === 'function') last.parts.push(part);
+            else contents.push({ role: 'function', parts: [part] });
+        } else if (m.role === 'assistant') {
+            const parts = m.content ? [{ text: m.content }] : [];
+            for (const call of m.toolCalls || []) {
+                parts.push({ functionCall: { name: call.name, args: call.arguments } });
+            }
+            contents.push({ role: 'model', parts });
+        } else {
+            contents.push({ role: 'user', parts: [{ text: m.content }] });
+        }
+    }
+    return contents;
+}
+
+function toPayload(request) {
+    const payload = {
+        contents: toContents(request.messages),
+        generationConfig: {
+            maxOutputTokens: request.maxTokens,
+            temperature: request.temperature
+        }
+    };
+    if (request.system) {
+        payload.systemInstruction = { parts: [{ text: request.system }] };
+    }
+    if (request.tools && request.tools.length > 0) {
+        payload.tools = toTools(request.tools);
+    }
+    return payload;
+}
+
+// Gemini function calls carry no IDs; number them so tool results can be matched up
+const toToolCalls = (functionCalls) =>
+    functionCalls.map((call, index) => ({ id: `call-${index}`, name: call.name, arguments: call.args || {} }));
+
+/**
+ * Google Gemini (via @google/generative-ai, see geminiService.js)
+ * @param {object} options - { model, imageModel }
+ */
+export function createGeminiProvider({ model, imageModel }) {
+    return {
+        name: 'gemini',
+
+        async generate(request) {
+            const data = await geminiService.generateContent(request.model || model, toPayload(request), { raw: true });
+            const parts = data?.candidates?.[0]?.content?.parts || [];
+
+            const text = parts.filter(p => p.text).map(p => p.text).join('');
+            const toolCalls = toToolCalls(parts.filter(p => p.functionCall).map(p => p.functionCall));
+            if (!text && toolCalls.length === 0) throw new Error('Invalid response from Gemini');
+            return { text, toolCalls };
+        },
+
+        async stream(request, onChunk) {
+            const { text, functionCalls } = await geminiService.generateContentStream(
+                request.model || model, toPayload(request), onChunk
+            );
+            return { text, toolCalls: toToolCalls(functionCalls) };
+        },
+
+        async generateImage(prompt) {
+            const data = await geminiService.generateContent(imageModel, {
+                contents: [{ role: 'user', parts: [{ text: prompt }] }]
+            }, { raw: true });
+
+            const parts = data?.candidates?.[0]?.content?.parts || [];
+            const image = parts.find(p => p.inlineData?.data);
+            if (!image) throw new Error('No image data in response');
+            return {
+                data: Buffer.from(image.inlineData.data, 'base64'),
+                mimeType: image.inlineData.mimeType || 'image/png'
+            };
+        }
+    };
+}
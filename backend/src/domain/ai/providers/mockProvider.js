@@ -0,0 +1,270 @@
+import crypto from 'crypto';
+
+// Words that carry no product meaning in a shopping question
+const STOP_WORDS = new Set([
+    'a', 'an', 'the', 'and', 'or', 'for', 'to', 'of', 'in', 'on', 'with', 'me', 'my', 'i', 'you', 'your',
+    'do', 'does', 'have', 'has', 'is', 'are', 'any', 'some', 'show', 'find', 'want', 'need', 'looking',
+    'what', 'which', 'can', 'please', 'about', 'tell', 'good', 'best', 'cheap', 'cheapest', 'under', 'below', 'price',
+    'budget', 'affordable', 'less', 'than', 'cheaper'
+]);
+
+const formatPrice = (price) => `$${Number(price).toFixed(2)}`;
+
+const describe = (p) =>
+    `${p.name} by ${p.brand || 'Flipkart'} for ${formatPrice(p.price)}` +
+    (p.rating ? ` (rated ${p.rating}/5)` : '') +
+    (p.stock > 0 ? '' : ' - currently out of stock');
+
+const tokenize = (text) => text.toLowerCase().match(/[a-z0-9]+/g) || [];
+
+// Crude singular form so "phones" matches "phone"
+const singular = (word) => (word.length > 3 && word.endsWith('s') ? word.slice(0, -1) : word);
+
+// Words that only describe the cart action, not the product
+const CART_WORDS = new Set(['add', 'buy', 'purchase', 'cart', 'remove', 'delete', 'from', 'it', 'one']);
+
+/**
+ * Work out what the shopper wants from their message
+ * @returns {{ type: string, words: string[], maxPrice?: number, cheap: boolean }}
+ */
+function parseIntent(message) {
+    const lower = message.toLowerCase();
+    const priceMatch = lower.match(/(?:under|below|less than|cheaper than)\s*\$?\s*(\d+(?:\.\d+)?)/);
+
+    let type = 'search';
+    if (/^\s*(hi|hello|hey|good (morning|afternoon|evening))\b/.test(lower)) type = 'greeting';
+    else if (/\bcategor(y|ies)\b|\bwhat do you (sell|have)\b/.test(lower)) type = 'categories';
+    else if (/\b(remove|delete)\b.*\bcart\b/.test(lower)) type = 'remove';
+    else if (/\b(add|buy|purchase)\b/.test(lower)) type = 'add';
+    else if (/\b(my cart|in (my|the) cart|show (me )?(my |the )?cart)\b/.test(lower)) type = 'cart';
+
+    return {
+        type,
+        words: tokenize(lower).map(singular).filter(t => !STOP_WORDS.has(t) && !CART_WORDS.has(t) && !/^\d+$/.test(t)),
+        maxPrice: priceMatch ? parseFloat(priceMatch[1]) : undefined,
+        cheap: /\b(cheap|cheapest|budget|affordable)\b/.test(lower)
+    };
+}
+
+let callCounter = 0;
+const call = (name, args = {}) => ({ id: `mock-call-${++callCounter}`, name, arguments: args });
+
+const firstResult = (results, name) => results.find(r => r.name === name)?.content;
+
+// Products from every searchProducts result, ranked by how many searches returned them
+function rankSearchResults(results, cheap) {
+    const counts = new Map();
+    for (const r of results.filter(r => r.name === 'searchProducts')) {
+        for (const p of r.content.products || []) {
+            const entry = counts.get(p.id) || { product: p, hits: 0 };
+            entry.hits++;
+            counts.set(p.id, entry);
+        }
+    }
+    const ranked = [...counts.values()]
+        .sort((a, b) => b.hits - a.hits || (b.product.rating || 0) - (a.product.rating || 0))
+        .map(e => e.product);
+    return cheap ? ranked.sort((a, b) => a.price - b.price) : ranked;
+}
+
+/**
+ * Decide the next tool calls for this turn, or null when it is time to answer.
+ * `results` are the tool results already gathered for the current user message.
+ */
+function planToolCalls(intent, results, toolNames) {
+    const called = (name) => results.some(r => r.name === name);
+    if (toolNames.size === 0) return null; // Tools disabled for this round - must answer
+
+    switch (intent.type) {
+        case 'greeting':
+        case 'categories':
+            return called('getCategories') ? null : [call('getCategories')];
+
+        case 'cart':
+            return called('getCart') ? null : [call('getCart')];
+
+        case 'remove': {
+            if (!called('getCart')) return [call('getCart')];
+            if (called('removeFromCart')) return null;
+            const { cart } = firstResult(results, 'getCart');
+            const item = cart && cart.items.find(i => tokenize(i.name).map(singular).some(w => intent.words.includes(w)));
+            return item ? [call('removeFromCart', { productId: item.productId })] : null;
+        }
+
+        case 'add':
+            if (called('addToCart')) return null;
+            if (called('searchProducts')) {
+                const [top] = rankSearchResults(results, intent.cheap);
+                return top ? [call('addToCart', { productId: top.id, quantity: 1 })] : null;
+            }
+            break;
+
+        default:
+            if (called('searchProducts')) return null;
+    }
+
+    // Look the categories up first so "books under $20" becomes a category filter
+    if (!called('getCategories')) return [call('getCategories')];
+
+    const { categories = [] } = firstResult(results, 'getCategories');
+    const category = categories.find(c => intent.words.includes(singular(c.name.toLowerCase())));
+
+    const filters = intent.cheap ? { sortBy: 'price', order: 'asc' } : { sortBy: 'rating', order: 'desc' };
+    if (category) filters.category = category.name;
+    if (intent.maxPrice !== undefined) filters.maxPrice = intent.maxPrice;
+
+    // One search per meaningful word (at most three), or the filters alone
+    const terms = intent.words.filter(w => !category || w !== singular(category.name.toLowerCase())).slice(0, 3);
+    if (terms.length === 0) return [call('searchProducts', filters)];
+    return terms.map(term => call('searchProducts', { ...filters, query: term }));
+}
+
+// Compose the final answer from the tool results of this turn
+function answer(intent, results) {
+    const error = results.map(r => r.content.error).find(Boolean);
+
+    if (intent.type === 'greeting' || intent.type === 'categories') {
+        const { categories = [] } = firstResult(results, 'getCategories') || {};
+        const total = categories.reduce((sum, c) => sum + c.count, 0);
+        if (intent.type === 'greeting') {
+            return `Hello and welcome to Flipkart Mall! We carry ${total} products across ${categories.map(c => c.name).join(', ')}. What are you shopping for today?`;
+        }
+        return `We have these categories: ${categories.map(c => `${c.name} (${c.count})`).join(', ')}. Which one would you like to explore?`;
+    }
+
+    const removed = firstResult(results, 'removeFromCart');
+    if (removed && !removed.error) {
+        return `Done - I removed that from your cart. You now have ${removed.cart.itemCount} item(s) totalling ${formatPrice(removed.cart.subtotal)}.`;
+    }
+
+    const added = firstResult(results, 'addToCart');
+    if (added && !added.error) {
+        const item = added.cart.items.find(i => i.productId === added.added);
+        return `I've added the ${item ? item.name : 'product'} to your cart. Your cart now has ${added.cart.itemCount} item(s) totalling ${formatPrice(added.cart.subtotal)}.`;
+    }
+
+    if (error) return `Sorry, I couldn't do that: ${error}.`;
+
+    if (intent.type === 'cart' || intent.type === 'remove') {
+        const { cart } = firstResult(results, 'getCart') || {};
+        if (!cart || cart.items.length === 0) return 'Your cart is empty. Ask me about any product and I can add it for you!';
+        if (intent.type === 'remove') return "I couldn't find that item in your cart.";
+        return `Your cart has ${cart.items.map(i => `${i.quantity} x ${i.name}`).join(', ')} - ${formatPrice(cart.subtotal)} in total.`;
+    }
+
+    const ranked = rankSearchResults(results, intent.cheap);
+    if (intent.type === 'add') {
+        return "I couldn't find that product in our catalog. Could you tell me its name?";
+    }
+    if (ranked.length === 0) {
+        return "I couldn't find an exact match for that. Try asking about a brand, a category, or a price range!";
+    }
+
+    const [top, ...rest] = ranked;
+    let reply = `I'd recommend ${/^the\s/i.test(top.name) ? '' : 'the '}${describe(top)}. ${top.description}.`;
+    if (rest.length > 0) {
+        reply += ` You might also like: ${rest.slice(0, 2).map(describe).join('; ')}.`;
+    }
+    return `${reply} Would you like me to add one to your cart?`;
+}
+
+// Word lists for made-up catalog entries (see draftProducts); categories without one use GENERIC_ITEMS
+const CATALOG_ITEMS = {
+    electronics: { brands: ['Voltix', 'Nimbus', 'Arcwave', 'Lumen'], nouns: ['Earbuds', 'Smart Speaker', 'Power Bank', 'Webcam', 'Keyboard', 'Monitor'] },
+    fashion: { brands: ['Threadline', 'Urban Loom', 'Mavi & Co', 'Northpeak'], nouns: ['Denim Jacket', 'Linen Shirt', 'Sneakers', 'Wool Scarf', 'Chinos', 'Tote Bag'] },
+    books: { brands: ['Inkwell Press', 'Harbor Books', 'Quill House', 'Lantern'], nouns: ['Cookbook', 'Mystery Novel', 'Field Guide', 'Poetry Collection', 'Atlas', 'Memoir'] }
+};
+const GENERIC_ITEMS = { brands: ['Everyday', 'Primo', 'Crestline', 'Oakmont'], nouns: ['Essentials Kit', 'Gift Set', 'Organizer', 'Starter Pack'] };
+const CATALOG_ADJECTIVES = ['Classic', 'Compact', 'Deluxe', 'Everyday', 'Premium', 'Travel', 'Eco', 'Signature'];
+
+// A number in [min, max) that only depends on the seed text
+function seededNumber(seed, min, max) {
+    const value = parseInt(crypto.createHash('sha256').update(seed).digest('hex').slice(0, 8), 16) / 0xffffffff;
+    return min + value * (max - min);
+}
+
+/**
+ * Deterministic products for a saveProducts request: the same category, count and reserved names
+ * always give the same products, skipping any name the request says is taken
+ * @param {object} metadata - The request's { category, count, reserved: [name] }
+ */
+function draftProducts({ category = 'General', count = 1, reserved = [] } = {}) {
+    const taken = new Set(reserved.map(name => String(name).toLowerCase()));
+    const { brands, nouns } = CATALOG_ITEMS[category.toLowerCase()] || GENERIC_ITEMS;
+
+    const products = [];
+    const combinations = CATALOG_ADJECTIVES.length * nouns.length;
+    for (let i = 0; i < combinations && products.length < count; i++) {
+        const name = `${CATALOG_ADJECTIVES[i % CATALOG_ADJECTIVES.length]} ${nouns[Math.floor(i / CATALOG_ADJECTIVES.length) % nouns.length]}`;
+        if (taken.has(name.toLowerCase())) continue;
+        const brand = brands[i % brands.length];
+        products.push({
+            name,
+            description: `${name} from ${brand}, picked for our ${category} collection.`,
+            price: Math.round(seededNumber(`${category}:${name}:price`, 9, 250)) - 0.01,
+            stock: Math.round(seededNumber(`${category}:${name}:stock`, 5, 120)),
+            rating: Math.round(seededNumber(`${category}:${name}:rating`, 3.5, 5) * 10) / 10,
+            brand
+        });
+    }
+    return products;
+}
+
+/**
+ * Rule-based turn: call tools until the needed data is gathered, then answer from it
+ * @returns {{ text: string, toolCalls: Array }}
+ */
+function respond(request) {
+    const lastUserIndex = request.messages.map(m => m.role).lastIndexOf('user');
+    const message = lastUserIndex >= 0 ? request.messages[lastUserIndex].content : '';
+    const results = request.messages.slice(lastUserIndex + 1).filter(m => m.role === 'tool');
+    const toolNames = new Set((request.tools || []).map(t => t.name));
+
+    // Catalog generation (catalogGenerationService.js): answer straight away with made-up products
+    if (toolNames.has('saveProducts')) {
+        return { text: '', toolCalls: [call('saveProducts', { products: draftProducts(request.metadata) })] };
+    }
+
+    const intent = parseIntent(message);
+    const toolCalls = planToolCalls(intent, results, toolNames);
+    if (toolCalls) return { text: '', toolCalls };
+    return { text: answer(intent, results), toolCalls: [] };
+}
+
+// Deterministic placeholder artwork: colour derived from the prompt, the subject (or the prompt) as a caption
+function placeholderSvg(prompt, subject) {
+    const hue = parseInt(crypto.createHash('sha256').update(prompt).digest('hex').slice(0, 6), 16) % 360;
+    const caption = (subject || prompt).replace(/[<>&"']/g, '').substring(0, 60);
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="512" height="512" viewBox="0 0 512 512">
+  <rect width="512" height="512" fill="hsl(${hue}, 45%, 92%)"/>
+  <rect x="136" y="120" width="240" height="240" rx="24" fill="hsl(${hue}, 55%, 60%)"/>
+  <text x="256" y="420" font-family="Arial, sans-serif" font-size="18" text-anchor="middle" fill="#333">${caption}</text>
+</svg>`;
+}
+
+/**
+ * Offline stand-in: deterministic rules that call the same catalog/cart tools a real model would,
+ * and made-up but repeatable products for catalog generation. Needs no network or API key.
+ */
+export function createMockProvider() {
+    return {
+        name: 'mock',
+
+        async generate(request) {
+            return respond(request);
+        },
+
+        async stream(request, onChunk) {
+            const reply = respond(request);
+            // Word-sized chunks so streaming clients behave as they would with a real model
+            for (const piece of reply.text.match(/\S+\s*/g) || []) {
+                onChunk(piece);
+            }
+            return reply;
+        },
+
+        async generateImage(prompt, metadata = {}) {
+            return { data: Buffer.from(placeholderSvg(prompt, metadata.subject)), mimeType: 'image/svg+xml' };
+        }
+    };
+}
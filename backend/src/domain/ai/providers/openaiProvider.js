@@ -0,0 +1,149 @@
+// Neutral chat messages -> OpenAI chat messages (system prompt first)
+function toMessages(request) {
+    const messages = request.messages.map(m => {
+        if (m.role === 'tool') {
+            return { role: 'tool', tool_call_id: m.toolCallId, content: JSON.stringify(m.content) };
+        }
+        if (m.role === 'assistant' && m.toolCalls && m.toolCalls.length > 0) {
+            return {
+                role: 'assistant',
+                content: m.content || null,
+                tool_calls: m.toolCalls.map(call => ({
+                    id: call.id,
+                    type: 'function',
+                    function: { name: call.name, arguments: JSON.stringify(call.arguments) }
+                }))
+            };
+        }
+        return { role: m.role, content: m.content };
+    });
+    return request.system ? [{ role: 'system', content: request.system }, ...messages] : messages;
+}
+
+const toTools = (tools) => tools.map(tool => ({
+    type: 'function',
+    function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+}));
+
+function parseArguments(json) {
+    try {
+        return json ? JSON.parse(json) : {};
+    } catch {
+        return {};
+    }
+}
+
+/**
+ * Any OpenAI-compatible HTTP endpoint (OpenAI, Azure-style proxies, Ollama, vLLM, LM Studio...)
+ * @param {object} options - { baseUrl, apiKey, model, imageModel }
+ */
+export function createOpenAIProvider({ baseUrl, apiKey, model, imageModel }) {
+    const endpoint = baseUrl.replace(/\/+$/, '');
+
+    async function post(path, body) {
+        const response = await fetch(`${endpoint}${path}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+            },
+            body: JSON.stringify(body)
+        });
+
+        if (!response.ok) {
+            const detail = await response.text().catch(() => '');
+            throw new Error(`OpenAI-compatible API Error: ${response.status} ${detail.substring(0, 200)}`);
+        }
+        return response;
+    }
+
+    const chatBody = (request, stream) => {
+        const body = {
+            model: request.model || model,
+            messages: toMessages(request),
+            max_tokens: request.maxTokens,
+            temperature: request.temperature,
+            stream
+        };
+        if (request.tools && request.tools.length > 0) body.tools = toTools(request.tools);
+        return body;
+    };
+
+    return {
+        name: 'openai',
+
+        async generate(request) {
+            const data = await (await post('/chat/completions', chatBody(request, false))).json();
+            const message = data?.choices?.[0]?.message;
+            const toolCalls = (message?.tool_calls || []).map(call => ({
+                id: call.id,
+                name: call.function.name,
+                arguments: parseArguments(call.function.arguments)
+            }));
+            if (!message?.content && toolCalls.length === 0) throw new Error('Invalid response from OpenAI-compatible API');
+            return { text: message.content || '', toolCalls };
+        },
+
+        async stream(request, onChunk) {
+            const response = await post('/chat/completions', chatBody(request, true));
+            const decoder = new TextDecoder();
+            let buffer = '';
+            let text = '';
+            const partialCalls = []; // Tool calls arrive in fragments, keyed by index
+
+            // Server-Sent Events: `data: {json}` lines, terminated by `data: [DONE]`
+            for await (const bytes of response.body) {
+                buffer += decoder.decode(bytes, { stream: true });
+                const lines = buffer.split('\n');
+                buffer = lines.pop();
+
+                for (const line of lines) {
+                    if (!line.startsWith('data:')) continue;
+                    const data = line.slice(5).trim();
+                    if (!data || data === '[DONE]') continue;
+
+                    const delta = JSON.parse(data)?.choices?.[0]?.delta || {};
+                    if (delta.content) {
+                        text += delta.content;
+                        onChunk(delta.content);
+                    }
+                    for (const fragment of delta.tool_calls || []) {
+                        const call = partialCalls[fragment.index] ||= { id: '', name: '', arguments: '' };
+                        if (fragment.id) call.id = fragment.id;
+                        if (fragment.function?.name) call.name += fragment.function.name;
+                        if (fragment.function?.arguments) call.arguments += fragment.function.arguments;
+                    }
+                }
+            }
+
+            const toolCalls = partialCalls.filter(Boolean).map(call => ({
+                id: call.id,
+                name: call.name,
+                arguments: parseArguments(call.arguments)
+            }));
+            return { text, toolCalls };
+        },
+
+        async generateImage(prompt) {
+            const data = await (await post('/images/generations', {
+                model: imageModel,
+                prompt,
+                n: 1,
+                response_format: 'b64_json'
+            })).json();
+
+            const image = data?.data?.[0];
+            if (image?.b64_json) {
+                return { data: Buffer.from(image.b64_json, 'base64'), mimeType: 'image/png' };
+            }
+            if (image?.url) {
+                const download = await fetch(image.url);
+                return {
+                    data: Buffer.from(await download.arrayBuffer()),
+                    mimeType: download.headers.get('content-type') || 'image/png'
+                };
+            }
+            throw new Error('No image data in response');
+        }
+    };
+}
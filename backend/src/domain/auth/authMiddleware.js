@@ -0,0 +1,84 @@
+import { authService } from './authService.js';
+
+// AUTH_REQUIRED=true rejects sockets/requests without a token; otherwise they continue as guests
+const AUTH_REQUIRED = process.env.AUTH_REQUIRED === 'true';
+
+function getBearerToken(req) {
+    const header = req.headers.authorization || '';
+    return header.startsWith('Bearer ') ? header.slice(7) : null;
+}
+
+/**
+ * Express middleware: attach req.user when a valid bearer token is present.
+ * An invalid token is always rejected; a missing one is allowed unless AUTH_REQUIRED is set.
+ */
+export function authenticate(req, res, next) {
+    const token = getBearerToken(req);
+    if (!token) {
+        if (AUTH_REQUIRED) return res.status(401).json({ success: false, error: 'Authentication required' });
+        req.user = null;
+        return next();
+    }
+
+    const user = authService.verifyToken(token);
+    if (!user) return res.status(401).json({ success: false, error: 'Invalid or expired token' });
+
+    req.user = user;
+    next();
+}
+
+/**
+ * Express middleware: require a valid bearer token
+ */
+export function requireAuth(req, res, next) {
+    const user = authService.verifyToken(getBearerToken(req));
+    if (!user) return res.status(401).json({ success: false, error: 'Authentication required' });
+    req.user = user;
+    next();
+}
+
+// Accounts allowed to manage the catalog (comma-separated emails)
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(e => e.trim().toLowerCase())
+    .filter(Boolean);
+
+/**
+ * Express middleware: require a signed-in account listed in ADMIN_EMAILS
+ */
+export async function requireAdmin(req, res, next) {
+    const user = authService.verifyToken(getBearerToken(req));
+    if (!user) return res.status(401).json({ success: false, error: 'Authentication required' });
+
+    try {
+        const account = await authService.getUserById(user.userId);
+        if (!account || !ADMIN_EMAILS.includes(account.email.toLowerCase())) {
+            return res.status(403).json({ success: false, error: 'Admin access required' });
+        }
+    } catch (error) {
+        console.error('Admin check failed:', error);
+        return res.status(500).json({ success: false, error: 'Failed to verify admin access' });
+    }
+
+    req.user = user;
+    next();
+}
+
+/**
+ * Socket.IO handshake middleware: verify `auth.token` and expose the user as socket.data.user.
+ * Same rules as authenticate(): invalid tokens are refused, missing tokens connect as guests unless AUTH_REQUIRED.
+ */
+export function socketAuth(socket, next) {
+    const token = socket.handshake.auth && socket.handshake.auth.token;
+    if (!token) {
+        if (AUTH_REQUIRED) return next(new Error('Authentication required'));
+        socket.data.user = null;
+        return next();
+    }
+
+    const user = authService.verifyToken(token);
+    if (!user) return next(new Error('Invalid or expired token'));
+
+    socket.data.user = user;
+    next();
+}
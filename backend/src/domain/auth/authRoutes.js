@@ -0,0 +1,48 @@
+import express from 'express';
+import { authService } from './authService.js';
+import { requireAuth } from './authMiddleware.js';
+
+const router = express.Router();
+
+function handleError(res, error, fallbackMessage) {
+    if (error.status) {
+        return res.status(error.status).json({ success: false, error: error.message });
+    }
+    console.error(`${fallbackMessage}:`, error);
+    res.status(500).json({ success: false, error: fallbackMessage });
+}
+
+// Create an account
+router.post('/signup', async (req, res) => {
+    try {
+        const { email, password, displayName } = req.body;
+        const result = await authService.signup({ email, password, displayName });
+        res.status(201).json({ success: true, ...result });
+    } catch (error) {
+        handleError(res, error, 'Failed to sign up');
+    }
+});
+
+// Log in and receive a session token
+router.post('/login', async (req, res) => {
+    try {
+        const { email, password } = req.body;
+        const result = await authService.login({ email, password });
+        res.json({ success: true, ...result });
+    } catch (error) {
+        handleError(res, error, 'Failed to log in');
+    }
+});
+
+// Current user (validates a stored token on reload)
+router.get('/me', requireAuth, async (req, res) => {
+    try {
+        const user = await authService.getUserById(req.user.userId);
+        if (!user) return res.status(404).json({ success: false, error: 'User not found' });
+        res.json({ success: true, user });
+    } catch (error) {
+        handleError(res, error, 'Failed to fetch user');
+    }
+});
+
+export default router;
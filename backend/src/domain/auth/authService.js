@@ -0,0 +1,178 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { createStore } from '../../config/storage.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+// Account Storage
+const accounts = createStore('accounts'); // userId -> { userId, email, displayName, passwordHash, createdAt }
+const emailIndex = createStore('account-emails'); // lower-cased email -> userId
+
+const TOKEN_TTL_SECONDS = parseInt(process.env.AUTH_TOKEN_TTL_SECONDS, 10) || 7 * 24 * 60 * 60;
+let TOKEN_SECRET = process.env.AUTH_TOKEN_SECRET;
+
+if (!TOKEN_SECRET) {
+    // Tokens will not survive a restart (or work across instances) without a configured secret
+    TOKEN_SECRET = crypto.randomBytes(32).toString('hex');
+    console.warn('⚠️ AUTH_TOKEN_SECRET is not set. Using a random secret; sessions reset on restart.');
+}
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// Guests pick their own ID (guest-<uuid>, see the frontend authStore); the prefix keeps it apart from account IDs
+const GUEST_ID_PATTERN = /^guest-[A-Za-z0-9_-]{1,64}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+function authError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+const base64url = (input) => Buffer.from(input).toString('base64url');
+
+function sign(data) {
+    return crypto.createHmac('sha256', TOKEN_SECRET).update(data).digest('base64url');
+}
+
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const derived = await scrypt(password, salt, 64);
+    return `scrypt:${salt}:${derived.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+    const [, salt, hash] = stored.split(':');
+    const derived = await scrypt(password, salt, 64);
+    const expected = Buffer.from(hash, 'hex');
+    return expected.length === derived.length && crypto.timingSafeEqual(expected, derived);
+}
+
+// Public view of an account (never includes the password hash)
+function toPublicUser(account) {
+    return {
+        userId: account.userId,
+        email: account.email,
+        displayName: account.displayName,
+        createdAt: account.createdAt
+    };
+}
+
+export const authService = {
+    async signup({ email, password, displayName }) {
+        const normalizedEmail = typeof email === 'string' ? email.trim().toLowerCase() : '';
+        if (!EMAIL_PATTERN.test(normalizedEmail)) throw authError('A valid email is required');
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+            throw authError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+        }
+        if (displayName !== undefined && displayName !== null) {
+            if (typeof displayName !== 'string') throw authError('displayName must be a string');
+            if (!displayName.trim()) throw authError('displayName cannot be blank');
+        }
+
+        // Claim the email first so two signups racing for it can't both succeed
+        const userId = `user-${crypto.randomUUID()}`;
+        if (!(await emailIndex.setIfAbsent(normalizedEmail, userId))) {
+            throw authError('An account with this email already exists', 409);
+        }
+
+        const account = {
+            userId,
+            email: normalizedEmail,
+            displayName: (displayName || normalizedEmail.split('@')[0]).trim().substring(0, 40),
+            createdAt: new Date().toISOString()
+        };
+        try {
+            account.passwordHash = await hashPassword(password);
+            await accounts.set(userId, account);
+        } catch (error) {
+            await emailIndex.delete(normalizedEmail);
+            throw error;
+        }
+
+        const user = toPublicUser(account);
+        return { user, token: this.issueToken(user) };
+    },
+
+    async login({ email, password }) {
+        if (typeof email !== 'string' || typeof password !== 'string' || !email || !password) {
+            throw authError('Email and password are required');
+        }
+
+        const userId = await emailIndex.get(email.trim().toLowerCase());
+        const account = userId ? await accounts.get(userId) : null;
+        // Same error for unknown email and wrong password
+        if (!account || !(await verifyPassword(password, account.passwordHash))) {
+            throw authError('Invalid email or password', 401);
+        }
+
+        const user = toPublicUser(account);
+        return { user, token: this.issueToken(user) };
+    },
+
+    /**
+     * Whether an ID is a guest ID a client may claim without a token
+     * @param {string} id
+     * @returns {boolean}
+     */
+    isGuestId(id) {
+        return typeof id === 'string' && GUEST_ID_PATTERN.test(id);
+    },
+
+    /**
+     * Whose cart a request may use: the signed-in user, else the client's ID when it is a guest ID
+     * @param {object|null} user - Authenticated user ({ userId }) or null
+     * @param {string} claimedId - ID sent by the client
+     * @returns {string|null} - null when a guest sent no usable ID (cart features stay off)
+     */
+    shopperId(user, claimedId) {
+        if (user) return user.userId;
+        return this.isGuestId(claimedId) ? claimedId : null;
+    },
+
+    async getUserById(userId) {
+        const account = await accounts.get(userId);
+        return account ? toPublicUser(account) : null;
+    },
+
+    /**
+     * Issue a signed session token (JWT, HS256)
+     * @param {object} user - { userId, displayName }
+     * @returns {string}
+     */
+    issueToken(user) {
+        const now = Math.floor(Date.now() / 1000);
+        const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+        const payload = base64url(JSON.stringify({
+            sub: user.userId,
+            name: user.displayName,
+            iat: now,
+            exp: now + TOKEN_TTL_SECONDS
+        }));
+        return `${header}.${payload}.${sign(`${header}.${payload}`)}`;
+    },
+
+    /**
+     * Verify a session token
+     * @param {string} token
+     * @returns {{ userId: string, displayName: string } | null} - null when missing, malformed, tampered or expired
+     */
+    verifyToken(token) {
+        if (!token || typeof token !== 'string') return null;
+
+        const parts = token.split('.');
+        if (parts.length !== 3) return null;
+
+        const [header, payload, signature] = parts;
+        const expected = Buffer.from(sign(`${header}.${payload}`));
+        const actual = Buffer.from(signature);
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+        try {
+            const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+            if (!claims.sub || (claims.exp && claims.exp < Math.floor(Date.now() / 1000))) return null;
+            return { userId: claims.sub, displayName: claims.name };
+        } catch {
+            return null;
+        }
+    }
+};
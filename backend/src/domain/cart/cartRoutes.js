@@ -0,0 +1,95 @@
+import express from 'express';
+import { cartService } from './cartService.js';
+import { authenticate } from '../auth/authMiddleware.js';
+import { authService } from '../auth/authService.js';
+
+const router = express.Router();
+
+// Signed-in users may only touch their own cart; guests keep using their local guest-* ID
+router.use(authenticate);
+router.param('cartId', (req, res, next, cartId) => {
+    if (req.user && req.user.userId !== cartId) {
+        return res.status(403).json({ success: false, error: 'Cannot access another user\'s cart' });
+    }
+    if (!req.user && !authService.isGuestId(cartId)) {
+        return res.status(401).json({ success: false, error: 'Sign in to use this cart' });
+    }
+    next();
+});
+
+// Send service errors with their status code (validation/stock errors) or 500
+function handleError(res, error, fallbackMessage) {
+    if (error.status) {
+        return res.status(error.status).json({ success: false, error: error.message });
+    }
+    console.error(`${fallbackMessage}:`, error);
+    res.status(500).json({ success: false, error: fallbackMessage });
+}
+
+// Get cart
+router.get('/:cartId', async (req, res) => {
+    try {
+        const cart = await cartService.getCart(req.params.cartId);
+        res.json({ success: true, cart });
+    } catch (error) {
+        handleError(res, error, 'Failed to fetch cart');
+    }
+});
+
+// Add item to cart
+router.post('/:cartId/items', async (req, res) => {
+    try {
+        const { productId, quantity = 1 } = req.body;
+        const cart = await cartService.addItem(req.params.cartId, productId, quantity);
+        res.status(201).json({ success: true, cart });
+    } catch (error) {
+        handleError(res, error, 'Failed to add item to cart');
+    }
+});
+
+// Update item quantity (quantity 0 removes the item)
+router.put('/:cartId/items/:productId', async (req, res) => {
+    try {
+        const cart = await cartService.updateItem(req.params.cartId, req.params.productId, req.body.quantity);
+        res.json({ success: true, cart });
+    } catch (error) {
+        handleError(res, error, 'Failed to update cart item');
+    }
+});
+
+// Remove item from cart
+router.delete('/:cartId/items/:productId', async (req, res) => {
+    try {
+        const cart = await cartService.removeItem(req.params.cartId, req.params.productId);
+        res.json({ success: true, cart });
+    } catch (error) {
+        handleError(res, error, 'Failed to remove cart item');
+    }
+});
+
+// Clear cart
+router.delete('/:cartId', async (req, res) => {
+    try {
+        const cart = await cartService.clearCart(req.params.cartId);
+        res.json({ success: true, cart });
+    } catch (error) {
+        handleError(res, error, 'Failed to clear cart');
+    }
+});
+
+// Checkout: decrement stock, record the order and empty the cart
+router.post('/:cartId/checkout', async (req, res) => {
+    try {
+        const { cartId } = req.params;
+        const { shippingAddress } = req.body;
+
+        // The order belongs to whoever owns the cart (checked above), never to an ID from the body
+        const order = await cartService.checkout(cartId, { userId: req.user ? req.user.userId : cartId, shippingAddress });
+
+        res.status(201).json({ success: true, order });
+    } catch (error) {
+        handleError(res, error, 'Failed to checkout');
+    }
+});
+
+export default router;
@@ -0,0 +1,183 @@
+import { productService } from '../product/productService.js';
+import { orderService } from '../order/orderService.js';
+import { createStore } from '../../config/storage.js';
+
+// Cart Storage (shared across instances when STORAGE_DRIVER=redis)
+const carts = createStore('carts'); // cartId -> { cartId, items: { productId: { productId, quantity, addedAt } }, updatedAt }
+
+const MAX_QUANTITY_PER_ITEM = 10;
+
+function cartError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function emptyCart(cartId) {
+    return {
+        cartId,
+        items: {},
+        updatedAt: new Date().toISOString()
+    };
+}
+
+async function getOrCreateCart(cartId) {
+    return (await carts.get(cartId)) || emptyCart(cartId);
+}
+
+// Apply `change(items)` to the stored cart in one atomic update; `change` may throw to leave the cart as it was
+async function changeItems(cartId, change) {
+    const updatedAt = new Date().toISOString();
+    await carts.update(cartId, (current) => {
+        const cart = current || emptyCart(cartId);
+        const items = { ...cart.items };
+        change(items);
+        return { ...cart, items, updatedAt };
+    });
+}
+
+function parseQuantity(quantity) {
+    const qty = parseInt(quantity, 10);
+    if (isNaN(qty) || qty < 0) {
+        throw cartError('Quantity must be a non-negative integer');
+    }
+    if (qty > MAX_QUANTITY_PER_ITEM) {
+        throw cartError(`Quantity cannot exceed ${MAX_QUANTITY_PER_ITEM} per item`);
+    }
+    return qty;
+}
+
+export const cartService = {
+    // Build the public view of a cart with product details and totals
+    async getCart(cartId) {
+        if (!cartId) throw cartError('Cart ID is required');
+        return this._describe(await getOrCreateCart(cartId));
+    },
+
+    async _describe(cart) {
+        const items = [];
+
+        for (const item of Object.values(cart.items)) {
+            const product = await productService.getProductById(item.productId);
+            if (!product) continue; // Product removed from catalog
+
+            items.push({
+                productId: item.productId,
+                name: product.name,
+                price: product.price,
+                image: product.image,
+                quantity: item.quantity,
+                stock: product.stock,
+                lineTotal: Math.round(product.price * item.quantity * 100) / 100,
+                addedAt: item.addedAt
+            });
+        }
+
+        const subtotal = items.reduce((sum, i) => sum + i.lineTotal, 0);
+
+        return {
+            cartId: cart.cartId,
+            items,
+            itemCount: items.reduce((sum, i) => sum + i.quantity, 0),
+            subtotal: Math.round(subtotal * 100) / 100,
+            updatedAt: cart.updatedAt
+        };
+    },
+
+    async addItem(cartId, productId, quantity = 1) {
+        if (!cartId) throw cartError('Cart ID is required');
+        if (!productId) throw cartError('Product ID is required');
+
+        const qty = parseQuantity(quantity);
+        if (qty === 0) throw cartError('Quantity must be at least 1');
+
+        const product = await productService.getProductById(productId);
+        const addedAt = new Date().toISOString();
+        await changeItems(cartId, (items) => {
+            const existing = items[productId];
+            const newQuantity = (existing ? existing.quantity : 0) + qty;
+            this._checkQuantity(product, newQuantity);
+            items[productId] = {
+                productId,
+                quantity: newQuantity,
+                addedAt: existing ? existing.addedAt : addedAt
+            };
+        });
+
+        return this.getCart(cartId);
+    },
+
+    async updateItem(cartId, productId, quantity) {
+        if (!cartId) throw cartError('Cart ID is required');
+
+        const qty = parseQuantity(quantity);
+        const product = qty > 0 ? await productService.getProductById(productId) : null;
+        await changeItems(cartId, (items) => {
+            const existing = items[productId];
+            if (!existing) throw cartError('Item not in cart', 404);
+
+            if (qty === 0) {
+                delete items[productId];
+            } else {
+                this._checkQuantity(product, qty);
+                items[productId] = { ...existing, quantity: qty };
+            }
+        });
+
+        return this.getCart(cartId);
+    },
+
+    async removeItem(cartId, productId) {
+        if (!cartId) throw cartError('Cart ID is required');
+
+        await changeItems(cartId, (items) => {
+            if (!items[productId]) throw cartError('Item not in cart', 404);
+            delete items[productId];
+        });
+
+        return this.getCart(cartId);
+    },
+
+    async clearCart(cartId) {
+        await carts.delete(cartId);
+        return this.getCart(cartId);
+    },
+
+    /**
+     * Turn a cart into an order
+     * @param {string} cartId - Cart to check out
+     * @param {object} options - { userId, shippingAddress }
+     * @returns {Promise<object>} - The created order
+     */
+    async checkout(cartId, { userId, shippingAddress } = {}) {
+        if (!cartId) throw cartError('Cart ID is required');
+        // Reject a bad address before touching the cart
+        orderService.checkShippingAddress(shippingAddress);
+
+        // Claim the cart so a second checkout of the same cart finds nothing to order
+        let claimed = null;
+        await carts.update(cartId, (cart) => {
+            if (!cart || Object.keys(cart.items).length === 0) throw cartError('Cart is empty');
+            claimed = cart;
+            return null;
+        });
+
+        try {
+            return await orderService.createOrder(await this._describe(claimed), { userId, shippingAddress });
+        } catch (error) {
+            // Put the cart back unless the shopper has already started a new one
+            await carts.setIfAbsent(cartId, claimed);
+            throw error;
+        }
+    },
+
+    // Synchronous so it can run inside a store update; the caller looks the product up beforehand
+    _checkQuantity(product, quantity) {
+        if (quantity > MAX_QUANTITY_PER_ITEM) {
+            throw cartError(`Quantity cannot exceed ${MAX_QUANTITY_PER_ITEM} per item`);
+        }
+        if (!product) throw cartError('Product not found', 404);
+        const stock = product.stock ?? 0;
+        if (stock < quantity) throw cartError(`Only ${stock} left in stock for ${product.name}`, 409);
+    }
+};
@@ -0,0 +1,212 @@
+import { productService } from '../product/productService.js';
+import { orderService } from '../order/orderService.js';
+import { createStore } from '../../config/storage.js';
+
+// Group Cart Storage (shared across instances when STORAGE_DRIVER=redis)
+// roomId -> { roomId, items: { productId: { productId, quantity, addedBy, addedAt } }, approvals: [userId], version, updatedAt }
+const groupCarts = createStore('group-carts');
+
+const MAX_QUANTITY_PER_ITEM = 10;
+
+function groupCartError(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+function emptyGroupCart(roomId) {
+    return {
+        roomId,
+        items: {},
+        approvals: [],
+        version: 0,
+        updatedAt: new Date().toISOString()
+    };
+}
+
+async function getOrCreateGroupCart(roomId) {
+    return (await groupCarts.get(roomId)) || emptyGroupCart(roomId);
+}
+
+/**
+ * Change a room's cart contents in one atomic step, so concurrent adds and edits all stick.
+ * Any change to the contents invalidates earlier approvals.
+ * @param {function} change - (items) => void, edits a copy of the items in place. May throw to refuse.
+ */
+async function changeItems(roomId, change) {
+    const updatedAt = new Date().toISOString();
+    await groupCarts.update(roomId, (current) => {
+        const cart = current || emptyGroupCart(roomId);
+        const items = { ...cart.items };
+        change(items);
+        return { ...cart, items, approvals: [], version: cart.version + 1, updatedAt };
+    });
+}
+
+export const groupCartService = {
+    /**
+     * Public view of a room's shared cart
+     * @param {string} roomId - Meeting room ID
+     * @param {number} participantCount - Current number of room participants (for the approval threshold)
+     */
+    async getGroupCart(roomId, participantCount = 0) {
+        return this._describe(await getOrCreateGroupCart(roomId), participantCount);
+    },
+
+    async _describe(cart, participantCount) {
+        const { roomId } = cart;
+        const items = [];
+
+        for (const item of Object.values(cart.items)) {
+            const product = await productService.getProductById(item.productId);
+            if (!product) continue;
+
+            items.push({
+                productId: item.productId,
+                name: product.name,
+                price: product.price,
+                image: product.image,
+                quantity: item.quantity,
+                stock: product.stock,
+                lineTotal: Math.round(product.price * item.quantity * 100) / 100,
+                addedBy: item.addedBy,
+                addedAt: item.addedAt
+            });
+        }
+
+        const subtotal = items.reduce((sum, i) => sum + i.lineTotal, 0);
+
+        return {
+            cartId: `room:${roomId}`,
+            roomId,
+            items,
+            itemCount: items.reduce((sum, i) => sum + i.quantity, 0),
+            subtotal: Math.round(subtotal * 100) / 100,
+            approvals: cart.approvals,
+            approvalsNeeded: this._approvalsNeeded(participantCount),
+            version: cart.version,
+            updatedAt: cart.updatedAt
+        };
+    },
+
+    async addItem(roomId, productId, quantity, user) {
+        if (!productId) throw groupCartError('Product ID is required');
+        const qty = parseInt(quantity, 10) || 1;
+        if (qty < 1) throw groupCartError('Quantity must be at least 1');
+
+        // The product is looked up first; the stock check itself runs against the quantity inside the update
+        const product = await productService.getProductById(productId);
+        const addedAt = new Date().toISOString();
+        await changeItems(roomId, (items) => {
+            const existing = items[productId];
+            const newQuantity = (existing ? existing.quantity : 0) + qty;
+            this._checkQuantity(product, newQuantity);
+
+            items[productId] = {
+                productId,
+                quantity: newQuantity,
+                // Keep the original attribution when someone bumps an existing item
+                addedBy: existing ? existing.addedBy : { userId: user.userId, userName: user.name },
+                addedAt: existing ? existing.addedAt : addedAt
+            };
+        });
+    },
+
+    async updateItem(roomId, productId, quantity) {
+        const qty = parseInt(quantity, 10);
+        if (isNaN(qty) || qty < 0) throw groupCartError('Quantity must be a non-negative integer');
+
+        const product = qty > 0 ? await productService.getProductById(productId) : null;
+        await changeItems(roomId, (items) => {
+            const existing = items[productId];
+            if (!existing) throw groupCartError('Item not in group cart');
+
+            if (qty === 0) {
+                delete items[productId];
+            } else {
+                this._checkQuantity(product, qty);
+                items[productId] = { ...existing, quantity: qty };
+            }
+        });
+    },
+
+    async removeItem(roomId, productId) {
+        await changeItems(roomId, (items) => {
+            if (!items[productId]) throw groupCartError('Item not in group cart');
+            delete items[productId];
+        });
+    },
+
+    // Record (or withdraw) a participant's approval of the current cart contents
+    async setApproval(roomId, userId, approve) {
+        const updatedAt = new Date().toISOString();
+        await groupCarts.update(roomId, (cart) => {
+            if (!cart || Object.keys(cart.items).length === 0) throw groupCartError('Group cart is empty');
+
+            const approvals = cart.approvals.filter(id => id !== userId);
+            if (approve) approvals.push(userId);
+            return { ...cart, approvals, updatedAt };
+        });
+    },
+
+    // Drop a participant's approval when they leave the room
+    async removeParticipant(roomId, userId) {
+        await groupCarts.update(roomId, (cart) => {
+            if (!cart || !cart.approvals.includes(userId)) return undefined;
+            return { ...cart, approvals: cart.approvals.filter(id => id !== userId) };
+        });
+    },
+
+    /**
+     * Finalize the shared cart into an order. Caller must verify the user is the room owner.
+     * Requires approval from a majority of current participants.
+     * The approval check and claiming the cart happen in one atomic step, so the order holds exactly the
+     * contents that were approved and a second checkout can't order them again.
+     */
+    async checkout(roomId, owner, participantCount) {
+        const needed = this._approvalsNeeded(participantCount);
+        let claimed = null;
+        await groupCarts.update(roomId, (cart) => {
+            const approvals = cart ? cart.approvals.length : 0;
+            if (approvals < needed) {
+                throw groupCartError(`Checkout needs ${needed} approval(s), currently ${approvals}`);
+            }
+            claimed = cart;
+            return null;
+        });
+
+        try {
+            const snapshot = await this._describe(claimed, participantCount);
+            return await orderService.createOrder(snapshot, {
+                userId: owner.userId,
+                extra: {
+                    roomId,
+                    approvedBy: snapshot.approvals,
+                    contributors: snapshot.items.map(i => ({ productId: i.productId, addedBy: i.addedBy }))
+                }
+            });
+        } catch (error) {
+            // Give the cart back unless the room has started a new one meanwhile
+            await groupCarts.setIfAbsent(roomId, claimed);
+            throw error;
+        }
+    },
+
+    async clear(roomId) {
+        await groupCarts.delete(roomId);
+    },
+
+    _approvalsNeeded(participantCount) {
+        return Math.floor(Math.max(participantCount, 1) / 2) + 1;
+    },
+
+    // Synchronous so it can run inside a store update; the caller looks the product up beforehand
+    _checkQuantity(product, quantity) {
+        if (quantity > MAX_QUANTITY_PER_ITEM) {
+            throw groupCartError(`Quantity cannot exceed ${MAX_QUANTITY_PER_ITEM} per item`);
+        }
+        if (!product) throw groupCartError('Product not found');
+        const stock = product.stock ?? 0;
+        if (stock < quantity) throw groupCartError(`Only ${stock} left in stock for ${product.name}`);
+    }
+};
@@ -0,0 +1,87 @@
+import { groupCartService } from './groupCartService.js';
+
+/**
+ * Register shared group cart events on a /meeting socket.
+ * The cart is scoped to the meeting roomId and every change is broadcast to the whole room.
+ * @param {import('socket.io').Namespace} namespace - The /meeting namespace
+ * @param {import('socket.io').Socket} socket - Connected socket
+ * @param {object} state - Async accessors into meeting state: { getUser(socketId), getRoom(roomId) }
+ */
+export function registerGroupCartHandlers(namespace, socket, { getUser, getRoom }) {
+    // Resolve the sender and make sure they are in the room they are editing
+    const resolve = async (roomId) => {
+        const user = await getUser(socket.id);
+        const room = await getRoom(roomId);
+        if (!user || user.roomId !== roomId || !room) return null;
+        return { user, room };
+    };
+
+    const broadcast = async (roomId, room, action) => {
+        const cart = await groupCartService.getGroupCart(roomId, room.users.length);
+        namespace.to(roomId).emit('group-cart-updated', { roomId, cart, action });
+    };
+
+    // Wrap a handler with membership checks and error reporting
+    const on = (event, handler) => {
+        socket.on(event, async (data) => {
+            try {
+                if (!data || typeof data !== 'object' || Array.isArray(data)) {
+                    socket.emit('group-cart-error', { event, message: 'Invalid request' });
+                    return;
+                }
+                const ctx = await resolve(data.roomId);
+                if (!ctx) {
+                    socket.emit('group-cart-error', { event, message: 'Not a member of this room' });
+                    return;
+                }
+                await handler(data, ctx);
+            } catch (error) {
+                if (!error.status) console.error(`Error ${event}:`, error);
+                socket.emit('group-cart-error', { event, message: error.message });
+            }
+        });
+    };
+
+    on('group-cart-get', async ({ roomId }, { user, room }) => {
+        const cart = await groupCartService.getGroupCart(roomId, room.users.length);
+        const isOwner = room.metadata.owner && room.metadata.owner.userId === user.userId;
+        socket.emit('group-cart-updated', {
+            roomId,
+            cart,
+            you: { userId: user.userId, isOwner }
+        });
+    });
+
+    on('group-cart-add', async ({ roomId, productId, quantity }, { user, room }) => {
+        await groupCartService.addItem(roomId, productId, quantity, user);
+        await broadcast(roomId, room, { type: 'add', productId, by: { userId: user.userId, userName: user.name } });
+    });
+
+    on('group-cart-update', async ({ roomId, productId, quantity }, { user, room }) => {
+        await groupCartService.updateItem(roomId, productId, quantity);
+        await broadcast(roomId, room, { type: 'update', productId, by: { userId: user.userId, userName: user.name } });
+    });
+
+    on('group-cart-remove', async ({ roomId, productId }, { user, room }) => {
+        await groupCartService.removeItem(roomId, productId);
+        await broadcast(roomId, room, { type: 'remove', productId, by: { userId: user.userId, userName: user.name } });
+    });
+
+    on('group-cart-vote', async ({ roomId, approve }, { user, room }) => {
+        await groupCartService.setApproval(roomId, user.userId, approve !== false);
+        await broadcast(roomId, room, { type: 'vote', approve: approve !== false, by: { userId: user.userId, userName: user.name } });
+    });
+
+    // Only the room owner can finalize
+    on('group-cart-checkout', async ({ roomId }, { user, room }) => {
+        const owner = room.metadata.owner;
+        if (!owner || owner.userId !== user.userId) {
+            socket.emit('group-cart-error', { event: 'group-cart-checkout', message: 'Only the room owner can check out the group cart' });
+            return;
+        }
+
+        const order = await groupCartService.checkout(roomId, owner, room.users.length);
+        namespace.to(roomId).emit('group-cart-checked-out', { roomId, order });
+        await broadcast(roomId, room, { type: 'checkout', orderId: order.orderId });
+    });
+}
@@ -0,0 +1,75 @@
+import { chatService } from './chatService.js';
+import { authService } from '../auth/authService.js';
+
+// Companion conversations are kept apart from the NPC bot chat of the same room
+const contextKey = (roomId) => `ai-agent:${roomId}`;
+
+/**
+ * /ai-agent namespace - the NPC companion (frontend aiAgentService.js)
+ * Each shopper has their own conversation context per room (shoppers without an ID share the room's);
+ * replies stream back to the asker as `ai-response-chunk` events followed by a final `ai-response`.
+ */
+export function setupAIAgentSocket(io) {
+    const aiNamespace = io.of('/ai-agent');
+
+    aiNamespace.on('connection', (socket) => {
+        // console.log(`AI Agent Socket connected: ${socket.id}`);
+
+        socket.on('ask-ai', async (data) => {
+            const { roomId, text } = data || {};
+            const requestId = data?.requestId || `${socket.id}-${Date.now()}`;
+
+            try {
+                if (!roomId || !text || !text.trim()) {
+                    socket.emit('ai-error', { roomId, requestId, message: 'Missing required fields' });
+                    return;
+                }
+
+                // Track the room so clearing the shared context can reach everyone using it
+                if (!socket.rooms.has(roomId)) socket.join(roomId);
+
+                let index = 0;
+                const userId = authService.shopperId(socket.data.user, data.userId);
+                const response = await chatService.streamBotResponse(text.trim(), contextKey(roomId), (chunk) => {
+                    socket.emit('ai-response-chunk', { roomId, requestId, index: index++, text: chunk });
+                }, { userId });
+
+                socket.emit('ai-response', {
+                    roomId,
+                    requestId,
+                    text: response.text,
+                    productIds: response.productIds,
+                    timestamp: new Date().toISOString()
+                });
+
+            } catch (error) {
+                console.error('Error in ask-ai:', error);
+                socket.emit('ai-error', { roomId, requestId, message: 'Failed to get AI response' });
+            }
+        });
+
+        socket.on('clear-ai-context', async (data) => {
+            try {
+                const { roomId, userId: claimedId } = data || {};
+                if (!roomId || typeof roomId !== 'string') return;
+                const userId = authService.shopperId(socket.data.user, claimedId);
+                await chatService.clearHistory(contextKey(roomId), userId);
+                // A shopper's own context only concerns them; the shared one concerns the whole room
+                const cleared = { roomId, timestamp: new Date().toISOString() };
+                if (userId) socket.emit('ai-context-cleared', cleared);
+                else aiNamespace.to(roomId).emit('ai-context-cleared', cleared);
+            } catch (error) {
+                console.error('Error in clear-ai-context:', error);
+            }
+        });
+
+        socket.on('leave-ai-room', (data) => {
+            try {
+                const { roomId } = data || {};
+                if (roomId && typeof roomId === 'string') socket.leave(roomId);
+            } catch (error) {
+                console.error('Error in leave-ai-room:', error);
+            }
+        });
+    });
+}
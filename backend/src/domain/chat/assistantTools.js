@@ -0,0 +1,157 @@
+import { productService } from '../product/productService.js';
+import { cartService } from '../cart/cartService.js';
+
+const MAX_SEARCH_RESULTS = 8;
+
+// Compact product view for the model (full descriptions are rarely needed and cost tokens)
+const summarize = (p) => ({
+    id: p.id,
+    name: p.name,
+    brand: p.brand,
+    category: p.category,
+    price: p.price,
+    rating: p.rating,
+    stock: p.stock,
+    description: p.description
+});
+
+/**
+ * Tools the sales assistant can call. `parameters` is JSON Schema (shared by Gemini and OpenAI).
+ * Each `run(args, context)` returns { result, productIds } - productIds are the products the
+ * answer is about, sent to the frontend so it can highlight their racks.
+ */
+const tools = {
+    searchProducts: {
+        description: 'Search the live product catalog. Use for any question about what products exist, prices, brands or availability.',
+        parameters: {
+            type: 'object',
+            properties: {
+                query: { type: 'string', description: 'Free-text search, e.g. "wireless headphones"' },
+                category: { type: 'string', description: 'Exact category name from getCategories' },
+                brand: { type: 'string' },
+                minPrice: { type: 'number' },
+                maxPrice: { type: 'number' },
+                minRating: { type: 'number', description: 'Only products rated at least this (0-5)' },
+                sortBy: { type: 'string', enum: ['relevance', 'price', 'rating', 'name'] },
+                order: { type: 'string', enum: ['asc', 'desc'] }
+            }
+        },
+        async run(args) {
+            const { products, total, didYouMean } = await productService.searchProducts({
+                q: args.query,
+                category: args.category,
+                brand: args.brand,
+                minPrice: args.minPrice,
+                maxPrice: args.maxPrice,
+                minRating: args.minRating,
+                sortBy: args.sortBy,
+                order: args.order,
+                limit: MAX_SEARCH_RESULTS
+            });
+            return {
+                result: { total, products: products.map(summarize), didYouMean: didYouMean || undefined },
+                productIds: products.map(p => p.id)
+            };
+        }
+    },
+
+    getProductById: {
+        description: 'Get full details for one product by its ID.',
+        parameters: {
+            type: 'object',
+            properties: { productId: { type: 'string' } },
+            required: ['productId']
+        },
+        async run(args) {
+            const product = await productService.getProductById(args.productId);
+            if (!product) return { result: { error: 'Product not found' }, productIds: [] };
+            return { result: { product }, productIds: [product.id] };
+        }
+    },
+
+    getCategories: {
+        description: 'List product categories with how many products each has.',
+        parameters: { type: 'object', properties: {} },
+        async run() {
+            return { result: { categories: await productService.getCategories() }, productIds: [] };
+        }
+    },
+
+    getCart: {
+        description: "Show the shopper's cart.",
+        parameters: { type: 'object', properties: {} },
+        requiresUser: true,
+        async run(args, { userId }) {
+            const cart = await cartService.getCart(userId);
+            return { result: { cart }, productIds: cart.items.map(i => i.productId) };
+        }
+    },
+
+    addToCart: {
+        description: "Add a product to the shopper's cart. Only call when the shopper asks to buy or add something.",
+        parameters: {
+            type: 'object',
+            properties: {
+                productId: { type: 'string' },
+                quantity: { type: 'integer', minimum: 1 }
+            },
+            required: ['productId']
+        },
+        requiresUser: true,
+        async run(args, { userId }) {
+            const cart = await cartService.addItem(userId, args.productId, args.quantity || 1);
+            return { result: { added: args.productId, cart }, productIds: [args.productId] };
+        }
+    },
+
+    removeFromCart: {
+        description: "Remove a product from the shopper's cart.",
+        parameters: {
+            type: 'object',
+            properties: { productId: { type: 'string' } },
+            required: ['productId']
+        },
+        requiresUser: true,
+        async run(args, { userId }) {
+            const cart = await cartService.removeItem(userId, args.productId);
+            return { result: { removed: args.productId, cart }, productIds: [] };
+        }
+    }
+};
+
+export const assistantTools = {
+    /**
+     * Tool declarations for the LLM provider
+     * @returns {Array<{name: string, description: string, parameters: object}>}
+     */
+    getDefinitions() {
+        return Object.entries(tools).map(([name, tool]) => ({
+            name,
+            description: tool.description,
+            parameters: tool.parameters
+        }));
+    },
+
+    /**
+     * Run one tool call. Failures are returned to the model as { error } rather than thrown,
+     * so it can explain the problem (e.g. out of stock) to the shopper.
+     * @param {string} name - Tool name
+     * @param {object} args - Tool arguments from the model
+     * @param {object} context - { userId } of the shopper (cart tools need it)
+     * @returns {Promise<{result: object, productIds: string[]}>}
+     */
+    async execute(name, args = {}, context = {}) {
+        const tool = tools[name];
+        if (!tool) return { result: { error: `Unknown tool: ${name}` }, productIds: [] };
+        if (tool.requiresUser && !context.userId) {
+            return { result: { error: 'The shopper must be signed in (or identified) to use the cart' }, productIds: [] };
+        }
+
+        try {
+            return await tool.run(args, context);
+        } catch (error) {
+            if (!error.status) console.error(`Assistant tool ${name} failed:`, error);
+            return { result: { error: error.status ? error.message : 'Tool failed' }, productIds: [] };
+        }
+    }
+};
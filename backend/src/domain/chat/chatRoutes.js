@@ -1,23 +1,30 @@
 import express from 'express';
 import { chatService } from './chatService.js';
 import { textToSpeechBase64, textToSpeech } from '../../shared/ttsService.js';
+import { createSentenceBuffer } from '../../shared/sentenceBuffer.js';
+import { authenticate } from '../auth/authMiddleware.js';
+import { authService } from '../auth/authService.js';
 
 const router = express.Router();
 
-router.post('/chat', async (req, res) => {
+// The shopper whose cart the assistant may use: the signed-in user, else the guest-* ID sent by the client
+const shopperContext = (req) => ({ userId: authService.shopperId(req.user, req.body.userId) });
+
+router.post('/chat', authenticate, async (req, res) => {
     try {
         const { message, roomId, includeAudio } = req.body;
-        const response = await chatService.getBotResponse(message, roomId);
+        const response = await chatService.getBotResponse(message, roomId, shopperContext(req));
 
         const result = {
             success: true,
-            message: response,
+            message: response.text,
+            productIds: response.productIds, // Products the answer is about (for highlighting racks)
             roomId
         };
 
         if (includeAudio) {
             try {
-                result.audio = await textToSpeechBase64(response);
+                result.audio = await textToSpeechBase64(response.text);
                 result.audioFormat = 'mp3';
             } catch (err) {
                 console.error('TTS Error:', err);
@@ -31,6 +38,67 @@ router.post('/chat', async (req, res) => {
     }
 });
 
+// Streaming chat (Server-Sent Events)
+// Events: `chunk` { text } as tokens arrive, `sentence` { index, text, audio?, audioFormat? } per complete
+// sentence (audio when includeAudio is set), then `done` { message, productIds, roomId } or `error` { error }
+router.post('/chat/stream', authenticate, async (req, res) => {
+    const { message, roomId, includeAudio } = req.body;
+    if (!message || !roomId) {
+        return res.status(400).json({ error: 'message and roomId are required' });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx/Render)
+    });
+    res.flushHeaders();
+
+    let closed = false;
+    res.on('close', () => { closed = true; });
+    const send = (event, data) => {
+        if (!closed) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    // Sentences are synthesized concurrently but sent in order, without holding up the text chunks
+    let sentenceQueue = Promise.resolve();
+    let sentenceIndex = 0;
+    const sentences = createSentenceBuffer((text) => {
+        const index = sentenceIndex++;
+        const audio = includeAudio
+            ? textToSpeechBase64(text).catch(err => {
+                console.error('TTS Error:', err);
+                return null;
+            })
+            : null;
+
+        sentenceQueue = sentenceQueue.then(async () => {
+            const sentence = { index, text };
+            if (audio) {
+                sentence.audio = await audio;
+                sentence.audioFormat = 'mp3';
+            }
+            send('sentence', sentence);
+        });
+    });
+
+    try {
+        const response = await chatService.streamBotResponse(message, roomId, (chunk) => {
+            send('chunk', { text: chunk });
+            sentences.push(chunk);
+        }, shopperContext(req));
+        sentences.flush();
+        await sentenceQueue;
+
+        send('done', { success: true, message: response.text, productIds: response.productIds, roomId });
+    } catch (error) {
+        console.error('Bot Chat Stream Error:', error);
+        send('error', { error: 'Failed to get bot response' });
+    }
+    res.end();
+});
+
 router.post('/audio', async (req, res) => {
     try {
         const { text, lang } = req.body;
@@ -42,14 +110,33 @@ router.post('/audio', async (req, res) => {
     }
 });
 
-router.delete('/chat/:roomId', (req, res) => {
-    chatService.clearHistory(req.params.roomId);
-    res.json({ success: true });
+// History is per shopper: signed-in users get their own, guests send their guest-* ID as ?userId=
+const requireShopper = (req, res, next) => {
+    req.shopperId = authService.shopperId(req.user, req.query.userId);
+    if (!req.shopperId) {
+        return res.status(401).json({ success: false, error: 'Sign in or send your guest ID as ?userId=' });
+    }
+    next();
+};
+
+router.delete('/chat/:roomId', authenticate, requireShopper, async (req, res) => {
+    try {
+        await chatService.clearHistory(req.params.roomId, req.shopperId);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Clear History Error:', error);
+        res.status(500).json({ error: 'Failed to clear history' });
+    }
 });
 
-router.get('/chat/:roomId/history', (req, res) => {
-    const history = chatService.getHistory(req.params.roomId);
-    res.json({ success: true, history });
+router.get('/chat/:roomId/history', authenticate, requireShopper, async (req, res) => {
+    try {
+        const history = await chatService.getHistory(req.params.roomId, req.shopperId);
+        res.json({ success: true, history });
+    } catch (error) {
+        console.error('Get History Error:', error);
+        res.status(500).json({ error: 'Failed to fetch history' });
+    }
 });
 
 export default router;
@@ -1,35 +1,115 @@
-import { geminiService } from '../ai/geminiService.js';
 import { productService } from '../product/productService.js';
-import dotenv from 'dotenv';
+import { assistantTools } from './assistantTools.js';
+import { createStore } from '../../config/storage.js';
+import { getLLMProvider } from '../../config/llm.js'; // Gemini, OpenAI-compatible or offline mock (LLM_PROVIDER)
 
-dotenv.config();
+// Store conversation history per room and shopper (memory, file or Redis - see config/storage.js)
+const conversationHistory = createStore('conversations'); // historyKey -> array of messages
 
-const MODEL_NAME = process.env.GEMINI_MODEL_NAME || 'gemini-2.0-flash';
-// const SUBSCRIPTION_KEY = process.env.GENVOY_SUBSCRIPTION_KEY; // Not needed for public API
+// Tool round trips allowed per answer; the last round is made without tools so the model must reply
+const MAX_TOOL_ROUNDS = 4;
+// Most products to highlight for one answer
+const MAX_HIGHLIGHTED_PRODUCTS = 5;
 
-// Store conversation history per room
-const conversationHistory = new Map(); // roomId -> array of messages
+const SYSTEM_INSTRUCTION = `You are a Flipkart salesperson in Flipkart Mall. You MUST ONLY discuss Flipkart products, their features, specifications, prices, and availability. You MUST NOT answer questions about topics unrelated to Flipkart products. If asked about non-product topics, politely redirect to Flipkart products. Always be helpful, enthusiastic, and professional. Focus on helping customers discover and learn about Flipkart products.
+
+Use the provided tools to look up the live catalog and the shopper's cart. Never invent products, prices or stock levels - only mention products returned by a tool, using their exact names. Only change the cart when the shopper asks you to. Keep answers short enough to be read aloud.`;
+
+// Shoppers with an ID get their own conversation in each room, since the assistant can see and change their
+// cart; shoppers without one (no cart tools) share the room's. User IDs never contain ":" and are never "room",
+// so no room ID can reach into a shopper's conversation.
+function historyKey(roomId, userId) {
+    return userId ? `${userId}:${roomId}` : `room:${roomId}`;
+}
 
 export const chatService = {
-    async getBotResponse(message, roomId) {
+    /**
+     * Answer a shopper message. The model looks products up through assistantTools.
+     * @param {string} message - User message
+     * @param {string} roomId - Conversation (room) ID
+     * @param {object} context - { userId } of the shopper, enables the cart tools
+     * @returns {Promise<{text: string, productIds: string[]}>} - Reply and the products it is about
+     */
+    async getBotResponse(message, roomId, context = {}) {
         if (!roomId) throw new Error('Room ID is required');
+        const key = historyKey(roomId, context.userId);
+        const { history, request } = await this._prepareConversation(message, key);
+
+        try {
+            const reply = await this._runAssistant(request, context);
+            await this._saveResponse(key, history, reply);
+            return reply;
+        } catch (error) {
+            console.error('Chat Service Error:', error.message);
+            // Keep the user's message so the conversation survives even when the model is unavailable
+            await conversationHistory.set(key, history.slice(-20));
+            return { text: this._getFallbackResponse(message), productIds: [] };
+        }
+    },
 
-        // Get products for context
-        const productsResponse = await productService.getAllProducts({ limit: 1000 }); // Get all for context
-        const products = productsResponse.products;
-        const productContext = this._buildProductContext(products);
+    /**
+     * Same as getBotResponse, but delivers the reply text incrementally
+     * @param {string} message - User message
+     * @param {string} roomId - Conversation (room) ID
+     * @param {function(string): void} onChunk - Called with each text fragment
+     * @param {object} context - { userId } of the shopper
+     * @returns {Promise<{text: string, productIds: string[]}>} - The full reply
+     */
+    async streamBotResponse(message, roomId, onChunk, context = {}) {
+        if (!roomId) throw new Error('Room ID is required');
+        const key = historyKey(roomId, context.userId);
+        const { history, request } = await this._prepareConversation(message, key);
 
-        // Initialize history if needed
-        if (!conversationHistory.has(roomId)) {
-            conversationHistory.set(roomId, []);
-            this._initializeConversation(roomId, productContext, products);
+        let streamed = '';
+        try {
+            const reply = await this._runAssistant(request, context, (chunk) => {
+                streamed += chunk;
+                onChunk(chunk);
+            });
+            if (!reply.text) throw new Error('Empty response from model');
+
+            await this._saveResponse(key, history, reply);
+            return reply;
+        } catch (error) {
+            console.error('Chat Service Stream Error:', error.message);
+
+            // The client already has part of the answer - keep it rather than switching to the fallback
+            if (streamed) {
+                const partial = { text: streamed, productIds: [] };
+                await this._saveResponse(key, history, partial);
+                return partial;
+            }
+
+            await conversationHistory.set(key, history.slice(-20));
+            const fallback = this._getFallbackResponse(message);
+            onChunk(fallback);
+            return { text: fallback, productIds: [] };
         }
+    },
+
+    /**
+     * @param {string} roomId - Conversation (room) ID
+     * @param {string|null} userId - The shopper whose conversation to clear (null: the room's shared one)
+     */
+    async clearHistory(roomId, userId = null) {
+        await conversationHistory.delete(historyKey(roomId, userId));
+    },
 
-        const history = conversationHistory.get(roomId);
+    /**
+     * @param {string} roomId - Conversation (room) ID
+     * @param {string|null} userId - The shopper whose conversation to read (null: the room's shared one)
+     */
+    async getHistory(roomId, userId = null) {
+        return (await conversationHistory.get(historyKey(roomId, userId))) || [];
+    },
 
-        // Refresh context periodically
-        if (history.length % 10 === 0) {
-            this._refreshContext(roomId, productContext);
+    // Load history, append the user message and build the model request
+    async _prepareConversation(message, key) {
+        // Initialize history if needed
+        let history = await conversationHistory.get(key);
+        if (!history) {
+            history = [];
+            await this._initializeConversation(history);
         }
 
         // Add user message
@@ -38,103 +118,90 @@ export const chatService = {
             parts: [{ text: message }]
         });
 
-        // Prepare Payload
-        // Include system instruction in payload (Gemini API style)
-        const systemInstructionText = `You are a Flipkart salesperson in Flipkart Mall. You MUST ONLY discuss Flipkart products, their features, specifications, prices, and availability. You MUST NOT answer questions about topics unrelated to Flipkart products. If asked about non-product topics, politely redirect to Flipkart products. Always be helpful, enthusiastic, and professional. Focus on helping customers discover and learn about Flipkart products.\n\n${productContext}`;
-
-        const requestPayload = {
-            contents: history,
-            systemInstruction: {
-                parts: [{ text: systemInstructionText.substring(0, 30000) }] // Limit size just in case
-            },
-            generationConfig: {
-                maxOutputTokens: 1000,
-                temperature: 0.6
-            }
+        // Prepare provider request (history is stored Gemini-style: { role: 'user' | 'model', parts })
+        const request = {
+            system: SYSTEM_INSTRUCTION,
+            messages: history.map(h => ({
+                role: h.role === 'model' ? 'assistant' : 'user',
+                content: h.parts[0].text
+            })),
+            maxTokens: 1000,
+            temperature: 0.6
         };
 
-        try {
-            // Public Gemini API doesn't use subscription key, it uses API key loaded in service
-            const data = await geminiService.generateContent(MODEL_NAME, requestPayload);
-
-            if (data && data.candidates && data.candidates.length > 0) {
-                const responseText = data.candidates[0].content.parts[0].text;
-
-                history.push({
-                    role: 'model',
-                    parts: [{ text: responseText }]
-                });
-
-                // Limit history
-                if (history.length > 20) {
-                    // Keep system msg? Actually system instruction is separate in payload for Gemini
-                    // Just keep last 20 messages
-                    const recent = history.slice(-20);
-                    conversationHistory.set(roomId, recent);
-                }
-
-                return responseText;
+        return { history, request };
+    },
+
+    /**
+     * Call the model, run any tools it asks for, and repeat until it answers in text
+     * @returns {Promise<{text: string, productIds: string[]}>}
+     */
+    async _runAssistant(request, context, onChunk) {
+        const provider = getLLMProvider();
+        const tools = assistantTools.getDefinitions();
+        const messages = [...request.messages];
+        const candidateIds = [];
+
+        for (let round = 0; round <= MAX_TOOL_ROUNDS; round++) {
+            const roundRequest = { ...request, messages, tools: round < MAX_TOOL_ROUNDS ? tools : undefined };
+            const reply = onChunk
+                ? await provider.stream(roundRequest, onChunk)
+                : await provider.generate(roundRequest);
+
+            if (!reply.toolCalls || reply.toolCalls.length === 0) {
+                return { text: reply.text, productIds: await this._pickProductIds(reply.text, candidateIds) };
+            }
+
+            messages.push({ role: 'assistant', content: reply.text || '', toolCalls: reply.toolCalls });
+            for (const call of reply.toolCalls) {
+                const { result, productIds } = await assistantTools.execute(call.name, call.arguments, context);
+                candidateIds.push(...productIds);
+                messages.push({ role: 'tool', toolCallId: call.id, name: call.name, content: result });
             }
-            throw new Error('Invalid response from Genvoy');
-        } catch (error) {
-            console.error('Chat Service Error:', error.message);
-            return this._getFallbackResponse(message, products);
         }
-    },
 
-    clearHistory(roomId) {
-        conversationHistory.delete(roomId);
+        throw new Error('Assistant did not produce an answer');
     },
 
-    getHistory(roomId) {
-        return conversationHistory.get(roomId) || [];
-    },
+    // Of the products the tools returned, keep the ones the answer actually names
+    async _pickProductIds(text, candidateIds) {
+        const uniqueIds = [...new Set(candidateIds)];
+        const lowerText = (text || '').toLowerCase();
+        const mentioned = [];
 
-    _initializeConversation(roomId, productContext, products) {
-        const history = conversationHistory.get(roomId);
-        // Note: With systemInstruction in payload, we don't strictly need it in history as 'user' message,
-        // but the original code did it. I will rely on systemInstruction field in payload 
-        // and just add a welcome message from 'model' to history if empty?
-        // Actually, let's just leave it empty and let the first response be generated or added.
+        for (const id of uniqueIds) {
+            const product = await productService.getProductById(id);
+            if (product && lowerText.includes(product.name.toLowerCase())) mentioned.push(id);
+        }
 
-        // Original code added a welcome message.
-        // "Welcome to Flipkart Mall..."
-        // We can just return that as first response if history is empty? 
-        // But getBotResponse is called with a user message.
+        return (mentioned.length > 0 ? mentioned : uniqueIds).slice(0, MAX_HIGHLIGHTED_PRODUCTS);
+    },
 
-        // Let's add the welcome message as if it was already said.
+    async _saveResponse(key, history, reply) {
         history.push({
             role: 'model',
-            parts: [{ text: `Welcome to Flipkart Mall! I'm your personal shopping assistant. I have access to our complete product catalog with ${products.length} amazing products. What can I help you find today?` }]
+            parts: [{ text: reply.text }],
+            productIds: reply.productIds
         });
-    },
 
-    _refreshContext(roomId, productContext) {
-        // With systemInstruction in payload, we just need to ensure we use the latest context in the payload construction.
-        // So nothing to do here specifically for history array, unless we were embedding context in history.
+        // Limit history
+        // Keep system msg? Actually system instruction is separate in payload for Gemini
+        // Just keep last 20 messages
+        await conversationHistory.set(key, history.slice(-20));
     },
 
-    _buildProductContext(products) {
-        if (!products || products.length === 0) return 'No products available.';
+    async _initializeConversation(history) {
+        // Welcome message as if the bot had already said it (system instruction travels separately)
+        const categories = await productService.getCategories();
+        const productCount = categories.reduce((sum, c) => sum + c.count, 0);
 
-        // Concscise formatting
-        const byCategory = {};
-        products.forEach(p => {
-            if (!byCategory[p.category]) byCategory[p.category] = [];
-            byCategory[p.category].push(p);
+        history.push({
+            role: 'model',
+            parts: [{ text: `Welcome to Flipkart Mall! I'm your personal shopping assistant. I have access to our complete product catalog with ${productCount} amazing products. What can I help you find today?` }]
         });
-
-        let context = `PRODUCT CATALOG (${products.length} products):\n`;
-        for (const [cat, items] of Object.entries(byCategory)) {
-            context += `${cat}:\n`;
-            items.forEach(p => {
-                context += `- ${p.name} ($${p.price}) - ${p.description.substring(0, 100)}...\n`;
-            });
-        }
-        return context;
     },
 
-    _getFallbackResponse(message, products) {
+    _getFallbackResponse(message) {
         const lower = message.toLowerCase();
         if (lower.includes('phone')) return "I have great phones! Check out the iPhone or Samsung Galaxy.";
         return "I'm having trouble connecting to my brain, but I can still show you our products!";
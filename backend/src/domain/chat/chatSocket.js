@@ -1,12 +1,19 @@
 import { chatService } from './chatService.js';
+import { authService } from '../auth/authService.js';
 
 export function setupChatSocket(io) {
     io.on('connection', (socket) => {
         // console.log(`Chat/Bot Socket connected: ${socket.id}`);
 
-        socket.on('speak-to-bot', async (data) => {
+        // Shared by the plain and streaming events; streaming emits `bot-response-chunk` before the final `bot-response`
+        const answerBot = async (data, stream) => {
+            const event = stream ? 'speak-to-bot-stream' : 'speak-to-bot';
             try {
-                const { message, roomId, userId, userName } = data;
+                const { message, roomId, requestId } = data || {};
+                // Prefer the authenticated identity; a guest may only claim a guest-* ID
+                const authUser = socket.data.user;
+                const userId = authService.shopperId(authUser, data?.userId);
+                const userName = authUser ? authUser.displayName : data?.userName;
 
                 if (!message || !roomId) {
                     socket.emit('bot-error', { message: 'Missing required fields' });
@@ -15,12 +22,19 @@ export function setupChatSocket(io) {
 
                 // console.log(`Bot message from ${userName} in ${roomId}: ${message}`);
 
-                const botResponse = await chatService.getBotResponse(message, roomId);
+                let index = 0;
+                const { text: botResponse, productIds } = stream
+                    ? await chatService.streamBotResponse(message, roomId, (chunk) => {
+                        socket.emit('bot-response-chunk', { roomId, requestId, index: index++, text: chunk });
+                    }, { userId })
+                    : await chatService.getBotResponse(message, roomId, { userId });
 
                 // Respond to sender
                 socket.emit('bot-response', {
                     roomId,
+                    requestId,
                     message: botResponse,
+                    productIds,
                     timestamp: new Date().toISOString()
                 });
 
@@ -31,29 +45,44 @@ export function setupChatSocket(io) {
                     userName,
                     userMessage: message,
                     botResponse,
+                    productIds,
                     timestamp: new Date().toISOString()
                 });
 
             } catch (error) {
-                console.error('Error in speak-to-bot:', error);
+                console.error(`Error in ${event}:`, error);
                 socket.emit('bot-error', { message: 'Failed to get bot response', error: error.message });
             }
-        });
+        };
+
+        socket.on('speak-to-bot', (data) => answerBot(data, false));
+        socket.on('speak-to-bot-stream', (data) => answerBot(data, true));
+
+        // Room IDs come from the client: anything but a non-empty string is ignored
+        const roomOf = (data) => (data && typeof data.roomId === 'string' && data.roomId ? data.roomId : null);
 
-        socket.on('clear-bot-history', ({ roomId }) => {
-            if (!roomId) return;
-            chatService.clearHistory(roomId);
-            socket.emit('bot-history-cleared', { roomId, timestamp: new Date().toISOString() });
+        socket.on('clear-bot-history', async (data) => {
+            try {
+                const roomId = roomOf(data);
+                if (!roomId) return;
+                // Clears the asker's own conversation (or the room's shared one for shoppers without an ID)
+                await chatService.clearHistory(roomId, authService.shopperId(socket.data.user, data.userId));
+                socket.emit('bot-history-cleared', { roomId, timestamp: new Date().toISOString() });
+            } catch (error) {
+                console.error('Error in clear-bot-history:', error);
+            }
         });
 
-        socket.on('join-bot-room', ({ roomId }) => {
+        socket.on('join-bot-room', (data) => {
+            const roomId = roomOf(data);
             if (roomId) {
                 socket.join(roomId);
                 socket.emit('joined-bot-room', { roomId });
             }
         });
 
-        socket.on('leave-bot-room', ({ roomId }) => {
+        socket.on('leave-bot-room', (data) => {
+            const roomId = roomOf(data);
             if (roomId) socket.leave(roomId);
         });
 
@@ -0,0 +1,73 @@
+import express from 'express';
+import { imageService } from './imageService.js';
+import { requireAuth, requireAdmin } from '../auth/authMiddleware.js';
+
+const router = express.Router();
+
+function handleError(res, error, fallbackMessage) {
+    if (error.status) {
+        return res.status(error.status).json({ success: false, error: error.message });
+    }
+    console.error(`${fallbackMessage}:`, error);
+    res.status(500).json({ success: false, error: fallbackMessage });
+}
+
+// Generating costs a model call, so it needs an account (with an hourly allowance, see imageService);
+// attaching an image changes the catalog, so requests naming products need an admin account
+function requireAdminForProducts(req, res, next) {
+    const requests = Array.isArray(req.body && req.body.items) ? req.body.items : [req.body || {}];
+    if (requests.some(item => item && item.productId)) return requireAdmin(req, res, next);
+    next();
+}
+
+// 202 while any job is still running, 200 when everything came from the cache
+const statusFor = (jobs) => (jobs.every(job => job.status === 'done') ? 200 : 202);
+
+// Queue an image. Body: { category, description?, productId? }. Poll GET /image-jobs/:jobId or subscribe
+// on the /images socket; the job has imagePath once it is done.
+router.post('/generate-image', requireAuth, requireAdminForProducts, async (req, res) => {
+    try {
+        const { category, description, productId } = req.body || {};
+        const job = await imageService.submitJob({ category, description, productId }, { userId: req.user.userId });
+        res.status(statusFor([job])).json({ success: true, job, jobId: job.jobId, status: job.status, imagePath: job.imagePath });
+    } catch (error) {
+        handleError(res, error, 'Failed to queue image');
+    }
+});
+
+// Queue several images. Body: { categories: [category] } or { items: [{ category, description?, productId? }] }
+router.post('/generate-images', requireAuth, requireAdminForProducts, async (req, res) => {
+    try {
+        const { categories, items } = req.body || {};
+        const requests = Array.isArray(items)
+            ? items
+            : (Array.isArray(categories) ? categories.map(category => ({ category })) : null);
+        const results = await imageService.submitJobs(requests, { userId: req.user.userId });
+        const jobs = results.filter(result => result.job).map(result => result.job);
+        res.status(statusFor(jobs)).json({ success: true, results, count: results.length });
+    } catch (error) {
+        handleError(res, error, 'Failed to queue images');
+    }
+});
+
+router.get('/image-jobs/:jobId', async (req, res) => {
+    try {
+        const job = await imageService.getJob(req.params.jobId);
+        if (!job) return res.status(404).json({ success: false, error: 'Job not found' });
+        res.json({ success: true, job });
+    } catch (error) {
+        handleError(res, error, 'Failed to fetch image job');
+    }
+});
+
+// Images generated for a category, newest first
+router.get('/images/:category', async (req, res) => {
+    try {
+        const images = await imageService.listImages(req.params.category);
+        res.json({ success: true, category: req.params.category, images, count: images.length });
+    } catch (error) {
+        handleError(res, error, 'Failed to fetch generated images');
+    }
+});
+
+export default router;
@@ -1,8 +1,11 @@
 import fs from 'fs/promises';
 import path from 'path';
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
 import { fileURLToPath } from 'url';
-import { genvoyService } from '../ai/genvoyService.js';
-import axios from 'axios';
+import { getLLMProvider, createLLMProvider } from '../../config/llm.js';
+import { createStore } from '../../config/storage.js';
+import { productService } from '../product/productService.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -11,11 +14,192 @@ const __dirname = path.dirname(__filename);
 const getPublicDir = () => path.join(__dirname, '..', '..', '..', 'public');
 const IMAGES_DIR = path.join(getPublicDir(), 'product-images');
 
-const IMAGE_MODEL_NAME = process.env.GEMINI_IMAGE_MODEL_NAME || 'gemini-2.5-flash-image';
-const IMAGE_SUBSCRIPTION_KEY = process.env.GEMINI_IMAGE_SUBSCRIPTION_KEY;
+// Provider mime type -> file extension (the offline mock provider returns SVG)
+const IMAGE_EXTENSIONS = {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/webp': 'webp',
+    'image/svg+xml': 'svg'
+};
+
+// Image generation runs as background jobs, one prompt at a time per instance (IMAGE_JOB_CONCURRENCY).
+// jobId -> { jobId, status: 'queued'|'running'|'done'|'failed', prompt, promptHash, category, description,
+//   productIds, imagePath, placeholder, cached, attached: [productId], error, createdAt, startedAt, finishedAt }
+const imageJobs = createStore('image-jobs');
+// Finished images, looked up by prompt hash so the same prompt is only generated once. The files themselves
+// are in public/product-images, named after the hash.
+// promptHash -> { promptHash, prompt, category, imagePath, placeholder, createdAt }
+const imageCache = createStore('image-cache');
+// New generations per user in the current hour (cached prompts and joined jobs are free).
+// userId -> { windowStart, count }
+const imageQuotas = createStore('image-quotas');
+
+const MAX_CONCURRENT_JOBS = parseInt(process.env.IMAGE_JOB_CONCURRENCY, 10) || 1;
+const GENERATION_TIMEOUT_MS = 2 * 60 * 1000;
+// Jobs unfinished after this long are reported as failed (e.g. the instance running them restarted)
+const STALE_JOB_MS = 10 * 60 * 1000;
+const MAX_BATCH_SIZE = 20;
+// Each generation is a paid model call, so users get this many an hour
+const IMAGES_PER_HOUR = parseInt(process.env.IMAGE_GENERATIONS_PER_HOUR, 10) || 20;
+const QUOTA_WINDOW_MS = 60 * 60 * 1000;
+// Network failures that mean the model is unreachable: a placeholder is drawn locally instead
+const OFFLINE_ERROR_CODES = ['ENOTFOUND', 'ECONNREFUSED', 'ECONNRESET', 'EAI_AGAIN', 'ETIMEDOUT', 'UND_ERR_CONNECT_TIMEOUT'];
+
+const queue = []; // { jobId, promptHash } waiting on this instance
+const inFlight = new Map(); // promptHash -> jobId queued or running on this instance
+let runningJobs = 0;
+let placeholderProvider = null;
+
+// 'image-job-updated' (job) whenever a job changes status. imageSocket.js tells the clients watching it.
+export const imageEvents = new EventEmitter();
+
+function imageError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
 
-// Store product metadata in memory (could be moved to Redis)
-const productMetadata = new Map();
+// Count one generation against a user's hourly allowance (throws 429 once it is used up)
+async function takeQuota(userId) {
+    const now = Date.now();
+    await imageQuotas.update(userId, (quota) => {
+        const current = quota && now - quota.windowStart < QUOTA_WINDOW_MS ? quota : { windowStart: now, count: 0 };
+        if (current.count >= IMAGES_PER_HOUR) {
+            throw imageError(`You can generate ${IMAGES_PER_HOUR} images an hour; try again later`, 429);
+        }
+        return { ...current, count: current.count + 1 };
+    });
+}
+
+function buildPrompt(category, description) {
+    return `Generate a high-quality, professional product image for Flipkart e-commerce: ${description || category}. The image should be clean, well-lit, with a white or neutral background.`;
+}
+
+// Prompts that differ only in case or spacing share a hash (and so a cached image)
+function hashPrompt(prompt) {
+    const normalized = prompt.trim().replace(/\s+/g, ' ').toLowerCase();
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+function isOffline(error) {
+    const code = error.code || (error.cause && error.cause.code);
+    return OFFLINE_ERROR_CODES.includes(code) || error.message === 'fetch failed';
+}
+
+function withTimeout(promise, ms) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error('Image generation timed out')), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Generate an image with the configured model, or a local placeholder when it can't be reached
+ * @param {string} prompt - Full prompt for the model
+ * @param {string} subject - What the image shows (the placeholder's caption)
+ * @returns {Promise<{data: Buffer, mimeType: string, placeholder: boolean}>}
+ */
+async function renderImage(prompt, subject) {
+    const provider = getLLMProvider();
+    if (provider.name !== 'mock') {
+        try {
+            return { ...(await withTimeout(provider.generateImage(prompt, { subject }), GENERATION_TIMEOUT_MS)), placeholder: false };
+        } catch (error) {
+            if (!isOffline(error)) throw error;
+            console.warn(`Image model unreachable (${error.message}), drawing a placeholder`);
+        }
+    }
+    if (!placeholderProvider) placeholderProvider = createLLMProvider('mock');
+    return { ...(await placeholderProvider.generateImage(prompt, { subject })), placeholder: true };
+}
+
+// A cached image, unless it is a placeholder and a real model is configured now, or its file is gone
+async function findCachedImage(promptHash) {
+    const entry = await imageCache.get(promptHash);
+    if (!entry) return null;
+    if (entry.placeholder && getLLMProvider().name !== 'mock') return null;
+    try {
+        await fs.access(path.join(getPublicDir(), entry.imagePath));
+        return entry;
+    } catch {
+        await imageCache.delete(promptHash);
+        return null;
+    }
+}
+
+async function saveJob(job) {
+    await imageJobs.set(job.jobId, job);
+    imageEvents.emit('image-job-updated', job);
+    return job;
+}
+
+/**
+ * Set the image on the products a job was for. A placeholder never replaces an image a product already has.
+ * @returns {Promise<string[]>} - IDs of the products that got the image
+ */
+async function attachToProducts(productIds, imagePath, placeholder) {
+    const attached = [];
+    for (const productId of productIds) {
+        try {
+            const product = await productService.getProductById(productId);
+            if (!product || (placeholder && product.image)) continue;
+            await productService.updateProduct(productId, { image: imagePath });
+            attached.push(productId);
+        } catch (error) {
+            console.error(`Could not attach image to product ${productId}:`, error.message);
+        }
+    }
+    return attached;
+}
+
+async function runJob(jobId) {
+    let job = await imageJobs.get(jobId);
+    try {
+        job = await saveJob({ ...job, status: 'running', startedAt: new Date().toISOString() });
+        const { data, mimeType, placeholder } = await renderImage(job.prompt, job.description || job.category);
+
+        await imageService.ensureImageDir();
+        const filename = `${job.promptHash}.${IMAGE_EXTENSIONS[mimeType] || 'png'}`;
+        await fs.writeFile(path.join(IMAGES_DIR, filename), data);
+        const imagePath = `/product-images/${filename}`;
+        await imageCache.set(job.promptHash, {
+            promptHash: job.promptHash,
+            prompt: job.prompt,
+            category: job.category,
+            imagePath,
+            placeholder,
+            createdAt: new Date().toISOString()
+        });
+
+        // Products added to the job while it ran are in the stored copy
+        const { productIds } = await imageJobs.get(jobId);
+        await saveJob({
+            ...job,
+            productIds,
+            status: 'done',
+            imagePath,
+            placeholder,
+            attached: await attachToProducts(productIds, imagePath, placeholder),
+            finishedAt: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error(`Image job ${jobId} failed:`, error.message);
+        await saveJob({ ...job, status: 'failed', error: error.message, finishedAt: new Date().toISOString() });
+    }
+}
+
+function drainQueue() {
+    while (runningJobs < MAX_CONCURRENT_JOBS && queue.length > 0) {
+        const { jobId, promptHash } = queue.shift();
+        runningJobs += 1;
+        runJob(jobId).finally(() => {
+            inFlight.delete(promptHash);
+            runningJobs -= 1;
+            drainQueue();
+        });
+    }
+}
 
 export const imageService = {
     async ensureImageDir() {
@@ -26,67 +210,116 @@ export const imageService = {
         }
     },
 
-    async generateProductImage(category, productDescription) {
-        await this.ensureImageDir();
-
-        const safeCategory = category.replace(/[^a-zA-Z0-9]/g, '_').toLowerCase();
-        const timestamp = Date.now();
-        const filename = `${safeCategory}_${timestamp}.png`;
-        const filepath = path.join(IMAGES_DIR, filename);
-
-        // Payload for Image Generation
-        const payload = {
-            contents: [
-                {
-                    role: 'user',
-                    parts: [{ text: `Generate a high-quality, professional product image for Flipkart e-commerce: ${productDescription || category}. The image should be clean, well-lit, with a white or neutral background.` }]
-                }
-            ],
-            generationConfig: {
-                maxOutputTokens: 1000,
-                temperature: 0.4
+    /**
+     * Queue an image for a category/description. A prompt that is already being generated joins that job;
+     * one generated before comes straight from the cache (a job that is already 'done').
+     * @param {object} request - { category, description?, productId? (gets the image when it's ready) }
+     * @param {object} options - { userId }: who asked; new generations count against their hourly allowance
+     * @returns {Promise<object>} - The job
+     * @throws {Error} - 429 when the user has used up their allowance
+     */
+    async submitJob({ category, description, productId } = {}, { userId } = {}) {
+        if (typeof category !== 'string' || !category.trim()) throw imageError('category is required');
+        if (description !== undefined && description !== null && typeof description !== 'string') {
+            throw imageError('description must be a string');
+        }
+        if (productId && !(await productService.getProductById(productId))) throw imageError('Product not found', 404);
+
+        const prompt = buildPrompt(category.trim(), description ? description.trim() : null);
+        const promptHash = hashPrompt(prompt);
+        const productIds = productId ? [productId] : [];
+
+        const runningJobId = inFlight.get(promptHash);
+        if (runningJobId) {
+            const running = await imageJobs.get(runningJobId);
+            if (productId && !running.productIds.includes(productId)) {
+                return saveJob({ ...running, productIds: [...running.productIds, productId] });
             }
+            return running;
+        }
+
+        const job = {
+            jobId: crypto.randomUUID(),
+            status: 'queued',
+            prompt,
+            promptHash,
+            category: category.trim(),
+            description: description ? description.trim() : null,
+            productIds,
+            imagePath: null,
+            placeholder: false,
+            cached: false,
+            attached: [],
+            error: null,
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null
         };
 
-        try {
-            const data = await genvoyService.generateContent(
-                IMAGE_MODEL_NAME,
-                payload,
-                IMAGE_SUBSCRIPTION_KEY
-            );
-
-            if (data && data.candidates && data.candidates.length > 0) {
-                const candidate = data.candidates[0];
-                // Check inline data
-                if (candidate.content && candidate.content.parts) {
-                    for (const part of candidate.content.parts) {
-                        if (part.inline_data && part.inline_data.data) {
-                            const imageBuffer = Buffer.from(part.inline_data.data, 'base64');
-                            await fs.writeFile(filepath, imageBuffer);
-                            return `/product-images/${filename}`;
-                        }
-                    }
-                }
-                // Check image URL
-                if (data.imageUrl) {
-                    const imageResponse = await axios.get(data.imageUrl, { responseType: 'arraybuffer' });
-                    await fs.writeFile(filepath, Buffer.from(imageResponse.data));
-                    return `/product-images/${filename}`;
-                }
+        const cached = await findCachedImage(promptHash);
+        if (cached) {
+            return saveJob({
+                ...job,
+                status: 'done',
+                cached: true,
+                imagePath: cached.imagePath,
+                placeholder: cached.placeholder,
+                attached: await attachToProducts(productIds, cached.imagePath, cached.placeholder),
+                finishedAt: job.createdAt
+            });
+        }
+
+        if (userId) await takeQuota(userId);
+        await saveJob(job);
+        inFlight.set(promptHash, job.jobId);
+        queue.push({ jobId: job.jobId, promptHash });
+        drainQueue();
+        return job;
+    },
+
+    /**
+     * Queue several images at once
+     * @param {object[]} requests - [{ category, description?, productId? }]
+     * @param {object} options - { userId }, as for submitJob
+     * @returns {Promise<Array<{job?: object, error?: string, category}>>} - One entry per request, in order
+     */
+    async submitJobs(requests, options = {}) {
+        if (!Array.isArray(requests) || requests.length === 0) throw imageError('Give at least one image to generate');
+        if (requests.length > MAX_BATCH_SIZE) throw imageError(`At most ${MAX_BATCH_SIZE} images per request`);
+
+        const results = [];
+        for (const request of requests) {
+            try {
+                results.push({ category: request && request.category, job: await this.submitJob(request, options) });
+            } catch (error) {
+                if (!error.status) throw error;
+                results.push({ category: request && request.category, error: error.message });
             }
-            throw new Error('No image data in response');
-        } catch (error) {
-            console.error('Image generation failed:', error.message);
-            throw error;
         }
+        return results;
+    },
+
+    /**
+     * A job by ID (jobs stuck past STALE_JOB_MS are reported as failed)
+     * @returns {Promise<object|null>}
+     */
+    async getJob(jobId) {
+        const job = await imageJobs.get(jobId);
+        if (!job || job.status === 'done' || job.status === 'failed') return job;
+        if (Date.now() - new Date(job.createdAt).getTime() > STALE_JOB_MS) {
+            return { ...job, status: 'failed', error: 'Image generation did not finish' };
+        }
+        return job;
     },
 
-    async getStoredImages(category) {
-        // Basic listing from directory
-        await this.ensureImageDir();
-        const files = await fs.readdir(IMAGES_DIR);
-        // Filter by category prefix
-        const categoryFiles = files.filter(f => f.startsWith(category.toLowerCase().replace(/[^a-z0-9]/g, '_')));
-        return categoryFiles.map(f => `/product-images/${f}`);
+    /**
+     * Images generated for a category, newest first
+     */
+    async listImages(category) {
+        const wanted = category.toLowerCase();
+        return (await imageCache.values())
+            .filter(entry => entry.category.toLowerCase() === wanted)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+            .map(({ imagePath, prompt, placeholder, createdAt }) => ({ imagePath, prompt, placeholder, createdAt }));
     }
 };
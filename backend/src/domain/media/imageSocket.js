@@ -0,0 +1,43 @@
+import { imageEvents, imageService } from './imageService.js';
+
+const jobRoom = (jobId) => `image-job:${jobId}`;
+
+/**
+ * /images namespace: lets clients wait for image generation jobs instead of polling.
+ * A client sends `image-job-subscribe` { jobId } (and `image-job-unsubscribe` when done) and receives
+ * `image-job-updated` (job) right away and on every status change. Unknown jobs get `image-job-error` { jobId, message }.
+ * With SOCKET_ADAPTER=redis the update reaches subscribers on every instance.
+ * @param {import('socket.io').Server} io
+ */
+export function setupImageSocket(io) {
+    const imageNamespace = io.of('/images');
+
+    imageNamespace.on('connection', (socket) => {
+        // Payloads come from the client: anything but { jobId: string } is treated as an unknown job
+        socket.on('image-job-subscribe', async (data) => {
+            const jobId = data && typeof data.jobId === 'string' ? data.jobId : null;
+            try {
+                const job = jobId ? await imageService.getJob(jobId) : null;
+                if (!job) {
+                    socket.emit('image-job-error', { jobId, message: 'Job not found' });
+                    return;
+                }
+                socket.join(jobRoom(jobId));
+                socket.emit('image-job-updated', job);
+            } catch (error) {
+                console.error('Error image-job-subscribe:', error);
+                socket.emit('image-job-error', { jobId, message: 'Failed to subscribe to job' });
+            }
+        });
+
+        socket.on('image-job-unsubscribe', (data) => {
+            try {
+                if (data && typeof data.jobId === 'string') socket.leave(jobRoom(data.jobId));
+            } catch (error) {
+                console.error('Error image-job-unsubscribe:', error);
+            }
+        });
+    });
+
+    imageEvents.on('image-job-updated', (job) => imageNamespace.to(jobRoom(job.jobId)).emit('image-job-updated', job));
+}
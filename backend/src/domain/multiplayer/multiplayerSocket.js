@@ -1,40 +1,529 @@
-export function setupMultiplayerSocket(io) {
-    const playerNamespace = io.of('/player');
-    const players = {};
+import { randomUUID } from 'crypto';
+import { createStore } from '../../config/storage.js';
+import { createSpatialGrid } from '../../shared/spatialGrid.js';
+import { profileService } from './profileService.js';
+import { authService } from '../auth/authService.js';
+import { clampToMall, getZone, MAX_SPEED } from '../../../../shared/mallBounds.js';
 
-    playerNamespace.on('connection', (socket) => {
-        // console.log(`Multiplayer Socket connected: ${socket.id}`);
+// Player state (shared across instances when STORAGE_DRIVER=redis)
+const players = createStore('players'); // socketId -> { id, position, rotation, profile }
 
-        // Send existing players to new player
-        socket.emit('current-players', players);
+// Movement simulation rate (snapshots per second)
+const TICK_RATE = parseInt(process.env.PLAYER_TICK_RATE) || 15;
+// Allowance over MAX_SPEED for frame-rate jitter and network bunching
+const SPEED_TOLERANCE = 1.5;
+const POSITION_SLACK = 0.5; // units, always allowed per tick
+// `move` messages accepted per second (token bucket); extra messages are dropped
+const MAX_MOVES_PER_SECOND = 30;
+const MOVE_BURST = 10;
+// Explicit jumps (e.g. "take me to this product") are allowed this often
+const TELEPORT_COOLDOWN_MS = 3000;
+// Players within this distance (or in the same zone) are sent every tick...
+const INTEREST_RADIUS = parseFloat(process.env.PLAYER_INTEREST_RADIUS) || 40;
+// ...everyone else only every this many ticks
+const FAR_UPDATE_INTERVAL = parseInt(process.env.PLAYER_FAR_UPDATE_INTERVAL) || 5;
+// Players from other instances that haven't been heard from for this long stop being tracked here
+// (each instance re-announces its players every half TTL, so only a crashed instance's go stale)
+const REMOTE_PLAYER_TTL_MS = 60000;
+// Proximity voice: players with voice on within this distance get an audio link...
+const VOICE_RADIUS = parseFloat(process.env.PLAYER_VOICE_RADIUS) || 12;
+// ...which is kept until they are this much further apart (so it doesn't flap at the edge)
+const VOICE_HANGUP_FACTOR = 1.25;
+const VOICE_CHECK_INTERVAL = 3; // ticks
+// Positions are written to the player store at most this often (snapshots still go out every tick)
+const PERSIST_INTERVAL_MS = parseInt(process.env.PLAYER_PERSIST_INTERVAL_MS) || 1000;
 
-        // Initialize player state
-        players[socket.id] = {
-            id: socket.id,
+// Snapshots carry this instance's ID with their sequence number, since every instance numbers its own
+const instanceId = randomUUID().slice(0, 8);
+
+// Movement state for sockets connected to this instance
+const localPlayers = new Map(); // socketId -> { position, rotation, profile, voice, acceptedAt, pending, tokens, refilledAt, lastTeleportAt, dirty, teleported, known }
+
+// Where every player in the mall is (local ones, plus other instances' when clustered),
+// used to decide who each local socket needs to hear about
+const world = new Map(); // playerId -> { position, rotation, zone, voice, updatedAt }
+const grid = createSpatialGrid(INTEREST_RADIUS);
+const zoneMembers = new Map(); // zone -> Set(playerId)
+// How players look, for introducing them to sockets that come near (other instances share theirs)
+const profiles = new Map(); // playerId -> profile
+
+// Players that moved since the last tick / since the last far tick
+const changedThisTick = new Map(); // playerId -> snapshot entry
+const changedSinceFarTick = new Map();
+
+// Voice peers each local socket has been told to connect to
+const voiceLinks = new Map(); // socketId -> Set(peerId)
+
+// Drop players whose socket is gone (e.g. left behind by an instance that crashed)
+async function prunePlayers(namespace) {
+    const liveSocketIds = new Set((await namespace.fetchSockets()).map(s => s.id));
+    for (const [socketId] of await players.entries()) {
+        if (!liveSocketIds.has(socketId)) await players.delete(socketId);
+    }
+}
+
+const isVector = (value) => Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+
+// Only yaw matters for avatars; keep it in [-PI, PI]
+function normalizeRotation(rotation) {
+    const yaw = Math.atan2(Math.sin(rotation[1]), Math.cos(rotation[1]));
+    return [0, yaw, 0];
+}
+
+// Token bucket: true when another `move` may be accepted now
+function takeMoveToken(state, now) {
+    state.tokens = Math.min(MOVE_BURST, state.tokens + (now - state.refilledAt) / 1000 * MAX_MOVES_PER_SECOND);
+    state.refilledAt = now;
+    if (state.tokens < 1) return false;
+    state.tokens -= 1;
+    return true;
+}
+
+// Record a player's latest state for interest checks and queue it for the next snapshot
+function trackPlayer(entry, now) {
+    const { id, position } = entry;
+    const zone = getZone(position);
+    const previous = world.get(id);
+    if (previous && previous.zone !== zone) zoneMembers.get(previous.zone)?.delete(id);
+    if (zone && (!previous || previous.zone !== zone)) {
+        if (!zoneMembers.has(zone)) zoneMembers.set(zone, new Set());
+        zoneMembers.get(zone).add(id);
+    }
+
+    world.set(id, { position, rotation: entry.rotation, zone, voice: Boolean(entry.voice), updatedAt: now });
+    grid.set(id, position[0], position[2]);
+
+    // A teleport anywhere in the window must survive being merged with later moves
+    for (const changes of [changedThisTick, changedSinceFarTick]) {
+        const teleport = entry.teleport || changes.get(id)?.teleport;
+        changes.set(id, teleport ? { ...entry, teleport: true } : entry);
+    }
+}
+
+function untrackPlayer(id) {
+    const previous = world.get(id);
+    if (previous?.zone) zoneMembers.get(previous.zone)?.delete(id);
+    world.delete(id);
+    grid.remove(id);
+    profiles.delete(id);
+    changedThisTick.delete(id);
+    changedSinceFarTick.delete(id);
+    for (const state of localPlayers.values()) state.known.delete(id);
+}
+
+// Players near a point or in the same zone
+function playersAround(position) {
+    const ids = new Set(grid.query(position[0], position[2], INTEREST_RADIUS));
+    const zone = getZone(position);
+    for (const id of (zone && zoneMembers.get(zone)) || []) ids.add(id);
+    return ids;
+}
+
+/**
+ * Changed players a socket should hear about this tick: those near it or in its zone (around, see playersAround),
+ * plus - on far ticks - everyone else who moved since the last far tick
+ */
+function interestingChanges(socketId, around, isFarTick) {
+    const entries = new Map();
+    const addIfChanged = (id) => {
+        if (id !== socketId && changedThisTick.has(id)) entries.set(id, changedThisTick.get(id));
+    };
+
+    for (const id of around) addIfChanged(id);
+    if (isFarTick) {
+        for (const [id, entry] of changedSinceFarTick) {
+            if (id !== socketId && !entries.has(id)) entries.set(id, entry);
+        }
+    }
+    return [...entries.values()];
+}
+
+/**
+ * Send a socket the players it has come near for the first time ('new-player', with their profile),
+ * so profiles only go to sockets around a player instead of to everyone
+ */
+function introducePlayers(socket, state, ids) {
+    for (const id of ids) {
+        if (id === socket.id || state.known.has(id) || !profiles.has(id) || !world.has(id)) continue;
+        state.known.add(id);
+        const { position, rotation } = world.get(id);
+        socket.emit('new-player', { id, position, rotation, profile: profiles.get(id) });
+    }
+}
+
+// Record a player's new profile and pass it to the local sockets that have been introduced to them
+function announceProfile(playerNamespace, id, profile) {
+    profiles.set(id, profile);
+    for (const [socketId, state] of localPlayers) {
+        if (state.known.has(id)) playerNamespace.sockets.get(socketId)?.emit('player-profile', { id, profile });
+    }
+}
+
+// Both players have voice on and are close enough to (stay) connected
+function withinEarshot(id, otherId) {
+    const a = world.get(id);
+    const b = world.get(otherId);
+    if (!a?.voice || !b?.voice) return false;
+    return Math.hypot(a.position[0] - b.position[0], a.position[2] - b.position[2]) <= VOICE_RADIUS * VOICE_HANGUP_FACTOR;
+}
+
+/**
+ * Connect local voice-enabled sockets to voice-enabled players that came within VOICE_RADIUS
+ * and disconnect them from those beyond the hang-up distance. Each instance only tells its own
+ * sockets; the other side of a pair reaches the same decision from the same distance.
+ * The lower socket ID makes the WebRTC offer.
+ */
+function updateVoiceLinks(playerNamespace) {
+    for (const [socketId, state] of localPlayers) {
+        const links = voiceLinks.get(socketId) || new Set();
+        const wanted = new Set();
+
+        if (state.voice) {
+            const [x, , z] = state.position;
+            for (const id of grid.query(x, z, VOICE_RADIUS * VOICE_HANGUP_FACTOR)) {
+                const peer = world.get(id);
+                if (id === socketId || !peer.voice) continue;
+                const distance = Math.hypot(peer.position[0] - x, peer.position[2] - z);
+                if (links.has(id) || distance <= VOICE_RADIUS) wanted.add(id);
+            }
+        }
+
+        const socket = playerNamespace.sockets.get(socketId);
+        for (const id of links) {
+            if (!wanted.has(id)) socket?.emit('voice-disconnect', { peerId: id });
+        }
+        for (const id of wanted) {
+            if (!links.has(id)) {
+                socket?.emit('voice-connect', { peerId: id, initiator: socketId < id, maxDistance: VOICE_RADIUS * VOICE_HANGUP_FACTOR });
+            }
+        }
+
+        if (wanted.size > 0) voiceLinks.set(socketId, wanted);
+        else voiceLinks.delete(socketId);
+    }
+}
+
+/**
+ * Apply the latest requested position, limited to how far the player could have moved
+ * since the last accepted one
+ * @returns {boolean} - Whether the request had to be corrected
+ */
+function applyPendingMove(state, now) {
+    const { position: requested, rotation } = state.pending;
+    state.pending = null;
+
+    const target = clampToMall(requested);
+    const elapsed = (now - state.acceptedAt) / 1000;
+    const maxDistance = MAX_SPEED * SPEED_TOLERANCE * elapsed + POSITION_SLACK;
+
+    const dx = target[0] - state.position[0];
+    const dz = target[2] - state.position[2];
+    const distance = Math.hypot(dx, dz);
+
+    let corrected = target[0] !== requested[0] || target[2] !== requested[2];
+    if (distance > maxDistance) {
+        const scale = maxDistance / distance;
+        target[0] = state.position[0] + dx * scale;
+        target[2] = state.position[2] + dz * scale;
+        corrected = true;
+    }
+
+    state.position = target;
+    state.rotation = normalizeRotation(rotation);
+    state.acceptedAt = now;
+    state.dirty = true;
+    return corrected;
+}
+
+/**
+ * Run one simulation step: validate queued moves, then send each local socket one batched
+ * snapshot of the players it is interested in. Players on other instances arrive through
+ * `players-changed` and are treated like local ones.
+ */
+function createTick(playerNamespace, { clustered }) {
+    let seq = 0;
+    let announcedAt = Date.now();
+    let persistedAt = 0;
+    const unsaved = new Set(); // Local players that moved since the last write to the player store
+
+    return async function tick() {
+        const now = Date.now();
+        seq += 1;
+        const isFarTick = seq % FAR_UPDATE_INTERVAL === 0;
+        const changed = [];
+
+        for (const [socketId, state] of localPlayers) {
+            if (state.pending && applyPendingMove(state, now)) {
+                playerNamespace.to(socketId).emit('position-corrected', {
+                    position: state.position,
+                    inputSeq: state.inputSeq
+                });
+            }
+            if (!state.dirty) continue;
+
+            const entry = {
+                id: socketId,
+                position: state.position,
+                rotation: state.rotation,
+                voice: state.voice,
+                ...(state.teleported ? { teleport: true } : {})
+            };
+            trackPlayer(entry, now);
+            changed.push(entry);
+            state.dirty = false;
+            state.teleported = false;
+        }
+
+        // Players who moved meet whoever is standing around where they are now
+        for (const { id, position } of changed) {
+            const socket = playerNamespace.sockets.get(id);
+            if (socket) introducePlayers(socket, localPlayers.get(id), playersAround(position));
+        }
+
+        if (clustered && changed.length > 0) {
+            playerNamespace.serverSideEmit('players-changed', changed);
+        }
+
+        if (changedThisTick.size > 0 || (isFarTick && changedSinceFarTick.size > 0)) {
+            for (const [socketId, state] of localPlayers) {
+                const around = playersAround(state.position);
+                const players = interestingChanges(socketId, around, isFarTick);
+                const socket = playerNamespace.sockets.get(socketId);
+                if (players.length === 0 || !socket) continue;
+                // Far players move in snapshots too, but their profile is only sent once they come near
+                introducePlayers(socket, state, players.filter(player => around.has(player.id)).map(player => player.id));
+                socket.emit('players-snapshot', { instanceId, seq, t: now, players });
+            }
+        }
+
+        if (seq % VOICE_CHECK_INTERVAL === 0) updateVoiceLinks(playerNamespace);
+
+        changedThisTick.clear();
+        if (isFarTick) {
+            changedSinceFarTick.clear();
+            for (const [id, { updatedAt }] of world) {
+                if (!localPlayers.has(id) && now - updatedAt > REMOTE_PLAYER_TTL_MS) untrackPlayer(id);
+            }
+        }
+
+        // Keep other instances from expiring players who are standing still
+        if (clustered && now - announcedAt > REMOTE_PLAYER_TTL_MS / 2) {
+            announcedAt = now;
+            const present = [...localPlayers]
+                .filter(([id]) => world.has(id))
+                .map(([id, state]) => ({ id, position: state.position, rotation: state.rotation, voice: state.voice, profile: state.profile }));
+            if (present.length > 0) playerNamespace.serverSideEmit('players-seen', present);
+        }
+
+        // The store is only read when instances start, so positions are saved in batches rather than every tick
+        for (const { id } of changed) unsaved.add(id);
+        if (unsaved.size > 0 && now - persistedAt >= PERSIST_INTERVAL_MS) {
+            persistedAt = now;
+            const ids = [...unsaved];
+            unsaved.clear();
+            await Promise.all(ids.map((id) => {
+                const player = localPlayers.get(id);
+                return player ? players.set(id, { id, position: player.position, rotation: player.rotation, profile: player.profile }) : null;
+            }));
+        }
+    };
+}
+
+/**
+ * @param {object} options
+ * @param {boolean} options.clustered - Other instances share the namespace (Redis adapter), so
+ *   movement is exchanged with them to filter snapshots for everyone
+ */
+export async function setupMultiplayerSocket(io, { clustered = false } = {}) {
+    const playerNamespace = io.of('/player');
+
+    if (clustered) {
+        playerNamespace.on('players-changed', (entries) => {
+            const now = Date.now();
+            for (const entry of entries) {
+                if (!localPlayers.has(entry.id)) trackPlayer(entry, now);
+            }
+        });
+        playerNamespace.on('players-seen', (entries) => {
+            const now = Date.now();
+            for (const entry of entries) {
+                if (localPlayers.has(entry.id)) continue;
+                if (entry.profile && !profiles.has(entry.id)) profiles.set(entry.id, entry.profile);
+                if (world.has(entry.id)) world.get(entry.id).updatedAt = now;
+                else trackPlayer(entry, now);
+            }
+        });
+        playerNamespace.on('player-profile', ({ id, profile }) => {
+            if (!localPlayers.has(id)) announceProfile(playerNamespace, id, profile);
+        });
+        playerNamespace.on('player-left', (id) => untrackPlayer(id));
+    }
+
+    playerNamespace.on('connection', async (socket) => {
+        // console.log(`Multiplayer Socket connected: ${socket.id}`);
+        const now = Date.now();
+        const state = {
             position: [0, 0, 0],
-            rotation: [0, 0, 0]
+            rotation: [0, 0, 0],
+            profile: null,
+            voice: false,
+            acceptedAt: now,
+            pending: null,
+            inputSeq: 0,
+            tokens: MOVE_BURST,
+            refilledAt: now,
+            lastTeleportAt: 0,
+            dirty: false,
+            teleported: false,
+            known: new Set() // Players this socket has been sent the profile of
         };
+        localPlayers.set(socket.id, state);
 
-        // Broadcast new player to others
-        socket.broadcast.emit('new-player', players[socket.id]);
+        // Profiles are saved per account, or per guest-* ID for guests (the same ID as their cart).
+        // Anything else from a guest is ignored, so a guest can never write to an account's profile.
+        const account = socket.data.user;
+        const userId = authService.shopperId(account, socket.handshake.auth?.guestId);
+        const displayName = account ? account.displayName : null;
+        const profileLoaded = profileService.getProfile(userId, displayName)
+            .then((profile) => { state.profile = profile; })
+            .catch((err) => {
+                console.error('Multiplayer Socket: Failed to load profile:', err);
+                state.profile = profileService.defaultProfile(userId, displayName);
+            });
 
+        // Handlers are registered before any await so early messages are not lost.
+        // Moves are only queued here; the tick loop validates and broadcasts them.
         socket.on('move', (data) => {
-            if (players[socket.id]) {
-                players[socket.id].position = data.position;
-                players[socket.id].rotation = data.rotation;
-
-                socket.broadcast.emit('player-moved', {
-                    id: socket.id,
-                    position: data.position,
-                    rotation: data.rotation
-                });
+            if (!data || !isVector(data.position) || !isVector(data.rotation)) return;
+            if (!takeMoveToken(state, Date.now())) return;
+
+            state.pending = { position: data.position, rotation: data.rotation };
+            if (Number.isInteger(data.seq)) state.inputSeq = data.seq;
+        });
+
+        // Deliberate jump to another spot in the mall - allowed anywhere inside the bounds, but rate limited
+        socket.on('teleport', (data) => {
+            if (!data || !isVector(data.position) || !isVector(data.rotation)) return;
+            const at = Date.now();
+            if (at - state.lastTeleportAt < TELEPORT_COOLDOWN_MS) {
+                socket.emit('position-corrected', { position: state.position, inputSeq: state.inputSeq });
+                return;
+            }
+
+            state.lastTeleportAt = at;
+            state.position = clampToMall(data.position);
+            state.rotation = normalizeRotation(data.rotation);
+            state.acceptedAt = at;
+            state.pending = null; // Moves sent before the jump are stale
+            state.dirty = true;
+            state.teleported = true;
+        });
+
+        // Proximity voice on/off. Links are made on the next voice check once everyone
+        // has seen the change (dirty puts it in the next snapshot / cross-instance update).
+        socket.on('voice-enable', () => {
+            state.voice = true;
+            state.dirty = true;
+        });
+        socket.on('voice-disable', () => {
+            state.voice = false;
+            state.dirty = true;
+            for (const peerId of voiceLinks.get(socket.id) || []) {
+                socket.emit('voice-disconnect', { peerId });
+            }
+            voiceLinks.delete(socket.id);
+        });
+
+        // WebRTC offer/answer/ICE, only between two voice-enabled players in earshot. (Checked by
+        // distance rather than voiceLinks: the other side's link may live on another instance.)
+        socket.on('voice-signal', (data) => {
+            try {
+                const { targetId, description, candidate } = data || {};
+                if (typeof targetId !== 'string' || !withinEarshot(socket.id, targetId)) return;
+                playerNamespace.to(targetId).emit('voice-signal', { fromId: socket.id, description, candidate });
+            } catch (error) {
+                console.error('Multiplayer Socket: Failed to relay voice signal:', error);
+            }
+        });
+
+        // Change how this player looks to others: { displayName?, avatarPreset?, avatarUrl?, color? }
+        socket.on('update-profile', async (changes, callback) => {
+            const reply = typeof callback === 'function' ? callback : () => {};
+            try {
+                await profileLoaded;
+                state.profile = await profileService.updateProfile(userId, state.profile, changes);
+                if (!localPlayers.has(socket.id)) return; // Left while saving
+                await players.set(socket.id, { id: socket.id, position: state.position, rotation: state.rotation, profile: state.profile });
+                announceProfile(playerNamespace, socket.id, state.profile);
+                if (clustered) playerNamespace.serverSideEmit('player-profile', { id: socket.id, profile: state.profile });
+                reply({ success: true, profile: state.profile });
+            } catch (error) {
+                if (!error.status) console.error('Multiplayer Socket: Failed to update profile:', error);
+                reply({ success: false, error: error.status ? error.message : 'Failed to update profile' });
             }
         });
 
-        socket.on('disconnect', () => {
+        socket.on('disconnect', async () => {
             // console.log(`Multiplayer Socket disconnected: ${socket.id}`);
-            delete players[socket.id];
+            localPlayers.delete(socket.id);
+            voiceLinks.delete(socket.id);
+            untrackPlayer(socket.id);
+            if (clustered) playerNamespace.serverSideEmit('player-left', socket.id);
+            await players.delete(socket.id);
             socket.broadcast.emit('player-left', socket.id);
         });
+
+        await profileLoaded;
+        if (socket.disconnected) return;
+        socket.emit('profile', state.profile);
+        profiles.set(socket.id, state.profile);
+        if (clustered) playerNamespace.serverSideEmit('player-profile', { id: socket.id, profile: state.profile });
+
+        // Send the players around the new player; the rest are introduced as they come near (introducePlayers)
+        const existing = {};
+        for (const id of playersAround(state.position)) {
+            if (id === socket.id || !profiles.has(id)) continue;
+            const { position, rotation } = world.get(id);
+            existing[id] = { id, position, rotation, profile: profiles.get(id) };
+            state.known.add(id);
+        }
+        socket.emit('current-players', existing);
+
+        // Initialize player state
+        await players.set(socket.id, {
+            id: socket.id,
+            position: state.position,
+            rotation: state.rotation,
+            profile: state.profile
+        });
+
+        // Disconnected while we were setting up - don't leave a ghost behind
+        if (socket.disconnected) {
+            await players.delete(socket.id);
+            return;
+        }
+
+        // Tracked on the next tick, whose snapshot introduces the new player to everyone near them
+        state.dirty = true;
     });
+
+    const tick = createTick(playerNamespace, { clustered });
+    let ticking = false;
+    setInterval(async () => {
+        if (ticking) return; // Storage slower than the tick - skip rather than pile up
+        ticking = true;
+        try {
+            await tick();
+        } catch (err) {
+            console.error('Multiplayer Socket: Tick failed:', err);
+        } finally {
+            ticking = false;
+        }
+    }, 1000 / TICK_RATE).unref();
+
+    try {
+        await prunePlayers(playerNamespace);
+    } catch (err) {
+        console.error('Multiplayer Socket: Failed to prune players:', err);
+    }
 }
@@ -0,0 +1,84 @@
+import { createStore } from '../../config/storage.js';
+import { AVATAR_PRESETS, DEFAULT_AVATAR_PRESET, defaultProfileColor } from '../../../../shared/avatarPresets.js';
+
+// How players appear to each other, per account (or guest ID)
+const profiles = createStore('profiles'); // userId -> { displayName, avatarPreset, avatarUrl, color, updatedAt }
+
+const MAX_NAME_LENGTH = 32;
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+// Custom avatars must be binary glTF served over HTTPS (e.g. a Ready Player Me model)
+const AVATAR_URL_PATTERN = /^https:\/\/\S+\.glb(\?\S*)?$/i;
+
+function profileError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+// Field -> check(value) returning an error message, or null when valid
+const FIELDS = {
+    displayName: (v) => (typeof v === 'string' && v.trim().length > 0 && v.trim().length <= MAX_NAME_LENGTH
+        ? null : `must be 1-${MAX_NAME_LENGTH} characters`),
+    avatarPreset: (v) => (typeof v === 'string' && AVATAR_PRESETS[v]
+        ? null : `must be one of: ${Object.keys(AVATAR_PRESETS).join(', ')}`),
+    avatarUrl: (v) => (v === null || (typeof v === 'string' && v.length <= 500 && AVATAR_URL_PATTERN.test(v))
+        ? null : 'must be an https URL of a .glb model, or null'),
+    color: (v) => (typeof v === 'string' && COLOR_PATTERN.test(v) ? null : 'must be a #rrggbb color')
+};
+
+export const profileService = {
+    /**
+     * Profile for a player who hasn't saved one
+     * @param {string|null} userId
+     * @param {string|null} displayName - Account name, when signed in
+     */
+    defaultProfile(userId, displayName = null) {
+        const guestTag = String(userId || '').replace(/^guest-/, '').slice(0, 4);
+        return {
+            displayName: displayName || (guestTag ? `Guest ${guestTag}` : 'Shopper'),
+            avatarPreset: DEFAULT_AVATAR_PRESET,
+            avatarUrl: null,
+            color: defaultProfileColor(userId || '')
+        };
+    },
+
+    /**
+     * Saved profile, or a default one
+     * @param {string|null} userId - Account or guest ID (null for anonymous sockets)
+     * @param {string|null} displayName - Account name used for the default profile
+     */
+    async getProfile(userId, displayName = null) {
+        const saved = userId ? await profiles.get(userId) : null;
+        return { ...this.defaultProfile(userId, displayName), ...saved };
+    },
+
+    /**
+     * Validate and save profile changes
+     * @param {string|null} userId - Anonymous players' changes are not saved
+     * @param {object} current - The profile being changed (from getProfile)
+     * @param {object} changes - Any of displayName, avatarPreset, avatarUrl, color
+     * @returns {Promise<object>} The full updated profile
+     */
+    async updateProfile(userId, current, changes) {
+        if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+            throw profileError('Profile must be an object');
+        }
+
+        const problems = [];
+        for (const [field, value] of Object.entries(changes)) {
+            const message = FIELDS[field] ? FIELDS[field](value) : 'is not a profile field';
+            if (message) problems.push(`${field} ${message}`);
+        }
+        if (problems.length > 0) throw profileError(`Invalid profile: ${problems.join('; ')}`);
+
+        const profile = {
+            ...current,
+            ...changes,
+            updatedAt: new Date().toISOString()
+        };
+        profile.displayName = profile.displayName.trim();
+
+        if (userId) await profiles.set(userId, profile);
+        return profile;
+    }
+};
@@ -0,0 +1,36 @@
+import express from 'express';
+import { orderService } from './orderService.js';
+import { requireAuth } from '../auth/authMiddleware.js';
+
+const router = express.Router();
+
+// Orders are only visible to the account that placed them
+router.use(requireAuth);
+
+// List the signed-in user's orders
+router.get('/', async (req, res) => {
+    try {
+        const orders = await orderService.getOrdersByUser(req.user.userId);
+        res.json({ success: true, orders, count: orders.length });
+    } catch (error) {
+        console.error('Error fetching orders:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch orders' });
+    }
+});
+
+// Get order by ID
+router.get('/:orderId', async (req, res) => {
+    try {
+        const order = await orderService.getOrderById(req.params.orderId);
+        // Someone else's order is reported as missing rather than forbidden
+        if (!order || order.userId !== req.user.userId) {
+            return res.status(404).json({ success: false, error: 'Order not found' });
+        }
+        res.json({ success: true, order });
+    } catch (error) {
+        console.error('Error fetching order:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch order' });
+    }
+});
+
+export default router;
@@ -0,0 +1,102 @@
+import { randomUUID } from 'crypto';
+import { productService } from '../product/productService.js';
+import { createStore } from '../../config/storage.js';
+
+// Order Storage (shared across instances when STORAGE_DRIVER=redis)
+const orders = createStore('orders'); // orderId -> order record
+
+// Shipping address fields: the required ones, then the optional ones
+const ADDRESS_REQUIRED = ['name', 'line1', 'city', 'postalCode', 'country'];
+const ADDRESS_OPTIONAL = ['line2', 'state', 'phone'];
+const MAX_ADDRESS_FIELD_LENGTH = 200;
+
+function orderError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+export const orderService = {
+    /**
+     * Place an order from a cart snapshot (as returned by cartService.getCart).
+     * Stock is re-checked and decremented before the order is recorded: each line atomically, and lines
+     * already taken are put back if a later one is short (see productService.decrementStock).
+     * @param {object} cart - Cart snapshot with items
+     * @param {object} options - { userId, shippingAddress, extra } where extra holds more fields to store
+     *   with the order (e.g. the room and approvals of a group order)
+     * @returns {Promise<object>} - The order record
+     */
+    async createOrder(cart, { userId, shippingAddress, extra = {} } = {}) {
+        if (!cart || !cart.items || cart.items.length === 0) {
+            throw orderError('Cart is empty');
+        }
+        const address = this.checkShippingAddress(shippingAddress);
+
+        const lines = cart.items.map(i => ({ productId: i.productId, quantity: i.quantity }));
+        const result = await productService.decrementStock(lines);
+        if (!result.success) {
+            throw orderError(`${result.error} for product ${result.productId}`, 409);
+        }
+
+        const order = {
+            orderId: `order-${randomUUID()}`,
+            cartId: cart.cartId,
+            userId: userId || cart.cartId,
+            items: cart.items.map(i => ({
+                productId: i.productId,
+                name: i.name,
+                price: i.price,
+                quantity: i.quantity,
+                lineTotal: i.lineTotal
+            })),
+            itemCount: cart.itemCount,
+            total: cart.subtotal,
+            shippingAddress: address,
+            ...extra,
+            status: 'confirmed',
+            createdAt: new Date().toISOString()
+        };
+
+        await orders.set(order.orderId, order);
+        return order;
+    },
+
+    /**
+     * Check a shipping address (optional: none gives null)
+     * @param {object} address - { name, line1, line2?, city, state?, postalCode, country, phone? }
+     * @returns {object|null} - The address with its fields trimmed
+     * @throws {Error} - 400 naming the first field that is missing, too long or unknown
+     */
+    checkShippingAddress(address) {
+        if (address === undefined || address === null) return null;
+        if (typeof address !== 'object' || Array.isArray(address)) {
+            throw orderError('shippingAddress must be an object');
+        }
+        const unknown = Object.keys(address).find(field => ![...ADDRESS_REQUIRED, ...ADDRESS_OPTIONAL].includes(field));
+        if (unknown) throw orderError(`shippingAddress.${unknown} is not an address field`);
+
+        const cleaned = {};
+        for (const field of [...ADDRESS_REQUIRED, ...ADDRESS_OPTIONAL]) {
+            const value = address[field];
+            if (value === undefined || value === null || (typeof value === 'string' && !value.trim())) {
+                if (ADDRESS_REQUIRED.includes(field)) throw orderError(`shippingAddress.${field} is required`);
+                continue;
+            }
+            if (typeof value !== 'string' || value.length > MAX_ADDRESS_FIELD_LENGTH) {
+                throw orderError(`shippingAddress.${field} must be a string of at most ${MAX_ADDRESS_FIELD_LENGTH} characters`);
+            }
+            cleaned[field] = value.trim();
+        }
+        return cleaned;
+    },
+
+    async getOrderById(orderId) {
+        return orders.get(orderId);
+    },
+
+    async getOrdersByUser(userId) {
+        return (await orders.values())
+            .filter(o => o.userId === userId)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+};
@@ -0,0 +1,59 @@
+import express from 'express';
+import { catalogGenerationService } from './catalogGenerationService.js';
+import { requireAdmin } from '../auth/authMiddleware.js';
+
+const router = express.Router();
+
+function handleError(res, error, fallbackMessage) {
+    if (error.status) {
+        return res.status(error.status).json({ success: false, error: error.message, details: error.details });
+    }
+    console.error(`${fallbackMessage}:`, error);
+    res.status(500).json({ success: false, error: fallbackMessage });
+}
+
+// --- Admin (ADMIN_EMAILS accounts only) ---
+
+// Draft new products with the configured LLM. Body: { category (a new one is added on approval), count? (1-20) }
+// The drafts are listed for review below; rejected and duplicates say what was dropped and why.
+router.post('/products/generate', requireAdmin, async (req, res) => {
+    try {
+        const { category, count } = req.body || {};
+        const result = await catalogGenerationService.generateDrafts({ category, count }, req.user);
+        res.status(201).json({ success: true, ...result, products: result.drafts, count: result.drafts.length });
+    } catch (error) {
+        handleError(res, error, 'Failed to generate products');
+    }
+});
+
+// Drafts waiting for review (?category= to filter)
+router.get('/products/drafts', requireAdmin, async (req, res) => {
+    try {
+        const drafts = await catalogGenerationService.listDrafts(req.query.category);
+        res.json({ success: true, drafts, count: drafts.length });
+    } catch (error) {
+        handleError(res, error, 'Failed to fetch product drafts');
+    }
+});
+
+// Add a draft to the catalog. Body: optional product field edits
+router.post('/products/drafts/:draftId/approve', requireAdmin, async (req, res) => {
+    try {
+        const product = await catalogGenerationService.approveDraft(req.params.draftId, req.body || {});
+        res.status(201).json({ success: true, product });
+    } catch (error) {
+        handleError(res, error, 'Failed to approve product draft');
+    }
+});
+
+// Discard a draft
+router.delete('/products/drafts/:draftId', requireAdmin, async (req, res) => {
+    try {
+        await catalogGenerationService.rejectDraft(req.params.draftId);
+        res.json({ success: true, message: 'Draft rejected' });
+    } catch (error) {
+        handleError(res, error, 'Failed to reject product draft');
+    }
+});
+
+export default router;
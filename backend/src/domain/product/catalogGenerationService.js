@@ -0,0 +1,247 @@
+import crypto from 'crypto';
+import { getLLMProvider } from '../../config/llm.js';
+import { createStore } from '../../config/storage.js';
+import { productService } from './productService.js';
+import { validateProduct, cleanCategoryName } from './productSchema.js';
+
+// Products the LLM drafted, waiting for an admin to approve (-> catalog) or reject them.
+// draftId -> { draftId, product: { name, description, price, stock, rating, brand, category }, newCategory,
+//   provider, createdBy, createdAt } (newCategory: the category doesn't exist yet and is added on approval)
+const productDrafts = createStore('product-drafts');
+
+const MAX_PRODUCTS_PER_REQUEST = 20;
+const GENERATION_TIMEOUT_MS = 60 * 1000;
+// Fields the model writes; category comes from the request
+const GENERATED_FIELDS = ['name', 'description', 'price', 'stock', 'rating', 'brand'];
+// Names sent to the model so it doesn't repeat them (duplicates are still filtered afterwards)
+const MAX_RESERVED_NAMES = 200;
+
+const SAVE_PRODUCTS_TOOL = {
+    name: 'saveProducts',
+    description: 'Save the new products for the catalog',
+    parameters: {
+        type: 'object',
+        properties: {
+            products: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        name: { type: 'string', description: 'Product name, unique in the catalog' },
+                        description: { type: 'string', description: 'One or two sentences for the product page' },
+                        price: { type: 'number', description: 'Price in US dollars' },
+                        stock: { type: 'integer', description: 'Units in stock' },
+                        rating: { type: 'number', description: 'Average customer rating from 0 to 5' },
+                        brand: { type: 'string', description: 'Brand name' }
+                    },
+                    required: GENERATED_FIELDS
+                }
+            }
+        },
+        required: ['products']
+    }
+};
+
+const SYSTEM_PROMPT = `You stock the catalog of Flipkart Mall, a virtual shopping mall.
+Invent realistic, varied products for the category you are given and call saveProducts once with all of them.
+Prices are in US dollars, ratings between 3 and 5, stock between 0 and 200. Never reuse a name you are told is taken.`;
+
+function generationError(message, status = 400, details) {
+    const error = new Error(message);
+    error.status = status;
+    if (details) error.details = details;
+    return error;
+}
+
+function withTimeout(promise, ms) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error('Product generation timed out')), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Products from the saveProducts call, or from a JSON array in the reply when the model answered in text
+function extractProducts({ text, toolCalls }) {
+    const call = (toolCalls || []).find(c => c.name === SAVE_PRODUCTS_TOOL.name);
+    if (call) return Array.isArray(call.arguments.products) ? call.arguments.products : [];
+
+    const json = (text || '').match(/\[[\s\S]*\]/);
+    if (!json) return [];
+    try {
+        const parsed = JSON.parse(json[0]);
+        return Array.isArray(parsed) ? parsed : [];
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Check one product from the model: only the generated fields are kept, all of them are required,
+ * and the rest of the rules are the catalog's own (productSchema.js)
+ * @returns {{ product: object, errors: {field: string, message: string}[] }}
+ */
+function checkProduct(raw, category, categories) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        return { product: {}, errors: [{ field: '', message: 'must be an object' }] };
+    }
+    const input = { category };
+    for (const field of GENERATED_FIELDS) {
+        if (raw[field] !== undefined) input[field] = raw[field];
+    }
+    const { product, errors } = validateProduct(input, { categories });
+    for (const field of GENERATED_FIELDS) {
+        if (!(field in product) && !errors.some(e => e.field === field)) errors.push({ field, message: 'is required' });
+    }
+    return { product, errors };
+}
+
+export const catalogGenerationService = {
+    /**
+     * Ask the configured LLM for new products in a category. Valid products that don't clash with a
+     * catalog product or another draft are saved as drafts; nothing reaches the catalog until approved.
+     * A category that doesn't exist yet is accepted when its name is valid and added once a draft is approved.
+     * @param {object} request - { category, count (1-20, default 3) }
+     * @param {object} user - The admin asking ({ userId })
+     * @returns {Promise<{ category: string, newCategory: boolean, drafts: object[], rejected: object[],
+     *   duplicates: string[] }>} - rejected: [{ product, errors }] that failed validation; duplicates: names that
+     *   already exist
+     */
+    async generateDrafts({ category, count = 3 } = {}, user = null) {
+        const name = cleanCategoryName(category);
+        if (!name) {
+            throw generationError('category must be 1-40 letters, digits, spaces, "&" or "-", starting with a letter');
+        }
+        const categories = await productService.getCategoryNames();
+        const existing = categories.find(c => c.toLowerCase() === name.toLowerCase());
+        const canonical = existing || name;
+        const wanted = Number(count);
+        if (!Number.isInteger(wanted) || wanted < 1 || wanted > MAX_PRODUCTS_PER_REQUEST) {
+            throw generationError(`count must be an integer from 1 to ${MAX_PRODUCTS_PER_REQUEST}`);
+        }
+
+        const drafts = await productDrafts.values();
+        const takenNames = await productService.getProductNames();
+        for (const draft of drafts) takenNames.add(draft.product.name.toLowerCase());
+
+        // The names the model is most likely to repeat: this category's products and drafts
+        const { products: inCategory } = await productService.getProductsByCategory(canonical, { page: 1, limit: MAX_RESERVED_NAMES });
+        const reserved = [
+            ...inCategory.map(p => p.name),
+            ...drafts.filter(d => d.product.category === canonical).map(d => d.product.name)
+        ].slice(0, MAX_RESERVED_NAMES);
+
+        const provider = getLLMProvider();
+        let reply;
+        try {
+            reply = await withTimeout(provider.generate({
+                system: SYSTEM_PROMPT,
+                messages: [{
+                    role: 'user',
+                    content: `Create ${wanted} new products for the "${canonical}" category.\n`
+                        + `Do not reuse any of these names: ${JSON.stringify(reserved)}`
+                }],
+                tools: [SAVE_PRODUCTS_TOOL],
+                temperature: 0.9,
+                maxTokens: 4096,
+                metadata: { category: canonical, count: wanted, reserved }
+            }), GENERATION_TIMEOUT_MS);
+        } catch (error) {
+            console.error('Product generation failed:', error.message);
+            throw generationError(`The product generator is unavailable: ${error.message}`, 502);
+        }
+
+        const candidates = extractProducts(reply);
+        if (candidates.length === 0) throw generationError('The product generator returned no products', 502);
+
+        const saved = [];
+        const rejected = [];
+        const duplicates = [];
+        const now = new Date().toISOString();
+        for (const raw of candidates.slice(0, wanted)) {
+            const { product, errors } = checkProduct(raw, canonical, existing ? categories : [...categories, canonical]);
+            if (errors.length > 0) {
+                rejected.push({ product: raw, errors });
+                continue;
+            }
+            const key = product.name.toLowerCase();
+            if (takenNames.has(key)) {
+                duplicates.push(product.name);
+                continue;
+            }
+            takenNames.add(key);
+
+            const draft = {
+                draftId: crypto.randomUUID(),
+                product,
+                newCategory: !existing,
+                provider: provider.name,
+                createdBy: user ? user.userId : null,
+                createdAt: now
+            };
+            await productDrafts.set(draft.draftId, draft);
+            saved.push(draft);
+        }
+
+        return { category: canonical, newCategory: !existing, drafts: saved, rejected, duplicates };
+    },
+
+    /**
+     * Drafts waiting for review, oldest first
+     * @param {string} category - Optional filter
+     */
+    async listDrafts(category) {
+        const wanted = category ? category.toLowerCase() : null;
+        return (await productDrafts.values())
+            .filter(draft => !wanted || draft.product.category.toLowerCase() === wanted)
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    },
+
+    /**
+     * Add a draft to the catalog (flagged generated: true), with any edits the reviewer made. A new category
+     * the draft was generated for is added first.
+     * @param {string} draftId
+     * @param {object} changes - Generated fields to override before saving. The category is the one the draft
+     *   was generated for and can't be changed (nor can anything else the model didn't write).
+     * @returns {Promise<object>} The new product
+     */
+    async approveDraft(draftId, changes = {}) {
+        if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+            throw generationError('Changes must be an object of product fields');
+        }
+        const locked = Object.keys(changes).filter(field => !GENERATED_FIELDS.includes(field));
+        if (locked.length > 0) {
+            throw generationError(`Only ${GENERATED_FIELDS.join(', ')} can be changed (not ${locked.join(', ')})`);
+        }
+
+        // Claimed (taken off the review list) in one atomic step, so approving twice can't add two products
+        let draft = null;
+        await productDrafts.update(draftId, (current) => {
+            if (!current) throw generationError('Draft not found', 404);
+            draft = current;
+            return null;
+        });
+
+        try {
+            const fields = { ...draft.product, ...changes };
+            // A product with this name may have been added since the draft was made
+            if (typeof fields.name === 'string' && (await productService.getProductNames()).has(fields.name.trim().toLowerCase())) {
+                throw generationError(`A product named "${fields.name.trim()}" already exists`, 409);
+            }
+            if (draft.newCategory) fields.category = await productService.addCategory(draft.product.category);
+            return await productService.createProduct(fields, { generated: true });
+        } catch (error) {
+            // Back on the review list, to fix and approve again or reject
+            await productDrafts.setIfAbsent(draftId, draft);
+            throw error;
+        }
+    },
+
+    /**
+     * Discard a draft
+     */
+    async rejectDraft(draftId) {
+        if (!(await productDrafts.has(draftId))) throw generationError('Draft not found', 404);
+        await productDrafts.delete(draftId);
+    }
+};
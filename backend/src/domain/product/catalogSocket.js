@@ -0,0 +1,23 @@
+import { productEvents, LOW_STOCK_THRESHOLD } from './productService.js';
+
+const RELAYED_EVENTS = ['product-created', 'product-updated', 'product-deleted', 'stock-low', 'out-of-stock'];
+
+/**
+ * /catalog namespace: pushes product changes so open clients update their racks without reloading.
+ * Events: `product-created` (product), `product-updated` (product), `product-deleted` { id },
+ * `stock-low` and `out-of-stock` { id, name, stock }. Each client first receives
+ * `catalog-settings` { lowStockThreshold } so it can mark low stock the same way.
+ * With SOCKET_ADAPTER=redis the emit reaches clients connected to every instance.
+ * @param {import('socket.io').Server} io
+ */
+export function setupCatalogSocket(io) {
+    const catalogNamespace = io.of('/catalog');
+
+    catalogNamespace.on('connection', (socket) => {
+        socket.emit('catalog-settings', { lowStockThreshold: LOW_STOCK_THRESHOLD });
+    });
+
+    for (const event of RELAYED_EVENTS) {
+        productEvents.on(event, (payload) => catalogNamespace.emit(event, payload));
+    }
+}
@@ -1,5 +1,6 @@
 import express from 'express';
 import { productService } from './productService.js';
+import { requireAdmin } from '../auth/authMiddleware.js';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs/promises';
@@ -10,6 +11,21 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const getPublicDir = () => path.join(__dirname, '..', '..', '..', 'public');
 
+// Send service errors with their status code (and row/field details for validation errors) or 500
+function handleError(res, error, fallbackMessage) {
+    if (error.status) {
+        return res.status(error.status).json({ success: false, error: error.message, details: error.details });
+    }
+    console.error(`${fallbackMessage}:`, error);
+    res.status(500).json({ success: false, error: fallbackMessage });
+}
+
+// Import format from ?format=, else from the Content-Type
+function importFormat(req) {
+    if (req.query.format) return String(req.query.format).toLowerCase();
+    return req.is('text/csv') ? 'csv' : 'json';
+}
+
 // Get all products
 router.get('/', async (req, res) => {
     try {
@@ -28,6 +44,8 @@ router.get('/', async (req, res) => {
 });
 
 // Search products
+// Query: q, category, brand, minPrice, maxPrice, minRating, sortBy (relevance|price|rating|name), order, page, limit
+// Response adds facets { category, brand, price, rating } and didYouMean
 router.get('/search', async (req, res) => {
     try {
         const result = await productService.searchProducts(req.query);
@@ -38,6 +56,90 @@ router.get('/search', async (req, res) => {
     }
 });
 
+// Search-as-you-type suggestions: word completions, matching products, categories and brands
+router.get('/autocomplete', async (req, res) => {
+    try {
+        const { q, limit } = req.query;
+        const result = await productService.autocomplete(q, Math.min(parseInt(limit) || 8, 20));
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('Error autocompleting products:', error);
+        res.status(500).json({ error: 'Failed to autocomplete products' });
+    }
+});
+
+// --- Admin (ADMIN_EMAILS accounts only) ---
+
+// Export the catalog: ?format=json (default) | csv
+router.get('/export', requireAdmin, async (req, res) => {
+    try {
+        const format = String(req.query.format || 'json').toLowerCase();
+        const data = await productService.exportProducts(format);
+        const date = new Date().toISOString().slice(0, 10);
+
+        res.attachment(`products-${date}.${format}`);
+        if (format === 'csv') return res.type('text/csv').send(data);
+        res.json({ success: true, products: data, count: data.length });
+    } catch (error) {
+        handleError(res, error, 'Failed to export products');
+    }
+});
+
+// Bulk import: CSV (Content-Type text/csv) or JSON ([...] or { products: [...] })
+// ?dryRun=true validates and reports row errors without writing. Invalid files are rejected whole (422).
+router.post('/import', requireAdmin, express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), async (req, res) => {
+    try {
+        const report = await productService.importProducts(req.body, {
+            format: importFormat(req),
+            dryRun: req.query.dryRun === 'true'
+        });
+        const status = report.invalid > 0 && !report.dryRun ? 422 : 200;
+        res.status(status).json({ success: report.invalid === 0, report });
+    } catch (error) {
+        handleError(res, error, 'Failed to import products');
+    }
+});
+
+// Create product
+router.post('/', requireAdmin, async (req, res) => {
+    try {
+        const product = await productService.createProduct(req.body);
+        res.status(201).json({ success: true, product });
+    } catch (error) {
+        handleError(res, error, 'Failed to create product');
+    }
+});
+
+// Replace product
+router.put('/:productId', requireAdmin, async (req, res) => {
+    try {
+        const product = await productService.replaceProduct(req.params.productId, req.body);
+        res.json({ success: true, product });
+    } catch (error) {
+        handleError(res, error, 'Failed to update product');
+    }
+});
+
+// Update some product fields
+router.patch('/:productId', requireAdmin, async (req, res) => {
+    try {
+        const product = await productService.updateProduct(req.params.productId, req.body);
+        res.json({ success: true, product });
+    } catch (error) {
+        handleError(res, error, 'Failed to update product');
+    }
+});
+
+// Delete product
+router.delete('/:productId', requireAdmin, async (req, res) => {
+    try {
+        await productService.deleteProduct(req.params.productId);
+        res.json({ success: true, message: 'Product deleted' });
+    } catch (error) {
+        handleError(res, error, 'Failed to delete product');
+    }
+});
+
 // Get categories
 router.get('/categories/list', async (req, res) => {
     try {
@@ -0,0 +1,112 @@
+// Validation for products written through the admin API and bulk import
+
+// Categories the mall has zones for (PRODUCT_CATEGORIES overrides, comma-separated). Approved catalog
+// generation drafts can add more at runtime (productService.getCategoryNames lists both).
+export const PRODUCT_CATEGORIES = (process.env.PRODUCT_CATEGORIES || 'Electronics,Fashion,Books')
+    .split(',')
+    .map(c => c.trim())
+    .filter(Boolean);
+
+// Names for new categories: a letter first, then letters, digits, spaces, "&" or "-"
+const CATEGORY_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9 &-]{0,39}$/;
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const URL_PATTERN = /^(https?:\/\/|\/)\S+$/;
+
+// Field -> check(value, { categories }) returning an error message, or null when valid
+const FIELDS = {
+    id: (v) => (typeof v === 'string' && ID_PATTERN.test(v) ? null : 'must be 1-64 letters, digits, "-" or "_"'),
+    name: (v) => (typeof v === 'string' && v.trim().length > 0 && v.length <= 200 ? null : 'must be a non-empty string of at most 200 characters'),
+    description: (v) => (typeof v === 'string' && v.length <= 2000 ? null : 'must be a string of at most 2000 characters'),
+    price: (v) => (typeof v === 'number' && Number.isFinite(v) && v >= 0 ? null : 'must be a number >= 0'),
+    category: (v, { categories }) => (typeof v === 'string' && findCategory(v, categories) ? null : `must be one of: ${categories.join(', ')}`),
+    brand: (v) => (typeof v === 'string' && v.length <= 100 ? null : 'must be a string of at most 100 characters'),
+    stock: (v) => (Number.isInteger(v) && v >= 0 ? null : 'must be an integer >= 0'),
+    rating: (v) => (typeof v === 'number' && v >= 0 && v <= 5 ? null : 'must be a number between 0 and 5'),
+    image: (v) => (typeof v === 'string' && URL_PATTERN.test(v) ? null : 'must be an http(s) URL or a path starting with "/"'),
+    modelUrl: (v) => (typeof v === 'string' && URL_PATTERN.test(v) ? null : 'must be an http(s) URL or a path starting with "/"')
+};
+
+export const PRODUCT_FIELDS = Object.keys(FIELDS);
+
+const REQUIRED_FIELDS = ['name', 'price', 'category', 'stock'];
+// Set by the server, ignored when sent (generated marks products drafted by catalog generation)
+const READ_ONLY_FIELDS = ['createdAt', 'updatedAt', 'generated'];
+
+function findCategory(value, categories) {
+    return categories.find(c => c.toLowerCase() === value.trim().toLowerCase());
+}
+
+/**
+ * Check a name for a new category
+ * @param {*} value
+ * @returns {string|null} - The trimmed name (single spaces), or null when it isn't a usable name
+ */
+export function cleanCategoryName(value) {
+    if (typeof value !== 'string') return null;
+    const name = value.trim().replace(/\s+/g, ' ');
+    return CATEGORY_NAME_PATTERN.test(name) ? name : null;
+}
+
+/**
+ * Validate product fields
+ * @param {object} input - Fields from the request body or an import row
+ * @param {object} options
+ * @param {boolean} options.partial - PATCH semantics: only the given fields are checked
+ * @param {string[]} options.categories - Allowed categories (default PRODUCT_CATEGORIES)
+ * @returns {{ product: object, errors: {field: string, message: string}[] }} - Cleaned fields (category
+ *   normalized to its canonical spelling, price rounded to cents) and any errors
+ */
+export function validateProduct(input, { partial = false, categories = PRODUCT_CATEGORIES } = {}) {
+    const errors = [];
+    const product = {};
+
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { product, errors: [{ field: '', message: 'must be an object' }] };
+    }
+
+    for (const [field, value] of Object.entries(input)) {
+        if (READ_ONLY_FIELDS.includes(field)) continue;
+        if (!FIELDS[field]) {
+            errors.push({ field, message: 'is not a product field' });
+            continue;
+        }
+        if (value === undefined || value === null || value === '') {
+            if (REQUIRED_FIELDS.includes(field)) errors.push({ field, message: 'is required' });
+            continue;
+        }
+        const message = FIELDS[field](value, { categories });
+        if (message) errors.push({ field, message });
+        else product[field] = value;
+    }
+
+    if (!partial) {
+        for (const field of REQUIRED_FIELDS) {
+            if (!(field in input)) errors.push({ field, message: 'is required' });
+        }
+    }
+
+    if (typeof product.name === 'string') product.name = product.name.trim();
+    if (typeof product.category === 'string') product.category = findCategory(product.category, categories);
+    if (typeof product.price === 'number') product.price = Math.round(product.price * 100) / 100;
+
+    return { product, errors };
+}
+
+/**
+ * Turn a CSV row (all strings) into typed product fields: empty cells are dropped and
+ * numeric columns parsed, leaving unparseable values for validateProduct to report
+ * @param {Object<string, string>} row - Column -> cell
+ * @returns {object}
+ */
+export function coerceCsvRow(row) {
+    const numeric = ['price', 'stock', 'rating'];
+    const product = {};
+    for (const [column, cell] of Object.entries(row)) {
+        const value = cell.trim();
+        if (value === '') continue;
+        product[column] = numeric.includes(column) && !Number.isNaN(Number(value))
+            ? Number(value)
+            : value;
+    }
+    return product;
+}
@@ -1,7 +1,13 @@
 import { sampleProducts } from './products.js';
 import fs from 'fs/promises';
 import path from 'path';
+import { randomUUID } from 'crypto';
+import { EventEmitter } from 'events';
 import { fileURLToPath } from 'url';
+import { createStore } from '../../config/storage.js';
+import { createSearchIndex } from '../../shared/searchIndex.js';
+import { parseCsvRecords, toCsv } from '../../shared/csv.js';
+import { validateProduct, coerceCsvRow, PRODUCT_FIELDS, PRODUCT_CATEGORIES } from './productSchema.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -9,33 +15,68 @@ const __dirname = path.dirname(__filename);
 // Helper to get public directory path
 const getPublicDir = () => path.join(__dirname, '..', '..', '..', 'public');
 
-// In-Memory Product Storage
-const productsMap = new Map();
-let isInitialized = false;
+// Product Storage (memory, file or Redis - see config/storage.js)
+const productStore = createStore('products'); // productId -> product
+// Categories added at runtime, on top of PRODUCT_CATEGORIES: lower-cased name -> name
+const addedCategories = createStore('product-categories');
+
+// Full-text index over the catalog, re-synced from storage before each search (see _syncSearchIndex)
+const searchIndex = createSearchIndex({
+    fields: { name: 3, brand: 2, category: 1.5, description: 1 }
+});
+
+// Price facet buckets (min inclusive, max exclusive; null = open-ended)
+const PRICE_BUCKETS = [
+    { key: '0-25', min: 0, max: 25 },
+    { key: '25-50', min: 25, max: 50 },
+    { key: '50-100', min: 50, max: 100 },
+    { key: '100-250', min: 100, max: 250 },
+    { key: '250-500', min: 250, max: 500 },
+    { key: '500-1000', min: 500, max: 1000 },
+    { key: '1000+', min: 1000, max: null }
+];
+
+// Rating facet: "N stars & up"
+const RATING_THRESHOLDS = [4.5, 4, 3.5, 3];
+
+// Stock at or below this counts as running low (LOW_STOCK_THRESHOLD)
+export const LOW_STOCK_THRESHOLD = parseInt(process.env.LOW_STOCK_THRESHOLD) || 5;
+
+// Catalog changes made on this instance: 'product-created' | 'product-updated' (product),
+// 'product-deleted' ({ id }), and 'stock-low' | 'out-of-stock' ({ id, name, stock }) when stock
+// crosses LOW_STOCK_THRESHOLD or reaches zero. catalogSocket.js relays them to connected clients.
+export const productEvents = new EventEmitter();
+
+function productError(message, status = 400, details) {
+    const error = new Error(message);
+    error.status = status;
+    if (details) error.details = details;
+    return error;
+}
 
 export const productService = {
-    // Initialize products in Memory
+    // Seed products into storage (skipped when storage already holds a catalog)
     async initializeProducts() {
         try {
-            if (isInitialized && productsMap.size > 0) {
-                console.log(`✅ Products already initialized (${productsMap.size} products found)`);
+            const existing = await productStore.size();
+            if (existing > 0) {
+                console.log(`✅ Products already initialized (${existing} products found)`);
                 return;
             }
 
             // Store all products
             for (const product of sampleProducts) {
-                productsMap.set(`product:${product.id}`, product);
+                await productStore.set(product.id, product);
             }
 
-            isInitialized = true;
-            console.log(`✅ Initialized ${sampleProducts.length} products in Memory`);
+            console.log(`✅ Initialized ${sampleProducts.length} products in storage`);
         } catch (error) {
             console.error('Error initializing products:', error);
         }
     },
 
     async getAllProducts({ page = 1, limit = 50, sortBy = 'name', order = 'asc' }) {
-        const products = Array.from(productsMap.values());
+        const products = await productStore.values();
 
         // Sort
         products.sort((a, b) => {
@@ -67,44 +108,56 @@ export const productService = {
         };
     },
 
-    async searchProducts({ q, category, minPrice, maxPrice, brand, sortBy, order, page, limit }) {
-        const allProducts = Array.from(productsMap.values());
+    /**
+     * Full-text search with filters, facets and "did you mean".
+     * With a query, results are ranked by relevance unless sortBy is given.
+     * Facet counts for each field ignore that field's own filter, so a client can show
+     * how many results every other option would give.
+     */
+    async searchProducts({ q, category, minPrice, maxPrice, brand, minRating, sortBy, order, page, limit }) {
+        const allProducts = await productStore.values();
+        this._syncSearchIndex(allProducts);
+
+        const query = typeof q === 'string' ? q.trim() : '';
+        let candidates = allProducts;
+        if (query) {
+            const byId = new Map(allProducts.map(p => [p.id, p]));
+            candidates = searchIndex.search(query).map(hit => byId.get(hit.id));
+        }
 
-        // Filter
-        let filteredProducts = allProducts.filter(product => {
-            if (q) {
-                const searchTerm = q.toLowerCase();
-                const matchesSearch =
-                    product.name.toLowerCase().includes(searchTerm) ||
-                    product.description.toLowerCase().includes(searchTerm) ||
-                    (product.brand && product.brand.toLowerCase().includes(searchTerm));
-                if (!matchesSearch) return false;
-            }
-            if (category && product.category.toLowerCase() !== category.toLowerCase()) return false;
-            if (minPrice && product.price < parseFloat(minPrice)) return false;
-            if (maxPrice && product.price > parseFloat(maxPrice)) return false;
-            if (brand && (!product.brand || product.brand.toLowerCase() !== brand.toLowerCase())) return false;
-            return true;
-        });
+        // Filters, keyed by the facet they belong to
+        const filters = {
+            category: category && (p => p.category && p.category.toLowerCase() === category.toLowerCase()),
+            brand: brand && (p => p.brand && p.brand.toLowerCase() === brand.toLowerCase()),
+            price: (minPrice || maxPrice) && (p =>
+                (!minPrice || p.price >= parseFloat(minPrice)) && (!maxPrice || p.price <= parseFloat(maxPrice))),
+            rating: minRating && (p => (p.rating || 0) >= parseFloat(minRating))
+        };
+        const applyFilters = (products, except) => products.filter(p =>
+            Object.entries(filters).every(([facet, matches]) => facet === except || !matches || matches(p)));
 
-        // Sort
-        const sortField = sortBy || 'name';
+        let filteredProducts = applyFilters(candidates);
+
+        // Sort (relevance order is already applied when there is a query)
+        const sortField = sortBy || (query ? 'relevance' : 'name');
         const sortOrder = order || 'asc';
 
-        filteredProducts.sort((a, b) => {
-            let aVal = a[sortField];
-            let bVal = b[sortField];
+        if (sortField !== 'relevance') {
+            filteredProducts = [...filteredProducts].sort((a, b) => {
+                let aVal = a[sortField];
+                let bVal = b[sortField];
 
-            if (typeof aVal === 'string') {
-                aVal = aVal.toLowerCase();
-                bVal = bVal.toLowerCase();
-            }
+                if (typeof aVal === 'string') {
+                    aVal = aVal.toLowerCase();
+                    bVal = bVal.toLowerCase();
+                }
 
-            if (sortOrder === 'desc') {
-                return aVal > bVal ? -1 : aVal < bVal ? 1 : 0;
-            }
-            return aVal < bVal ? -1 : aVal > bVal ? 1 : 0;
-        });
+                if (sortOrder === 'desc') {
+                    return aVal > bVal ? -1 : aVal < bVal ? 1 : 0;
+                }
+                return aVal < bVal ? -1 : aVal > bVal ? 1 : 0;
+            });
+        }
 
         // Pagination
         const pageNum = parseInt(page) || 1;
@@ -118,16 +171,52 @@ export const productService = {
             count: paginatedProducts.length,
             total: filteredProducts.length,
             page: pageNum,
-            totalPages: Math.ceil(filteredProducts.length / limitNum)
+            totalPages: Math.ceil(filteredProducts.length / limitNum),
+            sortBy: sortField,
+            facets: {
+                category: this._countValues(applyFilters(candidates, 'category'), 'category'),
+                brand: this._countValues(applyFilters(candidates, 'brand'), 'brand'),
+                price: this._countPriceBuckets(applyFilters(candidates, 'price')),
+                rating: this._countRatings(applyFilters(candidates, 'rating'))
+            },
+            didYouMean: query ? searchIndex.suggest(query) : null
+        };
+    },
+
+    /**
+     * Suggestions for a search box as the user types
+     * @param {string} q - Partial query
+     * @param {number} limit - Most products to return
+     */
+    async autocomplete(q, limit = 8) {
+        const query = typeof q === 'string' ? q.trim() : '';
+        const empty = { query, completions: [], products: [], categories: [], brands: [] };
+        if (!query) return empty;
+
+        const allProducts = await productStore.values();
+        this._syncSearchIndex(allProducts);
+        const byId = new Map(allProducts.map(p => [p.id, p]));
+        const lowerQuery = query.toLowerCase();
+        const startsWithQuery = (value) => value && value.toLowerCase().startsWith(lowerQuery);
+
+        return {
+            query,
+            completions: searchIndex.complete(query, 5),
+            products: searchIndex.search(query).slice(0, limit).map(hit => {
+                const { id, name, price, category, image } = byId.get(hit.id);
+                return { id, name, price, category, image };
+            }),
+            categories: this._countValues(allProducts, 'category').filter(c => startsWithQuery(c.value)),
+            brands: this._countValues(allProducts, 'brand').filter(b => startsWithQuery(b.value))
         };
     },
 
     async getProductById(productId) {
-        return productsMap.get(`product:${productId}`) || null;
+        return productStore.get(productId);
     },
 
     async getCategories() {
-        const allProducts = Array.from(productsMap.values());
+        const allProducts = await productStore.values();
         const categories = new Set();
         const categoryCounts = {};
 
@@ -145,7 +234,7 @@ export const productService = {
     },
 
     async getProductsByCategory(category, { page = 1, limit = 50 }) {
-        const allProducts = Array.from(productsMap.values());
+        const allProducts = await productStore.values();
         const productsInCategory = allProducts.filter(p => p.category.toLowerCase() === category.toLowerCase());
 
         const startIndex = (page - 1) * limit;
@@ -162,7 +251,301 @@ export const productService = {
         };
     },
 
-    // ... (Room methods omitted for brevity, assuming products is the main focus, but can add if needed)
+    // Check that a product exists and has enough stock for the requested quantity
+    async checkStock(productId, quantity) {
+        const product = await productStore.get(productId);
+        if (!product) return { available: false, product: null, stock: 0 };
+        const stock = product.stock ?? 0;
+        return { available: stock >= quantity, product, stock };
+    },
+
+    // Decrement stock for a set of { productId, quantity } lines.
+    // Each line is checked and decremented in one atomic step (a conditional decrement), so concurrent
+    // checkouts can never take stock below zero. When a line falls short, the lines already taken are
+    // put back, so a failed checkout leaves the catalog as it was.
+    async decrementStock(lines) {
+        const taken = [];
+        for (const { productId, quantity } of lines) {
+            let previous = null;
+            let error = null;
+            const product = await productStore.update(productId, (current) => {
+                previous = current;
+                error = null;
+                if (!current) error = 'Product not found';
+                else if ((current.stock ?? 0) < quantity) error = 'Insufficient stock';
+                return error ? undefined : { ...current, stock: current.stock - quantity };
+            });
+            if (error) {
+                await this._restoreStock(taken);
+                return { success: false, productId, error };
+            }
+            taken.push({ productId, quantity });
+            this._announceUpdate(product, previous);
+        }
+
+        return { success: true };
+    },
+
+    // Put back stock taken by decrementStock, atomically per product
+    async _restoreStock(lines) {
+        for (const { productId, quantity } of lines) {
+            let previous = null;
+            const product = await productStore.update(productId, (current) => {
+                previous = current;
+                return current ? { ...current, stock: (current.stock ?? 0) + quantity } : undefined;
+            });
+            if (product) this._announceUpdate(product, previous);
+        }
+    },
+
+    // --- Admin: create / update / delete ---
+
+    /**
+     * Create a product (id generated when not given)
+     * @param {object} input - Product fields (see productSchema.js)
+     * @param {object} options
+     * @param {boolean} options.generated - Flag the product as drafted by catalog generation
+     * @returns {Promise<object>} The stored product
+     */
+    async createProduct(input, { generated = false } = {}) {
+        const { product, errors } = validateProduct(input, { categories: await this.getCategoryNames() });
+        if (errors.length > 0) throw productError('Invalid product', 400, errors);
+
+        return this._saveNew(generated ? { ...product, generated: true } : product, new Date().toISOString());
+    },
+
+    /**
+     * Every category products may use: PRODUCT_CATEGORIES, then the ones added at runtime
+     * @returns {Promise<string[]>}
+     */
+    async getCategoryNames() {
+        return [...PRODUCT_CATEGORIES, ...(await addedCategories.values())];
+    },
+
+    /**
+     * Make a category available to products (a no-op when it already exists, in any spelling)
+     * @param {string} name - Checked with cleanCategoryName beforehand
+     * @returns {Promise<string>} The category's name as stored
+     */
+    async addCategory(name) {
+        const existing = (await this.getCategoryNames()).find(c => c.toLowerCase() === name.toLowerCase());
+        if (existing) return existing;
+        await addedCategories.setIfAbsent(name.toLowerCase(), name);
+        return addedCategories.get(name.toLowerCase());
+    },
+
+    // Lower-cased names of every product, for spotting duplicates
+    async getProductNames() {
+        return new Set((await productStore.values()).map(p => p.name.toLowerCase()));
+    },
+
+    /**
+     * Replace every field of a product (PUT)
+     * @param {string} productId
+     * @param {object} input - Complete product
+     */
+    async replaceProduct(productId, input) {
+        if (!(await productStore.has(productId))) throw productError('Product not found', 404);
+
+        const { product, errors } = validateProduct(input, { categories: await this.getCategoryNames() });
+        if (product.id && product.id !== productId) errors.push({ field: 'id', message: 'does not match the URL' });
+        if (errors.length > 0) throw productError('Invalid product', 400, errors);
+
+        const replaced = await this._saveReplacement(productId, product, new Date().toISOString());
+        if (!replaced) throw productError('Product not found', 404);
+        return replaced;
+    },
+
+    /**
+     * Change some fields of a product (PATCH)
+     * @param {string} productId
+     * @param {object} changes
+     */
+    async updateProduct(productId, changes) {
+        const existing = await productStore.get(productId);
+        if (!existing) throw productError('Product not found', 404);
+
+        const { product, errors } = validateProduct(changes, { partial: true, categories: await this.getCategoryNames() });
+        if (product.id && product.id !== productId) errors.push({ field: 'id', message: 'cannot be changed' });
+        if (errors.length > 0) throw productError('Invalid product', 400, errors);
+
+        // Merged atomically so a checkout running at the same time keeps its stock change
+        let previous = existing;
+        const updated = await productStore.update(productId, (current) => {
+            previous = current;
+            return current ? { ...current, ...product, updatedAt: new Date().toISOString() } : undefined;
+        });
+        if (!updated) throw productError('Product not found', 404);
+        this._announceUpdate(updated, previous);
+        return updated;
+    },
+
+    async deleteProduct(productId) {
+        if (!(await productStore.has(productId))) throw productError('Product not found', 404);
+        await productStore.delete(productId);
+        productEvents.emit('product-deleted', { id: productId });
+    },
+
+    // Store a new product; an id that is already taken (even by a concurrent create) is a 409
+    async _saveNew(fields, now) {
+        const id = fields.id || `prod-${randomUUID().slice(0, 8)}`;
+        const product = this._newProduct(id, fields, now);
+        if (!(await productStore.setIfAbsent(id, product))) {
+            throw productError(`Product ${id} already exists`, 409);
+        }
+        productEvents.emit('product-created', product);
+        return product;
+    },
+
+    // Replace a stored product in one atomic update; resolves to null when it no longer exists
+    async _saveReplacement(productId, fields, now) {
+        let previous = null;
+        const product = await productStore.update(productId, (current) => {
+            previous = current;
+            return current ? this._replacement(current, fields, now) : undefined;
+        });
+        if (product) this._announceUpdate(product, previous);
+        return product;
+    },
+
+    // Replace the product with this id, or create it when there is none, in one atomic update
+    async _saveImported(fields, now) {
+        if (!fields.id) return { product: await this._saveNew(fields, now), created: true };
+
+        let previous = null;
+        const product = await productStore.update(fields.id, (current) => {
+            previous = current;
+            return current ? this._replacement(current, fields, now) : this._newProduct(fields.id, fields, now);
+        });
+        if (previous) this._announceUpdate(product, previous);
+        else productEvents.emit('product-created', product);
+        return { product, created: !previous };
+    },
+
+    _newProduct(id, fields, now) {
+        return { id, description: '', rating: 0, ...fields, createdAt: now, updatedAt: now };
+    },
+
+    // Full replacement keeps only the id, creation time and generated flag of the old product
+    _replacement(existing, fields, now) {
+        return {
+            id: existing.id,
+            description: '',
+            rating: 0,
+            ...fields,
+            ...(existing.generated ? { generated: true } : {}),
+            createdAt: existing.createdAt,
+            updatedAt: now
+        };
+    },
+
+    // Tell listeners about a stored change, plus any stock alert its new stock level triggers
+    _announceUpdate(product, previous) {
+        productEvents.emit('product-updated', product);
+
+        const before = previous.stock ?? 0;
+        const after = product.stock ?? 0;
+        const alert = { id: product.id, name: product.name, stock: after };
+        if (after <= 0 && before > 0) {
+            productEvents.emit('out-of-stock', alert);
+        } else if (after > 0 && after <= LOW_STOCK_THRESHOLD && before > LOW_STOCK_THRESHOLD) {
+            productEvents.emit('stock-low', alert);
+        }
+    },
+
+    // --- Admin: bulk import / export ---
+
+    /**
+     * Import products from CSV or JSON. Rows with an existing id replace that product,
+     * other rows are created. The import is all-or-nothing: when any row is invalid
+     * nothing is written and the report lists the errors.
+     * @param {string|object[]|object} data - CSV text, an array of products, or { products: [...] }
+     * @param {object} options
+     * @param {'csv'|'json'} options.format
+     * @param {boolean} options.dryRun - Validate and report without writing
+     * @returns {Promise<object>} Report: { dryRun, applied, total, valid, invalid, created, updated, errors: [{ row, id, errors }] }
+     */
+    async importProducts(data, { format, dryRun = false }) {
+        const rows = this._parseImport(data, format);
+        const errors = [];
+        const planned = [];
+        const seenIds = new Map(); // id -> row number
+        const categories = await this.getCategoryNames();
+
+        for (const { rowNumber, input } of rows) {
+            const { product, errors: rowErrors } = validateProduct(input, { categories });
+            if (product.id && seenIds.has(product.id)) {
+                rowErrors.push({ field: 'id', message: `duplicates row ${seenIds.get(product.id)}` });
+            }
+            if (product.id) seenIds.set(product.id, rowNumber);
+
+            if (rowErrors.length > 0) {
+                errors.push({ row: rowNumber, id: input.id || null, errors: rowErrors });
+            } else {
+                planned.push(product);
+            }
+        }
+
+        let created = 0;
+        for (const product of planned) {
+            if (!product.id || !(await productStore.has(product.id))) created++;
+        }
+
+        const report = {
+            dryRun,
+            applied: false,
+            total: rows.length,
+            valid: planned.length,
+            invalid: errors.length,
+            created,
+            updated: planned.length - created,
+            errors
+        };
+        if (dryRun || errors.length > 0) return report;
+
+        // Each row is written atomically, so the counts come from what was actually written
+        const now = new Date().toISOString();
+        created = 0;
+        for (const product of planned) {
+            if ((await this._saveImported(product, now)).created) created++;
+        }
+
+        return { ...report, created, updated: planned.length - created, applied: true };
+    },
+
+    // Rows to import as { rowNumber, input }; CSV row numbers count the header as row 1
+    _parseImport(data, format) {
+        if (format === 'csv') {
+            if (typeof data !== 'string' || !data.trim()) throw productError('CSV body is empty');
+            const { columns, records } = parseCsvRecords(data);
+            const unknown = columns.filter(c => !PRODUCT_FIELDS.includes(c));
+            if (unknown.length > 0) {
+                throw productError(`Unknown CSV column(s): ${unknown.join(', ')}. Allowed: ${PRODUCT_FIELDS.join(', ')}`);
+            }
+            return records.map((record, i) => ({ rowNumber: i + 2, input: coerceCsvRow(record) }));
+        }
+
+        if (format === 'json') {
+            const products = Array.isArray(data) ? data : data && data.products;
+            if (!Array.isArray(products)) throw productError('JSON body must be an array of products or { products: [...] }');
+            return products.map((input, i) => ({ rowNumber: i + 1, input }));
+        }
+
+        throw productError('Format must be csv or json');
+    },
+
+    /**
+     * Export the whole catalog
+     * @param {'csv'|'json'} format
+     * @returns {Promise<string|object[]>} CSV text or the product array
+     */
+    async exportProducts(format) {
+        const products = (await productStore.values()).sort((a, b) => a.id.localeCompare(b.id));
+        if (format === 'csv') return toCsv(PRODUCT_FIELDS, products);
+        if (format === 'json') return products;
+        throw productError('Format must be csv or json');
+    },
+
 
     // Image/File handling logic
     async getProductImages() {
@@ -268,6 +651,39 @@ export const productService = {
         return blendFiles;
     },
 
+    // Bring the search index in line with storage (unchanged products are skipped)
+    _syncSearchIndex(products) {
+        for (const product of products) {
+            searchIndex.upsert(product.id, product);
+        }
+        searchIndex.retain(new Set(products.map(p => p.id)));
+    },
+
+    // [{ value, count }] for a product field, most common first
+    _countValues(products, field) {
+        const counts = new Map();
+        for (const product of products) {
+            if (product[field]) counts.set(product[field], (counts.get(product[field]) || 0) + 1);
+        }
+        return [...counts.entries()]
+            .map(([value, count]) => ({ value, count }))
+            .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+    },
+
+    _countPriceBuckets(products) {
+        return PRICE_BUCKETS.map(bucket => ({
+            ...bucket,
+            count: products.filter(p => p.price >= bucket.min && (bucket.max === null || p.price < bucket.max)).length
+        }));
+    },
+
+    _countRatings(products) {
+        return RATING_THRESHOLDS.map(minRating => ({
+            minRating,
+            count: products.filter(p => (p.rating || 0) >= minRating).length
+        }));
+    },
+
     _formatProductName(folderName) {
         return folderName
             .replace(/\.blend$/i, '')
@@ -0,0 +1,79 @@
+import crypto from 'crypto';
+import { createStore } from '../../config/storage.js';
+
+// ICE servers handed to browsers for meeting, TV and voice peer connections.
+// TURN uses the coturn REST API scheme (`use-auth-secret` / `static-auth-secret`): the username is
+// "<expiry>:<userId>" and the password is HMAC-SHA1(secret, username), so nothing is stored per user
+// and a leaked credential stops working on its own. Relays cost bandwidth, so only known users get them:
+// accounts for TURN_TTL_SECONDS, guests (by guest-* ID) for a shorter time and a limited number of times an hour.
+const list = (value) => (value || '').split(',').map(url => url.trim()).filter(Boolean);
+
+const STUN_URLS = list(process.env.STUN_URLS || 'stun:stun.l.google.com:19302,stun:stun1.l.google.com:19302');
+const TURN_URLS = list(process.env.TURN_URLS);
+const TURN_SECRET = process.env.TURN_SECRET || null;
+const TURN_TTL_SECONDS = Number(process.env.TURN_TTL_SECONDS) || 3600;
+const GUEST_TURN_TTL_SECONDS = Math.min(Number(process.env.GUEST_TURN_TTL_SECONDS) || 600, TURN_TTL_SECONDS);
+const GUEST_TURN_REQUESTS_PER_HOUR = parseInt(process.env.GUEST_TURN_REQUESTS_PER_HOUR, 10) || 20;
+const QUOTA_WINDOW_MS = 60 * 60 * 1000;
+
+const guestTurnQuotas = createStore('guest-turn-quotas'); // guestId -> { windowStart, count }
+
+// Without TURN the list never expires; clients still refetch now and then in case the config changed
+const STUN_ONLY_TTL_SECONDS = 24 * 60 * 60;
+
+if (TURN_URLS.length > 0 && !TURN_SECRET) {
+    console.warn('⚠️ TURN_URLS is set without TURN_SECRET - TURN servers will not be offered');
+}
+
+function iceError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+export const iceService = {
+    /**
+     * Whether TURN relays are configured
+     */
+    hasTurn() {
+        return TURN_URLS.length > 0 && Boolean(TURN_SECRET);
+    },
+
+    /**
+     * ICE servers for one user. TURN credentials are only issued to a known user and expire after
+     * TURN_TTL_SECONDS (GUEST_TURN_TTL_SECONDS for guests); anonymous callers get STUN only.
+     * @param {string|null} userId - Account or guest-* ID, included in the TURN username so relay usage can be traced
+     * @param {object} options - { guest: true for a guest-* ID }
+     * @returns {{ iceServers: Array<{urls: string[], username?: string, credential?: string}>, ttl: number, expiresAt: string }}
+     */
+    getIceServers(userId = null, { guest = false } = {}) {
+        const iceServers = STUN_URLS.length > 0 ? [{ urls: STUN_URLS }] : [];
+        const withTurn = this.hasTurn() && Boolean(userId);
+        const ttl = withTurn ? (guest ? GUEST_TURN_TTL_SECONDS : TURN_TTL_SECONDS) : STUN_ONLY_TTL_SECONDS;
+        const expiry = Math.floor(Date.now() / 1000) + ttl;
+
+        if (withTurn) {
+            // ':' separates the expiry in the username, so keep it out of the user part
+            const username = `${expiry}:${String(userId).replace(/:/g, '_')}`;
+            const credential = crypto.createHmac('sha1', TURN_SECRET).update(username).digest('base64');
+            iceServers.push({ urls: TURN_URLS, username, credential });
+        }
+
+        return { iceServers, ttl, expiresAt: new Date(expiry * 1000).toISOString() };
+    },
+
+    /**
+     * Count one TURN credential against a guest's hourly allowance
+     * @throws {Error} - 429 once GUEST_TURN_REQUESTS_PER_HOUR is used up
+     */
+    async takeGuestAllowance(guestId) {
+        const now = Date.now();
+        await guestTurnQuotas.update(guestId, (quota) => {
+            const current = quota && now - quota.windowStart < QUOTA_WINDOW_MS ? quota : { windowStart: now, count: 0 };
+            if (current.count >= GUEST_TURN_REQUESTS_PER_HOUR) {
+                throw iceError('Too many relay requests for this guest; sign in or try again later', 429);
+            }
+            return { ...current, count: current.count + 1 };
+        });
+    }
+};
@@ -0,0 +1,157 @@
+import { productService } from '../product/productService.js';
+import { createStore } from '../../config/storage.js';
+
+// Live shows: the room owner hosts and broadcasts, everyone else watches without sending media.
+// Viewers can raise a hand and the host can promote them to speakers (who may send media too).
+// roomId -> { roomId, host: { userId, userName }, pinnedProductId, speakers: [userId], raisedHands: [{ userId, userName, raisedAt }], startedAt }
+const liveShows = createStore('live-shows');
+
+const MAX_SPEAKERS = 4;
+
+function liveShowError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * Change a room's running show in one atomic step, so concurrent hands, promotions and leaves all stick
+ * @param {function} change - (show) => the new show, null to end it or undefined to leave it. May throw to refuse.
+ * @throws {Error} - 404 when the room isn't running a show
+ */
+async function changeShow(roomId, change) {
+    return liveShows.update(roomId, (show) => {
+        if (!show) throw liveShowError('No live show in this room', 404);
+        return change(show);
+    });
+}
+
+export const liveShowService = {
+    /**
+     * Public view of a room's live show, with the pinned product resolved
+     * @param {string} roomId - Meeting room ID
+     * @returns {Promise<object|null>} - null when the room isn't running a show
+     */
+    async getShow(roomId) {
+        const show = await liveShows.get(roomId);
+        if (!show) return null;
+
+        let pinnedProduct = null;
+        if (show.pinnedProductId) {
+            const product = await productService.getProductById(show.pinnedProductId);
+            // A pinned product that was deleted since just stops showing
+            if (product) {
+                pinnedProduct = {
+                    productId: product.id,
+                    name: product.name,
+                    price: product.price,
+                    image: product.image,
+                    stock: product.stock,
+                    category: product.category
+                };
+            }
+        }
+
+        return {
+            roomId,
+            host: show.host,
+            pinnedProduct,
+            speakers: show.speakers,
+            raisedHands: show.raisedHands,
+            startedAt: show.startedAt
+        };
+    },
+
+    /**
+     * Whether a user may send audio/video in the room (always true outside a live show)
+     */
+    async canPublish(roomId, userId) {
+        const show = await liveShows.get(roomId);
+        if (!show) return true;
+        return show.host.userId === userId || show.speakers.includes(userId);
+    },
+
+    async start(roomId, host) {
+        const started = await liveShows.setIfAbsent(roomId, {
+            roomId,
+            host: { userId: host.userId, userName: host.name },
+            pinnedProductId: null,
+            speakers: [],
+            raisedHands: [],
+            startedAt: new Date().toISOString()
+        });
+        if (!started) throw liveShowError('A live show is already running in this room', 409);
+    },
+
+    async end(roomId) {
+        await changeShow(roomId, () => null);
+    },
+
+    /**
+     * Show a product to every viewer (null to unpin)
+     */
+    async pinProduct(roomId, productId) {
+        if (productId !== null) {
+            if (!productId) throw liveShowError('productId is required');
+            if (!(await productService.getProductById(productId))) throw liveShowError('Product not found', 404);
+        }
+        await changeShow(roomId, (show) => ({ ...show, pinnedProductId: productId }));
+    },
+
+    async raiseHand(roomId, user) {
+        const raisedAt = new Date().toISOString();
+        await changeShow(roomId, (show) => {
+            if (show.host.userId === user.userId || show.speakers.includes(user.userId)) {
+                throw liveShowError('You can already speak');
+            }
+            if (show.raisedHands.some(hand => hand.userId === user.userId)) return undefined;
+            return { ...show, raisedHands: [...show.raisedHands, { userId: user.userId, userName: user.name, raisedAt }] };
+        });
+    },
+
+    async lowerHand(roomId, userId) {
+        await changeShow(roomId, (show) => ({ ...show, raisedHands: show.raisedHands.filter(hand => hand.userId !== userId) }));
+    },
+
+    async promote(roomId, userId) {
+        await changeShow(roomId, (show) => {
+            if (show.speakers.includes(userId)) return undefined;
+            if (show.speakers.length >= MAX_SPEAKERS) throw liveShowError(`At most ${MAX_SPEAKERS} speakers at a time`, 409);
+            return {
+                ...show,
+                speakers: [...show.speakers, userId],
+                raisedHands: show.raisedHands.filter(hand => hand.userId !== userId)
+            };
+        });
+    },
+
+    async demote(roomId, userId) {
+        await changeShow(roomId, (show) => ({ ...show, speakers: show.speakers.filter(id => id !== userId) }));
+    },
+
+    /**
+     * Someone left the room: drop their raised hand and speaker slot. The show ends when the host leaves.
+     * @returns {Promise<boolean>} - Whether the show state changed
+     */
+    async removeParticipant(roomId, userId) {
+        let changed = false;
+        await liveShows.update(roomId, (show) => {
+            changed = false;
+            if (!show) return undefined;
+            if (show.host.userId === userId) {
+                changed = true;
+                return null;
+            }
+            const speakers = show.speakers.filter(id => id !== userId);
+            const raisedHands = show.raisedHands.filter(hand => hand.userId !== userId);
+            if (speakers.length === show.speakers.length && raisedHands.length === show.raisedHands.length) return undefined;
+            changed = true;
+            return { ...show, speakers, raisedHands };
+        });
+        return changed;
+    },
+
+    async clear(roomId) {
+        await liveShows.delete(roomId);
+    }
+};
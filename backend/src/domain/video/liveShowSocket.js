@@ -0,0 +1,128 @@
+import { liveShowService } from './liveShowService.js';
+import { sfuService } from './sfuService.js';
+
+/**
+ * Register live show events on a /meeting socket.
+ * The room owner starts a show, pins products and promotes viewers who raised their hand; every change is
+ * broadcast to the room as 'live-show-updated' ({ roomId, show, action }), with show null once it ends.
+ * @param {import('socket.io').Namespace} namespace - The /meeting namespace
+ * @param {import('socket.io').Socket} socket - Connected socket
+ * @param {object} state - Async accessors into meeting state: { getUser(socketId), getRoom(roomId),
+ *   updateRoom(roomId, fn) (atomic, see roomService.update) }
+ */
+export function registerLiveShowHandlers(namespace, socket, { getUser, getRoom, updateRoom }) {
+    // Resolve the sender and make sure they are in the room they are acting on
+    const resolve = async (roomId) => {
+        const user = await getUser(socket.id);
+        const room = await getRoom(roomId);
+        if (!user || user.roomId !== roomId || !room) return null;
+        const isOwner = Boolean(room.metadata.owner && room.metadata.owner.userId === user.userId);
+        return { user, room, isOwner };
+    };
+
+    const broadcast = async (roomId, action) => {
+        const show = await liveShowService.getShow(roomId);
+        namespace.to(roomId).emit('live-show-updated', { roomId, show, action });
+    };
+
+    // Close the media-server producers of everyone in the room who may no longer send
+    const stopUnauthorizedPublishers = async (roomId, room) => {
+        for (const socketId of room.users) {
+            const member = await getUser(socketId);
+            if (!member || await liveShowService.canPublish(roomId, member.userId)) continue;
+            for (const producerId of sfuService.closeProducersOf(roomId, socketId)) {
+                namespace.to(roomId).emit('sfu-producer-closed', { producerId, socketId });
+            }
+        }
+    };
+
+    // Wrap a handler with membership/ownership checks and error reporting
+    const on = (event, handler, { ownerOnly = false } = {}) => {
+        socket.on(event, async (data) => {
+            try {
+                // Payloads come straight from the client: anything but an object is rejected before it is read
+                if (!data || typeof data !== 'object' || Array.isArray(data)) {
+                    socket.emit('live-show-error', { event, message: 'Invalid request' });
+                    return;
+                }
+                const ctx = await resolve(data.roomId);
+                if (!ctx) {
+                    socket.emit('live-show-error', { event, message: 'Not a member of this room' });
+                    return;
+                }
+                if (ownerOnly && !ctx.isOwner) {
+                    socket.emit('live-show-error', { event, message: 'Only the room owner can host a live show' });
+                    return;
+                }
+                await handler(data, ctx);
+            } catch (error) {
+                if (!error.status) console.error(`Error ${event}:`, error);
+                socket.emit('live-show-error', { event, message: error.message });
+            }
+        });
+    };
+
+    on('live-show-get', async ({ roomId }) => {
+        socket.emit('live-show-updated', { roomId, show: await liveShowService.getShow(roomId) });
+    });
+
+    on('live-show-start', async ({ roomId }, { user, room }) => {
+        await liveShowService.start(roomId, user);
+
+        // A show has one sender and many receivers, which is what the media server is for
+        if (sfuService.isEnabled() && room.metadata.mediaMode !== 'sfu') {
+            await updateRoom(roomId, (current) => (current
+                ? { ...current, metadata: { ...current.metadata, mediaMode: 'sfu' } }
+                : undefined));
+            namespace.to(roomId).emit('media-mode', { roomId, mode: 'sfu' });
+        }
+        await stopUnauthorizedPublishers(roomId, room);
+        await broadcast(roomId, { type: 'start', by: { userId: user.userId, userName: user.name } });
+    }, { ownerOnly: true });
+
+    on('live-show-end', async ({ roomId }, { user }) => {
+        await liveShowService.end(roomId);
+        await broadcast(roomId, { type: 'end', by: { userId: user.userId, userName: user.name } });
+    }, { ownerOnly: true });
+
+    on('live-show-pin', async ({ roomId, productId }) => {
+        await liveShowService.pinProduct(roomId, productId);
+        await broadcast(roomId, { type: 'pin', productId });
+    }, { ownerOnly: true });
+
+    on('live-show-unpin', async ({ roomId }) => {
+        await liveShowService.pinProduct(roomId, null);
+        await broadcast(roomId, { type: 'unpin' });
+    }, { ownerOnly: true });
+
+    on('live-show-raise-hand', async ({ roomId }, { user }) => {
+        await liveShowService.raiseHand(roomId, user);
+        await broadcast(roomId, { type: 'raise-hand', by: { userId: user.userId, userName: user.name } });
+    });
+
+    on('live-show-lower-hand', async ({ roomId }, { user }) => {
+        await liveShowService.lowerHand(roomId, user.userId);
+        await broadcast(roomId, { type: 'lower-hand', by: { userId: user.userId, userName: user.name } });
+    });
+
+    on('live-show-promote', async ({ roomId, userId }, { room }) => {
+        const members = await Promise.all(room.users.map(socketId => getUser(socketId)));
+        if (!members.some(member => member && member.userId === userId)) {
+            socket.emit('live-show-error', { event: 'live-show-promote', message: 'Only people in the room can be promoted' });
+            return;
+        }
+        await liveShowService.promote(roomId, userId);
+        await broadcast(roomId, { type: 'promote', userId });
+    }, { ownerOnly: true });
+
+    // The host can demote anyone; speakers can step down themselves
+    on('live-show-demote', async ({ roomId, userId }, { user, room, isOwner }) => {
+        if (!isOwner && userId !== user.userId) {
+            socket.emit('live-show-error', { event: 'live-show-demote', message: 'Only the room owner can demote other speakers' });
+            return;
+        }
+        await liveShowService.demote(roomId, userId);
+        await stopUnauthorizedPublishers(roomId, room);
+        await broadcast(roomId, { type: 'demote', userId });
+    });
+}
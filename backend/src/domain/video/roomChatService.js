@@ -0,0 +1,183 @@
+import { randomUUID } from 'crypto';
+import { createStore } from '../../config/storage.js';
+import { CHAT_REACTIONS, MAX_CHAT_MESSAGE_LENGTH } from '../../../../shared/roomChat.js';
+
+// Meeting room chat. History is kept per room (newest last) so people who join late can scroll back;
+// it is cleared together with the room (rooms created ahead of time keep it until they are closed).
+// roomId -> [{ messageId, roomId, userId, userName, message, timestamp, editedAt, reactions: { emoji: [userId] } }]
+const roomMessages = createStore('room-messages');
+// Moderation by the room owner: roomId -> { muted: [userId], banned: [userId] }
+const roomModeration = createStore('room-moderation');
+
+const MAX_HISTORY = 500; // Oldest messages are dropped past this
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+function chatError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function validateText(message) {
+    const text = typeof message === 'string' ? message.trim() : '';
+    if (!text) throw chatError('Message cannot be empty');
+    if (text.length > MAX_CHAT_MESSAGE_LENGTH) {
+        throw chatError(`Messages are limited to ${MAX_CHAT_MESSAGE_LENGTH} characters`);
+    }
+    return text;
+}
+
+async function getModeration(roomId) {
+    return (await roomModeration.get(roomId)) || { muted: [], banned: [] };
+}
+
+/**
+ * Change one message in a room's history in a single atomic step, so concurrent posts and edits all stick
+ * @param {function} change - (message) => the new message, or null to delete it. May throw to refuse.
+ * @returns {Promise<object|null>} - The changed message (null once deleted)
+ */
+async function changeMessage(roomId, messageId, change) {
+    let changed = null;
+    await roomMessages.update(roomId, (messages) => {
+        const index = (messages || []).findIndex(m => m.messageId === messageId);
+        if (index === -1) throw chatError('Message not found', 404);
+        changed = change(messages[index]);
+        return changed
+            ? messages.map((m, i) => (i === index ? changed : m))
+            : messages.filter((m, i) => i !== index);
+    });
+    return changed;
+}
+
+// Change the moderation lists of a room atomically
+async function changeModeration(roomId, change) {
+    await roomModeration.update(roomId, (moderation) => change(moderation || { muted: [], banned: [] }));
+}
+
+export const roomChatService = {
+    /**
+     * A page of a room's chat history, oldest first
+     * @param {string} roomId - Meeting room ID
+     * @param {object} options - { before: messageId to page back from, limit }
+     * @returns {Promise<{messages: Array, hasMore: boolean}>}
+     */
+    async listMessages(roomId, { before, limit } = {}) {
+        const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+        const messages = (await roomMessages.get(roomId)) || [];
+
+        let end = messages.length;
+        if (before) {
+            end = messages.findIndex(m => m.messageId === before);
+            if (end === -1) throw chatError('Message not found', 404);
+        }
+        const start = Math.max(end - pageSize, 0);
+        return { messages: messages.slice(start, end), hasMore: start > 0 };
+    },
+
+    /**
+     * Store a new message from a room member
+     * @param {string} roomId - Meeting room ID
+     * @param {object} user - Meeting user record ({ userId, name })
+     * @param {string} message - Text (trimmed, up to MAX_CHAT_MESSAGE_LENGTH characters)
+     * @returns {Promise<object>} - The stored message
+     */
+    async postMessage(roomId, user, message) {
+        const text = validateText(message);
+        if ((await getModeration(roomId)).muted.includes(user.userId)) {
+            throw chatError('You have been muted by the room owner', 403);
+        }
+
+        const entry = {
+            messageId: randomUUID(),
+            roomId,
+            userId: user.userId,
+            userName: user.name,
+            message: text,
+            timestamp: new Date().toISOString(),
+            editedAt: null,
+            reactions: {}
+        };
+        await roomMessages.update(roomId, (messages) => [...(messages || []), entry].slice(-MAX_HISTORY));
+        return entry;
+    },
+
+    /**
+     * Change the text of a message (its author only)
+     */
+    async editMessage(roomId, messageId, userId, message) {
+        const text = validateText(message);
+        const editedAt = new Date().toISOString();
+        return changeMessage(roomId, messageId, (current) => {
+            if (current.userId !== userId) throw chatError('You can only edit your own messages', 403);
+            return { ...current, message: text, editedAt };
+        });
+    },
+
+    /**
+     * Remove a message. Authors can delete their own; the room owner can delete anyone's.
+     */
+    async deleteMessage(roomId, messageId, { userId, isOwner = false }) {
+        await changeMessage(roomId, messageId, (message) => {
+            if (message.userId !== userId && !isOwner) throw chatError('You can only delete your own messages', 403);
+            return null;
+        });
+    },
+
+    /**
+     * Add a reaction to a message, or take it back if the user already reacted with that emoji
+     */
+    async toggleReaction(roomId, messageId, userId, emoji) {
+        if (!CHAT_REACTIONS.includes(emoji)) throw chatError('Unsupported reaction');
+        return changeMessage(roomId, messageId, (message) => {
+            const reactors = message.reactions[emoji] || [];
+            const reactions = { ...message.reactions };
+            if (reactors.includes(userId)) {
+                reactions[emoji] = reactors.filter(id => id !== userId);
+                if (reactions[emoji].length === 0) delete reactions[emoji];
+            } else {
+                reactions[emoji] = [...reactors, userId];
+            }
+            return { ...message, reactions };
+        });
+    },
+
+    /**
+     * IDs of the users the room owner muted
+     */
+    async getMutedUsers(roomId) {
+        return (await getModeration(roomId)).muted;
+    },
+
+    async isMuted(roomId, userId) {
+        return (await getModeration(roomId)).muted.includes(userId);
+    },
+
+    async isBanned(roomId, userId) {
+        return (await getModeration(roomId)).banned.includes(userId);
+    },
+
+    /**
+     * Stop a user from chatting and speaking in the room (or let them again)
+     */
+    async setMuted(roomId, userId, muted) {
+        await changeModeration(roomId, (moderation) => {
+            const others = moderation.muted.filter(id => id !== userId);
+            return { ...moderation, muted: muted ? [...others, userId] : others };
+        });
+    },
+
+    /**
+     * Keep a kicked user out of the room for as long as it exists
+     */
+    async ban(roomId, userId) {
+        await changeModeration(roomId, (moderation) => (moderation.banned.includes(userId)
+            ? undefined
+            : { ...moderation, banned: [...moderation.banned, userId] }));
+    },
+
+    async clear(roomId) {
+        await roomMessages.delete(roomId);
+        await roomModeration.delete(roomId);
+    }
+};
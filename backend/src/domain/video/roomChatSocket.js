@@ -0,0 +1,140 @@
+import { roomChatService } from './roomChatService.js';
+
+function moderationError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * Register room chat and owner moderation events on a /meeting socket.
+ * Chat changes are broadcast to the whole room (sender included): 'chat-message', 'chat-message-updated'
+ * and 'chat-message-deleted'. Failures go back to the sender as 'chat-error' ({ event, message }).
+ * @param {import('socket.io').Namespace} namespace - The /meeting namespace
+ * @param {import('socket.io').Socket} socket - Connected socket
+ * @param {object} state - Async accessors into meeting state:
+ *   { getUser(socketId), getRoom(roomId), saveUser(socketId, user), removeFromRoom(socketId, roomId) }
+ */
+export function registerRoomChatHandlers(namespace, socket, { getUser, getRoom, saveUser, removeFromRoom }) {
+    // Resolve the sender and make sure they are in the room they are acting on
+    const resolve = async (roomId) => {
+        const user = await getUser(socket.id);
+        const room = await getRoom(roomId);
+        if (!user || user.roomId !== roomId || !room) return null;
+        const isOwner = Boolean(room.metadata.owner && room.metadata.owner.userId === user.userId);
+        return { user, room, isOwner };
+    };
+
+    // Wrap a handler with membership/ownership checks and error reporting
+    const on = (event, handler, { ownerOnly = false } = {}) => {
+        socket.on(event, async (data) => {
+            try {
+                if (!data || typeof data !== 'object' || Array.isArray(data)) {
+                    socket.emit('chat-error', { event, message: 'Invalid request' });
+                    return;
+                }
+                const ctx = await resolve(data.roomId);
+                if (!ctx) {
+                    socket.emit('chat-error', { event, message: 'Not a member of this room' });
+                    return;
+                }
+                if (ownerOnly && !ctx.isOwner) {
+                    socket.emit('chat-error', { event, message: 'Only the room owner can moderate the room' });
+                    return;
+                }
+                await handler(data, ctx);
+            } catch (error) {
+                if (!error.status) console.error(`Error ${event}:`, error);
+                socket.emit('chat-error', { event, message: error.message });
+            }
+        });
+    };
+
+    // Sockets of a room member (a signed-in user can be in the room from several tabs)
+    const socketsOf = async (room, userId) => {
+        const members = await Promise.all(room.users.map(getUser));
+        return members.filter(member => member && member.userId === userId);
+    };
+
+    // A page of history ({ roomId, before?, limit? }), acked with { success: true, messages, hasMore } or
+    // { success: false, error }. Members only; it works for guests, who can't use GET /rooms/:roomId/messages.
+    socket.on('chat-history', async (data, ack) => {
+        if (typeof ack !== 'function') return;
+        try {
+            const ctx = data && typeof data === 'object' && !Array.isArray(data) ? await resolve(data.roomId) : null;
+            if (!ctx) {
+                ack({ success: false, error: 'Not a member of this room' });
+                return;
+            }
+            const { messages, hasMore } = await roomChatService.listMessages(data.roomId, { before: data.before, limit: data.limit });
+            ack({ success: true, messages, hasMore });
+        } catch (error) {
+            if (!error.status) console.error('Error chat-history:', error);
+            ack({ success: false, error: error.message });
+        }
+    });
+
+    on('chat-message', async ({ roomId, message }, { user }) => {
+        const entry = await roomChatService.postMessage(roomId, user, message);
+        namespace.to(roomId).emit('chat-message', { ...entry, socketId: socket.id });
+    });
+
+    on('chat-edit', async ({ roomId, messageId, message }, { user }) => {
+        const entry = await roomChatService.editMessage(roomId, messageId, user.userId, message);
+        namespace.to(roomId).emit('chat-message-updated', entry);
+    });
+
+    on('chat-delete', async ({ roomId, messageId }, { user, isOwner }) => {
+        await roomChatService.deleteMessage(roomId, messageId, { userId: user.userId, isOwner });
+        namespace.to(roomId).emit('chat-message-deleted', { roomId, messageId, deletedBy: user.userId });
+    });
+
+    on('chat-react', async ({ roomId, messageId, emoji }, { user }) => {
+        const entry = await roomChatService.toggleReaction(roomId, messageId, user.userId, emoji);
+        namespace.to(roomId).emit('chat-message-updated', entry);
+    });
+
+    // Not stored; clients stop showing the indicator after a few seconds without an update
+    on('chat-typing', async ({ roomId, isTyping }, { user }) => {
+        socket.to(roomId).emit('chat-typing', {
+            roomId,
+            userId: user.userId,
+            socketId: socket.id,
+            userName: user.name,
+            isTyping: Boolean(isTyping)
+        });
+    });
+
+    // Owner moderation: muting stops someone chatting and turns their microphone off until unmuted
+    const setMuted = async ({ roomId, userId }, { user, room }, muted) => {
+        if (userId === user.userId) throw moderationError('You cannot moderate yourself');
+        const targets = await socketsOf(room, userId);
+        if (targets.length === 0) throw moderationError('User is not in this room', 404);
+
+        await roomChatService.setMuted(roomId, userId, muted);
+        for (const target of targets) {
+            namespace.to(target.socketId).emit('room-moderated', { roomId, action: muted ? 'mute' : 'unmute', by: user.name });
+            if (muted && !target.isMuted) {
+                await saveUser(target.socketId, { ...target, isMuted: true });
+                namespace.to(roomId).emit('user-audio-changed', { userId, socketId: target.socketId, isMuted: true });
+            }
+        }
+        namespace.to(roomId).emit('room-user-muted', { roomId, userId, muted });
+    };
+
+    on('room-mute-user', (data, ctx) => setMuted(data, ctx, true), { ownerOnly: true });
+    on('room-unmute-user', (data, ctx) => setMuted(data, ctx, false), { ownerOnly: true });
+
+    // Kicked users are removed right away and can't rejoin (until the room is gone, for rooms made on the fly)
+    on('room-kick-user', async ({ roomId, userId }, { user, room }) => {
+        if (userId === user.userId) throw moderationError('You cannot moderate yourself');
+        const targets = await socketsOf(room, userId);
+        if (targets.length === 0) throw moderationError('User is not in this room', 404);
+
+        await roomChatService.ban(roomId, userId);
+        for (const target of targets) {
+            namespace.to(target.socketId).emit('room-moderated', { roomId, action: 'kick', by: user.name });
+            await removeFromRoom(target.socketId, roomId);
+        }
+    }, { ownerOnly: true });
+}
@@ -0,0 +1,450 @@
+import { randomUUID, randomBytes } from 'crypto';
+import { EventEmitter } from 'events';
+import { createStore } from '../../config/storage.js';
+
+// Meeting rooms. Rooms made by the first join-room are removed when they empty; rooms created ahead of
+// time through the API (and the seeded default room) are persistent and stay until their owner closes them.
+// roomId -> { roomId, users: [socketId], metadata: { createdAt, productCategory, owner: { userId, userName, socketId },
+//   mediaMode: 'mesh'|'sfu', title, visibility, maxParticipants, scheduledFor, persistent } }
+const rooms = createStore('rooms');
+// token -> { token, roomId, createdBy, createdAt, expiresAt, maxUses, redeemedBy: [userId] }
+const roomInvites = createStore('room-invites');
+
+const VISIBILITIES = ['public', 'private', 'invite'];
+const SORTS = ['popular', 'newest', 'title'];
+const MAX_ROOM_CAPACITY = parseInt(process.env.MAX_ROOM_CAPACITY) || 50;
+const EARLY_JOIN_MINUTES = 10; // Scheduled rooms let people in this long before they start
+const DEFAULT_INVITE_HOURS = 24 * 7;
+const MAX_TITLE_LENGTH = 100;
+
+// Lifecycle changes made through the API: 'room-closed' ({ roomId, by, socketIds }) and 'room-owner-changed'
+// ({ roomId, owner }). videoSocket.js tells the people in the room.
+export const roomEvents = new EventEmitter();
+
+// Errors carry a code for clients to react to (e.g. ROOM_FULL, INVITE_REQUIRED) besides the message
+function roomError(message, status = 400, code = 'INVALID_REQUEST') {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    return error;
+}
+
+function validateSettings({ title, scheduledFor, maxParticipants, visibility }, { partial = false } = {}) {
+    const settings = {};
+
+    if (title !== undefined || !partial) {
+        const text = typeof title === 'string' ? title.trim() : '';
+        if (!text) throw roomError('title is required');
+        if (text.length > MAX_TITLE_LENGTH) throw roomError(`title is limited to ${MAX_TITLE_LENGTH} characters`);
+        settings.title = text;
+    }
+
+    if (scheduledFor !== undefined) {
+        if (scheduledFor === null) {
+            settings.scheduledFor = null;
+        } else {
+            const start = new Date(scheduledFor);
+            if (isNaN(start.getTime())) throw roomError('scheduledFor must be a date');
+            if (start.getTime() < Date.now()) throw roomError('scheduledFor must be in the future');
+            settings.scheduledFor = start.toISOString();
+        }
+    }
+
+    if (maxParticipants !== undefined) {
+        if (maxParticipants === null) {
+            settings.maxParticipants = null;
+        } else {
+            const max = Number(maxParticipants);
+            if (!Number.isInteger(max) || max < 2 || max > MAX_ROOM_CAPACITY) {
+                throw roomError(`maxParticipants must be a whole number from 2 to ${MAX_ROOM_CAPACITY}`);
+            }
+            settings.maxParticipants = max;
+        }
+    }
+
+    if (visibility !== undefined) {
+        if (!VISIBILITIES.includes(visibility)) throw roomError(`visibility must be one of: ${VISIBILITIES.join(', ')}`);
+        settings.visibility = visibility;
+    }
+
+    return settings;
+}
+
+// When a scheduled room lets people in (EARLY_JOIN_MINUTES before it starts), or 0 if it isn't scheduled
+function opensAt(room) {
+    if (!room.metadata.scheduledFor) return 0;
+    return new Date(room.metadata.scheduledFor).getTime() - EARLY_JOIN_MINUTES * 60 * 1000;
+}
+
+function parseCount(value, name) {
+    if (value === undefined) return undefined;
+    const count = Number(value);
+    if (!Number.isInteger(count) || count < 0) throw roomError(`${name} must be a whole number`);
+    return count;
+}
+
+function parseFlag(value, name) {
+    if (value === undefined) return undefined;
+    if (value !== 'true' && value !== 'false' && typeof value !== 'boolean') throw roomError(`${name} must be true or false`);
+    return value === true || value === 'true';
+}
+
+function isOwner(room, userId) {
+    return Boolean(room.metadata.owner && room.metadata.owner.userId === userId);
+}
+
+// The room, if it exists and userId owns it (throws otherwise)
+function checkOwner(room, userId) {
+    if (!room) throw roomError('Room not found', 404, 'ROOM_NOT_FOUND');
+    if (!isOwner(room, userId)) throw roomError('Only the room owner can manage this room', 403, 'NOT_OWNER');
+    return room;
+}
+
+async function getOwnedRoom(roomId, userId) {
+    return checkOwner(await rooms.get(roomId), userId);
+}
+
+function isUsable(invite) {
+    if (new Date(invite.expiresAt).getTime() < Date.now()) return false;
+    return !invite.maxUses || invite.redeemedBy.length < invite.maxUses;
+}
+
+// Members of a private or invite-only room: people who have joined it with one of its invites
+async function hasRedeemedInvite(roomId, userId) {
+    return (await roomInvites.values()).some(invite => invite.roomId === roomId && invite.redeemedBy.includes(userId));
+}
+
+function toPublicInvite(invite) {
+    return {
+        token: invite.token,
+        roomId: invite.roomId,
+        createdAt: invite.createdAt,
+        expiresAt: invite.expiresAt,
+        maxUses: invite.maxUses,
+        uses: invite.redeemedBy.length
+    };
+}
+
+export const roomService = {
+    // ==================== STATE (used by videoSocket.js) ====================
+
+    async get(roomId) {
+        return rooms.get(roomId);
+    },
+
+    /**
+     * Change a room atomically: fn(room or null) returns the new room, null to delete it or undefined to leave
+     * it (it may run more than once, see config/storage.js). Every write goes through here, so joins and leaves
+     * on any instance never overwrite each other's membership changes.
+     * @returns {Promise<object|null>} - The room as stored
+     */
+    async update(roomId, fn) {
+        return rooms.update(roomId, fn);
+    },
+
+    async entries() {
+        return rooms.entries();
+    },
+
+    /**
+     * Remove a room that is (still) empty, unless it was created ahead of time
+     * @returns {Promise<boolean>} - Whether the room was deleted
+     */
+    async releaseIfEmpty(roomId) {
+        let released = false;
+        await rooms.update(roomId, (room) => {
+            released = Boolean(room && room.users.length === 0 && !room.metadata.persistent);
+            return released ? null : undefined;
+        });
+        return released;
+    },
+
+    /**
+     * Public view of a room, with its live occupancy:
+     * isActive - it can be joined now (scheduled rooms only open shortly before they start)
+     * channelActive - someone is in it
+     */
+    summarize(room) {
+        const maxParticipants = room.metadata.maxParticipants || null;
+        const userCount = room.users.length;
+        // Fields are listed one by one so nothing internal (like the owner's socket ID) is published
+        const { owner } = room.metadata;
+        return {
+            roomId: room.roomId,
+            title: room.metadata.title || room.roomId,
+            productCategory: room.metadata.productCategory,
+            createdAt: room.metadata.createdAt,
+            owner: owner ? { userId: owner.userId, userName: owner.userName } : null,
+            creatorId: owner ? owner.userId : null,
+            visibility: room.metadata.visibility || 'public',
+            maxParticipants,
+            scheduledFor: room.metadata.scheduledFor || null,
+            persistent: Boolean(room.metadata.persistent),
+            mediaMode: room.metadata.mediaMode || 'mesh',
+            userCount,
+            isActive: Date.now() >= opensAt(room),
+            channelActive: userCount > 0,
+            isFull: Boolean(maxParticipants && userCount >= maxParticipants)
+        };
+    },
+
+    /**
+     * Public rooms for listings (private and invite-only rooms are left out)
+     * @param {object} filters - Query values:
+     *   category - product category (case-insensitive)
+     *   active - 'true' for rooms open now, 'false' for scheduled ones that haven't opened
+     *   live - 'true' for rooms with someone in them, 'false' for empty ones
+     *   minUsers, maxUsers - bounds on the number of people in the room
+     *   available - 'true' to leave out full rooms
+     *   sort - 'popular' (most people first, the default), 'newest' or 'title'
+     * @returns {Promise<Array>} - Room summaries
+     * @throws {Error} - 400 for malformed filters
+     */
+    async listRooms(filters = {}) {
+        const category = filters.category ? String(filters.category).toLowerCase() : null;
+        const active = parseFlag(filters.active, 'active');
+        const live = parseFlag(filters.live, 'live');
+        const available = parseFlag(filters.available, 'available');
+        const minUsers = parseCount(filters.minUsers, 'minUsers');
+        const maxUsers = parseCount(filters.maxUsers, 'maxUsers');
+        const sort = filters.sort || 'popular';
+        if (!SORTS.includes(sort)) throw roomError(`sort must be one of: ${SORTS.join(', ')}`);
+
+        const summaries = (await rooms.values())
+            .filter(room => (room.metadata.visibility || 'public') === 'public')
+            .map(room => this.summarize(room))
+            .filter(room => !category || String(room.productCategory).toLowerCase() === category)
+            .filter(room => active === undefined || room.isActive === active)
+            .filter(room => live === undefined || room.channelActive === live)
+            .filter(room => !available || !room.isFull)
+            .filter(room => minUsers === undefined || room.userCount >= minUsers)
+            .filter(room => maxUsers === undefined || room.userCount <= maxUsers);
+
+        const byNewest = (a, b) => b.createdAt.localeCompare(a.createdAt);
+        if (sort === 'popular') summaries.sort((a, b) => b.userCount - a.userCount || byNewest(a, b));
+        else if (sort === 'newest') summaries.sort(byNewest);
+        else summaries.sort((a, b) => a.title.localeCompare(b.title));
+        return summaries;
+    },
+
+    /**
+     * Live occupancy of one room, for doors and walls that poll it
+     * @returns {Promise<object|null>} - null when the room doesn't exist
+     */
+    async getStatus(roomId) {
+        const room = await rooms.get(roomId);
+        if (!room) return null;
+        const { userCount, maxParticipants, isActive, channelActive, isFull, visibility, scheduledFor, mediaMode } = this.summarize(room);
+        return { roomId, userCount, maxParticipants, isActive, channelActive, isFull, visibility, scheduledFor, mediaMode };
+    },
+
+    // ==================== LIFECYCLE ====================
+
+    /**
+     * Create a room ahead of time. It stays (empty) until its owner closes it.
+     * @param {object} data - { roomId?, title, productCategory, scheduledFor?, maxParticipants?, visibility? }
+     * @param {object} owner - { userId, userName }
+     */
+    async createRoom(data, owner) {
+        const settings = validateSettings(data);
+        const productCategory = typeof data.productCategory === 'string' && data.productCategory.trim()
+            ? data.productCategory.trim()
+            : 'General';
+
+        let roomId = data.roomId;
+        if (roomId !== undefined) {
+            if (typeof roomId !== 'string' || !/^[a-zA-Z0-9_-]{3,64}$/.test(roomId)) {
+                throw roomError('roomId must be 3-64 letters, digits, dashes or underscores');
+            }
+        } else {
+            roomId = `room-${randomUUID().slice(0, 8)}`;
+        }
+
+        const room = {
+            roomId,
+            users: [],
+            metadata: {
+                createdAt: new Date().toISOString(),
+                productCategory,
+                owner: { userId: owner.userId, userName: owner.userName, socketId: null },
+                visibility: 'public',
+                maxParticipants: null,
+                scheduledFor: null,
+                ...settings,
+                persistent: true
+            }
+        };
+        if (!(await rooms.setIfAbsent(roomId, room))) {
+            throw roomError('A room with this ID already exists', 409, 'ROOM_EXISTS');
+        }
+        return this.summarize(room);
+    },
+
+    /**
+     * Change a room's title, schedule, capacity or visibility (owner only)
+     */
+    async updateRoom(roomId, userId, changes) {
+        const settings = validateSettings(changes, { partial: true });
+        const room = await rooms.update(roomId, (current) => ({
+            ...checkOwner(current, userId),
+            metadata: { ...current.metadata, ...settings }
+        }));
+        return this.summarize(room);
+    },
+
+    /**
+     * Close a room for good (owner only): everyone is sent out and its invites stop working
+     */
+    async closeRoom(roomId, userId) {
+        let room = null;
+        await rooms.update(roomId, (current) => {
+            room = checkOwner(current, userId);
+            return null;
+        });
+        for (const invite of await roomInvites.values()) {
+            if (invite.roomId === roomId) await roomInvites.delete(invite.token);
+        }
+        roomEvents.emit('room-closed', { roomId, by: room.metadata.owner, socketIds: room.users });
+    },
+
+    /**
+     * Hand a room to another account (owner only)
+     * @param {object} newOwner - { userId, userName } of an existing account
+     */
+    async transferOwnership(roomId, userId, newOwner) {
+        if (newOwner.userId === userId) throw roomError('You already own this room');
+        const owner = { userId: newOwner.userId, userName: newOwner.userName, socketId: null };
+        const room = await rooms.update(roomId, (current) => ({
+            ...checkOwner(current, userId),
+            metadata: { ...current.metadata, owner }
+        }));
+        roomEvents.emit('room-owner-changed', { roomId, owner: room.metadata.owner });
+        return this.summarize(room);
+    },
+
+    // ==================== JOINING ====================
+
+    /**
+     * Check whether someone may join: the owner always can; others need the room to be open (scheduled rooms)
+     * and a free place. Invite-only rooms need an invite on every join; private rooms let their members back in
+     * by ID and need an invite from everyone else. The invite is used up here, once the other checks pass.
+     * @param {object} room - Room record
+     * @param {string} userId - Joining user
+     * @param {object} options - { socketId, inviteToken }
+     * @throws {Error} - With status and code (ROOM_NOT_OPEN, INVITE_REQUIRED, INVITE_INVALID, ROOM_FULL)
+     */
+    async checkJoin(room, userId, { socketId, inviteToken } = {}) {
+        if (isOwner(room, userId)) return;
+        const { visibility } = room.metadata;
+
+        if (Date.now() < opensAt(room)) {
+            throw roomError(`This room opens at ${new Date(opensAt(room)).toISOString()}`, 403, 'ROOM_NOT_OPEN');
+        }
+
+        this.checkCapacity(room, userId, socketId);
+
+        if (visibility !== 'invite' && visibility !== 'private') return;
+        if (inviteToken) {
+            await this.redeemInvite(room.roomId, inviteToken, userId);
+        } else if (visibility === 'invite' || !(await hasRedeemedInvite(room.roomId, userId))) {
+            throw roomError(`This room is ${visibility === 'invite' ? 'invite-only' : 'private'}`, 403, 'INVITE_REQUIRED');
+        }
+    },
+
+    /**
+     * Check there is a free place for a socket joining the room (the owner always gets in). checkJoin runs this
+     * up front; join-room runs it again inside its roomService.update so concurrent joins can't overfill a room.
+     * @throws {Error} - 409 ROOM_FULL
+     */
+    checkCapacity(room, userId, socketId) {
+        const { maxParticipants } = room.metadata;
+        if (!maxParticipants || isOwner(room, userId)) return;
+        const others = room.users.filter(sid => sid !== socketId);
+        if (others.length >= maxParticipants) {
+            throw roomError(`This room is full (${maxParticipants} people)`, 409, 'ROOM_FULL');
+        }
+    },
+
+    /**
+     * Check someone may see into a room (its chat history) without being in it: the owner always can; public
+     * rooms are open to anyone with the ID, private and invite-only rooms to people who have used an invite to them.
+     * @throws {Error} - 403 INVITE_REQUIRED
+     */
+    async checkAccess(room, userId) {
+        const { visibility } = room.metadata;
+        if (isOwner(room, userId) || (visibility !== 'invite' && visibility !== 'private')) return;
+        if (!(await hasRedeemedInvite(room.roomId, userId))) {
+            throw roomError(`This room is ${visibility === 'invite' ? 'invite-only' : 'private'}`, 403, 'INVITE_REQUIRED');
+        }
+    },
+
+    /**
+     * Use an invite to a room: checked and counted in one atomic step, so concurrent joins can't go past
+     * its maxUses. Rejoining with an invite you already used doesn't use it up again.
+     * @throws {Error} - 403 INVITE_INVALID
+     */
+    async redeemInvite(roomId, token, userId) {
+        await roomInvites.update(token, (invite) => {
+            const alreadyRedeemed = invite && invite.redeemedBy.includes(userId);
+            if (!invite || invite.roomId !== roomId || (!alreadyRedeemed && !isUsable(invite))) {
+                throw roomError('This invite is invalid or has expired', 403, 'INVITE_INVALID');
+            }
+            if (alreadyRedeemed) return undefined;
+            return { ...invite, redeemedBy: [...invite.redeemedBy, userId] };
+        });
+    },
+
+    // ==================== INVITES ====================
+
+    /**
+     * Issue a shareable invite token (owner only)
+     * @param {object} options - { expiresInHours (default 7 days), maxUses (default unlimited) }
+     */
+    async createInvite(roomId, userId, { expiresInHours, maxUses } = {}) {
+        await getOwnedRoom(roomId, userId);
+
+        const hours = expiresInHours === undefined ? DEFAULT_INVITE_HOURS : Number(expiresInHours);
+        if (!(hours > 0) || hours > 24 * 30) throw roomError('expiresInHours must be more than 0 and at most 720');
+        if (maxUses !== undefined && maxUses !== null && (!Number.isInteger(maxUses) || maxUses < 1)) {
+            throw roomError('maxUses must be a positive whole number');
+        }
+
+        const now = Date.now();
+        const invite = {
+            token: randomBytes(18).toString('base64url'),
+            roomId,
+            createdBy: userId,
+            createdAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + hours * 60 * 60 * 1000).toISOString(),
+            maxUses: maxUses || null,
+            redeemedBy: []
+        };
+        await roomInvites.set(invite.token, invite);
+        return toPublicInvite(invite);
+    },
+
+    async listInvites(roomId, userId) {
+        await getOwnedRoom(roomId, userId);
+        return (await roomInvites.values())
+            .filter(invite => invite.roomId === roomId)
+            .map(toPublicInvite);
+    },
+
+    async revokeInvite(roomId, userId, token) {
+        await getOwnedRoom(roomId, userId);
+        const invite = await roomInvites.get(token);
+        if (!invite || invite.roomId !== roomId) throw roomError('Invite not found', 404, 'INVITE_NOT_FOUND');
+        await roomInvites.delete(token);
+    },
+
+    /**
+     * The room an invite leads to, for an invite link preview
+     * @throws {Error} - 404 when the invite doesn't exist, has expired or is used up
+     */
+    async getInviteRoom(token) {
+        const invite = await roomInvites.get(token);
+        const room = invite && isUsable(invite) ? await rooms.get(invite.roomId) : null;
+        if (!room) throw roomError('This invite is invalid or has expired', 404, 'INVITE_INVALID');
+        return { invite: toPublicInvite(invite), room: this.summarize(room) };
+    }
+};
@@ -0,0 +1,273 @@
+// Selective forwarding for large meeting rooms: each publisher sends its tracks to the server once
+// and the server forwards them to every subscriber, instead of everyone connecting to everyone.
+// Media runs through mediasoup, which spawns its own C++ worker process next to this one.
+// mediasoup is an optional dependency (it compiles a native worker), so it is only loaded when SFU_ENABLED=true.
+
+const SFU_ENABLED = process.env.SFU_ENABLED === 'true';
+// Rooms switch from mesh to SFU once they have more than this many participants
+const SFU_THRESHOLD = Math.max(2, Number(process.env.SFU_THRESHOLD) || 5);
+const SFU_LISTEN_IP = process.env.SFU_LISTEN_IP || '0.0.0.0';
+// Address browsers should send media to (the public IP when listening on 0.0.0.0 behind NAT)
+const SFU_ANNOUNCED_IP = process.env.SFU_ANNOUNCED_IP || undefined;
+const SFU_RTC_MIN_PORT = Number(process.env.SFU_RTC_MIN_PORT) || 40000;
+const SFU_RTC_MAX_PORT = Number(process.env.SFU_RTC_MAX_PORT) || 40100;
+
+const MEDIA_CODECS = [
+    { kind: 'audio', mimeType: 'audio/opus', clockRate: 48000, channels: 2 },
+    { kind: 'video', mimeType: 'video/VP8', clockRate: 90000, parameters: { 'x-google-start-bitrate': 1000 } },
+    {
+        kind: 'video',
+        mimeType: 'video/H264',
+        clockRate: 90000,
+        parameters: { 'packetization-mode': 1, 'profile-level-id': '42e01f', 'level-asymmetry-allowed': 1 }
+    }
+];
+
+let workerPromise = null;
+// roomId -> { router, peers: Map(socketId -> { transports: Map, producers: Map, consumers: Map }) }
+const rooms = new Map();
+
+function sfuError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+async function getWorker() {
+    if (!workerPromise) {
+        workerPromise = import('mediasoup')
+            .then(mediasoup => mediasoup.createWorker({
+                logLevel: 'warn',
+                rtcMinPort: SFU_RTC_MIN_PORT,
+                rtcMaxPort: SFU_RTC_MAX_PORT
+            }))
+            .then(worker => {
+                worker.on('died', (error) => {
+                    // Every router went with it; rooms get a fresh worker the next time someone publishes
+                    console.error('SFU: mediasoup worker died:', error);
+                    workerPromise = null;
+                    rooms.clear();
+                });
+                console.log(`✅ SFU: mediasoup worker started (pid ${worker.pid})`);
+                return worker;
+            })
+            .catch(error => {
+                workerPromise = null;
+                console.error('SFU: could not start mediasoup (is it installed?):', error.message);
+                throw sfuError('Media server unavailable', 503);
+            });
+    }
+    return workerPromise;
+}
+
+async function getRoom(roomId) {
+    let room = rooms.get(roomId);
+    if (!room) {
+        const worker = await getWorker();
+        // Another join may have created it while we waited for the worker
+        room = rooms.get(roomId);
+        if (!room) {
+            room = { router: await worker.createRouter({ mediaCodecs: MEDIA_CODECS }), peers: new Map() };
+            rooms.set(roomId, room);
+        }
+    }
+    return room;
+}
+
+function getPeer(room, socketId) {
+    let peer = room.peers.get(socketId);
+    if (!peer) {
+        peer = { transports: new Map(), producers: new Map(), consumers: new Map() };
+        room.peers.set(socketId, peer);
+    }
+    return peer;
+}
+
+function getTransport(room, socketId, transportId) {
+    const transport = room.peers.get(socketId)?.transports.get(transportId);
+    if (!transport) throw sfuError('Transport not found', 404);
+    return transport;
+}
+
+export const sfuService = {
+    isEnabled() {
+        return SFU_ENABLED;
+    },
+
+    /**
+     * Media mode a room should use. Once a room goes SFU it stays SFU until it empties,
+     * so people aren't reconnected every time someone joins or leaves around the threshold.
+     * @param {number} userCount - Participants in the room
+     * @param {'mesh'|'sfu'|undefined} currentMode
+     * @returns {'mesh'|'sfu'}
+     */
+    modeFor(userCount, currentMode) {
+        if (!SFU_ENABLED) return 'mesh';
+        return currentMode === 'sfu' || userCount > SFU_THRESHOLD ? 'sfu' : 'mesh';
+    },
+
+    /**
+     * Codecs the room's router supports (clients load their mediasoup Device with these)
+     */
+    async getRtpCapabilities(roomId) {
+        const room = await getRoom(roomId);
+        return room.router.rtpCapabilities;
+    },
+
+    /**
+     * Create a WebRTC transport for sending or receiving
+     * @returns {Promise<{id, iceParameters, iceCandidates, dtlsParameters}>} - Passed to the client's createSend/RecvTransport
+     */
+    async createTransport(roomId, socketId, direction) {
+        if (direction !== 'send' && direction !== 'recv') throw sfuError('direction must be send or recv');
+        const room = await getRoom(roomId);
+        const transport = await room.router.createWebRtcTransport({
+            listenInfos: [
+                { protocol: 'udp', ip: SFU_LISTEN_IP, announcedAddress: SFU_ANNOUNCED_IP },
+                { protocol: 'tcp', ip: SFU_LISTEN_IP, announcedAddress: SFU_ANNOUNCED_IP }
+            ],
+            enableUdp: true,
+            enableTcp: true,
+            preferUdp: true,
+            appData: { direction }
+        });
+        getPeer(room, socketId).transports.set(transport.id, transport);
+
+        return {
+            id: transport.id,
+            iceParameters: transport.iceParameters,
+            iceCandidates: transport.iceCandidates,
+            dtlsParameters: transport.dtlsParameters
+        };
+    },
+
+    async connectTransport(roomId, socketId, transportId, dtlsParameters) {
+        const room = await getRoom(roomId);
+        await getTransport(room, socketId, transportId).connect({ dtlsParameters });
+    },
+
+    /**
+     * New ICE credentials for a transport whose connection failed
+     * @returns {Promise<object>} - iceParameters for the client's transport.restartIce()
+     */
+    async restartIce(roomId, socketId, transportId) {
+        const room = await getRoom(roomId);
+        return getTransport(room, socketId, transportId).restartIce();
+    },
+
+    /**
+     * Start receiving a track from a publisher
+     * @returns {Promise<string>} - Producer ID, announced to the rest of the room
+     */
+    async produce(roomId, socketId, transportId, { kind, rtpParameters, appData = {} }) {
+        const room = await getRoom(roomId);
+        const transport = getTransport(room, socketId, transportId);
+        if (transport.appData.direction !== 'send') throw sfuError('Not a send transport');
+
+        const producer = await transport.produce({ kind, rtpParameters, appData: { ...appData, socketId } });
+        const peer = getPeer(room, socketId);
+        peer.producers.set(producer.id, producer);
+        producer.on('transportclose', () => peer.producers.delete(producer.id));
+        return producer.id;
+    },
+
+    /**
+     * Forward a publisher's track to a subscriber. The consumer starts paused; the client resumes it
+     * once its side is ready so no keyframe is lost.
+     */
+    async consume(roomId, socketId, transportId, producerId, rtpCapabilities) {
+        const room = await getRoom(roomId);
+        const transport = getTransport(room, socketId, transportId);
+        if (transport.appData.direction !== 'recv') throw sfuError('Not a receive transport');
+        if (!room.router.canConsume({ producerId, rtpCapabilities })) {
+            throw sfuError('Cannot consume this producer with these capabilities');
+        }
+
+        const consumer = await transport.consume({ producerId, rtpCapabilities, paused: true });
+        const peer = getPeer(room, socketId);
+        peer.consumers.set(consumer.id, consumer);
+        consumer.on('transportclose', () => peer.consumers.delete(consumer.id));
+        consumer.on('producerclose', () => peer.consumers.delete(consumer.id));
+
+        return {
+            id: consumer.id,
+            producerId,
+            kind: consumer.kind,
+            rtpParameters: consumer.rtpParameters
+        };
+    },
+
+    async resumeConsumer(roomId, socketId, consumerId) {
+        const room = await getRoom(roomId);
+        const consumer = room.peers.get(socketId)?.consumers.get(consumerId);
+        if (!consumer) throw sfuError('Consumer not found', 404);
+        await consumer.resume();
+    },
+
+    /**
+     * Stop publishing one track
+     * @returns {boolean} - Whether it existed
+     */
+    closeProducer(roomId, socketId, producerId) {
+        const producer = rooms.get(roomId)?.peers.get(socketId)?.producers.get(producerId);
+        if (!producer) return false;
+        producer.close();
+        rooms.get(roomId).peers.get(socketId).producers.delete(producerId);
+        return true;
+    },
+
+    /**
+     * Tracks currently published in a room
+     * @param {string} roomId
+     * @param {string} exceptSocketId - Leave out this peer's own tracks
+     * @returns {Array<{producerId: string, socketId: string, kind: string, appData: object}>}
+     */
+    listProducers(roomId, exceptSocketId = null) {
+        const room = rooms.get(roomId);
+        if (!room) return [];
+        const producers = [];
+        for (const [socketId, peer] of room.peers) {
+            if (socketId === exceptSocketId) continue;
+            for (const producer of peer.producers.values()) {
+                producers.push({ producerId: producer.id, socketId, kind: producer.kind, appData: producer.appData });
+            }
+        }
+        return producers;
+    },
+
+    /**
+     * Stop everything a peer publishes while keeping what they receive (e.g. a live-show speaker who was demoted)
+     * @returns {string[]} - IDs of the producers that were closed
+     */
+    closeProducersOf(roomId, socketId) {
+        const peer = rooms.get(roomId)?.peers.get(socketId);
+        if (!peer) return [];
+        const producerIds = [...peer.producers.keys()];
+        peer.producers.forEach(producer => producer.close());
+        peer.producers.clear();
+        return producerIds;
+    },
+
+    /**
+     * Close everything a peer had open in a room
+     * @returns {string[]} - IDs of the producers that were closed
+     */
+    removePeer(roomId, socketId) {
+        const room = rooms.get(roomId);
+        const peer = room?.peers.get(socketId);
+        if (!peer) return [];
+
+        const producerIds = [...peer.producers.keys()];
+        // Closing a transport closes its producers and consumers too
+        peer.transports.forEach(transport => transport.close());
+        room.peers.delete(socketId);
+        return producerIds;
+    },
+
+    closeRoom(roomId) {
+        const room = rooms.get(roomId);
+        if (!room) return;
+        room.router.close();
+        rooms.delete(roomId);
+    }
+};
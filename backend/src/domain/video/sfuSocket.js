@@ -0,0 +1,93 @@
+import { sfuService } from './sfuService.js';
+import { liveShowService } from './liveShowService.js';
+
+/**
+ * Register selective-forwarding signaling on a /meeting socket.
+ * Only used once the room has switched to 'sfu' media mode (see sfuService.modeFor); every event
+ * takes an ack callback that receives { success: true, ... } or { success: false, error }.
+ * @param {import('socket.io').Namespace} namespace - The /meeting namespace
+ * @param {import('socket.io').Socket} socket - Connected socket
+ * @param {object} state - Async accessors into meeting state: { getUser(socketId), getRoom(roomId) }
+ */
+export function registerSfuHandlers(namespace, socket, { getUser, getRoom }) {
+    // Wrap a handler with membership/mode checks and ack the result
+    const on = (event, handler) => {
+        socket.on(event, async (data = {}, ack) => {
+            if (typeof ack !== 'function') return;
+            try {
+                const user = await getUser(socket.id);
+                const room = user && user.roomId ? await getRoom(user.roomId) : null;
+                if (!room) {
+                    ack({ success: false, error: 'Not in a room' });
+                    return;
+                }
+                if (room.metadata.mediaMode !== 'sfu') {
+                    ack({ success: false, error: 'Room is not using the media server' });
+                    return;
+                }
+                ack({ success: true, ...(await handler(data, { user, roomId: user.roomId })) });
+            } catch (error) {
+                if (!error.status) console.error(`Error ${event}:`, error);
+                ack({ success: false, error: error.message });
+            }
+        });
+    };
+
+    // Router codecs, plus the tracks already being published so the joiner can subscribe to them
+    on('sfu-get-capabilities', async (data, { roomId }) => ({
+        rtpCapabilities: await sfuService.getRtpCapabilities(roomId),
+        producers: sfuService.listProducers(roomId, socket.id)
+    }));
+
+    on('sfu-create-transport', async ({ direction }, { roomId }) => ({
+        transport: await sfuService.createTransport(roomId, socket.id, direction)
+    }));
+
+    on('sfu-connect-transport', async ({ transportId, dtlsParameters }, { roomId }) => {
+        await sfuService.connectTransport(roomId, socket.id, transportId, dtlsParameters);
+        return {};
+    });
+
+    on('sfu-restart-ice', async ({ transportId }, { roomId }) => ({
+        iceParameters: await sfuService.restartIce(roomId, socket.id, transportId)
+    }));
+
+    on('sfu-produce', async ({ transportId, kind, rtpParameters, appData }, { user, roomId }) => {
+        // During a live show viewers only receive
+        if (!(await liveShowService.canPublish(roomId, user.userId))) {
+            const error = new Error('Only the host and speakers can send media during a live show');
+            error.status = 403;
+            throw error;
+        }
+        const producerId = await sfuService.produce(roomId, socket.id, transportId, {
+            kind,
+            rtpParameters,
+            // Lets later joiners label the track (see sfu-get-capabilities)
+            appData: { ...appData, userId: user.userId, userName: user.name }
+        });
+        socket.to(roomId).emit('sfu-new-producer', {
+            producerId,
+            socketId: socket.id,
+            userId: user.userId,
+            userName: user.name,
+            kind
+        });
+        return { producerId };
+    });
+
+    on('sfu-consume', async ({ transportId, producerId, rtpCapabilities }, { roomId }) => ({
+        consumer: await sfuService.consume(roomId, socket.id, transportId, producerId, rtpCapabilities)
+    }));
+
+    on('sfu-resume-consumer', async ({ consumerId }, { roomId }) => {
+        await sfuService.resumeConsumer(roomId, socket.id, consumerId);
+        return {};
+    });
+
+    on('sfu-close-producer', async ({ producerId }, { roomId }) => {
+        if (sfuService.closeProducer(roomId, socket.id, producerId)) {
+            namespace.to(roomId).emit('sfu-producer-closed', { producerId, socketId: socket.id });
+        }
+        return {};
+    });
+}
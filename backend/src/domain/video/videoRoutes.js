@@ -1,35 +1,229 @@
 import express from 'express';
-import { getRooms } from './videoSocket.js';
+import { roomService } from './roomService.js';
+import { roomChatService } from './roomChatService.js';
+import { liveShowService } from './liveShowService.js';
+import { iceService } from './iceService.js';
+import { authService } from '../auth/authService.js';
+import { authenticate, requireAuth } from '../auth/authMiddleware.js';
 
 const router = express.Router();
 
-// Get all rooms (standard endpoint)
-router.get('/rooms', (req, res) => {
+// Send service errors with their status code (validation/permission errors) or 500.
+// Room errors also carry a code (e.g. ROOM_EXISTS, NOT_OWNER).
+function handleError(res, error, logMessage) {
+    if (error.status) {
+        return res.status(error.status).json({ success: false, message: error.message, code: error.code });
+    }
+    console.error(`${logMessage}:`, error);
+    res.status(500).json({ success: false, message: 'Internal Server Error' });
+}
+
+// ==================== DISCOVERY ====================
+// Listings only include public rooms, most popular first. Query (all optional): category, active (open now),
+// live (someone in it), minUsers, maxUsers, available (not full), sort ('popular', 'newest' or 'title').
+
+// Get all public rooms (standard endpoint)
+router.get('/rooms', async (req, res) => {
     try {
-        const rooms = getRooms();
+        const rooms = await roomService.listRooms(req.query);
         res.json({
             success: true,
             rooms: rooms,
             count: rooms.length
         });
     } catch (error) {
-        console.error('Error fetching rooms:', error);
-        res.status(500).json({ success: false, message: 'Internal Server Error' });
+        handleError(res, error, 'Error fetching rooms');
     }
 });
 
 // Backward compatibility (Frontend calls /api/redis/rooms)
-router.get('/redis/rooms', (req, res) => {
+router.get('/redis/rooms', async (req, res) => {
     try {
-        const rooms = getRooms();
+        const rooms = await roomService.listRooms(req.query);
         res.json({
             success: true,
             rooms: rooms,
             count: rooms.length
         });
     } catch (error) {
-        console.error('Error fetching rooms (legacy):', error);
-        res.status(500).json({ success: false, message: 'Internal Server Error' });
+        handleError(res, error, 'Error fetching rooms (legacy)');
+    }
+});
+
+// Public rooms of one product category (the mall's shop doors)
+router.get('/rooms/:category', async (req, res) => {
+    try {
+        const rooms = await roomService.listRooms({ ...req.query, category: req.params.category });
+        res.json({ success: true, category: req.params.category, rooms, count: rooms.length });
+    } catch (error) {
+        handleError(res, error, 'Error fetching rooms by category');
+    }
+});
+
+router.get('/redis/rooms/category/:category', async (req, res) => {
+    try {
+        const rooms = await roomService.listRooms({ ...req.query, category: req.params.category });
+        res.json({ success: true, category: req.params.category, rooms, count: rooms.length });
+    } catch (error) {
+        handleError(res, error, 'Error fetching rooms by category (legacy)');
+    }
+});
+
+// One room by ID (private rooms too - their ID is what people share)
+router.get('/redis/room/:roomId', async (req, res) => {
+    try {
+        const room = await roomService.get(req.params.roomId);
+        if (!room) return res.status(404).json({ success: false, message: 'Room not found' });
+        res.json({ success: true, room: roomService.summarize(room) });
+    } catch (error) {
+        handleError(res, error, 'Error fetching room');
+    }
+});
+
+// Live occupancy of a room, cheap enough to poll: { isActive, channelActive, userCount, maxParticipants, isFull, liveShow, ... }
+router.get('/rooms/:roomId/status', async (req, res) => {
+    try {
+        const status = await roomService.getStatus(req.params.roomId);
+        if (!status) {
+            return res.status(404).json({ success: false, roomId: req.params.roomId, isActive: false, channelActive: false });
+        }
+        const show = await liveShowService.getShow(req.params.roomId);
+        res.set('Cache-Control', 'no-store');
+        res.json({ success: true, ...status, liveShow: Boolean(show) });
+    } catch (error) {
+        handleError(res, error, 'Error fetching room status');
+    }
+});
+
+// Chat history of a room, oldest first. Query: before (messageId to page back from), limit (default 50, max 100)
+// Signed-in users only, and only for rooms they could join (people in the room use the 'chat-history' socket event)
+router.get('/rooms/:roomId/messages', requireAuth, async (req, res) => {
+    try {
+        const room = await roomService.get(req.params.roomId);
+        if (!room) {
+            return res.status(404).json({ success: false, message: 'Room not found' });
+        }
+        if (await roomChatService.isBanned(req.params.roomId, req.user.userId)) {
+            return res.status(403).json({ success: false, message: 'You were removed from this room by its owner', code: 'BANNED' });
+        }
+        await roomService.checkAccess(room, req.user.userId);
+        const { messages, hasMore } = await roomChatService.listMessages(req.params.roomId, {
+            before: req.query.before,
+            limit: req.query.limit
+        });
+        res.json({ success: true, messages, count: messages.length, hasMore });
+    } catch (error) {
+        handleError(res, error, 'Error fetching room messages');
+    }
+});
+
+// ==================== ROOM LIFECYCLE ====================
+// Rooms created here are persistent: they stay when empty until the owner closes them.
+// Visibility: 'public' (listed, joinable by ID), 'private' (unlisted; members rejoin by ID, newcomers need an invite)
+// or 'invite' (needs an invite token on every join).
+
+// Create a room. Body: { roomId?, title, productCategory?, scheduledFor?, maxParticipants?, visibility? }
+router.post('/rooms', requireAuth, async (req, res) => {
+    try {
+        const room = await roomService.createRoom(req.body || {}, {
+            userId: req.user.userId,
+            userName: req.user.displayName
+        });
+        res.status(201).json({ success: true, room });
+    } catch (error) {
+        handleError(res, error, 'Error creating room');
+    }
+});
+
+// Change a room's title, schedule, capacity or visibility (owner only)
+router.patch('/rooms/:roomId', requireAuth, async (req, res) => {
+    try {
+        const room = await roomService.updateRoom(req.params.roomId, req.user.userId, req.body || {});
+        res.json({ success: true, room });
+    } catch (error) {
+        handleError(res, error, 'Error updating room');
+    }
+});
+
+// Close a room: everyone in it is sent out and its invites stop working (owner only)
+router.delete('/rooms/:roomId', requireAuth, async (req, res) => {
+    try {
+        await roomService.closeRoom(req.params.roomId, req.user.userId);
+        res.json({ success: true });
+    } catch (error) {
+        handleError(res, error, 'Error closing room');
+    }
+});
+
+// Hand the room to another account (owner only). Body: { userId }
+router.post('/rooms/:roomId/transfer', requireAuth, async (req, res) => {
+    try {
+        const account = req.body && req.body.userId ? await authService.getUserById(req.body.userId) : null;
+        if (!account) return res.status(404).json({ success: false, message: 'User not found' });
+
+        const room = await roomService.transferOwnership(req.params.roomId, req.user.userId, {
+            userId: account.userId,
+            userName: account.displayName
+        });
+        res.json({ success: true, room });
+    } catch (error) {
+        handleError(res, error, 'Error transferring room');
+    }
+});
+
+// Create a shareable invite (owner only). Body: { expiresInHours? (default 168), maxUses? }
+router.post('/rooms/:roomId/invites', requireAuth, async (req, res) => {
+    try {
+        const invite = await roomService.createInvite(req.params.roomId, req.user.userId, req.body || {});
+        res.status(201).json({ success: true, invite });
+    } catch (error) {
+        handleError(res, error, 'Error creating invite');
+    }
+});
+
+router.get('/rooms/:roomId/invites', requireAuth, async (req, res) => {
+    try {
+        const invites = await roomService.listInvites(req.params.roomId, req.user.userId);
+        res.json({ success: true, invites, count: invites.length });
+    } catch (error) {
+        handleError(res, error, 'Error fetching invites');
+    }
+});
+
+router.delete('/rooms/:roomId/invites/:token', requireAuth, async (req, res) => {
+    try {
+        await roomService.revokeInvite(req.params.roomId, req.user.userId, req.params.token);
+        res.json({ success: true });
+    } catch (error) {
+        handleError(res, error, 'Error revoking invite');
+    }
+});
+
+// Where an invite link leads (join with { roomId, inviteToken } on the /meeting socket)
+router.get('/invites/:token', async (req, res) => {
+    try {
+        const { invite, room } = await roomService.getInviteRoom(req.params.token);
+        res.json({ success: true, invite, room });
+    } catch (error) {
+        handleError(res, error, 'Error fetching invite');
+    }
+});
+
+// ICE servers for WebRTC peer connections (STUN, plus TURN with short-lived credentials when configured).
+// TURN goes to signed-in users, and to guests sending their guest-* ID as ?userId= (shorter-lived, limited per hour).
+router.get('/ice-servers', authenticate, async (req, res) => {
+    try {
+        const guestId = req.user ? null : authService.shopperId(null, req.query.userId);
+        if (guestId && iceService.hasTurn()) await iceService.takeGuestAllowance(guestId);
+
+        const { iceServers, ttl, expiresAt } = req.user
+            ? iceService.getIceServers(req.user.userId)
+            : iceService.getIceServers(guestId, { guest: true });
+        // Credentials are per user and expire - never let a proxy hand them to someone else
+        res.set('Cache-Control', 'private, no-store');
+        res.json({ success: true, iceServers, ttl, expiresAt });
+    } catch (error) {
+        handleError(res, error, 'Error issuing ICE servers');
     }
 });
 
@@ -1,111 +1,246 @@
-import { randomUUID } from 'crypto';
+import { registerGroupCartHandlers } from '../cart/groupCartSocket.js';
+import { groupCartService } from '../cart/groupCartService.js';
+import { authService } from '../auth/authService.js';
+import { registerSfuHandlers } from './sfuSocket.js';
+import { registerLiveShowHandlers } from './liveShowSocket.js';
+import { liveShowService } from './liveShowService.js';
+import { registerRoomChatHandlers } from './roomChatSocket.js';
+import { roomChatService } from './roomChatService.js';
+import { sfuService } from './sfuService.js';
+import { roomService, roomEvents } from './roomService.js';
 
-// Redis setup removed for in-memory only mode
-// const redisUrl = process.env.REDIS_URL || 'redis://localhost:6379/3';
-// const redisClient = createClient({ ... });
+import { createStore } from '../../config/storage.js';
 
-// In-Memory State Only
-console.log('Video Socket: Running in In-Memory Mode (No Redis)');
-
-// State (In-Memory)
-// State (In-Memory)
-const rooms = new Map(); // roomId -> { users: Set, metadata: {} }
-const users = new Map(); // socketId -> { userId, roomId, name, role, joinedAt }
+// State (memory, file or Redis - see config/storage.js). Rooms live in roomService.js.
+const users = createStore('room-users'); // socketId -> { userId, roomId, name, role, isMuted, isVideoOff, joinedAt }
 
 // Seed Request: Create a default room so frontend has something to join
 const defaultRoomId = 'fashion-1';
-rooms.set(defaultRoomId, {
-    users: new Set(),
-    metadata: {
-        createdAt: new Date().toISOString(),
-        productCategory: 'General',
-        owner: { userId: 'system', userName: 'System', socketId: 'system' }
+
+/**
+ * Prepare persisted room state on startup.
+ * Memberships whose socket is no longer connected (on this or any other instance) are dropped,
+ * while the rooms themselves are kept.
+ * @param {import('socket.io').Namespace} namespace - The /meeting namespace
+ */
+async function initializeRoomState(namespace) {
+    const liveSocketIds = new Set((await namespace.fetchSockets()).map(s => s.id));
+
+    for (const [socketId] of await users.entries()) {
+        if (!liveSocketIds.has(socketId)) await users.delete(socketId);
+    }
+
+    for (const [roomId] of await roomService.entries()) {
+        await roomService.update(roomId, (room) => {
+            const liveUsers = room ? room.users.filter(sid => liveSocketIds.has(sid)) : [];
+            return room && liveUsers.length !== room.users.length ? { ...room, users: liveUsers } : undefined;
+        });
     }
-});
-console.log(`Video Socket: Seeded default room '${defaultRoomId}'`);
-
-export function getRooms() {
-    return Array.from(rooms.values()).map(r => ({
-        roomId: Array.from(rooms.keys()).find(key => rooms.get(key) === r),
-        ...r.metadata,
-        userCount: r.users.size
-    }));
+
+    let seeded = false;
+    await roomService.update(defaultRoomId, (room) => {
+        seeded = !room;
+        return room ? undefined : {
+            roomId: defaultRoomId,
+            users: [],
+            metadata: {
+                createdAt: new Date().toISOString(),
+                productCategory: 'General',
+                owner: { userId: 'system', userName: 'System', socketId: 'system' },
+                title: 'Fashion',
+                visibility: 'public',
+                persistent: true
+            }
+        };
+    });
+    if (seeded) console.log(`Video Socket: Seeded default room '${defaultRoomId}'`);
 }
 
-function generateUniqueUserId() {
-    return `user-${randomUUID()}`;
+// Per-session state of a room that emptied or closed (persistent rooms keep their chat history)
+async function clearRoomSession(roomId) {
+    await groupCartService.clear(roomId);
+    await liveShowService.clear(roomId);
+    sfuService.closeRoom(roomId);
 }
 
-async function leaveRoom(io, socket, roomId) {
-    const room = rooms.get(roomId);
+/**
+ * Take a socket out of a room. Only shared state and the adapter are used, so it works the same for
+ * sockets connected to another instance (e.g. someone the owner kicked).
+ * @param {import('socket.io').Namespace} namespace - The /meeting namespace
+ */
+async function leaveRoom(namespace, socketId, roomId) {
+    const room = await roomService.update(roomId, (current) => (current && current.users.includes(socketId)
+        ? { ...current, users: current.users.filter(sid => sid !== socketId) }
+        : undefined));
+    const others = namespace.to(roomId).except(socketId);
     if (room) {
-        room.users.delete(socket.id);
-        const user = users.get(socket.id);
+        const user = await users.get(socketId);
         if (user) {
-            socket.to(roomId).emit('user-left', {
+            others.emit('user-left', {
                 userId: user.userId,
-                socketId: socket.id
+                socketId
             });
+            await groupCartService.removeParticipant(roomId, user.userId);
+            if (await liveShowService.removeParticipant(roomId, user.userId)) {
+                others.emit('live-show-updated', {
+                    roomId,
+                    show: await liveShowService.getShow(roomId),
+                    action: { type: 'leave', userId: user.userId }
+                });
+            }
         }
-        if (room.users.size === 0) {
-            rooms.delete(roomId);
+        for (const producerId of sfuService.removePeer(roomId, socketId)) {
+            others.emit('sfu-producer-closed', { producerId, socketId });
+        }
+        if (room.users.length === 0) {
+            await clearRoomSession(roomId);
+            if (await roomService.releaseIfEmpty(roomId)) {
+                await roomChatService.clear(roomId);
+            }
         }
     }
-    socket.leave(roomId);
+    namespace.in(socketId).socketsLeave(roomId);
 }
 
-export function setupVideoSocket(io) {
+/**
+ * @param {import('socket.io').Server} io
+ * @param {object} options - { clustered }: whether meeting rooms are shared with other instances
+ */
+export async function setupVideoSocket(io, { clustered = false } = {}) {
     const meetingNamespace = io.of('/meeting');
+    if (clustered && sfuService.isEnabled()) {
+        // Each instance runs its own media server; a room's participants only see each other when they share one
+        console.warn('⚠️ SFU_ENABLED with several instances: route every room to a single instance (sticky by roomId)');
+    }
+
+    // Owners closing or handing over a room through the API (videoRoutes.js)
+    roomEvents.on('room-closed', async ({ roomId, by, socketIds }) => {
+        try {
+            meetingNamespace.to(roomId).emit('room-closed', { roomId, by: by.userName });
+            meetingNamespace.socketsLeave(roomId);
+            for (const sid of socketIds) {
+                const user = await users.get(sid);
+                if (user && user.roomId === roomId) await users.set(sid, { ...user, roomId: null });
+            }
+            await clearRoomSession(roomId);
+            await roomChatService.clear(roomId);
+        } catch (error) {
+            console.error('Error closing room:', error);
+        }
+    });
+
+    roomEvents.on('room-owner-changed', async ({ roomId, owner }) => {
+        try {
+            const members = await roomService.get(roomId);
+            if (!members) return;
+            let ownerSocketId = null;
+            for (const sid of members.users) {
+                const user = await users.get(sid);
+                if (!user) continue;
+                const role = user.userId === owner.userId ? 'owner' : 'participant';
+                if (role === 'owner') ownerSocketId = sid;
+                if (user.role !== role) await users.set(sid, { ...user, role });
+            }
+            // Everyone in the room hears about the new owner, whether or not they are connected right now
+            const room = await roomService.update(roomId, (current) => (current
+                ? { ...current, metadata: { ...current.metadata, owner: { ...owner, socketId: ownerSocketId } } }
+                : undefined));
+            if (!room) return;
+            meetingNamespace.to(roomId).emit('room-owner-changed', { roomId, owner: room.metadata.owner });
+        } catch (error) {
+            console.error('Error changing room owner:', error);
+        }
+    });
+
     meetingNamespace.on('connection', (socket) => {
         // console.log(`Video/Socket connected: ${socket.id}`);
 
-        socket.on('join-room', async ({ roomId, userId, userName, productCategory }) => {
+        socket.on('join-room', async (data) => {
             try {
-                if (!roomId || !userName) {
+                const { roomId, userName: requestedName, productCategory, isMuted, isVideoOff, inviteToken } = data || {};
+                const userName = socket.data.user ? socket.data.user.displayName : requestedName;
+                if (!roomId || typeof roomId !== 'string' || !userName || typeof userName !== 'string') {
                     socket.emit('error', { message: 'Missing required fields' });
                     return;
                 }
 
-                // const uniqueUserId = userId || generateUniqueUserId(); // Allow client to send ID? Original generated it.
-                // Keeping original behavior of generating it on backend for reliability? 
-                // Original: const uniqueUserId = generateUniqueUserId();
-                // However, if we want persistence across reloads, client should probably send it. 
-                // But let's stick to original logic to minimize frontend breakage risk for now.
-                const uniqueUserId = generateUniqueUserId();
+                // Signed-in users are known by their account ID, guests by the persistent guest-* ID their client
+                // sends (the one their cart uses), so bans and mutes still apply after a reconnect
+                const uniqueUserId = authService.shopperId(socket.data.user, socket.handshake.auth?.guestId);
+                if (!uniqueUserId) {
+                    socket.emit('error', { message: 'Sign in or send a guest ID to join meeting rooms', code: 'IDENTITY_REQUIRED' });
+                    return;
+                }
 
-                const previousUser = users.get(socket.id);
-                if (previousUser && previousUser.roomId) {
-                    await leaveRoom(io, socket, previousUser.roomId);
+                // Kicked by the owner
+                if (await roomChatService.isBanned(roomId, uniqueUserId)) {
+                    socket.emit('error', { message: 'You were removed from this room by its owner', code: 'BANNED' });
+                    return;
                 }
+                const mutedByOwner = await roomChatService.isMuted(roomId, uniqueUserId);
 
-                let roomExists = rooms.has(roomId);
-                // Check Redis if not in memory
-                if (!roomExists) {
-                    // Create new room
-                    if (!productCategory) {
-                        socket.emit('error', { message: 'Product category required for new room' });
+                // Schedule, privacy and capacity limits (checked, and any invite used, before leaving the current room)
+                const existingRoom = await roomService.get(roomId);
+                if (existingRoom) {
+                    try {
+                        await roomService.checkJoin(existingRoom, uniqueUserId, { socketId: socket.id, inviteToken });
+                    } catch (error) {
+                        if (!error.code) throw error;
+                        socket.emit('error', { message: error.message, code: error.code });
                         return;
                     }
-                    rooms.set(roomId, {
-                        users: new Set(),
+                } else if (!productCategory) {
+                    socket.emit('error', { message: 'Product category required for new room' });
+                    return;
+                }
+
+                const previousUser = await users.get(socket.id);
+                if (previousUser && previousUser.roomId) {
+                    await leaveRoom(meetingNamespace, socket.id, previousUser.roomId);
+                }
+
+                // Added in one atomic step, so people joining at the same time all end up in the room
+                let previousMode = 'mesh';
+                let isOwner = false;
+                const room = await roomService.update(roomId, (current) => {
+                    // Someone else may have taken the last place since checkJoin
+                    if (current) roomService.checkCapacity(current, uniqueUserId, socket.id);
+                    // Made on the fly: public, and removed once everyone has left
+                    const base = current || {
+                        roomId,
+                        users: [],
                         metadata: {
                             createdAt: new Date().toISOString(),
-                            productCategory,
-                            owner: { userId: uniqueUserId, userName, socketId: socket.id }
+                            productCategory: productCategory || 'General',
+                            owner: { userId: uniqueUserId, userName, socketId: socket.id },
+                            title: roomId,
+                            visibility: 'public'
                         }
-                    });
-                }
-
-                const room = rooms.get(roomId);
-                room.users.add(socket.id);
-                const isOwner = room.metadata.owner && room.metadata.owner.userId === uniqueUserId;
+                    };
+                    const roomUsers = base.users.includes(socket.id) ? base.users : [...base.users, socket.id];
+                    // Mesh for small rooms; past SFU_THRESHOLD everyone publishes to the media server instead
+                    previousMode = base.metadata.mediaMode || 'mesh';
+                    isOwner = Boolean(base.metadata.owner && base.metadata.owner.userId === uniqueUserId);
+                    return {
+                        ...base,
+                        users: roomUsers,
+                        metadata: {
+                            ...base.metadata,
+                            mediaMode: sfuService.modeFor(roomUsers.length, previousMode),
+                            ...(isOwner ? { owner: { ...base.metadata.owner, socketId: socket.id } } : {})
+                        }
+                    };
+                });
 
-                users.set(socket.id, {
+                await users.set(socket.id, {
                     userId: uniqueUserId,
                     roomId,
                     name: userName,
                     socketId: socket.id,
                     role: isOwner ? 'owner' : 'participant',
+                    // Microphone and camera start off unless the client says otherwise
+                    isMuted: mutedByOwner || isMuted !== false,
+                    isVideoOff: isVideoOff !== false,
                     joinedAt: new Date().toISOString()
                 });
 
@@ -117,94 +252,183 @@ export function setupVideoSocket(io) {
                     userId: uniqueUserId,
                     userName,
                     role: isOwner ? 'owner' : 'participant',
-                    owner: room.metadata.owner
+                    owner: room.metadata.owner,
+                    room: roomService.summarize(room),
+                    mediaMode: room.metadata.mediaMode,
+                    liveShow: await liveShowService.getShow(roomId),
+                    mutedByOwner
                 });
 
+                if (room.metadata.mediaMode !== previousMode) {
+                    // Everyone already in the room tears down their mesh connections and republishes
+                    socket.to(roomId).emit('media-mode', { roomId, mode: room.metadata.mediaMode });
+                }
+
                 // Helper to get user info
-                const getUserInfo = (sid) => {
-                    const u = users.get(sid);
-                    return u ? { userId: u.userId, userName: u.name, socketId: u.socketId, role: u.role || 'participant' } : null;
+                const getUserInfo = async (sid) => {
+                    const u = await users.get(sid);
+                    return u ? {
+                        userId: u.userId,
+                        userName: u.name,
+                        socketId: u.socketId,
+                        role: u.role || 'participant',
+                        isMuted: u.isMuted !== false,
+                        isVideoOff: u.isVideoOff !== false
+                    } : null;
                 };
 
-                const existingUsers = Array.from(room.users)
+                const existingUsers = (await Promise.all(room.users
                     .filter(sid => sid !== socket.id)
-                    .map(getUserInfo)
+                    .map(getUserInfo)))
                     .filter(Boolean);
 
-                socket.emit('room-users', { users: existingUsers, owner: room.metadata.owner });
+                socket.emit('room-users', {
+                    users: existingUsers,
+                    owner: room.metadata.owner,
+                    muted: await roomChatService.getMutedUsers(roomId)
+                });
 
                 socket.to(roomId).emit('user-joined', {
                     userId: uniqueUserId,
                     userName,
                     socketId: socket.id,
-                    role: isOwner ? 'owner' : 'participant'
+                    role: isOwner ? 'owner' : 'participant',
+                    isMuted: mutedByOwner || isMuted !== false,
+                    isVideoOff: isVideoOff !== false
                 });
 
             } catch (e) {
+                if (e.code === 'ROOM_FULL') {
+                    socket.emit('error', { message: e.message, code: e.code });
+                    return;
+                }
                 console.error('Error join-room:', e);
                 socket.emit('error', { message: 'Failed to join room' });
             }
         });
 
         socket.on('leave-room', async () => {
-            const user = users.get(socket.id);
-            if (user && user.roomId) await leaveRoom(io, socket, user.roomId);
+            try {
+                const user = await users.get(socket.id);
+                if (user && user.roomId) await leaveRoom(meetingNamespace, socket.id, user.roomId);
+            } catch (e) {
+                console.error('Error leave-room:', e);
+            }
         });
 
         socket.on('disconnect', async () => {
-            const user = users.get(socket.id);
-            if (user && user.roomId) await leaveRoom(io, socket, user.roomId);
-            users.delete(socket.id);
+            try {
+                const user = await users.get(socket.id);
+                if (user && user.roomId) await leaveRoom(meetingNamespace, socket.id, user.roomId);
+                await users.delete(socket.id);
+            } catch (e) {
+                console.error('Error disconnect:', e);
+            }
         });
 
-        // Signaling events
+        // Signaling events (malformed payloads are dropped like messages for another room)
         const relaySignal = (event, dataKey) => {
-            socket.on(event, (data) => {
-                const { [dataKey]: payload, targetSocketId, roomId } = data;
-                const user = users.get(socket.id);
-                if (!user || user.roomId !== roomId) return;
-                socket.to(targetSocketId).emit(event, {
-                    [dataKey]: payload,
-                    senderSocketId: socket.id,
-                    senderUserId: user.userId,
-                    senderUserName: user.name
-                });
+            socket.on(event, async (data) => {
+                try {
+                    const { [dataKey]: payload, targetSocketId, roomId } = data || {};
+                    const user = await users.get(socket.id);
+                    if (!user || user.roomId !== roomId) return;
+                    // Offers carry media; during a live show only the host and speakers may send it (mesh mode)
+                    if (event === 'offer' && !(await liveShowService.canPublish(roomId, user.userId))) return;
+                    socket.to(targetSocketId).emit(event, {
+                        [dataKey]: payload,
+                        senderSocketId: socket.id,
+                        senderUserId: user.userId,
+                        senderUserName: user.name
+                    });
+                } catch (e) {
+                    console.error(`Error ${event}:`, e);
+                }
             });
         };
 
         relaySignal('offer', 'offer');
         relaySignal('answer', 'answer');
 
-        socket.on('ice-candidate', ({ candidate, targetSocketId, roomId }) => {
-            const user = users.get(socket.id);
-            if (!user || user.roomId !== roomId) return;
-            socket.to(targetSocketId).emit('ice-candidate', { candidate, senderSocketId: socket.id });
+        socket.on('ice-candidate', async (data) => {
+            try {
+                const { candidate, targetSocketId, roomId } = data || {};
+                const user = await users.get(socket.id);
+                if (!user || user.roomId !== roomId) return;
+                socket.to(targetSocketId).emit('ice-candidate', { candidate, senderSocketId: socket.id });
+            } catch (e) {
+                console.error('Error ice-candidate:', e);
+            }
         });
 
         // Media State Toggles
-        socket.on('toggle-audio', ({ isMuted, roomId }) => {
-            const user = users.get(socket.id);
-            if (!user || user.roomId !== roomId) return;
-            socket.to(roomId).emit('user-audio-changed', { userId: user.userId, socketId: socket.id, isMuted });
+        socket.on('toggle-audio', async (data) => {
+            try {
+                const { isMuted, roomId } = data || {};
+                const user = await users.get(socket.id);
+                if (!user || user.roomId !== roomId) return;
+                // Muted by the room owner: stay muted and remind the client
+                if (!isMuted && await roomChatService.isMuted(roomId, user.userId)) {
+                    socket.emit('room-moderated', { roomId, action: 'mute' });
+                    return;
+                }
+                // Kept on the user so people who join later see it in room-users
+                await users.set(socket.id, { ...user, isMuted: Boolean(isMuted) });
+                socket.to(roomId).emit('user-audio-changed', { userId: user.userId, socketId: socket.id, isMuted });
+            } catch (e) {
+                console.error('Error toggle-audio:', e);
+            }
         });
 
-        socket.on('toggle-video', ({ isVideoOff, roomId }) => {
-            const user = users.get(socket.id);
-            if (!user || user.roomId !== roomId) return;
-            socket.to(roomId).emit('user-video-changed', { userId: user.userId, socketId: socket.id, isVideoOff });
+        socket.on('toggle-video', async (data) => {
+            try {
+                const { isVideoOff, roomId } = data || {};
+                const user = await users.get(socket.id);
+                if (!user || user.roomId !== roomId) return;
+                await users.set(socket.id, { ...user, isVideoOff: Boolean(isVideoOff) });
+                socket.to(roomId).emit('user-video-changed', { userId: user.userId, socketId: socket.id, isVideoOff });
+            } catch (e) {
+                console.error('Error toggle-video:', e);
+            }
         });
 
-        // Chat
-        socket.on('chat-message', ({ roomId, message, userName }) => {
-            const user = users.get(socket.id);
-            if (!user || user.roomId !== roomId) return;
-            socket.to(roomId).emit('chat-message', {
-                userId: user.userId,
-                userName: userName || user.name,
-                message,
-                timestamp: new Date().toISOString()
-            });
+        // Shared group cart (scoped to the meeting room)
+        registerGroupCartHandlers(meetingNamespace, socket, {
+            getUser: (sid) => users.get(sid),
+            getRoom: (rid) => roomService.get(rid)
+        });
+
+        // Host-led live shows (owner broadcasts, viewers receive and can raise a hand)
+        registerLiveShowHandlers(meetingNamespace, socket, {
+            getUser: (sid) => users.get(sid),
+            getRoom: (rid) => roomService.get(rid),
+            updateRoom: (rid, fn) => roomService.update(rid, fn)
+        });
+
+        // Selective forwarding (rooms in 'sfu' media mode)
+        registerSfuHandlers(meetingNamespace, socket, {
+            getUser: (sid) => users.get(sid),
+            getRoom: (rid) => roomService.get(rid)
+        });
+
+        // Room chat (stored history, reactions, typing) and owner moderation
+        registerRoomChatHandlers(meetingNamespace, socket, {
+            getUser: (sid) => users.get(sid),
+            getRoom: (rid) => roomService.get(rid),
+            saveUser: (sid, user) => users.set(sid, user),
+            removeFromRoom: async (sid, rid) => {
+                // The socket may be connected to another instance; leaveRoom works for both
+                await leaveRoom(meetingNamespace, sid, rid);
+                const user = await users.get(sid);
+                if (user) await users.set(sid, { ...user, roomId: null });
+            }
         });
 
     });
+
+    try {
+        await initializeRoomState(meetingNamespace);
+    } catch (err) {
+        console.error('Video Socket: Failed to initialize room state:', err);
+    }
 }
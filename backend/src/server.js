@@ -7,7 +7,12 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 
 // Domain Routes
+import authRoutes from './domain/auth/authRoutes.js';
 import productRoutes from './domain/product/productRoutes.js';
+import imageRoutes from './domain/media/imageRoutes.js';
+import catalogGenerationRoutes from './domain/product/catalogGenerationRoutes.js';
+import cartRoutes from './domain/cart/cartRoutes.js';
+import orderRoutes from './domain/order/orderRoutes.js';
 import chatRoutes from './domain/chat/chatRoutes.js';
 import videoRoutes from './domain/video/videoRoutes.js';
 import aiRoutes from './domain/ai/aiRoutes.js'; // Legacy adapter
@@ -17,7 +22,7 @@ import { initializeSocket } from './socket.js';
 import { productService } from './domain/product/productService.js';
 
 // Configuration
-// import './config/redis.js'; // Ensure Redis connects
+import { getStorage } from './config/storage.js'; // Picks memory/file/Redis from STORAGE_DRIVER
 
 // dotenv loaded by loadEnv.js
 
@@ -70,7 +75,7 @@ const corsOptions = {
         return callback(null, true); // Strict mode: callback(new Error('Not allowed by CORS')); -> Relaxed for hackathon
     },
     credentials: true,
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
     allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
 };
 
@@ -93,13 +98,15 @@ app.use(express.static(publicDir)); // Also serve at root if needed
 
 console.log('Serving static files from:', publicDir);
 
-// Initialize Socket.IO
-initializeSocket(httpServer);
-
 // Routes
+app.use('/api/auth', authRoutes);
+app.use('/api/products', imageRoutes);  // Image generation jobs (/generate-image, /image-jobs/:jobId)
 app.use('/api/products', productRoutes);
+app.use('/api/gemini', catalogGenerationRoutes); // LLM-drafted products and their review (/products/generate, /products/drafts)
+app.use('/api/cart', cartRoutes);
+app.use('/api/orders', orderRoutes);
 app.use('/api/bot', chatRoutes); // New standard for chat
-app.use('/api', videoRoutes);    // Mounts /rooms and /redis/rooms
+app.use('/api', videoRoutes);    // Mounts /rooms, /redis/rooms, /invites and /ice-servers
 app.use('/api/ai', aiRoutes);    // Legacy adapter
 
 // Health Check
@@ -117,8 +124,12 @@ app.get('/', (req, res) => {
         message: 'Virtual Shopping Backend',
         endpoints: {
             health: '/health',
+            auth: '/api/auth',
             products: '/api/products',
+            cart: '/api/cart/:cartId',
+            orders: '/api/orders',
             chat: '/api/bot/chat',
+            chatStream: '/api/bot/chat/stream',
             ai: '/api/ai/chat'
         }
     });
@@ -138,11 +149,15 @@ app.use((err, req, res, next) => {
 // Start
 (async () => {
     try {
+        await getStorage();
         await productService.initializeProducts();
     } catch (err) {
         console.error('Failed to initialize products:', err);
     }
 
+    // Initialize Socket.IO (before listening, so the Redis adapter is attached first)
+    await initializeSocket(httpServer);
+
     httpServer.listen(PORT, '0.0.0.0', () => {
         console.log(`\n🚀 Server running on port ${PORT}`);
         console.log(`📡 Health Check: http://localhost:${PORT}/health`);
@@ -0,0 +1,88 @@
+// Minimal RFC 4180 CSV reading and writing (quoted fields, escaped quotes, embedded newlines)
+
+// Spreadsheets run cells starting with these as formulas; toCsv prefixes such cells with '
+// (and cells that already start with ' before one, so parseCsvRecords can take the prefix off again)
+const FORMULA_START = /^'*[=+\-@]/;
+
+/**
+ * Parse CSV text into rows of cells
+ * @param {string} text
+ * @returns {string[][]}
+ */
+export function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+    const input = text.replace(/^\uFEFF/, ''); // Excel adds a byte-order mark
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    // Skip blank lines
+    return rows.filter(r => r.length > 1 || r[0] !== '');
+}
+
+/**
+ * Parse CSV with a header line into objects keyed by column name
+ * @param {string} text
+ * @returns {{ columns: string[], records: Object<string, string>[] }}
+ */
+export function parseCsvRecords(text) {
+    const [header = [], ...rows] = parseCsv(text);
+    const columns = header.map(c => c.trim());
+    // Drop the ' that toCsv puts before formula-like cells, so exported files import unchanged
+    const cellValue = (cell = '') => (cell.startsWith("'") && FORMULA_START.test(cell.slice(1)) ? cell.slice(1) : cell);
+    const records = rows.map(cells => Object.fromEntries(columns.map((column, i) => [column, cellValue(cells[i])])));
+    return { columns, records };
+}
+
+const escapeCell = (value) => {
+    if (value === undefined || value === null) return '';
+    const text = FORMULA_START.test(String(value)) ? `'${value}` : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Format objects as CSV with a header line
+ * @param {string[]} columns
+ * @param {object[]} records
+ * @returns {string}
+ */
+export function toCsv(columns, records) {
+    const lines = [columns.map(escapeCell).join(',')];
+    for (const record of records) {
+        lines.push(columns.map(column => escapeCell(record[column])).join(','));
+    }
+    return lines.join('\n') + '\n';
+}
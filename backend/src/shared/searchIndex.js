@@ -0,0 +1,314 @@
+// In-memory inverted index with BM25 ranking, per-field boosts and typo tolerance
+
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is', 'it',
+    'of', 'on', 'or', 'the', 'to', 'with'
+]);
+
+// BM25 tuning: term-frequency saturation and field-length normalization
+const K1 = 1.2;
+const B = 0.75;
+
+// Score multipliers for terms that only match approximately
+const PREFIX_WEIGHT = 0.8; // "headph" -> "headphon"
+const FUZZY_WEIGHT = 0.6; // "iphnoe" -> "iphon"
+const INFIX_WEIGHT = 0.4; // "phone" -> "smartphon"
+
+/**
+ * Split text into lowercase word tokens (keeps digits, so "1000xm5" and "16gb" survive)
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+    if (!text) return [];
+    return String(text)
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .split(/[^a-z0-9]+/)
+        .filter(token => token && !STOP_WORDS.has(token));
+}
+
+/**
+ * Reduce an English word to a crude stem so "phones" and "phone" share a term.
+ * A light suffix stripper rather than a full Porter stemmer - enough for product text.
+ * @param {string} word - Lowercase token
+ * @returns {string}
+ */
+export function stem(word) {
+    if (word.length <= 3 || /\d/.test(word)) return word;
+
+    const rules = [
+        [/ies$/, 'y'],
+        [/(ss|sh|ch|x|z)es$/, '$1'],
+        [/([^s])s$/, '$1'],
+        [/ational$/, 'ate'],
+        [/(iz|is)ation$/, 'ize'],
+        [/ness$/, ''],
+        [/ment$/, ''],
+        [/ing$/, ''],
+        [/ed$/, ''],
+        [/ly$/, ''],
+        [/er$/, '']
+    ];
+
+    let result = word;
+    for (const [pattern, replacement] of rules) {
+        const next = result.replace(pattern, replacement);
+        if (next !== result && next.length >= 3) result = next;
+    }
+    // "running" -> "runn" -> "run"
+    if (/([^aeiouslz])\1$/.test(result) && result.length > 3) result = result.slice(0, -1);
+    return result;
+}
+
+/**
+ * Edit distance counting a swap of adjacent letters as one typo ("iphnoe" -> "iphone"),
+ * giving up once it exceeds maxDistance
+ * @returns {number} The distance, or maxDistance + 1 when it is larger
+ */
+export function editDistance(a, b, maxDistance = 2) {
+    if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+    let beforePrevious = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+            }
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > maxDistance) return maxDistance + 1;
+        beforePrevious = previous;
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+// Typos tolerated for a query term of this length
+const allowedTypos = (length) => (length >= 8 ? 2 : length >= 4 ? 1 : 0);
+
+/**
+ * Create a search index over documents with weighted text fields
+ * @param {object} options
+ * @param {Object<string, number>} options.fields - Field name -> boost, e.g. { name: 3, description: 1 }
+ * @returns {object} Index with upsert/remove/search/suggest/complete
+ */
+export function createSearchIndex({ fields }) {
+    const fieldNames = Object.keys(fields);
+
+    const postings = new Map(); // term -> Map(docId -> { field: termFrequency })
+    const docs = new Map(); // docId -> { fingerprint, lengths: { field: tokenCount }, terms }
+    const totalLengths = Object.fromEntries(fieldNames.map(f => [f, 0]));
+    const surfaceForms = new Map(); // term -> Map(original word -> count), for "did you mean"
+
+    const analyze = (text) => tokenize(text).map(token => ({ token, term: stem(token) }));
+
+    function remove(docId) {
+        const doc = docs.get(docId);
+        if (!doc) return;
+        for (const term of doc.terms) {
+            const entry = postings.get(term);
+            entry.delete(docId);
+            if (entry.size === 0) {
+                postings.delete(term);
+                surfaceForms.delete(term);
+            }
+        }
+        for (const field of fieldNames) totalLengths[field] -= doc.lengths[field];
+        docs.delete(docId);
+    }
+
+    /**
+     * Add or replace a document. Unchanged documents are skipped, so callers can
+     * cheaply re-sync the whole collection before each search.
+     * @param {string} docId
+     * @param {object} doc - Object holding the indexed fields
+     */
+    function upsert(docId, doc) {
+        const fingerprint = JSON.stringify(fieldNames.map(f => doc[f] ?? ''));
+        if (docs.get(docId)?.fingerprint === fingerprint) return;
+        remove(docId);
+
+        const lengths = {};
+        const terms = new Set();
+        for (const field of fieldNames) {
+            const analyzed = analyze(doc[field]);
+            lengths[field] = analyzed.length;
+            totalLengths[field] += analyzed.length;
+
+            for (const { token, term } of analyzed) {
+                terms.add(term);
+                if (!postings.has(term)) postings.set(term, new Map());
+                const entry = postings.get(term);
+                const frequencies = entry.get(docId) || {};
+                frequencies[field] = (frequencies[field] || 0) + 1;
+                entry.set(docId, frequencies);
+
+                if (!surfaceForms.has(term)) surfaceForms.set(term, new Map());
+                const forms = surfaceForms.get(term);
+                forms.set(token, (forms.get(token) || 0) + 1);
+            }
+        }
+        docs.set(docId, { fingerprint, lengths, terms });
+    }
+
+    // Drop every document not in keepIds
+    function retain(keepIds) {
+        for (const docId of [...docs.keys()]) {
+            if (!keepIds.has(docId)) remove(docId);
+        }
+    }
+
+    // Index terms a query term should match, with a weight for how closely they match.
+    // Prefix matching only applies to the last word while it is still being typed
+    // (a word the stemmer changed is complete: "shoes" must not match "shorts").
+    function expandTerm({ token, term }, { isLast }) {
+        const matches = new Map();
+        if (postings.has(term)) matches.set(term, 1);
+
+        const maxTypos = allowedTypos(term.length);
+        const allowPrefix = isLast && token === term;
+        for (const candidate of postings.keys()) {
+            if (candidate === term) continue;
+            let weight = 0;
+            if (allowPrefix && candidate.startsWith(term)) weight = PREFIX_WEIGHT;
+            else if (maxTypos > 0 && editDistance(term, candidate, maxTypos) <= maxTypos) weight = FUZZY_WEIGHT;
+            else if (term.length >= 4 && candidate.includes(term)) weight = INFIX_WEIGHT;
+            if (weight > 0) matches.set(candidate, weight);
+        }
+        return matches;
+    }
+
+    function bm25(term, docId) {
+        const entry = postings.get(term);
+        const frequencies = entry.get(docId);
+        const docCount = docs.size;
+        const idf = Math.log(1 + (docCount - entry.size + 0.5) / (entry.size + 0.5));
+        const { lengths } = docs.get(docId);
+
+        let score = 0;
+        for (const [field, tf] of Object.entries(frequencies)) {
+            const avgLength = totalLengths[field] / docCount || 1;
+            const norm = tf * (K1 + 1) / (tf + K1 * (1 - B + B * lengths[field] / avgLength));
+            score += fields[field] * idf * norm;
+        }
+        return score;
+    }
+
+    /**
+     * Rank documents for a free-text query. Every query term must match (exactly, by prefix
+     * for the last term, or within a typo or two); when nothing matches all terms, documents
+     * matching any term are returned instead, ranked by how many they match.
+     * @param {string} query
+     * @returns {{ id: string, score: number }[]} Best first
+     */
+    function search(query) {
+        const seen = new Set();
+        const terms = analyze(query).filter(({ term }) => !seen.has(term) && seen.add(term));
+        if (terms.length === 0) return [];
+
+        const scores = new Map(); // docId -> { score, matched }
+        terms.forEach((analyzed, i) => {
+            const perDoc = new Map();
+            for (const [candidate, weight] of expandTerm(analyzed, { isLast: i === terms.length - 1 })) {
+                for (const docId of postings.get(candidate).keys()) {
+                    const score = weight * bm25(candidate, docId);
+                    // A document scores once per query term, through its best-matching variant
+                    if (score > (perDoc.get(docId) || 0)) perDoc.set(docId, score);
+                }
+            }
+            for (const [docId, score] of perDoc) {
+                const current = scores.get(docId) || { score: 0, matched: 0 };
+                scores.set(docId, { score: current.score + score, matched: current.matched + 1 });
+            }
+        });
+
+        const all = [...scores.entries()].map(([id, s]) => ({ id, score: s.score, matched: s.matched }));
+        const complete = all.filter(r => r.matched === terms.length);
+        const results = complete.length > 0 ? complete : all;
+
+        return results
+            .sort((a, b) => b.matched - a.matched || b.score - a.score)
+            .map(({ id, score }) => ({ id, score: Math.round(score * 1000) / 1000 }));
+    }
+
+    // Most common original spelling of an index term
+    const surfaceForm = (term) => [...surfaceForms.get(term).entries()].sort((a, b) => b[1] - a[1])[0][0];
+
+    /**
+     * "Did you mean" for a query with misspelled words (words that only match
+     * as part of a longer word, like "phone" in "smartphone", are left alone)
+     * @param {string} query
+     * @returns {string|null} Corrected query, or null when every word is known
+     */
+    function suggest(query) {
+        const analyzed = analyze(query);
+        let corrected = false;
+
+        const words = analyzed.map(({ token, term }) => {
+            const known = postings.has(term) ||
+                [...postings.keys()].some(c => c.startsWith(term) || (term.length >= 4 && c.includes(term)));
+            if (known) return token;
+
+            const maxTypos = Math.max(1, allowedTypos(term.length));
+            let best = null;
+            for (const candidate of postings.keys()) {
+                const distance = editDistance(term, candidate, maxTypos);
+                if (distance > maxTypos) continue;
+                const popularity = postings.get(candidate).size;
+                if (!best || distance < best.distance || (distance === best.distance && popularity > best.popularity)) {
+                    best = { candidate, distance, popularity };
+                }
+            }
+            if (!best) return token;
+            corrected = true;
+            return surfaceForm(best.candidate);
+        });
+
+        return corrected ? words.join(' ') : null;
+    }
+
+    /**
+     * Complete the last word of a partial query from the index vocabulary
+     * @param {string} prefix
+     * @param {number} limit
+     * @returns {string[]} Completed queries, most common words first
+     */
+    function complete(prefix, limit = 5) {
+        const tokens = tokenize(prefix);
+        if (tokens.length === 0) return [];
+        const last = tokens[tokens.length - 1];
+        const head = tokens.slice(0, -1).join(' ');
+
+        const words = new Map(); // surface word -> document count
+        for (const [term, forms] of surfaceForms) {
+            for (const [word, count] of forms) {
+                if (word.startsWith(last) && word !== last) {
+                    words.set(word, Math.max(words.get(word) || 0, postings.get(term).size, count));
+                }
+            }
+        }
+
+        return [...words.entries()]
+            .sort((a, b) => b[1] - a[1] || a[0].length - b[0].length)
+            .slice(0, limit)
+            .map(([word]) => (head ? `${head} ${word}` : word));
+    }
+
+    return {
+        upsert,
+        remove,
+        retain,
+        search,
+        suggest,
+        complete,
+        has: (docId) => docs.has(docId),
+        get size() { return docs.size; }
+    };
+}
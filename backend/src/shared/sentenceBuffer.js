@@ -0,0 +1,36 @@
+// Sentence end: . ! ? (optionally followed by quotes/brackets) then whitespace, or a line break.
+// Requiring whitespace keeps prices like "$1299.99" in one piece.
+const SENTENCE_END = /[.!?]+["')\]]*\s+|\n+/;
+
+/**
+ * Collect streamed text and hand it on one complete sentence at a time
+ * (used to start text-to-speech before the whole answer has arrived)
+ * @param {function(string): void} onSentence - Called with each trimmed sentence, in order
+ * @returns {{ push: function(string): void, flush: function(): void }}
+ */
+export function createSentenceBuffer(onSentence) {
+    let buffer = '';
+
+    const emit = (text) => {
+        const sentence = text.trim();
+        if (sentence) onSentence(sentence);
+    };
+
+    return {
+        push(text) {
+            buffer += text;
+            let match;
+            while ((match = SENTENCE_END.exec(buffer))) {
+                const end = match.index + match[0].length;
+                emit(buffer.slice(0, end));
+                buffer = buffer.slice(end);
+            }
+        },
+
+        // Emit whatever is left once the stream ends
+        flush() {
+            emit(buffer);
+            buffer = '';
+        }
+    };
+}
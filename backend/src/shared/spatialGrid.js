@@ -0,0 +1,76 @@
+// Uniform grid over the XZ plane for "who is near this point" queries
+
+/**
+ * Create a spatial grid
+ * @param {number} cellSize - Cell edge length; queries with a radius up to this size touch at most 9 cells
+ * @returns {object} Grid with set/remove/query
+ */
+export function createSpatialGrid(cellSize) {
+    const cells = new Map(); // "cx,cz" -> Set(id)
+    const entries = new Map(); // id -> { key, x, z }
+
+    const cellOf = (value) => Math.floor(value / cellSize);
+    const keyOf = (cx, cz) => `${cx},${cz}`;
+
+    function remove(id) {
+        const entry = entries.get(id);
+        if (!entry) return;
+        const cell = cells.get(entry.key);
+        cell.delete(id);
+        if (cell.size === 0) cells.delete(entry.key);
+        entries.delete(id);
+    }
+
+    /**
+     * Insert or move an item
+     * @param {string} id
+     * @param {number} x
+     * @param {number} z
+     */
+    function set(id, x, z) {
+        const key = keyOf(cellOf(x), cellOf(z));
+        const entry = entries.get(id);
+        if (entry && entry.key === key) {
+            entry.x = x;
+            entry.z = z;
+            return;
+        }
+        remove(id);
+        if (!cells.has(key)) cells.set(key, new Set());
+        cells.get(key).add(id);
+        entries.set(id, { key, x, z });
+    }
+
+    /**
+     * Items within radius of a point
+     * @param {number} x
+     * @param {number} z
+     * @param {number} radius
+     * @returns {Set<string>}
+     */
+    function query(x, z, radius) {
+        const found = new Set();
+        const radiusSquared = radius * radius;
+        for (let cx = cellOf(x - radius); cx <= cellOf(x + radius); cx++) {
+            for (let cz = cellOf(z - radius); cz <= cellOf(z + radius); cz++) {
+                const cell = cells.get(keyOf(cx, cz));
+                if (!cell) continue;
+                for (const id of cell) {
+                    const entry = entries.get(id);
+                    const dx = entry.x - x;
+                    const dz = entry.z - z;
+                    if (dx * dx + dz * dz <= radiusSquared) found.add(id);
+                }
+            }
+        }
+        return found;
+    }
+
+    return {
+        set,
+        remove,
+        query,
+        has: (id) => entries.has(id),
+        get size() { return entries.size; }
+    };
+}
@@ -0,0 +1,114 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * JSON file storage adapter. Each namespace is stored as one JSON file in `dir`.
+ * Namespaces are loaded lazily and kept in memory; every write rewrites the namespace file
+ * via a temp file + rename so a crash never leaves a half-written file.
+ * @param {object} options - { dir }
+ */
+export function createFileAdapter({ dir }) {
+    const cache = new Map(); // namespace -> Map(key -> value)
+    const loading = new Map(); // namespace -> Promise
+    const writeQueues = new Map(); // namespace -> Promise (serializes writes per file)
+
+    const fileFor = (namespace) => path.join(dir, `${namespace.replace(/[^a-zA-Z0-9_-]/g, '_')}.json`);
+
+    const load = (namespace) => {
+        if (cache.has(namespace)) return Promise.resolve(cache.get(namespace));
+        if (!loading.has(namespace)) {
+            loading.set(namespace, (async () => {
+                let data = {};
+                try {
+                    data = JSON.parse(await fs.readFile(fileFor(namespace), 'utf8'));
+                } catch (error) {
+                    if (error.code !== 'ENOENT') {
+                        console.error(`Storage: failed to read ${fileFor(namespace)}, starting empty:`, error.message);
+                    }
+                }
+                const map = new Map(Object.entries(data));
+                cache.set(namespace, map);
+                loading.delete(namespace);
+                return map;
+            })());
+        }
+        return loading.get(namespace);
+    };
+
+    const persist = (namespace) => {
+        const previous = writeQueues.get(namespace) || Promise.resolve();
+        const next = previous.then(async () => {
+            const map = cache.get(namespace) || new Map();
+            const file = fileFor(namespace);
+            const tmp = `${file}.tmp`;
+            await fs.mkdir(dir, { recursive: true });
+            await fs.writeFile(tmp, JSON.stringify(Object.fromEntries(map), null, 2));
+            await fs.rename(tmp, file);
+        }).catch(error => {
+            console.error(`Storage: failed to write ${fileFor(namespace)}:`, error.message);
+        });
+        writeQueues.set(namespace, next);
+        return next;
+    };
+
+    return {
+        name: 'file',
+
+        async get(namespace, key) {
+            const value = (await load(namespace)).get(key);
+            return value === undefined ? null : structuredClone(value);
+        },
+
+        async set(namespace, key, value) {
+            (await load(namespace)).set(key, structuredClone(value));
+            await persist(namespace);
+        },
+
+        async setIfAbsent(namespace, key, value) {
+            const map = await load(namespace);
+            if (map.has(key)) return false;
+            map.set(key, structuredClone(value));
+            await persist(namespace);
+            return true;
+        },
+
+        async update(namespace, key, fn) {
+            const map = await load(namespace);
+            const current = map.has(key) ? structuredClone(map.get(key)) : null;
+            const next = fn(current);
+            if (next === undefined) return current;
+            if (next === null) map.delete(key);
+            else map.set(key, structuredClone(next));
+            await persist(namespace);
+            return next === null ? null : structuredClone(next);
+        },
+
+        async delete(namespace, key) {
+            const deleted = (await load(namespace)).delete(key);
+            if (deleted) await persist(namespace);
+            return deleted;
+        },
+
+        async entries(namespace) {
+            return Array.from((await load(namespace)).entries()).map(([k, v]) => [k, structuredClone(v)]);
+        },
+
+        async values(namespace) {
+            return Array.from((await load(namespace)).values()).map(v => structuredClone(v));
+        },
+
+        async size(namespace) {
+            return (await load(namespace)).size;
+        },
+
+        async clear(namespace) {
+            cache.set(namespace, new Map());
+            await persist(namespace);
+        },
+
+        // Wait for pending writes to finish
+        async close() {
+            await Promise.all(writeQueues.values());
+        }
+    };
+}
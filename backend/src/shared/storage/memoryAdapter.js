@@ -0,0 +1,68 @@
+/**
+ * In-memory storage adapter. Data lives for the lifetime of the process.
+ * Values are cloned on the way in and out so callers behave the same as with the file/Redis adapters.
+ */
+export function createMemoryAdapter() {
+    const namespaces = new Map(); // namespace -> Map(key -> value)
+
+    const getNamespace = (namespace) => {
+        if (!namespaces.has(namespace)) namespaces.set(namespace, new Map());
+        return namespaces.get(namespace);
+    };
+
+    return {
+        name: 'memory',
+
+        async get(namespace, key) {
+            const value = getNamespace(namespace).get(key);
+            return value === undefined ? null : structuredClone(value);
+        },
+
+        async set(namespace, key, value) {
+            getNamespace(namespace).set(key, structuredClone(value));
+        },
+
+        async setIfAbsent(namespace, key, value) {
+            const map = getNamespace(namespace);
+            if (map.has(key)) return false;
+            map.set(key, structuredClone(value));
+            return true;
+        },
+
+        // Read, change and write back in one synchronous step, so no other call can interleave
+        async update(namespace, key, fn) {
+            const map = getNamespace(namespace);
+            const current = map.has(key) ? structuredClone(map.get(key)) : null;
+            const next = fn(current);
+            if (next === undefined) return current;
+            if (next === null) {
+                map.delete(key);
+                return null;
+            }
+            map.set(key, structuredClone(next));
+            return structuredClone(next);
+        },
+
+        async delete(namespace, key) {
+            return getNamespace(namespace).delete(key);
+        },
+
+        async entries(namespace) {
+            return Array.from(getNamespace(namespace).entries()).map(([k, v]) => [k, structuredClone(v)]);
+        },
+
+        async values(namespace) {
+            return Array.from(getNamespace(namespace).values()).map(v => structuredClone(v));
+        },
+
+        async size(namespace) {
+            return getNamespace(namespace).size;
+        },
+
+        async clear(namespace) {
+            namespaces.delete(namespace);
+        },
+
+        async close() {}
+    };
+}
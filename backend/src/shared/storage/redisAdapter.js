@@ -0,0 +1,89 @@
+import { WatchError } from 'redis';
+
+// update() retries when another writer changed the hash between the read and the write
+const MAX_UPDATE_ATTEMPTS = 25;
+
+/**
+ * Redis storage adapter. Each namespace is a Redis hash of key -> JSON value.
+ * @param {object} options - { client, prefix } where client is a connected node-redis v4 client
+ */
+export function createRedisAdapter({ client, prefix = 'hackthon-13:' }) {
+    const hashKey = (namespace) => `${prefix}${namespace}`;
+    const parse = (raw) => (raw === null || raw === undefined ? null : JSON.parse(raw));
+
+    return {
+        name: 'redis',
+
+        async get(namespace, key) {
+            return parse(await client.hGet(hashKey(namespace), key));
+        },
+
+        async set(namespace, key, value) {
+            await client.hSet(hashKey(namespace), key, JSON.stringify(value));
+        },
+
+        async setIfAbsent(namespace, key, value) {
+            return Boolean(await client.hSetNX(hashKey(namespace), key, JSON.stringify(value)));
+        },
+
+        // Optimistic locking: WATCH the hash on a dedicated connection, and retry if MULTI/EXEC finds it changed
+        async update(namespace, key, fn) {
+            for (let attempt = 0; attempt < MAX_UPDATE_ATTEMPTS; attempt++) {
+                const result = await client.executeIsolated(async (isolated) => {
+                    await isolated.watch(hashKey(namespace));
+                    const current = parse(await isolated.hGet(hashKey(namespace), key));
+                    let next;
+                    try {
+                        next = fn(current);
+                    } catch (error) {
+                        await isolated.unwatch();
+                        throw error;
+                    }
+                    if (next === undefined) {
+                        await isolated.unwatch();
+                        return { value: current };
+                    }
+                    try {
+                        const transaction = isolated.multi();
+                        if (next === null) transaction.hDel(hashKey(namespace), key);
+                        else transaction.hSet(hashKey(namespace), key, JSON.stringify(next));
+                        await transaction.exec();
+                        return { value: next };
+                    } catch (error) {
+                        if (error instanceof WatchError) return null;
+                        throw error;
+                    }
+                });
+                if (result) return result.value;
+                await new Promise(resolve => setTimeout(resolve, Math.random() * 10 * (attempt + 1)));
+            }
+            throw new Error(`Storage: ${namespace}/${key} kept changing, update abandoned`);
+        },
+
+        async delete(namespace, key) {
+            return (await client.hDel(hashKey(namespace), key)) > 0;
+        },
+
+        async entries(namespace) {
+            const all = await client.hGetAll(hashKey(namespace));
+            return Object.entries(all).map(([k, v]) => [k, parse(v)]);
+        },
+
+        async values(namespace) {
+            const all = await client.hVals(hashKey(namespace));
+            return all.map(parse);
+        },
+
+        async size(namespace) {
+            return client.hLen(hashKey(namespace));
+        },
+
+        async clear(namespace) {
+            await client.del(hashKey(namespace));
+        },
+
+        async close() {
+            await client.quit();
+        }
+    };
+}
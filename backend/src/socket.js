@@ -1,11 +1,41 @@
 import { Server } from 'socket.io';
+import { createAdapter } from '@socket.io/redis-adapter';
 import { setupVideoSocket } from './domain/video/videoSocket.js';
 import { setupChatSocket } from './domain/chat/chatSocket.js';
+import { setupAIAgentSocket } from './domain/chat/aiAgentSocket.js';
 import { setupMultiplayerSocket } from './domain/multiplayer/multiplayerSocket.js';
+import { setupCatalogSocket } from './domain/product/catalogSocket.js';
+import { setupImageSocket } from './domain/media/imageSocket.js';
+import { connectRedisWithTimeout } from './config/redis.js';
+import { socketAuth } from './domain/auth/authMiddleware.js';
+
+// SOCKET_ADAPTER: 'memory' (default, single process) or 'redis' (broadcast across instances)
+const SOCKET_ADAPTER = (process.env.SOCKET_ADAPTER || 'memory').toLowerCase();
 
 let io;
 
-export function initializeSocket(httpServer) {
+/**
+ * Attach the Redis adapter so emits to rooms/namespaces reach sockets on every instance.
+ * Must run before any namespace is created.
+ * @returns {Promise<boolean>} - Whether the adapter was attached
+ */
+async function attachRedisAdapter(server) {
+    const pubClient = await connectRedisWithTimeout();
+    if (!pubClient) {
+        console.warn('⚠️  Redis unavailable, Socket.IO running single-instance');
+        return false;
+    }
+
+    const subClient = pubClient.duplicate();
+    subClient.on('error', (err) => console.error('Redis Sub Client Error:', err));
+    await subClient.connect();
+
+    server.adapter(createAdapter(pubClient, subClient, { key: 'hackthon-13:socket.io' }));
+    console.log('✅ Socket.IO Redis adapter attached');
+    return true;
+}
+
+export async function initializeSocket(httpServer) {
     io = new Server(httpServer, {
         cors: {
             origin: true,
@@ -15,9 +45,22 @@ export function initializeSocket(httpServer) {
         transports: ['websocket', 'polling']
     });
 
-    setupVideoSocket(io);
+    const clustered = SOCKET_ADAPTER === 'redis' && await attachRedisAdapter(io);
+
+    // Verify handshake tokens (socket.data.user) before any connection handler runs
+    io.use(socketAuth);
+    io.of('/meeting').use(socketAuth);
+    io.of('/player').use(socketAuth);
+    io.of('/ai-agent').use(socketAuth);
+    io.of('/catalog').use(socketAuth);
+    io.of('/images').use(socketAuth);
+
+    await setupVideoSocket(io, { clustered });
     setupChatSocket(io);
-    setupMultiplayerSocket(io); // Add this
+    setupAIAgentSocket(io);
+    await setupMultiplayerSocket(io, { clustered });
+    setupCatalogSocket(io);
+    setupImageSocket(io);
 
     return io;
 }
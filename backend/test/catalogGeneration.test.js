@@ -0,0 +1,141 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { setLLMProvider } from '../src/config/llm.js';
+import { createMockProvider } from '../src/domain/ai/providers/mockProvider.js';
+import { productService } from '../src/domain/product/productService.js';
+import { catalogGenerationService } from '../src/domain/product/catalogGenerationService.js';
+
+// Stands in for a model: answers every request with the given saveProducts arguments and records the requests
+function createFakeProvider(products) {
+    const requests = [];
+    return {
+        name: 'fake',
+        requests,
+        async generate(request) {
+            requests.push(request);
+            return { text: '', toolCalls: [{ id: 'call-1', name: 'saveProducts', arguments: { products } }] };
+        }
+    };
+}
+
+before(async () => {
+    await productService.initializeProducts();
+});
+
+test('the mock provider drafts the requested number of new products from the request metadata', async () => {
+    setLLMProvider(createMockProvider());
+    const first = await catalogGenerationService.generateDrafts({ category: 'books', count: 2 });
+    assert.equal(first.category, 'Books');
+    assert.equal(first.drafts.length, 2);
+    assert.ok(first.drafts.every(draft => draft.product.category === 'Books' && draft.provider === 'mock'));
+
+    // Drafts waiting for review are reserved, so the next request gets different names
+    const second = await catalogGenerationService.generateDrafts({ category: 'Books', count: 2 });
+    const firstNames = first.drafts.map(draft => draft.product.name);
+    assert.equal(second.drafts.length, 2);
+    assert.ok(second.drafts.every(draft => !firstNames.includes(draft.product.name)));
+    assert.deepEqual(second.duplicates, []);
+});
+
+test('the request metadata carries the category, count and reserved names', async () => {
+    const provider = createFakeProvider([]);
+    setLLMProvider(provider);
+    await assert.rejects(
+        catalogGenerationService.generateDrafts({ category: 'Fashion', count: 4 }),
+        { status: 502 }
+    );
+    const { metadata } = provider.requests[0];
+    assert.equal(metadata.category, 'Fashion');
+    assert.equal(metadata.count, 4);
+    assert.ok(Array.isArray(metadata.reserved));
+});
+
+test('invalid and duplicate products from the model are reported, not saved', async () => {
+    const [existing] = await productService.getProductNames();
+    setLLMProvider(createFakeProvider([
+        { name: 'Harbor Lamp', description: 'A reading lamp', price: 24.99, stock: 10, rating: 4.2, brand: 'Harbor' },
+        { name: 'Broken Lamp', description: 'No price', stock: 10, rating: 4, brand: 'Harbor' },
+        { name: existing, description: 'Same name', price: 10, stock: 1, rating: 4, brand: 'Copy' }
+    ]));
+    const result = await catalogGenerationService.generateDrafts({ category: 'Electronics', count: 3 });
+    assert.deepEqual(result.drafts.map(draft => draft.product.name), ['Harbor Lamp']);
+    assert.equal(result.rejected.length, 1);
+    assert.ok(result.rejected[0].errors.some(error => error.field === 'price'));
+    assert.equal(result.duplicates.length, 1);
+});
+
+test('approving a draft keeps its category and adds it to the catalog', async () => {
+    setLLMProvider(createFakeProvider([
+        { name: 'Quill Desk Set', description: 'Pens and ink', price: 15, stock: 8, rating: 4.5, brand: 'Quill' }
+    ]));
+    const { drafts: [draft] } = await catalogGenerationService.generateDrafts({ category: 'Books', count: 1 });
+
+    await assert.rejects(
+        catalogGenerationService.approveDraft(draft.draftId, { category: 'Fashion' }),
+        { status: 400 }
+    );
+    await assert.rejects(
+        catalogGenerationService.approveDraft(draft.draftId, { id: 'prod-001' }),
+        { status: 400 }
+    );
+
+    const product = await catalogGenerationService.approveDraft(draft.draftId, { price: 12.5 });
+    assert.equal(product.category, 'Books');
+    assert.equal(product.price, 12.5);
+    assert.equal(product.generated, true);
+    assert.equal((await catalogGenerationService.listDrafts('Books')).some(d => d.draftId === draft.draftId), false);
+});
+
+test('a new category is accepted for drafts and added to the catalog on approval', async () => {
+    setLLMProvider(createFakeProvider([
+        { name: 'Trail Runner Tent', description: 'Two-person tent', price: 89, stock: 12, rating: 4.4, brand: 'Ridge' }
+    ]));
+    await assert.rejects(
+        catalogGenerationService.generateDrafts({ category: '<script>', count: 1 }),
+        { status: 400 }
+    );
+
+    const result = await catalogGenerationService.generateDrafts({ category: '  outdoor   gear ', count: 1 });
+    assert.equal(result.category, 'outdoor gear');
+    assert.equal(result.newCategory, true);
+    assert.equal((await productService.getCategoryNames()).includes('outdoor gear'), false);
+
+    const product = await catalogGenerationService.approveDraft(result.drafts[0].draftId);
+    assert.equal(product.category, 'outdoor gear');
+    assert.ok((await productService.getCategoryNames()).includes('outdoor gear'));
+
+    // Now known, in any spelling
+    setLLMProvider(createFakeProvider([
+        { name: 'Summit Stove', description: 'Camping stove', price: 45, stock: 20, rating: 4.1, brand: 'Ridge' }
+    ]));
+    const again = await catalogGenerationService.generateDrafts({ category: 'Outdoor Gear', count: 1 });
+    assert.equal(again.category, 'outdoor gear');
+    assert.equal(again.newCategory, false);
+});
+
+test('approving the same draft twice adds one product', async () => {
+    setLLMProvider(createFakeProvider([
+        { name: 'Copper Kettle', description: 'Stovetop kettle', price: 39, stock: 9, rating: 4.6, brand: 'Hearth' }
+    ]));
+    const { drafts: [draft] } = await catalogGenerationService.generateDrafts({ category: 'Electronics', count: 1 });
+
+    const results = await Promise.allSettled([
+        catalogGenerationService.approveDraft(draft.draftId),
+        catalogGenerationService.approveDraft(draft.draftId)
+    ]);
+    assert.equal(results.filter(r => r.status === 'fulfilled').length, 1);
+    assert.equal(results.find(r => r.status === 'rejected').reason.status, 404);
+
+    const { products } = await productService.getProductsByCategory('Electronics', { page: 1, limit: 500 });
+    assert.equal(products.filter(p => p.name === 'Copper Kettle').length, 1);
+});
+
+test('a draft that fails on approval goes back on the review list', async () => {
+    setLLMProvider(createFakeProvider([
+        { name: 'Velvet Scarf', description: 'Soft scarf', price: 19, stock: 30, rating: 4.3, brand: 'Loom' }
+    ]));
+    const { drafts: [draft] } = await catalogGenerationService.generateDrafts({ category: 'Fashion', count: 1 });
+
+    await assert.rejects(catalogGenerationService.approveDraft(draft.draftId, { price: -5 }), { status: 400 });
+    assert.ok((await catalogGenerationService.listDrafts('Fashion')).some(d => d.draftId === draft.draftId));
+});
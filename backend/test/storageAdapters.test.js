@@ -0,0 +1,109 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createStorageAdapter } from '../src/config/storage.js';
+
+let fileDir;
+
+before(async () => {
+    fileDir = await fs.mkdtemp(path.join(os.tmpdir(), 'storage-test-'));
+});
+
+after(async () => {
+    await fs.rm(fileDir, { recursive: true, force: true });
+});
+
+// Every adapter has to behave the same, so the same checks run against each driver
+for (const driver of ['memory', 'file']) {
+    describe(`${driver} adapter`, () => {
+        let storage;
+
+        before(async () => {
+            storage = await createStorageAdapter(driver, { dir: fileDir });
+        });
+
+        after(async () => {
+            await storage.close();
+        });
+
+        test('get returns null for missing keys and copies of stored values', async () => {
+            assert.equal(await storage.get('things', 'missing'), null);
+
+            const value = { name: 'lamp', tags: ['a'] };
+            await storage.set('things', 'lamp', value);
+            value.tags.push('changed');
+
+            const stored = await storage.get('things', 'lamp');
+            assert.deepEqual(stored, { name: 'lamp', tags: ['a'] });
+            stored.name = 'changed';
+            assert.equal((await storage.get('things', 'lamp')).name, 'lamp');
+        });
+
+        test('setIfAbsent only stores the first value', async () => {
+            assert.equal(await storage.setIfAbsent('claims', 'key', { by: 'first' }), true);
+            assert.equal(await storage.setIfAbsent('claims', 'key', { by: 'second' }), false);
+            assert.deepEqual(await storage.get('claims', 'key'), { by: 'first' });
+        });
+
+        test('update creates, changes, keeps and deletes values', async () => {
+            assert.deepEqual(await storage.update('counters', 'c', (current) => ({ count: (current?.count || 0) + 1 })), { count: 1 });
+            assert.deepEqual(await storage.update('counters', 'c', (current) => ({ count: current.count + 1 })), { count: 2 });
+            assert.deepEqual(await storage.update('counters', 'c', () => undefined), { count: 2 });
+            assert.equal(await storage.update('counters', 'c', () => null), null);
+            assert.equal(await storage.get('counters', 'c'), null);
+        });
+
+        test('update leaves the value untouched when fn throws', async () => {
+            await storage.set('counters', 'guarded', { count: 5 });
+            await assert.rejects(
+                storage.update('counters', 'guarded', () => { throw new Error('refused'); }),
+                { message: 'refused' }
+            );
+            assert.deepEqual(await storage.get('counters', 'guarded'), { count: 5 });
+        });
+
+        test('concurrent updates all apply', async () => {
+            await Promise.all(Array.from({ length: 50 }, () =>
+                storage.update('counters', 'shared', (current) => ({ count: (current?.count || 0) + 1 }))
+            ));
+            assert.deepEqual(await storage.get('counters', 'shared'), { count: 50 });
+        });
+
+        test('delete reports whether a key was removed', async () => {
+            await storage.set('things', 'gone', { name: 'gone' });
+            assert.equal(await storage.delete('things', 'gone'), true);
+            assert.equal(await storage.delete('things', 'gone'), false);
+            assert.equal(await storage.get('things', 'gone'), null);
+        });
+
+        test('entries, values and size list one namespace', async () => {
+            await storage.clear('list');
+            await storage.set('list', 'a', { n: 1 });
+            await storage.set('list', 'b', { n: 2 });
+            await storage.set('other', 'c', { n: 3 });
+
+            assert.deepEqual((await storage.entries('list')).sort(), [['a', { n: 1 }], ['b', { n: 2 }]]);
+            assert.deepEqual((await storage.values('list')).map(v => v.n).sort(), [1, 2]);
+            assert.equal(await storage.size('list'), 2);
+
+            await storage.clear('list');
+            assert.equal(await storage.size('list'), 0);
+        });
+    });
+}
+
+test('the file adapter reloads what it wrote', async () => {
+    const writer = await createStorageAdapter('file', { dir: fileDir });
+    await Promise.all(Array.from({ length: 20 }, (_, i) =>
+        writer.update('reload', 'counter', (current) => ({ count: (current?.count || 0) + 1, last: i }))
+    ));
+    await writer.set('reload', 'other', { ok: true });
+    await writer.close();
+
+    const reader = await createStorageAdapter('file', { dir: fileDir });
+    assert.equal((await reader.get('reload', 'counter')).count, 20);
+    assert.deepEqual(await reader.get('reload', 'other'), { ok: true });
+    await reader.close();
+});
@@ -23,8 +23,6 @@ echo Deploying Frontend to Vercel...
 echo --------------------------------
 echo.
 
-cd frontend
-
 REM Check if vercel is installed
 where vercel >nul 2>nul
 if %ERRORLEVEL% NEQ 0 (
@@ -34,10 +32,9 @@ if %ERRORLEVEL% NEQ 0 (
 
 REM Deploy to Vercel
 echo Deploying to Vercel...
+REM Run from the repository root (Vercel project root directory: frontend) so shared/ is uploaded too
 vercel --prod
 
-cd ..
-
 echo.
 echo ========================================
 echo Deployment Complete!
@@ -22,8 +22,6 @@ echo ""
 echo "🌐 Deploying Frontend to Vercel..."
 echo "-----------------------------------"
 
-cd frontend
-
 # Check if vercel is installed
 if ! command -v vercel &> /dev/null; then
     echo "📥 Installing Vercel CLI..."
@@ -32,10 +30,9 @@ fi
 
 # Deploy to Vercel
 echo "🚀 Deploying to Vercel..."
+# Run from the repository root (Vercel project root directory: frontend) so shared/ is uploaded too
 vercel --prod
 
-cd ..
-
 echo ""
 echo "✅ Deployment Complete!"
 echo ""
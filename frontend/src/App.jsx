@@ -4,8 +4,14 @@ import VirtualMall from './components/VirtualMall'
 import { TVControlsOverlay, getTVScreenState } from './components/TVScreen'
 import { UserListOverlay } from './components/UserListOverlay'
 import GlobalControls from './components/GlobalControls'
+import CartHUD from './components/CartHUD'
+import GroupCartPanel from './components/GroupCartPanel'
+import LiveShowPanel from './components/LiveShowPanel'
 import NPCInteractionButton from './components/NPCInteractionButton'
+import CatalogAlerts from './components/CatalogAlerts'
+import AuthOverlay, { AccountBadge } from './components/AuthOverlay'
 import { useRoomStore } from './stores/roomStore'
+import { useAuthStore, getCurrentUserId } from './stores/authStore'
 import VideoMeeting from './components/VideoMeeting'
 
 function AppContent() {
@@ -37,11 +43,8 @@ function AppContent() {
       canvas.style.cursor = 'default'
     }
 
-    // Initialize current user ID (in a real app, this would come from authentication)
-    // For now, generate a unique ID or use a stored one
-    const storedUserId = localStorage.getItem('userId') || `user-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`
-    localStorage.setItem('userId', storedUserId)
-    setCurrentUserId(storedUserId)
+    // Current user ID comes from the signed-in account (or the persistent guest ID)
+    setCurrentUserId(getCurrentUserId())
   }, [setCurrentUserId])
 
   // Update TV state for overlay
@@ -67,7 +70,12 @@ function AppContent() {
         </Suspense>
       </Canvas>
       <GlobalControls />
+      <CartHUD />
+      <GroupCartPanel socket={tvState.socket} roomId={tvState.roomId} />
+      <LiveShowPanel style={{ left: 'auto', right: '360px' }} />
       <NPCInteractionButton />
+      <CatalogAlerts />
+      <AccountBadge />
       <TVControlsOverlay
         isNear={tvState.isNear}
         audioEnabled={tvState.audioEnabled}
@@ -89,6 +97,13 @@ function AppContent() {
 
 function App() {
   const [route, setRoute] = useState(window.location.pathname)
+  const authStatus = useAuthStore((state) => state.status)
+  const restoreSession = useAuthStore((state) => state.restore)
+
+  // Validate any saved session before sockets connect
+  useEffect(() => {
+    restoreSession()
+  }, [restoreSession])
 
   useEffect(() => {
     const handlePopState = () => setRoute(window.location.pathname)
@@ -96,6 +111,14 @@ function App() {
     return () => window.removeEventListener('popstate', handlePopState)
   }, [])
 
+  if (authStatus === 'checking') {
+    return null
+  }
+
+  if (authStatus === 'signed-out') {
+    return <AuthOverlay />
+  }
+
   if (route === '/meeting' || route === '/video') {
     return <VideoMeeting />
   }
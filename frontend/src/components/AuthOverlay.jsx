@@ -0,0 +1,194 @@
+import React from 'react'
+import { useAuthStore } from '../stores/authStore'
+import { useProfileStore } from '../stores/profileStore'
+import ProfileEditor from './ProfileEditor'
+
+const inputStyle = {
+  width: '100%',
+  boxSizing: 'border-box',
+  padding: '10px 12px',
+  marginBottom: '10px',
+  backgroundColor: '#222',
+  color: 'white',
+  border: '1px solid #555',
+  borderRadius: '6px',
+  fontSize: '14px',
+}
+
+const primaryButtonStyle = {
+  width: '100%',
+  padding: '10px 16px',
+  backgroundColor: '#2196F3',
+  color: 'white',
+  border: 'none',
+  borderRadius: '6px',
+  cursor: 'pointer',
+  fontSize: '14px',
+  fontWeight: 'bold',
+}
+
+const linkButtonStyle = {
+  background: 'none',
+  border: 'none',
+  color: '#90caf9',
+  cursor: 'pointer',
+  fontSize: '12px',
+  padding: 0,
+}
+
+/**
+ * AuthOverlay - Sign in / sign up screen shown before entering the mall
+ * Guests can skip it and keep a local ID (no cross-device cart, no account name)
+ */
+export default function AuthOverlay() {
+  const { isLoading, error, login, signup, continueAsGuest, clearError } = useAuthStore()
+  const [mode, setMode] = React.useState('login') // 'login' | 'signup'
+  const [email, setEmail] = React.useState('')
+  const [password, setPassword] = React.useState('')
+  const [displayName, setDisplayName] = React.useState('')
+
+  const handleSubmit = (event) => {
+    event.preventDefault()
+    if (mode === 'signup') {
+      signup(email, password, displayName)
+    } else {
+      login(email, password)
+    }
+  }
+
+  const switchMode = () => {
+    clearError()
+    setMode(mode === 'login' ? 'signup' : 'login')
+  }
+
+  return (
+    <div style={{
+      position: 'fixed',
+      inset: 0,
+      backgroundColor: 'rgba(0, 0, 0, 0.9)',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      zIndex: 3000,
+      fontFamily: 'Arial, sans-serif',
+    }}>
+      <form
+        onSubmit={handleSubmit}
+        style={{
+          width: '320px',
+          padding: '24px',
+          backgroundColor: 'rgba(20, 20, 20, 0.95)',
+          borderRadius: '10px',
+          color: 'white',
+          boxShadow: '0 4px 12px rgba(0, 0, 0, 0.5)',
+        }}
+      >
+        <div style={{ fontSize: '20px', fontWeight: 'bold', marginBottom: '16px' }}>
+          {mode === 'signup' ? 'Create your account' : 'Sign in to Flipkart Mall'}
+        </div>
+
+        {mode === 'signup' && (
+          <input
+            style={inputStyle}
+            placeholder="Display name"
+            value={displayName}
+            onChange={(e) => setDisplayName(e.target.value)}
+            required
+          />
+        )}
+        <input
+          style={inputStyle}
+          type="email"
+          placeholder="Email"
+          autoComplete="email"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          required
+        />
+        <input
+          style={inputStyle}
+          type="password"
+          placeholder="Password (min. 8 characters)"
+          autoComplete={mode === 'signup' ? 'new-password' : 'current-password'}
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          required
+        />
+
+        {error && (
+          <div style={{ padding: '6px 8px', backgroundColor: '#f44336', borderRadius: '4px', marginBottom: '10px', fontSize: '12px' }}>
+            ⚠️ {error}
+          </div>
+        )}
+
+        <button type="submit" disabled={isLoading} style={{ ...primaryButtonStyle, opacity: isLoading ? 0.5 : 1 }}>
+          {isLoading ? 'Please wait...' : mode === 'signup' ? 'Sign up' : 'Sign in'}
+        </button>
+
+        <div style={{ display: 'flex', justifyContent: 'space-between', marginTop: '14px' }}>
+          <button type="button" style={linkButtonStyle} onClick={switchMode}>
+            {mode === 'signup' ? 'Have an account? Sign in' : 'New here? Create an account'}
+          </button>
+          <button type="button" style={linkButtonStyle} onClick={continueAsGuest}>
+            Continue as guest
+          </button>
+        </div>
+      </form>
+    </div>
+  )
+}
+
+/**
+ * AccountBadge - Shows who is signed in, with log out / sign in actions
+ */
+export function AccountBadge() {
+  const { user, isGuest, logout } = useAuthStore()
+  const profile = useProfileStore((state) => state.profile)
+  const [isEditingProfile, setIsEditingProfile] = React.useState(false)
+
+  // Reload so every socket reconnects with the new identity
+  const handleSwitchAccount = () => {
+    logout()
+    window.location.reload()
+  }
+
+  return (
+    <div style={{
+      position: 'fixed',
+      bottom: '20px',
+      right: '20px',
+      backgroundColor: 'rgba(0, 0, 0, 0.85)',
+      padding: '8px 14px',
+      borderRadius: '10px',
+      color: 'white',
+      zIndex: 1000,
+      fontFamily: 'Arial, sans-serif',
+      fontSize: '12px',
+      display: 'flex',
+      gap: '10px',
+      alignItems: 'center',
+    }}>
+      {isEditingProfile && (
+        <div style={{
+          position: 'absolute',
+          bottom: 'calc(100% + 8px)',
+          right: 0,
+          backgroundColor: 'rgba(0, 0, 0, 0.9)',
+          borderRadius: '10px',
+        }}>
+          <ProfileEditor onClose={() => setIsEditingProfile(false)} />
+        </div>
+      )}
+      <span>{user ? `👤 ${user.displayName}` : isGuest ? '👤 Guest' : ''}</span>
+      {profile && (
+        <span style={{ color: profile.color }} title="How other shoppers see you">● {profile.displayName}</span>
+      )}
+      <button type="button" style={linkButtonStyle} onClick={() => setIsEditingProfile(!isEditingProfile)}>
+        Avatar
+      </button>
+      <button type="button" style={linkButtonStyle} onClick={handleSwitchAccount}>
+        {user ? 'Log out' : 'Sign in'}
+      </button>
+    </div>
+  )
+}
@@ -0,0 +1,177 @@
+import React from 'react'
+import { useCartStore } from '../stores/cartStore'
+import { useRoomStore } from '../stores/roomStore'
+
+const buttonStyle = {
+  padding: '4px 10px',
+  backgroundColor: '#333',
+  color: 'white',
+  border: '1px solid #555',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  fontSize: '12px',
+}
+
+/**
+ * CartHUD - Shopping cart overlay shown next to GlobalControls
+ * Collapsed it shows the item count; expanded it lists items with quantity controls and checkout
+ */
+export default function CartHUD() {
+  const currentUserId = useRoomStore((state) => state.currentUserId)
+  const { items, itemCount, subtotal, isOpen, isLoading, error, lastOrder } = useCartStore()
+  const { toggleOpen, loadCart, updateQuantity, removeItem, checkout, clearError } = useCartStore()
+
+  // Load the cart once we know who the user is
+  React.useEffect(() => {
+    if (currentUserId) {
+      loadCart()
+    }
+  }, [currentUserId, loadCart])
+
+  // Keyboard shortcut: C toggles the cart
+  React.useEffect(() => {
+    const handleKeyPress = (event) => {
+      if (event.target.tagName === 'INPUT' || event.target.tagName === 'TEXTAREA') {
+        return
+      }
+      if (event.key.toLowerCase() === 'c') {
+        toggleOpen()
+      }
+    }
+
+    window.addEventListener('keydown', handleKeyPress)
+    return () => window.removeEventListener('keydown', handleKeyPress)
+  }, [toggleOpen])
+
+  return (
+    <div style={{
+      position: 'fixed',
+      top: '20px',
+      left: '360px',
+      backgroundColor: 'rgba(0, 0, 0, 0.85)',
+      padding: '15px 20px',
+      borderRadius: '10px',
+      color: 'white',
+      zIndex: 1000,
+      fontFamily: 'Arial, sans-serif',
+      minWidth: isOpen ? '320px' : 'auto',
+      maxHeight: '70vh',
+      overflowY: 'auto',
+      boxShadow: '0 4px 6px rgba(0, 0, 0, 0.3)'
+    }}>
+      <div
+        onClick={toggleOpen}
+        style={{
+          fontSize: '16px',
+          fontWeight: 'bold',
+          cursor: 'pointer',
+          display: 'flex',
+          justifyContent: 'space-between',
+          gap: '12px'
+        }}
+      >
+        <span>🛒 Cart ({itemCount})</span>
+        <span style={{ fontSize: '11px', opacity: 0.6, alignSelf: 'center' }}>(Press C)</span>
+      </div>
+
+      {error && (
+        <div
+          onClick={clearError}
+          style={{
+            marginTop: '10px',
+            padding: '6px 8px',
+            backgroundColor: '#f44336',
+            borderRadius: '4px',
+            fontSize: '12px',
+            cursor: 'pointer'
+          }}
+        >
+          ⚠️ {error}
+        </div>
+      )}
+
+      {isOpen && (
+        <div style={{ marginTop: '12px', borderTop: '1px solid #444', paddingTop: '8px' }}>
+          {items.length === 0 ? (
+            <div style={{ fontSize: '12px', opacity: 0.8 }}>
+              Your cart is empty. Click a product on a rack to add it.
+            </div>
+          ) : (
+            items.map(item => (
+              <div
+                key={item.productId}
+                style={{
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: '8px',
+                  padding: '6px 0',
+                  borderBottom: '1px solid #333',
+                  fontSize: '12px'
+                }}
+              >
+                <div style={{ flex: 1 }}>
+                  <div style={{ fontWeight: 'bold' }}>{item.name}</div>
+                  <div style={{ opacity: 0.7 }}>${item.price} × {item.quantity} = ${item.lineTotal}</div>
+                </div>
+                <button
+                  style={buttonStyle}
+                  disabled={isLoading}
+                  onClick={() => updateQuantity(item.productId, item.quantity - 1)}
+                >
+                  −
+                </button>
+                <button
+                  style={buttonStyle}
+                  disabled={isLoading || item.quantity >= item.stock}
+                  onClick={() => updateQuantity(item.productId, item.quantity + 1)}
+                >
+                  +
+                </button>
+                <button
+                  style={{ ...buttonStyle, backgroundColor: '#7a1f1f' }}
+                  disabled={isLoading}
+                  onClick={() => removeItem(item.productId)}
+                >
+                  ✕
+                </button>
+              </div>
+            ))
+          )}
+
+          {items.length > 0 && (
+            <>
+              <div style={{ marginTop: '10px', fontSize: '14px', fontWeight: 'bold' }}>
+                Subtotal: ${subtotal.toFixed(2)}
+              </div>
+              <button
+                onClick={checkout}
+                disabled={isLoading}
+                style={{
+                  marginTop: '10px',
+                  width: '100%',
+                  padding: '10px 16px',
+                  backgroundColor: '#4CAF50',
+                  color: 'white',
+                  border: 'none',
+                  borderRadius: '6px',
+                  cursor: isLoading ? 'not-allowed' : 'pointer',
+                  fontSize: '14px',
+                  fontWeight: 'bold',
+                  opacity: isLoading ? 0.5 : 1
+                }}
+              >
+                {isLoading ? 'Processing...' : 'Checkout'}
+              </button>
+            </>
+          )}
+
+          {lastOrder && items.length === 0 && (
+            <div style={{ marginTop: '10px', fontSize: '12px', color: '#4CAF50' }}>
+              ✅ Order {lastOrder.orderId.slice(0, 14)}… placed — ${lastOrder.total}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
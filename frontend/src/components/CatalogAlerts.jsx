@@ -0,0 +1,52 @@
+import React from 'react'
+import { useCatalogStore } from '../stores/catalogStore'
+import { useProductHighlightStore } from '../stores/productHighlightStore'
+
+/**
+ * CatalogAlerts - Short-lived notices when a product is running low or sells out
+ * Clicking a notice walks the player to the product's rack
+ */
+export default function CatalogAlerts() {
+  const alerts = useCatalogStore((state) => state.alerts)
+  const dismissAlert = useCatalogStore((state) => state.dismissAlert)
+  const navigateTo = useProductHighlightStore((state) => state.navigateTo)
+
+  if (alerts.length === 0) return null
+
+  return (
+    <div style={{
+      position: 'fixed',
+      bottom: '80px',
+      left: '20px',
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '8px',
+      zIndex: 1000,
+      fontFamily: 'Arial, sans-serif',
+    }}>
+      {alerts.map(alert => (
+        <div
+          key={alert.id}
+          onClick={() => {
+            navigateTo(alert.productId)
+            dismissAlert(alert.id)
+          }}
+          style={{
+            padding: '10px 14px',
+            borderRadius: '8px',
+            backgroundColor: alert.type === 'out-of-stock' ? 'rgba(183, 28, 28, 0.9)' : 'rgba(230, 120, 0, 0.9)',
+            color: 'white',
+            fontSize: '13px',
+            cursor: 'pointer',
+            boxShadow: '0 4px 6px rgba(0, 0, 0, 0.3)',
+            maxWidth: '280px',
+          }}
+        >
+          {alert.type === 'out-of-stock'
+            ? <>❌ <strong>{alert.name}</strong> just sold out</>
+            : <>🔥 Only {alert.stock} left: <strong>{alert.name}</strong></>}
+        </div>
+      ))}
+    </div>
+  )
+}
@@ -2,6 +2,7 @@ import React, { useEffect, useRef, useState } from 'react'
 import { useFrame } from '@react-three/fiber'
 import { useRoomStore } from '../stores/roomStore'
 import * as THREE from 'three'
+import PinnedProductCard from './PinnedProductCard'
 
 /**
  * Center Video Display - Shows all participant videos in a grid layout
@@ -306,6 +307,9 @@ export default function CenterVideoDisplay({ position = [0, 3, 0] }) {
         </group>
       )}
       
+      {/* Product pinned by the live show host, to the right of the screens */}
+      <PinnedProductCard position={[totalWidth / 2 + 8, 0, 0.5]} distanceFactor={20} />
+
       {/* Keyboard shortcuts display */}
       <group position={[0, -totalHeight/2 - 1.5, 0.1]}>
         {/* Shortcuts panel background */}
@@ -0,0 +1,46 @@
+import React from 'react'
+
+const LEVELS = {
+  good: { bars: 3, color: '#4caf50', label: 'Good connection' },
+  fair: { bars: 2, color: '#ffc107', label: 'Unstable connection' },
+  poor: { bars: 1, color: '#f44336', label: 'Poor connection' },
+  reconnecting: { bars: 0, color: '#9e9e9e', label: 'Reconnecting...' },
+}
+
+/**
+ * ConnectionQualityIndicator - signal bars for a peer connection
+ * @param {Object} quality - { level, rtt, packetLoss, jitter } from monitorConnectionQuality (or null while unknown)
+ */
+export default function ConnectionQualityIndicator({ quality, style }) {
+  if (!quality) return null
+  const level = LEVELS[quality.level] || LEVELS.reconnecting
+
+  const details = quality.level === 'reconnecting'
+    ? level.label
+    : [
+        level.label,
+        quality.rtt !== null && quality.rtt !== undefined && `${Math.round(quality.rtt * 1000)} ms`,
+        `${(quality.packetLoss * 100).toFixed(1)}% loss`,
+        `${Math.round(quality.jitter * 1000)} ms jitter`,
+      ].filter(Boolean).join(' · ')
+
+  return (
+    <span
+      title={details}
+      aria-label={details}
+      style={{ display: 'inline-flex', alignItems: 'flex-end', gap: '2px', height: '14px', ...style }}
+    >
+      {[1, 2, 3].map((bar) => (
+        <span
+          key={bar}
+          style={{
+            width: '4px',
+            height: `${bar * 4 + 2}px`,
+            borderRadius: '1px',
+            backgroundColor: bar <= level.bars ? level.color : 'rgba(255, 255, 255, 0.3)',
+          }}
+        />
+      ))}
+    </span>
+  )
+}
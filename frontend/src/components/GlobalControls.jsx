@@ -1,5 +1,6 @@
 import React from 'react'
 import { getTVScreenState } from './TVScreen'
+import { useVoiceStore } from '../stores/voiceStore'
 
 /**
  * GlobalControls - Always visible controls for audio/video
@@ -13,6 +14,7 @@ export default function GlobalControls() {
     onEnableVideo: () => window.dispatchEvent(new CustomEvent('RequestToggleVideo')), // Default enabled for event
     userCount: 0,
   })
+  const voice = useVoiceStore()
 
   // Update state periodically
   React.useEffect(() => {
@@ -48,6 +50,9 @@ export default function GlobalControls() {
         if (state.onEnableVideo) {
           state.onEnableVideo()
         }
+      } else if (event.key.toLowerCase() === 'k') {
+        // Toggle proximity voice
+        useVoiceStore.getState().toggle()
       }
     }
 
@@ -190,6 +195,35 @@ export default function GlobalControls() {
           {state.videoEnabled ? 'Video ON' : 'Video OFF'}
           <span style={{ fontSize: '11px', opacity: 0.8 }}>(Press P)</span>
         </button>
+
+        <button
+          onClick={voice.toggle}
+          disabled={voice.isStarting}
+          title="Talk to shoppers near you in the mall"
+          style={{
+            padding: '10px 16px',
+            backgroundColor: voice.enabled ? '#4CAF50' : '#f44336',
+            color: 'white',
+            border: 'none',
+            borderRadius: '6px',
+            cursor: voice.isStarting ? 'wait' : 'pointer',
+            fontSize: '14px',
+            fontWeight: 'bold',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            gap: '8px',
+            transition: 'background-color 0.2s',
+            opacity: voice.isStarting ? 0.5 : 1
+          }}
+        >
+          {voice.enabled ? '🎙️' : '🔇'}
+          {voice.enabled ? `Nearby Voice ON (${voice.peerIds.length})` : 'Nearby Voice OFF'}
+          <span style={{ fontSize: '11px', opacity: 0.8 }}>(Press K)</span>
+        </button>
+        {voice.error && (
+          <div style={{ fontSize: '11px', color: '#ef9a9a' }}>{voice.error}</div>
+        )}
       </div>
 
       <div style={{
@@ -203,6 +237,7 @@ export default function GlobalControls() {
         <div style={{ marginTop: '5px' }}>
           <div><strong>O</strong> - Toggle Audio</div>
           <div><strong>P</strong> - Toggle Video</div>
+          <div><strong>K</strong> - Toggle Nearby Voice</div>
         </div>
       </div>
     </div>
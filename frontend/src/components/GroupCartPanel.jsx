@@ -0,0 +1,153 @@
+import React from 'react'
+import { useGroupCartStore } from '../stores/groupCartStore'
+
+const smallButtonStyle = {
+  padding: '3px 8px',
+  backgroundColor: '#333',
+  color: 'white',
+  border: '1px solid #555',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  fontSize: '12px',
+}
+
+/**
+ * GroupCartPanel - Shared cart for everyone in the current meeting room
+ * Any participant can edit and approve; only the room owner can check out
+ */
+export default function GroupCartPanel({ socket, roomId, style = {} }) {
+  const { cart, you, error, lastOrder, lastAction } = useGroupCartStore()
+  const { bind, updateQuantity, removeItem, vote, checkout, clearError } = useGroupCartStore()
+  const [isOpen, setIsOpen] = React.useState(true)
+
+  React.useEffect(() => {
+    bind(socket || null, roomId || null)
+  }, [socket, roomId, bind])
+
+  // Detach when the panel goes away
+  React.useEffect(() => () => useGroupCartStore.getState().bind(null, null), [])
+
+  if (!socket || !roomId) return null
+
+  const items = cart?.items || []
+  const approvals = cart?.approvals || []
+  const approvalsNeeded = cart?.approvalsNeeded || 1
+  const hasApproved = you && approvals.includes(you.userId)
+  const canCheckout = you?.isOwner && items.length > 0 && approvals.length >= approvalsNeeded
+
+  return (
+    <div style={{
+      position: 'fixed',
+      top: '20px',
+      right: '20px',
+      backgroundColor: 'rgba(0, 0, 0, 0.85)',
+      padding: '15px 20px',
+      borderRadius: '10px',
+      color: 'white',
+      zIndex: 1000,
+      fontFamily: 'Arial, sans-serif',
+      width: isOpen ? '320px' : 'auto',
+      maxHeight: '70vh',
+      overflowY: 'auto',
+      boxShadow: '0 4px 6px rgba(0, 0, 0, 0.3)',
+      ...style
+    }}>
+      <div
+        onClick={() => setIsOpen(!isOpen)}
+        style={{ fontSize: '16px', fontWeight: 'bold', cursor: 'pointer' }}
+      >
+        👥 Group Cart ({cart?.itemCount || 0})
+      </div>
+
+      {isOpen && (
+        <div style={{ marginTop: '10px', borderTop: '1px solid #444', paddingTop: '8px', fontSize: '12px' }}>
+          <div style={{ opacity: 0.7, marginBottom: '6px' }}>
+            Room {roomId} {you?.isOwner ? '• you are the owner' : ''}
+          </div>
+
+          {error && (
+            <div
+              onClick={clearError}
+              style={{ padding: '6px 8px', backgroundColor: '#f44336', borderRadius: '4px', marginBottom: '6px', cursor: 'pointer' }}
+            >
+              ⚠️ {error}
+            </div>
+          )}
+
+          {lastAction?.by && lastAction.type !== 'vote' && (
+            <div style={{ opacity: 0.6, marginBottom: '6px' }}>
+              {lastAction.by.userName} {lastAction.type === 'add' ? 'added' : lastAction.type === 'remove' ? 'removed' : 'updated'} an item
+            </div>
+          )}
+
+          {items.length === 0 ? (
+            <div style={{ opacity: 0.8 }}>The group cart is empty. Use "Add to group cart" on a product.</div>
+          ) : (
+            items.map(item => (
+              <div
+                key={item.productId}
+                style={{ display: 'flex', alignItems: 'center', gap: '6px', padding: '6px 0', borderBottom: '1px solid #333' }}
+              >
+                <div style={{ flex: 1 }}>
+                  <div style={{ fontWeight: 'bold' }}>{item.name}</div>
+                  <div style={{ opacity: 0.7 }}>${item.price} × {item.quantity} = ${item.lineTotal}</div>
+                  <div style={{ opacity: 0.5, fontSize: '11px' }}>added by {item.addedBy?.userName || 'unknown'}</div>
+                </div>
+                <button style={smallButtonStyle} onClick={() => updateQuantity(item.productId, item.quantity - 1)}>−</button>
+                <button
+                  style={smallButtonStyle}
+                  disabled={item.quantity >= item.stock}
+                  onClick={() => updateQuantity(item.productId, item.quantity + 1)}
+                >
+                  +
+                </button>
+                <button style={{ ...smallButtonStyle, backgroundColor: '#7a1f1f' }} onClick={() => removeItem(item.productId)}>✕</button>
+              </div>
+            ))
+          )}
+
+          {items.length > 0 && (
+            <>
+              <div style={{ marginTop: '8px', fontSize: '14px', fontWeight: 'bold' }}>
+                Subtotal: ${cart.subtotal.toFixed(2)}
+              </div>
+              <div style={{ marginTop: '4px', opacity: 0.8 }}>
+                ✅ {approvals.length}/{approvalsNeeded} approvals
+              </div>
+              <div style={{ display: 'flex', gap: '8px', marginTop: '8px' }}>
+                <button
+                  onClick={() => vote(!hasApproved)}
+                  style={{ ...smallButtonStyle, flex: 1, padding: '8px', backgroundColor: hasApproved ? '#555' : '#2196F3' }}
+                >
+                  {hasApproved ? 'Withdraw approval' : '👍 Approve'}
+                </button>
+                {you?.isOwner && (
+                  <button
+                    onClick={checkout}
+                    disabled={!canCheckout}
+                    style={{
+                      ...smallButtonStyle,
+                      flex: 1,
+                      padding: '8px',
+                      backgroundColor: '#4CAF50',
+                      cursor: canCheckout ? 'pointer' : 'not-allowed',
+                      opacity: canCheckout ? 1 : 0.5
+                    }}
+                  >
+                    Checkout
+                  </button>
+                )}
+              </div>
+            </>
+          )}
+
+          {lastOrder && items.length === 0 && (
+            <div style={{ marginTop: '8px', color: '#4CAF50' }}>
+              ✅ Group order placed — ${lastOrder.total}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
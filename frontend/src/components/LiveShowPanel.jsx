@@ -0,0 +1,168 @@
+import React from 'react'
+import { useLiveShowStore } from '../stores/liveShowStore'
+import { meetingClient } from '../services/meetingClient'
+import { PinnedProductDetails } from './PinnedProductCard'
+
+const smallButtonStyle = {
+  padding: '3px 8px',
+  backgroundColor: '#333',
+  color: 'white',
+  border: '1px solid #555',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  fontSize: '12px',
+}
+
+const buttonStyle = (color) => ({
+  width: '100%',
+  padding: '8px',
+  marginTop: '8px',
+  backgroundColor: color,
+  color: 'white',
+  border: 'none',
+  borderRadius: '5px',
+  cursor: 'pointer',
+  fontWeight: 'bold',
+})
+
+/**
+ * LiveShowPanel - Host-led live show for the current meeting room
+ * The room owner starts the show, pins products and promotes viewers who raise their hand;
+ * viewers only watch until they're promoted to speaker
+ * @param {boolean} showProduct - Also render the pinned product card (where no screen in the scene shows it)
+ */
+export default function LiveShowPanel({ showProduct = false, style = {} }) {
+  const { show, you, inRoom, isOwner, error } = useLiveShowStore()
+  const { start, end, pinProduct, unpinProduct, raiseHand, lowerHand, promote, demote, clearError } = useLiveShowStore()
+  const [isOpen, setIsOpen] = React.useState(true)
+  const [productId, setProductId] = React.useState('')
+  const [participants, setParticipants] = React.useState(() => meetingClient.getParticipants())
+
+  React.useEffect(() => meetingClient.on('participants', setParticipants), [])
+
+  // Nothing to show to viewers until the owner goes live
+  if (!inRoom || (!show && !isOwner)) return null
+
+  const nameOf = (userId) => participants.find(p => p.userId === userId)?.userName || `User ${String(userId).slice(-4)}`
+
+  const handlePin = (e) => {
+    e.preventDefault()
+    if (!productId.trim()) return
+    pinProduct(productId.trim())
+    setProductId('')
+  }
+
+  return (
+    <div style={{
+      position: 'fixed',
+      top: '20px',
+      left: '20px',
+      backgroundColor: 'rgba(0, 0, 0, 0.85)',
+      padding: '15px 20px',
+      borderRadius: '10px',
+      color: 'white',
+      zIndex: 1000,
+      fontFamily: 'Arial, sans-serif',
+      width: isOpen ? '280px' : 'auto',
+      maxHeight: '70vh',
+      overflowY: 'auto',
+      boxShadow: '0 4px 6px rgba(0, 0, 0, 0.3)',
+      ...style
+    }}>
+      <div
+        onClick={() => setIsOpen(!isOpen)}
+        style={{ fontSize: '16px', fontWeight: 'bold', cursor: 'pointer' }}
+      >
+        {show ? '🔴 Live Show' : '🎙️ Live Show'}
+      </div>
+
+      {isOpen && (
+        <div style={{ marginTop: '10px', borderTop: '1px solid #444', paddingTop: '8px', fontSize: '12px' }}>
+          {error && (
+            <div
+              onClick={clearError}
+              style={{ padding: '6px 8px', backgroundColor: '#f44336', borderRadius: '4px', marginBottom: '6px', cursor: 'pointer' }}
+            >
+              ⚠️ {error}
+            </div>
+          )}
+
+          {!show && (
+            <>
+              <div style={{ opacity: 0.7 }}>
+                Go live to broadcast to everyone in the room. Viewers watch without sending media and can raise a hand to speak.
+              </div>
+              <button onClick={start} style={buttonStyle('#ff4081')}>Start live show</button>
+            </>
+          )}
+
+          {show && (
+            <>
+              <div style={{ opacity: 0.7, marginBottom: '6px' }}>
+                Hosted by {you.isHost ? 'you' : show.host.userName}
+                {you.isSpeaker ? ' • you are a speaker' : ''}
+              </div>
+
+              {showProduct && show.pinnedProduct && (
+                <div style={{ marginBottom: '8px' }}>
+                  <PinnedProductDetails product={show.pinnedProduct} />
+                </div>
+              )}
+
+              {you.isHost && (
+                <>
+                  <form onSubmit={handlePin} style={{ display: 'flex', gap: '6px', marginBottom: '6px' }}>
+                    <input
+                      value={productId}
+                      onChange={(e) => setProductId(e.target.value)}
+                      placeholder="Product ID to pin"
+                      style={{ flex: 1, padding: '4px 6px', borderRadius: '4px', border: '1px solid #555', background: '#222', color: 'white' }}
+                    />
+                    <button type="submit" style={smallButtonStyle}>Pin</button>
+                  </form>
+                  {show.pinnedProduct && (
+                    <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '6px' }}>
+                      <span>📌 {show.pinnedProduct.name}</span>
+                      <button onClick={unpinProduct} style={smallButtonStyle}>Unpin</button>
+                    </div>
+                  )}
+
+                  <div style={{ fontWeight: 'bold', marginTop: '8px' }}>✋ Raised hands ({show.raisedHands.length})</div>
+                  {show.raisedHands.length === 0 && <div style={{ opacity: 0.6 }}>Nobody yet</div>}
+                  {show.raisedHands.map(hand => (
+                    <div key={hand.userId} style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', padding: '3px 0' }}>
+                      <span>{hand.userName}</span>
+                      <button onClick={() => promote(hand.userId)} style={smallButtonStyle}>Promote</button>
+                    </div>
+                  ))}
+                </>
+              )}
+
+              <div style={{ fontWeight: 'bold', marginTop: '8px' }}>🎤 Speakers ({show.speakers.length})</div>
+              {show.speakers.length === 0 && <div style={{ opacity: 0.6 }}>Only the host</div>}
+              {show.speakers.map(userId => (
+                <div key={userId} style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', padding: '3px 0' }}>
+                  <span>{you.isSpeaker && meetingClient.getSelf()?.userId === userId ? 'You' : nameOf(userId)}</span>
+                  {you.isHost && <button onClick={() => demote(userId)} style={smallButtonStyle}>Demote</button>}
+                </div>
+              ))}
+
+              {you.isHost && <button onClick={end} style={buttonStyle('#f44336')}>End live show</button>}
+              {!you.isHost && you.isSpeaker && (
+                <button onClick={() => demote(meetingClient.getSelf()?.userId)} style={buttonStyle('#555')}>Stop speaking</button>
+              )}
+              {!you.isHost && !you.isSpeaker && (
+                <button
+                  onClick={you.handRaised ? lowerHand : raiseHand}
+                  style={buttonStyle(you.handRaised ? '#555' : '#4CAF50')}
+                >
+                  {you.handRaised ? 'Lower hand' : '✋ Raise hand to speak'}
+                </button>
+              )}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
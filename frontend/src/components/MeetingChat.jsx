@@ -0,0 +1,242 @@
+import React from 'react'
+import { useRoomChatStore } from '../stores/roomChatStore'
+import { meetingClient } from '../services/meetingClient'
+import { CHAT_REACTIONS, MAX_CHAT_MESSAGE_LENGTH } from '../../../shared/roomChat.js'
+
+const TYPING_IDLE_MS = 3000 // Tell the room we stopped typing after this long without a keystroke
+
+const smallButtonStyle = {
+  padding: '2px 6px',
+  backgroundColor: '#333',
+  color: 'white',
+  border: '1px solid #555',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  fontSize: '11px',
+}
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+
+function ChatMessage({ message, canDelete, selfId }) {
+  const { edit, remove, react } = useRoomChatStore()
+  const [isEditing, setIsEditing] = React.useState(false)
+  const [draft, setDraft] = React.useState(message.message)
+  const [showReactions, setShowReactions] = React.useState(false)
+
+  const saveEdit = (e) => {
+    e.preventDefault()
+    if (draft.trim() && draft.trim() !== message.message) edit(message.messageId, draft)
+    setIsEditing(false)
+  }
+
+  return (
+    <div style={{ padding: '6px 0', borderBottom: '1px solid #333' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', opacity: 0.7, fontSize: '11px' }}>
+        <span>{message.isLocal ? 'You' : message.userName}</span>
+        <span>
+          {formatTime(message.timestamp)}
+          {message.editedAt ? ' (edited)' : ''}
+        </span>
+      </div>
+
+      {isEditing ? (
+        <form onSubmit={saveEdit} style={{ display: 'flex', gap: '4px', marginTop: '4px' }}>
+          <input
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            maxLength={MAX_CHAT_MESSAGE_LENGTH}
+            autoFocus
+            style={{ flex: 1, padding: '3px 6px', borderRadius: '4px', border: '1px solid #555', background: '#222', color: 'white' }}
+          />
+          <button type="submit" style={smallButtonStyle}>Save</button>
+          <button type="button" onClick={() => setIsEditing(false)} style={smallButtonStyle}>Cancel</button>
+        </form>
+      ) : (
+        <div style={{ marginTop: '2px', whiteSpace: 'pre-wrap', wordBreak: 'break-word' }}>{message.message}</div>
+      )}
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px', marginTop: '4px', alignItems: 'center' }}>
+        {Object.entries(message.reactions || {}).map(([emoji, userIds]) => (
+          <button
+            key={emoji}
+            onClick={() => react(message.messageId, emoji)}
+            style={{ ...smallButtonStyle, backgroundColor: userIds.includes(selfId) ? '#1a73e8' : '#333' }}
+          >
+            {emoji} {userIds.length}
+          </button>
+        ))}
+        <button onClick={() => setShowReactions(!showReactions)} style={smallButtonStyle} title="Add reaction">☺+</button>
+        {message.isLocal && !isEditing && (
+          <button onClick={() => { setDraft(message.message); setIsEditing(true) }} style={smallButtonStyle}>Edit</button>
+        )}
+        {canDelete && <button onClick={() => remove(message.messageId)} style={smallButtonStyle}>Delete</button>}
+      </div>
+
+      {showReactions && (
+        <div style={{ display: 'flex', gap: '4px', marginTop: '4px' }}>
+          {CHAT_REACTIONS.map(emoji => (
+            <button
+              key={emoji}
+              onClick={() => { react(message.messageId, emoji); setShowReactions(false) }}
+              style={{ ...smallButtonStyle, fontSize: '14px' }}
+            >
+              {emoji}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+/**
+ * MeetingChat - Text chat for the current meeting room, with history, reactions and typing indicators.
+ * The room owner can also mute, unmute and remove people, and delete anyone's messages.
+ */
+export default function MeetingChat({ style = {} }) {
+  const { messages, hasMore, isLoading, typing, mutedByOwner, error } = useRoomChatStore()
+  const { send, setTyping, loadOlder, muteUser, kickUser, clearError } = useRoomChatStore()
+  const [isOpen, setIsOpen] = React.useState(true)
+  const [showPeople, setShowPeople] = React.useState(false)
+  const [draft, setDraft] = React.useState('')
+  const [participants, setParticipants] = React.useState(() => meetingClient.getParticipants())
+  const [self, setSelf] = React.useState(() => meetingClient.getSelf())
+  const typingRef = React.useRef({ isTyping: false, timer: null })
+  const listRef = React.useRef(null)
+
+  React.useEffect(() => {
+    const unsubscribers = [
+      meetingClient.on('participants', setParticipants),
+      meetingClient.on('status', () => setSelf(meetingClient.getSelf())),
+      meetingClient.on('owner-changed', () => setSelf(meetingClient.getSelf())),
+    ]
+    return () => {
+      unsubscribers.forEach(unsubscribe => unsubscribe())
+      clearTimeout(typingRef.current.timer)
+    }
+  }, [])
+
+  // Follow new messages
+  const lastMessageId = messages[messages.length - 1]?.messageId
+  React.useEffect(() => {
+    if (listRef.current) listRef.current.scrollTop = listRef.current.scrollHeight
+  }, [lastMessageId])
+
+  if (!self) return null
+  const isOwner = self.role === 'owner'
+
+  const stopTyping = () => {
+    clearTimeout(typingRef.current.timer)
+    if (typingRef.current.isTyping) setTyping(false)
+    typingRef.current.isTyping = false
+  }
+
+  const handleChange = (e) => {
+    setDraft(e.target.value)
+    if (!typingRef.current.isTyping) {
+      typingRef.current.isTyping = true
+      setTyping(true)
+    }
+    clearTimeout(typingRef.current.timer)
+    typingRef.current.timer = setTimeout(stopTyping, TYPING_IDLE_MS)
+  }
+
+  const handleSend = (e) => {
+    e.preventDefault()
+    if (send(draft)) setDraft('')
+    stopTyping()
+  }
+
+  return (
+    <div style={{
+      position: 'fixed',
+      bottom: '100px',
+      right: '20px',
+      backgroundColor: 'rgba(0, 0, 0, 0.85)',
+      padding: '15px 20px',
+      borderRadius: '10px',
+      color: 'white',
+      zIndex: 1000,
+      fontFamily: 'Arial, sans-serif',
+      width: isOpen ? '320px' : 'auto',
+      boxShadow: '0 4px 6px rgba(0, 0, 0, 0.3)',
+      ...style
+    }}>
+      <div
+        onClick={() => setIsOpen(!isOpen)}
+        style={{ fontSize: '16px', fontWeight: 'bold', cursor: 'pointer' }}
+      >
+        💬 Chat ({messages.length})
+      </div>
+
+      {isOpen && (
+        <div style={{ marginTop: '10px', borderTop: '1px solid #444', paddingTop: '8px', fontSize: '12px' }}>
+          {error && (
+            <div
+              onClick={clearError}
+              style={{ padding: '6px 8px', backgroundColor: '#f44336', borderRadius: '4px', marginBottom: '6px', cursor: 'pointer' }}
+            >
+              ⚠️ {error}
+            </div>
+          )}
+
+          {isOwner && (
+            <div style={{ marginBottom: '6px' }}>
+              <button onClick={() => setShowPeople(!showPeople)} style={smallButtonStyle}>
+                {showPeople ? 'Hide people' : `Manage people (${participants.length})`}
+              </button>
+              {showPeople && participants.map(participant => (
+                <div key={participant.socketId} style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', padding: '3px 0' }}>
+                  <span>{participant.userName}{participant.mutedByOwner ? ' (muted)' : ''}</span>
+                  <span style={{ display: 'flex', gap: '4px' }}>
+                    <button onClick={() => muteUser(participant.userId, !participant.mutedByOwner)} style={smallButtonStyle}>
+                      {participant.mutedByOwner ? 'Unmute' : 'Mute'}
+                    </button>
+                    <button onClick={() => kickUser(participant.userId)} style={smallButtonStyle}>Remove</button>
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div ref={listRef} style={{ maxHeight: '40vh', overflowY: 'auto' }}>
+            {hasMore && (
+              <button onClick={loadOlder} disabled={isLoading} style={{ ...smallButtonStyle, width: '100%' }}>
+                {isLoading ? 'Loading...' : 'Load earlier messages'}
+              </button>
+            )}
+            {messages.length === 0 && !isLoading && <div style={{ opacity: 0.6 }}>No messages yet</div>}
+            {messages.map(message => (
+              <ChatMessage
+                key={message.messageId}
+                message={message}
+                selfId={self.userId}
+                canDelete={message.isLocal || isOwner}
+              />
+            ))}
+          </div>
+
+          <div style={{ minHeight: '16px', opacity: 0.6, fontStyle: 'italic', marginTop: '4px' }}>
+            {typing.length === 1 && `${typing[0].userName} is typing...`}
+            {typing.length > 1 && `${typing.length} people are typing...`}
+          </div>
+
+          {mutedByOwner ? (
+            <div style={{ opacity: 0.7 }}>The room owner muted you.</div>
+          ) : (
+            <form onSubmit={handleSend} style={{ display: 'flex', gap: '6px' }}>
+              <input
+                value={draft}
+                onChange={handleChange}
+                maxLength={MAX_CHAT_MESSAGE_LENGTH}
+                placeholder="Send a message"
+                style={{ flex: 1, padding: '6px 8px', borderRadius: '4px', border: '1px solid #555', background: '#222', color: 'white' }}
+              />
+              <button type="submit" style={{ ...smallButtonStyle, padding: '6px 10px', fontSize: '12px' }}>Send</button>
+            </form>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -1,6 +1,53 @@
 import React, { useState, useEffect, useRef } from 'react'
 import { voiceBotService } from '../services/voiceBotService'
 import { getTVScreenState } from './TVScreen'
+import { fetchProductById } from '../services/api'
+import { useCartStore } from '../stores/cartStore'
+import { useProductHighlightStore } from '../stores/productHighlightStore'
+
+const productNames = {} // productId -> name, shared by every chip
+
+/**
+ * Chip for a product the sales person mentioned - click to walk to its rack
+ */
+function ProductChip({ productId }) {
+  const navigateTo = useProductHighlightStore((state) => state.navigateTo)
+  const [name, setName] = useState(productNames[productId] || null)
+  const [notOnDisplay, setNotOnDisplay] = useState(false)
+
+  useEffect(() => {
+    if (name) return
+    let cancelled = false
+    fetchProductById(productId)
+      .then(product => {
+        if (product && !cancelled) {
+          productNames[productId] = product.name
+          setName(product.name)
+        }
+      })
+      .catch(console.error)
+    return () => { cancelled = true }
+  }, [productId, name])
+
+  return (
+    <button
+      onClick={() => setNotOnDisplay(!navigateTo(productId))}
+      title={notOnDisplay ? 'Not on display in the mall' : 'Take me to this product'}
+      style={{
+        padding: '3px 8px',
+        borderRadius: '12px',
+        border: '1px solid #FFD700',
+        backgroundColor: 'rgba(255, 215, 0, 0.15)',
+        color: 'white',
+        cursor: notOnDisplay ? 'not-allowed' : 'pointer',
+        opacity: notOnDisplay ? 0.5 : 1,
+        fontSize: '11px',
+      }}
+    >
+      📍 {name || productId}
+    </button>
+  )
+}
 
 export default function NPCInteractionButton() {
   const [isVisible, setIsVisible] = useState(true)
@@ -32,13 +79,50 @@ export default function NPCInteractionButton() {
 
     initializeBot()
 
+    // Streamed replies: grow the last response bubble as tokens arrive
+    voiceBotService.setOnChunk((chunk, textSoFar) => {
+      setConversationHistory(prev => {
+        const last = prev[prev.length - 1]
+        if (last && last.type === 'response' && last.streaming) {
+          return [...prev.slice(0, -1), { ...last, text: textSoFar }]
+        }
+        return [...prev, { type: 'response', text: textSoFar, streaming: true, timestamp: Date.now() }]
+      })
+    })
+
+    // Sentence audio plays as soon as each sentence is complete
+    voiceBotService.setOnSentence((sentence) => {
+      if (sentence.audio) {
+        setIsSpeaking(true)
+      }
+    })
+
     // Set up response handler to show response and play audio
     voiceBotService.setOnResponse(async (data) => {
+      // Highlight the products the answer is about; the assistant may also have changed the cart
+      if (data) {
+        useProductHighlightStore.getState().highlight(data.productIds)
+        useCartStore.getState().loadCart()
+      }
+
+      if (data && data.streamed) {
+        // Text and audio already arrived incrementally - just settle the final text
+        setConversationHistory(prev => {
+          const last = prev[prev.length - 1]
+          if (last && last.type === 'response' && last.streaming) {
+            return [...prev.slice(0, -1), { ...last, text: data.text, productIds: data.productIds, streaming: false }]
+          }
+          return [...prev, { type: 'response', text: data.text, productIds: data.productIds, timestamp: Date.now() }]
+        })
+        return
+      }
+
       if (data && data.text) {
         // Add response to conversation history
         setConversationHistory(prev => [...prev, {
           type: 'response',
           text: data.text,
+          productIds: data.productIds,
           timestamp: Date.now()
         }])
         
@@ -143,8 +227,9 @@ export default function NPCInteractionButton() {
           text: userMessage,
           timestamp: Date.now()
         }])
-        // Send transcribed text to voice bot (will get voice response)
-        voiceBotService.sendMessage(userMessage).catch(error => {
+        // Send transcribed text to voice bot (streams text and sentence-by-sentence voice)
+        voiceBotService.stopAudio()
+        voiceBotService.sendMessageStream(userMessage).catch(error => {
           console.error('Error sending message:', error)
         })
       }
@@ -312,7 +397,12 @@ export default function NPCInteractionButton() {
                     ? '🔊 Speaking:'
                     : 'Sales Person:'}
               </strong>
-              <div style={{ marginTop: '5px' }}>{message.text}</div>
+              <div style={{ marginTop: '5px' }}>{message.text}{message.streaming ? ' ▍' : ''}</div>
+              {message.productIds?.length > 0 && (
+                <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px', marginTop: '6px' }}>
+                  {message.productIds.map(id => <ProductChip key={id} productId={id} />)}
+                </div>
+              )}
             </div>
           ))}
           
@@ -360,6 +450,20 @@ export default function NPCInteractionButton() {
           {isListening ? '🛑 Stop Listening' : '🎤 Start Voice Input'}
         </button>
         
+        {/* Live reply preview while the history is collapsed */}
+        {!showChatHistory && conversationHistory[conversationHistory.length - 1]?.streaming && (
+          <div style={{
+            maxWidth: '260px',
+            padding: '8px',
+            borderRadius: '5px',
+            backgroundColor: 'rgba(76, 175, 80, 0.2)',
+            border: '1px solid #4CAF50',
+            fontSize: '12px',
+          }}>
+            {conversationHistory[conversationHistory.length - 1].text} ▍
+          </div>
+        )}
+
         {!showChatHistory && (
           <div style={{ 
             fontSize: '11px', 
@@ -1,84 +1,131 @@
 import React, { useRef, Suspense } from 'react'
 import { useFrame, useThree } from '@react-three/fiber'
-import { useGLTF, useTexture } from '@react-three/drei'
+import { useTexture, Html } from '@react-three/drei'
 import * as THREE from 'three'
+import { sampleAt } from '../utils/interpolation'
+import { resolveAvatar } from '../stores/profileStore'
+import { ReadyPlayerMeAvatar, AvatarErrorBoundary } from './Player'
 
-// Other Player Avatar - Image sprite for remote players
-function OtherPlayerAvatar({ position, rotation, playerId }) {
+// Image dimensions
+const imageHeight = 2.5
+const imageWidth = 2
+const meshYOffset = imageHeight / 2 // 1.25 units - center of image above ground
+const nameTagHeight = 3.0 // Just above the sprite / a typical avatar's head
+
+// Other Player Avatar - Image sprite for remote players (the default "shopper" avatar)
+function OtherPlayerSprite() {
   const meshRef = useRef()
-  const groupRef = useRef()
   const { camera } = useThree()
   const avatarTexture = useTexture('/avatar-players.png')
-  
-  // Image dimensions
-  const imageHeight = 2.5
-  const imageWidth = 2
-  
-  // Position: X and Z from player position, Y is half the image height so bottom is at ground level
-  // The mesh center should be at Y = imageHeight/2 = 1.25 so bottom is at Y=0
-  const groundPosition = [position[0] || 0, 0, position[2] || 0]
-  const meshYOffset = imageHeight / 2 // 1.25 units - center of image above ground
-  
+
   // Configure texture for transparency
   React.useEffect(() => {
     if (avatarTexture) {
       avatarTexture.flipY = false // Don't flip the texture
     }
   }, [avatarTexture])
-  
-  // Smoothly interpolate position and make sprite face camera
+
+  // Make the sprite always face the camera (billboard effect)
   useFrame(() => {
-    if (!groupRef.current || !meshRef.current) return
-    
-    // Update group position (X, Z at ground level)
-    const currentGroupPos = groupRef.current.position
-    const targetGroupPos = new THREE.Vector3(...groundPosition)
-    
-    // Smooth position interpolation for X and Z
-    currentGroupPos.x = currentGroupPos.x + (targetGroupPos.x - currentGroupPos.x) * 0.2
-    currentGroupPos.z = currentGroupPos.z + (targetGroupPos.z - currentGroupPos.z) * 0.2
-    currentGroupPos.y = 0 // Always keep group at ground level
-    
-    // Make the sprite always face the camera (billboard effect)
-    if (camera) {
+    if (meshRef.current && camera) {
       meshRef.current.lookAt(camera.position)
     }
   })
-  
+
   return (
-    <group ref={groupRef} position={groundPosition}>
-      <mesh ref={meshRef} position={[0, meshYOffset, 0]}>
-        <planeGeometry args={[imageWidth, imageHeight]} /> {/* Width and height for avatar size */}
-        <meshStandardMaterial 
-          map={avatarTexture}
-          transparent={true}
-          alphaTest={0.1} // Remove transparent pixels
-          side={THREE.DoubleSide}
-          color="#ffffff" // White color to preserve natural image colors
-        />
-      </mesh>
-    </group>
+    <mesh ref={meshRef} position={[0, meshYOffset, 0]}>
+      <planeGeometry args={[imageWidth, imageHeight]} /> {/* Width and height for avatar size */}
+      <meshStandardMaterial
+        map={avatarTexture}
+        transparent={true}
+        alphaTest={0.1} // Remove transparent pixels
+        side={THREE.DoubleSide}
+        color="#ffffff" // White color to preserve natural image colors
+      />
+    </mesh>
   )
 }
 
-// Other Player Component - Uses avatar image sprite
-function OtherPlayer({ position, rotation, playerId }) {
-  const imageHeight = 2.5
-  const meshYOffset = imageHeight / 2 // 1.25 units - center of image above ground
-  
+// Simple fallback while the image or model loads - positioned so bottom is at ground
+function LoadingAvatar() {
   return (
-    <Suspense fallback={
-      <group position={[position[0] || 0, 0, position[2] || 0]}>
-        {/* Simple fallback while image loads - positioned so bottom is at ground */}
-        <mesh position={[0, meshYOffset, 0]}>
-          <planeGeometry args={[2, 2.5]} />
-          <meshStandardMaterial color="#cccccc" transparent opacity={0.5} />
-        </mesh>
-      </group>
-    }>
-      <OtherPlayerAvatar position={position} rotation={rotation} playerId={playerId} />
+    <mesh position={[0, meshYOffset, 0]}>
+      <planeGeometry args={[imageWidth, imageHeight]} />
+      <meshStandardMaterial color="#cccccc" transparent opacity={0.5} />
+    </mesh>
+  )
+}
+
+// Floating name in the player's color
+function NameTag({ name, color }) {
+  return (
+    <Html position={[0, nameTagHeight, 0]} center distanceFactor={10} zIndexRange={[10, 0]}>
+      <div style={{
+        padding: '2px 8px',
+        borderRadius: '10px',
+        background: 'rgba(0, 0, 0, 0.6)',
+        border: `2px solid ${color}`,
+        color: '#ffffff',
+        fontSize: '14px',
+        fontWeight: 'bold',
+        whiteSpace: 'nowrap',
+        pointerEvents: 'none',
+        userSelect: 'none'
+      }}>
+        {name}
+      </div>
+    </Html>
+  )
+}
+
+// Other Player Component - the player's chosen avatar (model or sprite) with a name tag,
+// placed between the two server snapshots around the render time
+function OtherPlayer({ position, rotation, playerId, profile }) {
+  const groupRef = useRef()
+  const modelRef = useRef()
+  const avatar = resolveAvatar(profile)
+  const color = profile?.color || '#cccccc'
+  const sprite = (
+    <Suspense fallback={<LoadingAvatar />}>
+      <OtherPlayerSprite />
     </Suspense>
   )
+
+  useFrame(() => {
+    if (!groupRef.current) return
+
+    // Falls back to the last known position until the first snapshot for this player arrives
+    const sample = sampleAt(playerId)
+    const [x, , z] = sample ? sample.position : position
+    groupRef.current.position.set(x, 0, z) // Always keep group at ground level
+
+    // Models turn with the player; the sprite faces the camera on its own
+    if (modelRef.current) {
+      modelRef.current.rotation.y = (sample ? sample.rotation : rotation)[1] || 0
+    }
+  })
+
+  return (
+    <group ref={groupRef} position={[position[0] || 0, 0, position[2] || 0]}>
+      {avatar.url ? (
+        <group ref={modelRef}>
+          <AvatarErrorBoundary key={avatar.url} fallback={sprite}>
+            <Suspense fallback={<LoadingAvatar />}>
+              <ReadyPlayerMeAvatar avatarUrl={avatar.url} scale={avatar.scale} offsetY={avatar.offsetY} />
+            </Suspense>
+          </AvatarErrorBoundary>
+        </group>
+      ) : sprite}
+
+      {/* Ring in the player's color, so people are easy to tell apart at a distance */}
+      <mesh rotation={[-Math.PI / 2, 0, 0]} position={[0, 0.02, 0]}>
+        <ringGeometry args={[0.7, 0.9, 32]} />
+        <meshBasicMaterial color={color} transparent opacity={0.8} />
+      </mesh>
+
+      {profile?.displayName && <NameTag name={profile.displayName} color={color} />}
+    </group>
+  )
 }
 
 export default OtherPlayer
@@ -0,0 +1,82 @@
+import React, { useState } from 'react'
+import { Html } from '@react-three/drei'
+import { useLiveShowStore } from '../stores/liveShowStore'
+import { useCartStore } from '../stores/cartStore'
+import { toImageUrl } from '../services/api'
+
+// Card for the product the live show host pinned, with an add-to-cart button
+export function PinnedProductDetails({ product }) {
+  const addItem = useCartStore((state) => state.addItem)
+  const [added, setAdded] = useState(false)
+
+  if (!product) return null
+  const soldOut = product.stock === 0
+
+  const handleAdd = async () => {
+    await addItem(product.productId, 1)
+    if (!useCartStore.getState().error) {
+      setAdded(true)
+      setTimeout(() => setAdded(false), 2000)
+    }
+  }
+
+  return (
+    <div style={{
+      width: '220px',
+      background: 'rgba(0, 0, 0, 0.9)',
+      color: 'white',
+      borderRadius: '10px',
+      border: '2px solid #ff4081',
+      overflow: 'hidden',
+      fontFamily: 'Arial, sans-serif',
+    }}>
+      <div style={{ background: '#ff4081', fontSize: '11px', fontWeight: 'bold', padding: '4px 10px' }}>
+        🔴 LIVE · Featured product
+      </div>
+      {product.image && (
+        <img
+          src={toImageUrl(product.image)}
+          alt={product.name}
+          style={{ width: '100%', height: '120px', objectFit: 'cover', display: 'block' }}
+        />
+      )}
+      <div style={{ padding: '10px' }}>
+        <div style={{ fontWeight: 'bold', fontSize: '14px' }}>{product.name}</div>
+        <div style={{ color: '#4facfe', fontSize: '16px', margin: '4px 0 8px' }}>
+          ${Number(product.price).toFixed(2)}
+        </div>
+        <button
+          onClick={handleAdd}
+          disabled={soldOut}
+          style={{
+            width: '100%',
+            padding: '8px',
+            backgroundColor: soldOut ? '#555' : added ? '#4CAF50' : '#ff4081',
+            color: 'white',
+            border: 'none',
+            borderRadius: '5px',
+            cursor: soldOut ? 'not-allowed' : 'pointer',
+            fontWeight: 'bold',
+          }}
+        >
+          {soldOut ? 'Sold out' : added ? '✓ Added' : '🛒 Add to cart'}
+        </button>
+      </div>
+    </div>
+  )
+}
+
+/**
+ * The live show's pinned product, floating in the scene next to a screen.
+ * Renders nothing unless a show with a pinned product is running.
+ */
+export default function PinnedProductCard({ position = [0, 0, 0], distanceFactor = 6 }) {
+  const product = useLiveShowStore((state) => state.show?.pinnedProduct)
+  if (!product) return null
+
+  return (
+    <Html position={position} center distanceFactor={distanceFactor}>
+      <PinnedProductDetails product={product} />
+    </Html>
+  )
+}
@@ -1,8 +1,10 @@
-import React, { useRef, useEffect, Suspense } from 'react'
+import React, { useRef, useEffect, useMemo, Suspense } from 'react'
 import { useFrame } from '@react-three/fiber'
 import { useGLTF } from '@react-three/drei'
+import { clone as cloneSkinned } from 'three/examples/jsm/utils/SkeletonUtils.js'
 import { usePlayerStore } from '../stores/playerStore'
-import { checkCollision, getFloorY, isOnStairs } from '../utils/collision'
+import { useProfileStore, resolveAvatar } from '../stores/profileStore'
+import { checkCollision, getFloorY, isOnStairs, MOVE_SPEED, SPRINT_SPEED } from '../utils/collision'
 
 // Simple placeholder avatar model (we'll use a box for now, Ready Player Me integration below)
 function PlaceholderAvatar() {
@@ -24,25 +26,49 @@ function PlaceholderAvatar() {
   )
 }
 
-// Ready Player Me Avatar Component
-function ReadyPlayerMeAvatar({ avatarUrl }) {
+// Avatar models can be any URL a player typed in; if one fails to load, show the fallback
+// instead of taking down the whole scene. Give it key={avatarUrl} so a new URL gets a new try.
+export class AvatarErrorBoundary extends React.Component {
+  constructor(props) {
+    super(props)
+    this.state = { failed: false }
+  }
+
+  static getDerivedStateFromError() {
+    return { failed: true }
+  }
+
+  componentDidCatch(error) {
+    console.warn('Avatar model failed to load:', error.message)
+  }
+
+  render() {
+    return this.state.failed ? this.props.fallback : this.props.children
+  }
+}
+
+// Ready Player Me Avatar Component (also used for other players - see OtherPlayer.jsx)
+export function ReadyPlayerMeAvatar({ avatarUrl, scale = 1, offsetY = 0 }) {
   // Use drei's useGLTF hook for loading GLTF models
   const { scene } = useGLTF(avatarUrl)
+  // useGLTF caches one scene per URL; every player wearing this avatar needs its own copy
+  // (skeleton-aware, so rigged models keep their bones)
+  const model = useMemo(() => (scene ? cloneSkinned(scene) : null), [scene])
   
   useEffect(() => {
-    if (scene) {
-      scene.traverse((child) => {
+    if (model) {
+      model.traverse((child) => {
         if (child.isMesh) {
           child.castShadow = true
           child.receiveShadow = true
         }
       })
     }
-  }, [scene])
+  }, [model])
 
-  if (!scene) return null
+  if (!model) return null
 
-  return <primitive object={scene} scale={1} />
+  return <primitive object={model} scale={scale} position={[0, offsetY, 0]} />
 }
 
 export default function Player() {
@@ -58,8 +84,8 @@ export default function Player() {
   const setIsJumping = usePlayerStore((state) => state.setIsJumping)
   const isPointerLocked = useRef(false)
 
-  const moveSpeed = 0.15
-  const sprintSpeed = 0.35 // Fast movement speed when sprinting
+  const moveSpeed = MOVE_SPEED
+  const sprintSpeed = SPRINT_SPEED // Fast movement speed when sprinting
   const jumpHeight = 2
   const gravity = -0.02
   const mouseSensitivity = 0.002
@@ -284,7 +310,11 @@ export default function Player() {
   // Keyboard controls
   useEffect(() => {
     const keys = {}
+    // Leave keys alone while the user is typing into a form (e.g. the profile editor)
+    const isTyping = (e) => e.target instanceof HTMLElement &&
+      (e.target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName))
     const handleKeyDown = (e) => {
+      if (isTyping(e)) return
       const key = e.key.toLowerCase()
       // Don't prevent default for V key (camera toggle)
       if (key === 'v') {
@@ -303,6 +333,7 @@ export default function Player() {
       e.preventDefault()
     }
     const handleKeyUp = (e) => {
+      if (isTyping(e)) return
       const key = e.key.toLowerCase()
       // Don't prevent default for V key (camera toggle)
       if (key === 'v') {
@@ -415,7 +446,7 @@ export default function Player() {
   }, [])
 
   // Update position based on velocity with collision detection
-  useFrame(() => {
+  useFrame((_, delta) => {
     if (!playerRef.current) return
 
     const currentState = usePlayerStore.getState()
@@ -434,11 +465,13 @@ export default function Player() {
       return
     }
 
-    // Calculate new position
+    // Calculate new position - velocity is per 1/60 s, so scale by the frame time to move at the
+    // same speed on any refresh rate (the server rejects anything faster than MAX_SPEED)
+    const frameScale = Math.min(delta * 60, 3) // Don't jump through walls after a long stall
     let newPos = [
-      currentPos[0] + currentVel[0],
-      currentPos[1] + currentVel[1],
-      currentPos[2] + currentVel[2],
+      currentPos[0] + currentVel[0] * frameScale,
+      currentPos[1] + currentVel[1] * frameScale,
+      currentPos[2] + currentVel[2] * frameScale,
     ]
 
     // Check collision with walls (only check X and Z, not Y)
@@ -476,10 +509,10 @@ export default function Player() {
     playerRef.current.rotation.y = currentState.rotation
   })
 
-  // Ready Player Me avatar URL (replace with your actual avatar URL)
-  // You can get this from Ready Player Me dashboard or API
-  // Example: const avatarUrl = "https://models.readyplayer.me/YOUR_AVATAR_ID.glb"
-  const avatarUrl = null // Set this to your Ready Player Me avatar URL
+  // Avatar chosen in the profile editor - a preset or a Ready Player Me URL
+  // (e.g. "https://models.readyplayer.me/YOUR_AVATAR_ID.glb")
+  const profile = useProfileStore((state) => state.profile)
+  const avatar = resolveAvatar(profile)
   const cameraMode = usePlayerStore((state) => state.cameraMode)
 
   // Hide player avatar in first-person view (show in third-person)
@@ -489,8 +522,10 @@ export default function Player() {
     <group ref={playerRef} position={position}>
       {showAvatar && (
         <Suspense fallback={null}>
-          {avatarUrl ? (
-            <ReadyPlayerMeAvatar avatarUrl={avatarUrl} />
+          {avatar.url ? (
+            <AvatarErrorBoundary key={avatar.url} fallback={<PlaceholderAvatar />}>
+              <ReadyPlayerMeAvatar avatarUrl={avatar.url} scale={avatar.scale} offsetY={avatar.offsetY} />
+            </AvatarErrorBoundary>
           ) : (
             <PlaceholderAvatar />
           )}
@@ -0,0 +1,132 @@
+import React from 'react'
+import { useProfileStore } from '../stores/profileStore'
+import { AVATAR_PRESETS, PROFILE_COLORS } from '../../../shared/avatarPresets.js'
+
+const inputStyle = {
+  width: '100%',
+  boxSizing: 'border-box',
+  padding: '8px 10px',
+  marginBottom: '10px',
+  backgroundColor: '#222',
+  color: 'white',
+  border: '1px solid #555',
+  borderRadius: '6px',
+  fontSize: '13px',
+}
+
+const labelStyle = {
+  display: 'block',
+  marginBottom: '4px',
+  color: '#aaa',
+  fontSize: '11px',
+  textTransform: 'uppercase',
+}
+
+const choiceStyle = (selected) => ({
+  padding: '6px 10px',
+  backgroundColor: selected ? '#2196F3' : '#333',
+  color: 'white',
+  border: selected ? '1px solid #90caf9' : '1px solid #555',
+  borderRadius: '6px',
+  cursor: 'pointer',
+  fontSize: '12px',
+})
+
+/**
+ * ProfileEditor - name, avatar and color other shoppers see
+ * Avatar is a preset or a custom Ready Player Me (.glb) URL
+ */
+export default function ProfileEditor({ onClose }) {
+  const { profile, isSaving, error, updateProfile, clearError } = useProfileStore()
+  const [displayName, setDisplayName] = React.useState(profile?.displayName || '')
+  const [avatarPreset, setAvatarPreset] = React.useState(profile?.avatarPreset || 'shopper')
+  const [avatarUrl, setAvatarUrl] = React.useState(profile?.avatarUrl || '')
+  const [color, setColor] = React.useState(profile?.color || PROFILE_COLORS[0])
+
+  React.useEffect(() => clearError, [clearError])
+
+  const handleSubmit = async (event) => {
+    event.preventDefault()
+    const saved = await updateProfile({
+      displayName,
+      avatarPreset,
+      avatarUrl: avatarUrl.trim() || null,
+      color,
+    })
+    if (saved) onClose()
+  }
+
+  if (!profile) {
+    return (
+      <div style={{ padding: '12px', color: '#aaa', fontSize: '12px' }}>Connecting to the mall...</div>
+    )
+  }
+
+  return (
+    <form onSubmit={handleSubmit} style={{ width: '260px', padding: '12px' }}>
+      <label style={labelStyle} htmlFor="profile-name">Display name</label>
+      <input
+        id="profile-name"
+        style={inputStyle}
+        value={displayName}
+        maxLength={32}
+        onChange={(e) => setDisplayName(e.target.value)}
+      />
+
+      <span style={labelStyle}>Avatar</span>
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px', marginBottom: '10px' }}>
+        {Object.entries(AVATAR_PRESETS).map(([id, preset]) => (
+          <button
+            key={id}
+            type="button"
+            style={choiceStyle(!avatarUrl && avatarPreset === id)}
+            onClick={() => {
+              setAvatarPreset(id)
+              setAvatarUrl('')
+            }}
+          >
+            {preset.label}
+          </button>
+        ))}
+      </div>
+      <input
+        style={inputStyle}
+        placeholder="or a Ready Player Me URL (https://....glb)"
+        value={avatarUrl}
+        onChange={(e) => setAvatarUrl(e.target.value)}
+      />
+
+      <span style={labelStyle}>Color</span>
+      <div style={{ display: 'flex', gap: '6px', marginBottom: '12px' }}>
+        {PROFILE_COLORS.map((swatch) => (
+          <button
+            key={swatch}
+            type="button"
+            aria-label={`Color ${swatch}`}
+            onClick={() => setColor(swatch)}
+            style={{
+              width: '22px',
+              height: '22px',
+              borderRadius: '50%',
+              backgroundColor: swatch,
+              border: color === swatch ? '2px solid white' : '2px solid transparent',
+              cursor: 'pointer',
+              padding: 0,
+            }}
+          />
+        ))}
+      </div>
+
+      {error && <div style={{ color: '#ef9a9a', fontSize: '12px', marginBottom: '10px' }}>{error}</div>}
+
+      <div style={{ display: 'flex', gap: '8px' }}>
+        <button type="submit" disabled={isSaving} style={{ ...choiceStyle(true), flex: 1, fontWeight: 'bold' }}>
+          {isSaving ? 'Saving...' : 'Save'}
+        </button>
+        <button type="button" onClick={onClose} style={{ ...choiceStyle(false), flex: 1 }}>
+          Cancel
+        </button>
+      </div>
+    </form>
+  )
+}
@@ -1,7 +1,7 @@
 import React, { useEffect, useRef, useState } from 'react'
 import { useFrame } from '@react-three/fiber'
 import { useRoomStore } from '../stores/roomStore'
-import { webrtcService } from '../services/webrtc'
+import ConnectionQualityIndicator from './ConnectionQualityIndicator'
 import * as THREE from 'three'
 import { useTexture } from '@react-three/drei'
 
@@ -392,6 +392,13 @@ export function RoomControls() {
   
   if (!isInRoom) return null
   
+  // Show the worst connection in the room
+  const qualityRank = { reconnecting: 0, poor: 1, fair: 2, good: 3 }
+  const worstQuality = participants
+    .map(p => p.quality)
+    .filter(Boolean)
+    .sort((a, b) => (qualityRank[a.level] ?? 0) - (qualityRank[b.level] ?? 0))[0] || null
+  
   return (
     <div style={{
       position: 'fixed',
@@ -408,6 +415,7 @@ export function RoomControls() {
     }}>
       <div style={{ color: 'white', marginRight: '10px', alignSelf: 'center' }}>
         Room: {currentRoom?.roomId} | Category: {currentRoom?.category} | Participants: {participants.length + 1}
+        <ConnectionQualityIndicator quality={worstQuality} style={{ marginLeft: '8px' }} />
       </div>
       
       <button
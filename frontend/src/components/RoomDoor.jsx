@@ -4,7 +4,7 @@ import { useFrame } from '@react-three/fiber'
 import * as THREE from 'three'
 import { usePlayerStore } from '../stores/playerStore'
 import { useRoomStore } from '../stores/roomStore'
-import { fetchRoomsByCategory } from '../services/api'
+import { checkRoomStatus } from '../services/api'
 
 /**
  * Door with Texture - Inner component that uses useTexture hook
@@ -38,6 +38,7 @@ function RoomDoorContent({ doorTexture, position, rotation, room, category, onJo
   const isInRoom = useRoomStore((state) => state.isInRoom)
   const [lastStatusCheck, setLastStatusCheck] = useState(0)
   const [isCheckingStatus, setIsCheckingStatus] = useState(false)
+  const [status, setStatus] = useState(null) // Latest checkRoomStatus() result
   
   // Proximity detection distance (auto-join when within this distance)
   const JOIN_DISTANCE = 5.0 // units
@@ -60,20 +61,18 @@ function RoomDoorContent({ doorTexture, position, rotation, room, category, onJo
       setIsCheckingStatus(true)
       setLastStatusCheck(now)
       
-      // Check if room exists in category using categories/rooms API
-      fetchRoomsByCategory(category)
-        .then(roomsResponse => {
-          const rooms = roomsResponse.rooms || []
-          const roomExists = rooms.some(r => r.roomId === room.roomId)
+      // Live occupancy of this door's room
+      checkRoomStatus(room.roomId)
+        .then(roomStatus => {
+          setStatus(roomStatus)
           
-          // Auto-join only if room exists and not already in this room
-          if (distance <= JOIN_DISTANCE && !isCurrentRoom && roomExists && onJoinRoom) {
-            // Room exists, so it's active - join with default values
+          // Auto-join only if the room is open, has space and we're not already in it
+          if (distance <= JOIN_DISTANCE && !isCurrentRoom && roomStatus.isActive && !roomStatus.isFull && onJoinRoom) {
             onJoinRoom(room.roomId, category, room.creatorId, true, true)
           }
         })
         .catch(error => {
-          console.error(`Error checking room existence for ${room.roomId}:`, error)
+          console.error(`Error checking room status for ${room.roomId}:`, error)
         })
         .finally(() => {
           setIsCheckingStatus(false)
@@ -86,6 +85,10 @@ function RoomDoorContent({ doorTexture, position, rotation, room, category, onJo
     }
   })
   
+  const badgeColor = !status || (status.isActive && !status.isFull)
+    ? '#00ff00'
+    : status.isFull ? '#ffaa00' : '#777777'
+
   const handleClick = (e) => {
     e.stopPropagation()
     // Manual join still works
@@ -133,10 +136,10 @@ function RoomDoorContent({ doorTexture, position, rotation, room, category, onJo
         <meshStandardMaterial color="#4a90e2" transparent opacity={0.8} />
       </mesh>
       
-      {/* Room indicator badge */}
+      {/* Room indicator badge: green when open, amber when full, grey when closed or not open yet */}
       <mesh position={[0.7, 2.5, 0.12]}>
         <boxGeometry args={[0.4, 0.4, 0.1]} />
-        <meshStandardMaterial color="#00ff00" emissive="#00ff00" emissiveIntensity={0.3} />
+        <meshStandardMaterial color={badgeColor} emissive={badgeColor} emissiveIntensity={0.3} />
       </mesh>
       
       {/* Click hint */}
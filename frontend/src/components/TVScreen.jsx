@@ -2,13 +2,9 @@ import React, { useEffect, useState, useRef } from 'react'
 import { useFrame } from '@react-three/fiber'
 import * as THREE from 'three'
 import { usePlayerStore } from '../stores/playerStore'
-import { getAllRoomsFromRedis } from '../services/api'
-import io from 'socket.io-client'
-
-if (!import.meta.env.VITE_API_BASE_URL) {
-  throw new Error('❌ VITE_API_BASE_URL is required!')
-}
-const API_BASE_URL = import.meta.env.VITE_API_BASE_URL
+import { meetingClient, getMallRoomId } from '../services/meetingClient'
+import { useLiveShowStore } from '../stores/liveShowStore'
+import PinnedProductCard from './PinnedProductCard'
 
 // Global state for TV screen controls (accessible from App.jsx)
 let tvScreenState = {
@@ -29,13 +25,14 @@ let tvScreenState = {
 
 export default function TVScreen({ position, rotation }) {
   const playerPosition = usePlayerStore((state) => state.position)
+  const liveShowHostId = useLiveShowStore((state) => state.show?.host.userId)
   const [isNear, setIsNear] = useState(false)
   const [socket, setSocket] = useState(null)
   const [roomId, setRoomId] = useState(null)
   const [users, setUsers] = useState([])
   const [localStream, setLocalStream] = useState(null)
-  const [audioEnabled, setAudioEnabled] = useState(false) // Default: off at start
-  const [videoEnabled, setVideoEnabled] = useState(false) // Default: off at start
+  const [audioEnabled, setAudioEnabled] = useState(false) // Our microphone (mirrors the meeting client)
+  const [videoEnabled, setVideoEnabled] = useState(false) // Our camera (mirrors the meeting client)
   const [remoteStreams, setRemoteStreams] = useState([]) // Streams from other users
   const [displayStream, setDisplayStream] = useState(null) // Currently displayed stream (remote or local)
   const [connectionStatus, setConnectionStatus] = useState('disconnected') // For debugging
@@ -43,300 +40,50 @@ export default function TVScreen({ position, rotation }) {
   const videoRef = useRef(null)
   const textureRef = useRef(null)
   const meshRef = useRef(null)
-  const peerConnectionsRef = useRef(new Map()) // Map of socketId -> RTCPeerConnection
-  const currentUserIdRef = useRef(null) // Store currentUserId for use in event handlers
 
   const PROXIMITY_DISTANCE = 5.0 // Distance to show controls
 
-  // Handle toggle audio
-  const handleToggleAudio = React.useCallback(async () => {
-    // Allow toggling audio even without socket/roomId (for local testing)
-    if (!socket || !roomId) {
-      console.warn('Socket or roomId not ready, but allowing local audio toggle')
-      // Still allow local audio toggle
-      if (audioEnabled) {
-        // Disable audio locally
-        if (localStream) {
-          localStream.getAudioTracks().forEach(track => {
-            track.enabled = false
-          })
-        }
-        // ALSO mute the video element playing remote streams
-        if (videoRef.current) {
-          videoRef.current.muted = true
-          videoRef.current.volume = 0
-        }
-        setAudioEnabled(false)
-        return
-      } else {
-        // Enable audio locally
-        try {
-          let stream
-          if (localStream) {
-            localStream.getAudioTracks().forEach(track => {
-              track.enabled = true
-            })
-            stream = localStream
-          } else {
-            stream = await navigator.mediaDevices.getUserMedia({ audio: true, video: videoEnabled })
-            setLocalStream(stream)
-          }
-          // ALSO unmute the video element playing remote streams
-          if (videoRef.current) {
-            videoRef.current.muted = false
-            videoRef.current.volume = 0.5
-          }
-          setAudioEnabled(true)
-          return
-        } catch (error) {
-          console.error('Error enabling audio:', error)
-          alert('Microphone permission denied. Please allow microphone access.')
-          return
-        }
-      }
+  // Mute/unmute what the TV plays along with our microphone
+  const setScreenAudio = (enabled) => {
+    if (videoRef.current) {
+      videoRef.current.muted = !enabled
+      videoRef.current.volume = enabled ? 0.5 : 0
     }
+  }
 
-    if (audioEnabled) {
-      // Disable audio
-      if (localStream) {
-        localStream.getAudioTracks().forEach(track => {
-          track.enabled = false
-        })
-      }
-      // ALSO mute the video element playing remote streams
-      if (videoRef.current) {
-        videoRef.current.muted = true
-        videoRef.current.volume = 0
-      }
-      setAudioEnabled(false)
-
-      // Notify server
-      socket.emit('toggle-audio', {
-        isMuted: true,
-        roomId: roomId
-      })
-    } else {
-      // Enable audio
-      try {
-        let stream
-        if (localStream) {
-          // Enable existing audio tracks
-          localStream.getAudioTracks().forEach(track => {
-            track.enabled = true
-          })
-          stream = localStream
-        } else {
-          // Request new audio stream
-          stream = await navigator.mediaDevices.getUserMedia({ audio: true, video: videoEnabled })
-          setLocalStream(stream)
-        }
-
-        // Add audio tracks to all peer connections and renegotiate if needed
-        for (const [socketId, pc] of peerConnectionsRef.current.entries()) {
-          let needsRenegotiation = false
-          stream.getAudioTracks().forEach(track => {
-            const sender = pc.getSenders().find(s => s.track && s.track.kind === 'audio')
-            if (sender) {
-              sender.replaceTrack(track)
-            } else {
-              pc.addTrack(track, stream)
-              needsRenegotiation = true
-            }
-          })
-
-          // If we added new tracks, renegotiate the connection
-          if (needsRenegotiation && pc.signalingState === 'stable' && socket) {
-            // Create new offer to include the new tracks
-            pc.createOffer().then(offer => {
-              pc.setLocalDescription(offer).then(() => {
-                socket.emit('offer', {
-                  offer: offer,
-                  targetSocketId: socketId,
-                  roomId: roomId
-                })
-              }).catch(() => { })
-            }).catch(() => { })
-          }
-        }
-
-        // ALSO unmute the video element playing remote streams
-        if (videoRef.current) {
-          videoRef.current.muted = false
-          videoRef.current.volume = 0.5
-        }
-
-        setAudioEnabled(true)
-
-        // Notify server
-        socket.emit('toggle-audio', {
-          isMuted: false,
-          roomId: roomId
-        })
-      } catch (error) {
-        console.error('Error enabling audio:', error)
-        alert('Microphone permission denied. Please allow microphone access.')
-      }
+  // Handle toggle audio (also works before the room is joined - the state is sent when joining)
+  const handleToggleAudio = React.useCallback(async () => {
+    if (!audioEnabled && meetingClient.isMutedByOwner()) {
+      alert('The room owner muted you.')
+      return
+    }
+    if (!audioEnabled && !meetingClient.canPublish()) {
+      alert('A live show is running. Raise your hand to ask the host to let you speak.')
+      return
+    }
+    try {
+      // The meeting client asks for the microphone the first time and renegotiates with everyone
+      await meetingClient.setAudioEnabled(!audioEnabled)
+      setScreenAudio(!audioEnabled)
+    } catch (error) {
+      console.error('Error enabling audio:', error)
+      alert('Microphone permission denied. Please allow microphone access.')
     }
-  }, [socket, roomId, localStream, audioEnabled, videoEnabled])
+  }, [audioEnabled])
 
   // Handle toggle video
   const handleToggleVideo = React.useCallback(async () => {
-    // Allow toggling video even without socket/roomId (for local testing)
-    if (!socket || !roomId) {
-      console.warn('Socket or roomId not ready, but allowing local video toggle')
-      // Still allow local video toggle
-      if (videoEnabled) {
-        // Disable video locally
-        if (localStream) {
-          localStream.getVideoTracks().forEach(track => {
-            track.enabled = false
-          })
-        }
-        setVideoEnabled(false)
-        return
-      } else {
-        // Enable video locally
-        try {
-          let stream
-          if (localStream) {
-            const hasVideoTracks = localStream.getVideoTracks().length > 0
-            if (hasVideoTracks) {
-              localStream.getVideoTracks().forEach(track => {
-                track.enabled = true
-              })
-              stream = localStream
-            } else {
-              stream = await navigator.mediaDevices.getUserMedia({
-                audio: audioEnabled,
-                video: true
-              })
-              if (localStream.getAudioTracks().length > 0) {
-                localStream.getAudioTracks().forEach(track => {
-                  stream.addTrack(track)
-                })
-              }
-              setLocalStream(stream)
-            }
-          } else {
-            stream = await navigator.mediaDevices.getUserMedia({
-              audio: audioEnabled,
-              video: true
-            })
-            setLocalStream(stream)
-          }
-
-          // Update video element to show your own video
-          if (videoRef.current && stream) {
-            videoRef.current.srcObject = stream
-            videoRef.current.play().catch(() => { })
-          }
-
-          setVideoEnabled(true)
-          return
-        } catch (error) {
-          console.error('Error enabling video:', error)
-          alert('Camera permission denied. Please allow camera access.')
-          return
-        }
-      }
+    if (!videoEnabled && !meetingClient.canPublish()) {
+      alert('A live show is running. Raise your hand to ask the host to let you on camera.')
+      return
     }
-
-    if (videoEnabled) {
-      // Disable video
-      if (localStream) {
-        localStream.getVideoTracks().forEach(track => {
-          track.enabled = false
-        })
-      }
-      setVideoEnabled(false)
-      socket.emit('toggle-video', {
-        isVideoOff: true,
-        roomId: roomId
-      })
-    } else {
-      // Enable video
-      try {
-        let stream
-        if (localStream) {
-          // Enable existing video tracks or add new ones
-          const hasVideoTracks = localStream.getVideoTracks().length > 0
-          if (hasVideoTracks) {
-            localStream.getVideoTracks().forEach(track => {
-              track.enabled = true
-            })
-            stream = localStream
-          } else {
-            // Need to get new stream with video
-            stream = await navigator.mediaDevices.getUserMedia({
-              audio: audioEnabled,
-              video: true
-            })
-            // Merge with existing audio if needed
-            if (localStream.getAudioTracks().length > 0) {
-              localStream.getAudioTracks().forEach(track => {
-                stream.addTrack(track)
-              })
-            }
-            setLocalStream(stream)
-          }
-        } else {
-          // Request new video stream
-          stream = await navigator.mediaDevices.getUserMedia({
-            audio: audioEnabled,
-            video: true
-          })
-          setLocalStream(stream)
-        }
-
-        // Update video element to show your own video
-        if (videoRef.current && stream) {
-          videoRef.current.srcObject = stream
-          videoRef.current.play().catch(() => { })
-          if (textureRef.current) {
-            textureRef.current.needsUpdate = true
-          }
-        }
-
-        // Add tracks to all peer connections and renegotiate if needed
-        for (const [socketId, pc] of peerConnectionsRef.current.entries()) {
-          let needsRenegotiation = false
-          stream.getTracks().forEach(track => {
-            const sender = pc.getSenders().find(s => s.track && s.track.kind === track.kind)
-            if (sender) {
-              sender.replaceTrack(track)
-            } else {
-              pc.addTrack(track, stream)
-              needsRenegotiation = true
-            }
-          })
-
-          // If we added new tracks, renegotiate the connection
-          if (needsRenegotiation && pc.signalingState === 'stable' && socket) {
-            // Create new offer to include the new tracks
-            pc.createOffer().then(offer => {
-              pc.setLocalDescription(offer).then(() => {
-                socket.emit('offer', {
-                  offer: offer,
-                  targetSocketId: socketId,
-                  roomId: roomId
-                })
-              }).catch(() => { })
-            }).catch(() => { })
-          }
-        }
-
-        setVideoEnabled(true)
-
-        // Notify server
-        socket.emit('toggle-video', {
-          isVideoOff: false,
-          roomId: roomId
-        })
-      } catch (error) {
-        alert('Camera permission denied')
-      }
+    try {
+      await meetingClient.setVideoEnabled(!videoEnabled)
+    } catch (error) {
+      console.error('Error enabling video:', error)
+      alert('Camera permission denied. Please allow camera access.')
     }
-  }, [socket, roomId, localStream, audioEnabled, videoEnabled])
+  }, [videoEnabled])
 
   // Set handlers in global state whenever they change (AFTER both are defined)
   React.useEffect(() => {
@@ -357,8 +104,8 @@ export default function TVScreen({ position, rotation }) {
     const near = distance <= PROXIMITY_DISTANCE
     setIsNear(near)
 
-    // Auto-join video/audio when player gets near TV (only once)
-    if (near && !hasAutoJoinedRef.current && !videoEnabled && !audioEnabled) {
+    // Auto-join video/audio when player gets near TV (only once, and not as a live show viewer)
+    if (near && !hasAutoJoinedRef.current && !videoEnabled && !audioEnabled && meetingClient.canPublish()) {
       hasAutoJoinedRef.current = true
       console.log('📍 TVScreen: Player near TV, auto-enabling video/audio')
       // Enable both video and audio automatically
@@ -386,7 +133,7 @@ export default function TVScreen({ position, rotation }) {
     tvScreenState.roomId = roomId
     tvScreenState.socket = socket
     tvScreenState.remoteStreamsCount = remoteStreams.length
-    tvScreenState.peerConnectionsCount = peerConnectionsRef.current.size
+    tvScreenState.peerConnectionsCount = meetingClient.getPeerCount()
     tvScreenState.displayStream = displayStream
     tvScreenState.users = users
 
@@ -429,549 +176,97 @@ export default function TVScreen({ position, rotation }) {
   })
 
   // ============================================
-  // VIDEO CALL SOCKET - SEPARATE FROM MULTIPLAYER
+  // VIDEO CALL - SEPARATE FROM MULTIPLAYER
   // ============================================
-  // This socket is ONLY for video/audio calls and WebRTC
-  // It is COMPLETELY SEPARATE from the player socket used in VirtualMall.jsx
-  // 
-  // Video Call Socket: http://localhost:3001/meeting (this one - TVScreen.jsx)
-  // Player Socket:     http://localhost:3001/player (in VirtualMall.jsx)
+  // Video/audio goes through the shared meeting client (services/meetingClient.js, /meeting namespace).
+  // It is COMPLETELY SEPARATE from the player socket used in VirtualMall.jsx (/player namespace).
+  // The video grid and the user list use the same meeting client, so the room is only joined once.
   // ============================================
 
-  // Track if connection has been initialized
-  const hasConnectedRef = useRef(false)
-
-  // Get room/channel ID from Redis and connect to VIDEO CALL Socket.IO - only once on mount
+  // Join the mall's meeting room - only once on mount
   useEffect(() => {
-    // Only connect once
-    if (hasConnectedRef.current) {
-      return
+    let cancelled = false
+    let joined = false
+
+    // Video element the TV texture is drawn from (plays the room's audio too)
+    if (!videoRef.current) {
+      const video = document.createElement('video')
+      video.autoplay = true
+      video.playsInline = true
+      video.muted = false // Allow audio playback
+      video.volume = 0.5 // Set volume to 50% to avoid feedback
+      video.style.display = 'none'
+      video.setAttribute('playsinline', 'true')
+      video.setAttribute('webkit-playsinline', 'true')
+      document.body.appendChild(video)
+      videoRef.current = video
+
+      // Create texture from video
+      textureRef.current = new THREE.VideoTexture(video)
+      textureRef.current.minFilter = THREE.LinearFilter
+      textureRef.current.magFilter = THREE.LinearFilter
+      textureRef.current.format = THREE.RGBAFormat
     }
-    hasConnectedRef.current = true
-
-    let socketInstance = null
-    let retryTimeout = null
-    let retryCount = 0
-    let currentRoomId = null
-    const MAX_RETRIES = 5
-    const RETRY_DELAY = 2000 // 2 seconds
-
-    // Create peer connection for WebRTC - defined inside useEffect to access socketInstance
-    function createPeerConnection(socketId, userId, userName, isInitiator) {
-      if (peerConnectionsRef.current.has(socketId)) {
-        return peerConnectionsRef.current.get(socketId)
-      }
 
-      const pc = new RTCPeerConnection({
-        iceServers: [{ urls: 'stun:stun.l.google.com:19302' }]
-      })
-
-      // Add local stream tracks if available
-      // This ensures new peer connections get the local stream when it becomes available
-      if (localStream) {
-        localStream.getTracks().forEach(track => {
-          if (track.readyState === 'live' && track.enabled) {
-            const sender = pc.getSenders().find(s => s.track && s.track.kind === track.kind)
-            if (sender) {
-              sender.replaceTrack(track)
-            } else {
-              pc.addTrack(track, localStream)
-            }
-          }
-        })
-      }
-
-      // Handle remote stream - matches API contract approach
-      pc.ontrack = (event) => {
-        // Get or create stream (like API contract)
-        let stream = event.streams[0]
-        if (!stream) {
-          // Create new stream if needed
-          stream = new MediaStream()
-        }
-
-        // Add track to stream (like API contract)
-        const existingTrack = stream.getTracks().find(t => t.id === event.track.id)
-        if (!existingTrack) {
-          stream.addTrack(event.track)
-        }
-
-        // Check for video and audio tracks
-        const hasVideo = stream.getVideoTracks().length > 0
-        const hasAudio = stream.getAudioTracks().length > 0
-
-        if (!hasVideo && !hasAudio) return
-
-        // Add to remote streams list
-        setRemoteStreams(prev => {
-          const existing = prev.find(s => s.socketId === socketId)
-          if (existing) {
-            return prev.map(s =>
-              s.socketId === socketId
-                ? { ...s, stream: stream }
-                : s
-            )
-          }
-          return [...prev, { socketId, userId, userName, stream: stream }]
-        })
-
-        // Ensure video element exists
-        if (!videoRef.current) {
-          const video = document.createElement('video')
-          video.autoplay = true
-          video.playsInline = true
-          video.muted = false
-          video.volume = 0.5
-          video.style.display = 'none'
-          video.setAttribute('playsinline', 'true')
-          video.setAttribute('webkit-playsinline', 'true')
-          video.setAttribute('crossorigin', 'anonymous')
-          document.body.appendChild(video)
-          videoRef.current = video
-
-          // Create texture from video
-          textureRef.current = new THREE.VideoTexture(video)
-          textureRef.current.minFilter = THREE.LinearFilter
-          textureRef.current.magFilter = THREE.LinearFilter
-          textureRef.current.format = THREE.RGBAFormat
-        }
-
-        // Display video stream on TV screen (like API contract)
-        if (videoRef.current) {
-          // Enable all tracks
-          stream.getVideoTracks().forEach(track => {
-            track.enabled = true
-          })
-          stream.getAudioTracks().forEach(track => {
-            track.enabled = true
-          })
-
-          // Always set the stream (like API contract)
-          videoRef.current.srcObject = stream
-          videoRef.current.muted = false
-          videoRef.current.volume = 0.5
-          videoRef.current.autoplay = true
-          videoRef.current.playsInline = true
-
-          // Check if we have live video
-          const hasLiveVideo = hasVideo && stream.getVideoTracks()[0].readyState === 'live' && stream.getVideoTracks()[0].enabled
-
-          if (hasLiveVideo || hasVideo) {
-            // Force play with retry (like API contract)
-            const playVideo = async (attempt = 1) => {
-              try {
-                await videoRef.current.play()
-                setDisplayStream(stream)
-                if (hasVideo) {
-                  setVideoEnabled(true)
-                }
-                if (textureRef.current) {
-                  textureRef.current.needsUpdate = true
-                  setTextureKey(prev => prev + 1)
-                }
-              } catch (err) {
-                if (attempt < 3 && videoRef.current && videoRef.current.srcObject) {
-                  setTimeout(() => playVideo(attempt + 1), 500 * attempt)
-                }
-              }
-            }
-            playVideo()
-          }
-        }
-      }
-
-      // Handle ICE candidates
-      pc.onicecandidate = (event) => {
-        if (event.candidate && socketInstance) {
-          socketInstance.emit('ice-candidate', {
-            candidate: event.candidate,
-            targetSocketId: socketId,
-            roomId: currentRoomId
-          })
-        }
-      }
-
-      // Handle connection state changes
-      pc.onconnectionstatechange = () => {
-        if (pc.connectionState === 'connected') {
-          setConnectionStatus(`webrtc-connected: ${userName}`)
-        } else if (pc.connectionState === 'failed' || pc.connectionState === 'disconnected') {
-          setConnectionStatus(`webrtc-${pc.connectionState}: ${userName}`)
-        }
-      }
-
-      // Handle ICE connection state
-      pc.oniceconnectionstatechange = () => {
-        if (pc.iceConnectionState === 'connected' || pc.iceConnectionState === 'completed') {
-          setConnectionStatus(`ice-connected: ${userName}`)
-        }
-      }
-
-      peerConnectionsRef.current.set(socketId, pc)
-
-      // Create offer if initiator (after adding local tracks) - matches API contract
-      if (isInitiator) {
-        // Small delay to ensure tracks are added (like API contract)
-        setTimeout(async () => {
-          try {
-            const offer = await pc.createOffer({
-              offerToReceiveAudio: true,
-              offerToReceiveVideo: true
-            })
-            await pc.setLocalDescription(offer)
-
-            if (socketInstance) {
-              socketInstance.emit('offer', {
-                offer: pc.localDescription,
-                targetSocketId: socketId,
-                roomId: currentRoomId
-              })
-            }
-          } catch (error) {
-            // Error creating offer
-          }
-        }, 300) // 300ms delay like API contract
-      }
-
-      return pc
+    const syncParticipants = (participants) => {
+      // Users in the room include ourselves
+      const self = meetingClient.getSelf()
+      setUsers(self ? [self, ...participants] : participants)
+      setRemoteStreams(participants
+        .filter(participant => participant.stream)
+        .map(({ socketId, userId, userName, stream }) => ({ socketId, userId, userName, stream })))
     }
 
-    async function connectToRoom() {
-      try {
-        // Get all rooms from Redis and use the first one
-        const roomsData = await getAllRoomsFromRedis()
-        let channelId = 'fashion-1'
-
-        if (roomsData.success && roomsData.rooms && roomsData.rooms.length > 0) {
-          const fashionRoom = roomsData.rooms.find(r => r.roomId === 'fashion-1')
-          channelId = fashionRoom ? fashionRoom.roomId : roomsData.rooms[0].roomId
-        }
-
-        currentRoomId = channelId
-        setRoomId(channelId)
-
-        function attemptConnection() {
-          // Connect to VIDEO CALL Socket.IO MEETING namespace
-          // This is SEPARATE from the player socket in VirtualMall.jsx
-          // Video Call: /meeting namespace (this one)
-          // Player:     /player namespace (in VirtualMall.jsx)
-
-          if (!import.meta.env.VITE_API_BASE_URL) {
-            console.error('❌ VITE_API_BASE_URL not set! Cannot connect to video socket.')
-            return
-          }
-
-          const serverUrl = import.meta.env.VITE_API_BASE_URL
-          const socketUrl = `${serverUrl}/meeting`
-
-          // Debug: Log the connection URL
-          console.log('🔌 TVScreen: Connecting to video socket:', socketUrl)
-          setConnectionStatus(`Connecting to ${socketUrl}...`)
-          console.log('🟢 Video Call Socket Connecting (for video/audio calls)')
-
-          socketInstance = io(socketUrl, {
-            transports: ['websocket', 'polling'],
-            reconnection: true,
-            reconnectionDelay: 1000,
-            reconnectionDelayMax: 5000,
-            reconnectionAttempts: MAX_RETRIES,
-            timeout: 10000,
-          })
-
-          socketInstance.on('connect', async () => {
-            retryCount = 0 // Reset retry count on successful connection
-            setConnectionStatus('connected')
-            console.log('🟢 Video Call Socket Connected (for video/audio calls)')
-
-            const currentUserId = localStorage.getItem('userId') || `tv-user-${Date.now()}`
-            localStorage.setItem('userId', currentUserId)
-            currentUserIdRef.current = currentUserId // Store in ref for use in other handlers
-            const userName = 'TV Viewer'
-
-            // Don't request media at startup - user will enable via buttons
-            // Just create the video element for displaying remote streams
-            if (!videoRef.current) {
-              const video = document.createElement('video')
-              video.autoplay = true
-              video.playsInline = true
-              video.muted = false // Allow audio playback
-              video.volume = 0.5 // Set volume to 50% to avoid feedback
-              video.style.display = 'none'
-              document.body.appendChild(video)
-              videoRef.current = video
-
-              // Create texture from video
-              textureRef.current = new THREE.VideoTexture(video)
-              textureRef.current.minFilter = THREE.LinearFilter
-              textureRef.current.magFilter = THREE.LinearFilter
-            }
-
-            // Join room with audio and video OFF by default
-            socketInstance.emit('join-room', {
-              roomId: channelId,
-              userId: currentUserId,
-              userName: userName,
-              productCategory: 'General' // Default category for TV viewer
-            })
-
-            // Notify server that audio and video are OFF (default)
-            socketInstance.emit('toggle-audio', {
-              isMuted: true,
-              roomId: channelId
-            })
-
-            socketInstance.emit('toggle-video', {
-              isVideoOff: true,
-              roomId: channelId
-            })
-          })
-
-          socketInstance.on('connect_error', (error) => {
-            setConnectionStatus(`connect_error: ${error.message}`)
-            retryCount++
-            if (retryCount < MAX_RETRIES) {
-              // Retry connection after delay
-              retryTimeout = setTimeout(() => {
-                if (socketInstance) {
-                  socketInstance.disconnect()
-                }
-                attemptConnection()
-              }, RETRY_DELAY)
-            }
-          })
-
-          socketInstance.on('disconnect', () => {
-            // Connection lost, will auto-reconnect if reconnection is enabled
-          })
-
-          socketInstance.on('joined-room', (data) => {
-            setConnectionStatus(`joined-room: ${data?.userName || data?.userId || 'TV Viewer'}`)
-            // Room joined successfully - TV Viewer should now be visible to others
-            // Update users state to include TV Viewer itself
-            if (data) {
-              setUsers(prev => {
-                const exists = prev.find(u => u.userId === data.userId || u.socketId === socketInstance.id)
-                if (!exists) {
-                  return [...prev, {
-                    userId: data.userId || currentUserIdRef.current || localStorage.getItem('userId') || `tv-user-${Date.now()}`,
-                    userName: data.userName || 'TV Viewer',
-                    socketId: socketInstance.id,
-                    role: data.role || 'participant'
-                  }]
-                }
-                return prev
-              })
-            }
-          })
-
-          socketInstance.on('room-users', (data) => {
-            setConnectionStatus(`room-users: ${data?.users?.length || 0} users`)
-            // Update users list - includes all users in room including TV Viewer
-            if (data && data.users && Array.isArray(data.users)) {
-              // Ensure TV Viewer is included in the list
-              const mySocketId = socketInstance.id
-              const myUserId = currentUserIdRef.current || localStorage.getItem('userId') || `tv-user-${Date.now()}`
-              const myUserName = 'TV Viewer'
-
-              // Check if TV Viewer is in the list
-              const tvViewerInList = data.users.some(u =>
-                u.userId === myUserId || u.socketId === mySocketId || u.userName === 'TV Viewer'
-              )
-
-              // Add TV Viewer if not in list
-              const allUsers = tvViewerInList
-                ? data.users
-                : [...data.users, {
-                  userId: myUserId,
-                  userName: myUserName,
-                  socketId: mySocketId,
-                  role: 'participant'
-                }]
-
-              setUsers(allUsers)
-
-              // Create peer connections for ALL existing users (excluding self)
-              // New joiner creates offers to all existing users (like the API contract)
-              allUsers.forEach(async (user) => {
-                if (user.socketId && user.socketId !== mySocketId) {
-                  // Create peer connection for every user - new joiner is initiator
-                  if (!peerConnectionsRef.current.has(user.socketId)) {
-                    await createPeerConnection(user.socketId, user.userId, user.userName, true)
-                    // Small delay between offers (like API contract)
-                    await new Promise(resolve => setTimeout(resolve, 200))
-                  }
-                }
-              })
-            }
-          })
-
-          socketInstance.on('user-joined', (data) => {
-            setConnectionStatus(`user-joined: ${data?.userName || data?.userId || 'unknown'}`)
-            // New user joined - add to users list
-            if (data && data.userId && data.socketId) {
-              setUsers(prev => {
-                // Check if user already exists by userId or socketId
-                const exists = prev.find(u =>
-                  u.userId === data.userId ||
-                  u.socketId === data.socketId ||
-                  (u.userName === data.userName && data.userName)
-                )
-                if (!exists) {
-                  return [...prev, {
-                    userId: data.userId,
-                    userName: data.userName || `User ${data.userId.slice(-4)}`,
-                    socketId: data.socketId,
-                    role: data.role || 'participant'
-                  }]
-                }
-                // Update existing user if found
-                return prev.map(u =>
-                  (u.userId === data.userId || u.socketId === data.socketId)
-                    ? { ...u, ...data, socketId: data.socketId }
-                    : u
-                )
-              })
-
-              // Create peer connection for new user immediately
-              // This allows us to receive their video/audio when they enable it
-              const mySocketId = socketInstance.id
-              if (data.socketId && data.socketId !== mySocketId) {
-                if (!peerConnectionsRef.current.has(data.socketId)) {
-                  createPeerConnection(data.socketId, data.userId, data.userName, mySocketId < data.socketId)
-                }
-              }
-            }
-          })
-
-          socketInstance.on('user-left', (data) => {
-            setUsers(prev => prev.filter(u => u.userId !== data.userId))
-
-            // Close peer connection
-            if (peerConnectionsRef.current.has(data.socketId)) {
-              const pc = peerConnectionsRef.current.get(data.socketId)
-              pc.close()
-              peerConnectionsRef.current.delete(data.socketId)
-            }
-          })
-
-          // WebRTC signaling handlers
-          socketInstance.on('offer', async (data) => {
-            const { offer, senderSocketId, senderUserId, senderUserName } = data
-            let pc = peerConnectionsRef.current.get(senderSocketId)
-
-            if (!pc) {
-              pc = createPeerConnection(senderSocketId, senderUserId, senderUserName, false)
-            }
-
-            try {
-              if (pc.signalingState === 'stable') {
-                await pc.setRemoteDescription(new RTCSessionDescription(offer))
-                const answer = await pc.createAnswer()
-                await pc.setLocalDescription(answer)
-
-                socketInstance.emit('answer', {
-                  answer: answer,
-                  targetSocketId: senderSocketId,
-                  roomId: channelId
-                })
-              }
-            } catch (error) {
-              // Error handling offer
-            }
-          })
-
-          socketInstance.on('answer', async (data) => {
-            const { answer, senderSocketId } = data
-            const pc = peerConnectionsRef.current.get(senderSocketId)
-
-            if (pc && pc.signalingState === 'have-local-offer') {
-              try {
-                await pc.setRemoteDescription(new RTCSessionDescription(answer))
-
-                // Process queued ICE candidates after setting remote description
-                if (pc.queuedCandidates && pc.queuedCandidates.length > 0) {
-                  for (const candidate of pc.queuedCandidates) {
-                    try {
-                      await pc.addIceCandidate(new RTCIceCandidate(candidate))
-                    } catch (err) {
-                      // Error adding queued candidate
-                    }
-                  }
-                  pc.queuedCandidates = []
-                }
-              } catch (error) {
-                // Error handling answer
-              }
-            }
-          })
-
-          socketInstance.on('ice-candidate', async (data) => {
-            const { candidate, senderSocketId } = data
-            const pc = peerConnectionsRef.current.get(senderSocketId)
-
-            if (pc && candidate) {
-              try {
-                if (pc.remoteDescription) {
-                  await pc.addIceCandidate(new RTCIceCandidate(candidate))
-                } else {
-                  // Queue candidate if remote description not set yet
-                  if (!pc.queuedCandidates) pc.queuedCandidates = []
-                  pc.queuedCandidates.push(candidate)
-                }
-              } catch (error) {
-                // Error adding ICE candidate
-              }
-            }
-          })
-
-          socketInstance.on('error', () => {
-            // Socket error occurred
-          })
-
-          setSocket(socketInstance)
-        }
+    const syncLocalMedia = (media) => {
+      setLocalStream(media.stream)
+      setAudioEnabled(media.audioEnabled)
+      setVideoEnabled(media.videoEnabled)
+    }
 
-        // Start connection attempt
-        attemptConnection()
-      } catch (error) {
-        // Error connecting TV screen to room
-      }
+    const syncStatus = (status) => {
+      setConnectionStatus(status)
+      setSocket(meetingClient.getSocket())
     }
 
-    // Connect to room once at start
-    connectToRoom()
+    const unsubscribers = [
+      meetingClient.on('status', syncStatus),
+      meetingClient.on('joined', () => syncParticipants(meetingClient.getParticipants())),
+      meetingClient.on('participants', syncParticipants),
+      meetingClient.on('local-media', syncLocalMedia),
+      meetingClient.on('media-mode', (mode) => setConnectionStatus(`${meetingClient.getStatus()} (${mode})`)),
+      meetingClient.on('error', (error) => setConnectionStatus(`error: ${error.message}`)),
+    ]
+    syncStatus(meetingClient.getStatus())
+    syncParticipants(meetingClient.getParticipants())
+    syncLocalMedia(meetingClient.getLocalMedia())
+
+    getMallRoomId().then((channelId) => {
+      if (cancelled) return
+      setRoomId(channelId)
+      joined = true
+      meetingClient.join(channelId).catch(() => {
+        // Reported through the 'error' event
+      })
+    })
 
     return () => {
-      if (retryTimeout) {
-        clearTimeout(retryTimeout)
-      }
-      if (socketInstance) {
-        socketInstance.emit('leave-room')
-        socketInstance.disconnect()
-        socketInstance = null
-      }
-      if (socket) {
-        socket.emit('leave-room')
-        socket.disconnect()
-      }
-      // Close all peer connections
-      peerConnectionsRef.current.forEach(pc => pc.close())
-      peerConnectionsRef.current.clear()
-      hasConnectedRef.current = false
+      cancelled = true
+      unsubscribers.forEach(unsubscribe => unsubscribe())
+      if (joined) meetingClient.leave()
     }
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, []) // Empty dependency array - only run once on mount
-
+  }, [])
 
   // Update texture when remote streams change - prioritize remote streams
   useEffect(() => {
     if (videoRef.current && textureRef.current) {
-      // Find first remote stream with active video
-      const remoteStreamWithVideo = remoteStreams.find(s => {
+      // Find first remote stream with active video (during a live show, the host's)
+      const hasLiveVideo = (s) => {
         if (!s.stream) return false
         const videoTracks = s.stream.getVideoTracks()
         return videoTracks.length > 0 && videoTracks.some(track => track.enabled && track.readyState === 'live')
-      })
+      }
+      const remoteStreamWithVideo = remoteStreams.find(s => s.userId === liveShowHostId && hasLiveVideo(s)) ||
+        remoteStreams.find(hasLiveVideo)
 
       if (remoteStreamWithVideo && remoteStreamWithVideo.stream) {
         // Show remote user's video on TV screen
@@ -1007,7 +302,6 @@ export default function TVScreen({ position, rotation }) {
           playVideo()
 
           setDisplayStream(stream)
-          setVideoEnabled(true) // Enable video display
         }
         // Force texture update
         if (textureRef.current) {
@@ -1030,13 +324,14 @@ export default function TVScreen({ position, rotation }) {
         }
       }
     }
-  }, [remoteStreams, videoEnabled, localStream])
+  }, [remoteStreams, videoEnabled, localStream, liveShowHostId])
 
   // Cleanup video element and texture
   useEffect(() => {
     return () => {
       if (videoRef.current) {
-        videoRef.current.srcObject?.getTracks().forEach(track => track.stop())
+        // The streams belong to the meeting client, which other views share - just detach them
+        videoRef.current.srcObject = null
         if (videoRef.current.parentNode) {
           document.body.removeChild(videoRef.current)
         }
@@ -1081,6 +376,9 @@ export default function TVScreen({ position, rotation }) {
         />
       </mesh>
 
+      {/* Product pinned by the live show host, beside the screen */}
+      <PinnedProductCard position={[5.8, 0.5, 0.3]} distanceFactor={5} />
+
       {/* TV Stand/Bracket */}
       <mesh position={[0, -2.5, -0.1]} castShadow receiveShadow>
         <boxGeometry args={[1.5, 0.3, 0.3]} />
@@ -1,11 +1,5 @@
 import React, { useEffect, useState } from 'react'
-import { getAllRoomsFromRedis } from '../services/api'
-import io from 'socket.io-client'
-
-if (!import.meta.env.VITE_API_BASE_URL) {
-  throw new Error('❌ VITE_API_BASE_URL is required!')
-}
-const API_BASE_URL = import.meta.env.VITE_API_BASE_URL
+import { meetingClient, getMallRoomId } from '../services/meetingClient'
 
 // Global state for user list
 let userListState = {
@@ -21,121 +15,41 @@ export function UserListOverlay() {
     connectionStatus: 'disconnected',
   })
 
+  const [localMedia, setLocalMedia] = useState(() => meetingClient.getLocalMedia())
+
+  // Participants come from the shared meeting client - the same connection the TV screen uses
   useEffect(() => {
-    let socketInstance = null
-
-    async function connect() {
-      try {
-        const roomsData = await getAllRoomsFromRedis()
-        if (roomsData.success && roomsData.rooms && roomsData.rooms.length > 0) {
-          const firstRoom = roomsData.rooms[0]
-          const channelId = firstRoom.roomId
-
-          const userId = localStorage.getItem('userId') || `user-${Date.now()}`
-          localStorage.setItem('userId', userId)
-
-          // Connect to VIDEO CALL Socket.IO MEETING namespace
-          // This is SEPARATE from the player socket in VirtualMall.jsx
-          // Video Call: /meeting namespace (this one)
-          // Player:     /player namespace (in VirtualMall.jsx)
-          const serverUrl = window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1'
-            ? API_BASE_URL
-            : API_BASE_URL
-
-          const socketUrl = `${serverUrl}/meeting`
-          console.log('🟢 UserListOverlay: Video Call Socket Connecting (for video/audio)')
-          socketInstance = io(socketUrl, {
-            transports: ['websocket', 'polling'],
-            reconnection: true,
-          })
-
-          socketInstance.on('connect', () => {
-            socketInstance.emit('join-room', {
-              roomId: channelId,
-              userId: userId,
-              userName: `User ${userId.slice(-4)}`,
-              productCategory: firstRoom.productCategory || 'General'
-            })
-            userListState.connectionStatus = 'connected'
-            setState(prev => ({ ...prev, connectionStatus: 'connected', roomId: channelId }))
-          })
-
-          socketInstance.on('room-users', (data) => {
-            if (data && data.users) {
-              userListState.users = data.users
-              userListState.roomId = channelId
-              setState(prev => ({ ...prev, users: data.users, roomId: channelId }))
-            }
-          })
-
-          socketInstance.on('user-joined', (data) => {
-            if (data) {
-              setState(prev => {
-                const exists = prev.users.find(u => u.userId === data.userId || u.socketId === data.socketId)
-                if (!exists) {
-                  const newUsers = [...prev.users, {
-                    userId: data.userId,
-                    userName: data.userName,
-                    socketId: data.socketId,
-                    role: data.role || 'participant'
-                  }]
-                  userListState.users = newUsers
-                  return { ...prev, users: newUsers }
-                }
-                return prev
-              })
-            }
-          })
-
-          socketInstance.on('user-left', (data) => {
-            setState(prev => {
-              const newUsers = prev.users.filter(u => u.userId !== data.userId)
-              userListState.users = newUsers
-              return { ...prev, users: newUsers }
-            })
-          })
-
-          socketInstance.on('user-audio-changed', (data) => {
-            setState(prev => ({
-              ...prev,
-              users: prev.users.map(u =>
-                u.userId === data.userId || u.socketId === data.socketId
-                  ? { ...u, isMuted: data.isMuted }
-                  : u
-              )
-            }))
-          })
-
-          socketInstance.on('user-video-changed', (data) => {
-            setState(prev => ({
-              ...prev,
-              users: prev.users.map(u =>
-                u.userId === data.userId || u.socketId === data.socketId
-                  ? { ...u, isVideoOff: data.isVideoOff }
-                  : u
-              )
-            }))
-          })
-        }
-      } catch (error) {
-        // Error connecting
+    let cancelled = false
+    let joined = false
+
+    const sync = () => {
+      userListState = {
+        users: meetingClient.getParticipants(),
+        roomId: meetingClient.getRoomId(),
+        connectionStatus: meetingClient.getStatus() === 'joined' ? 'connected' : meetingClient.getStatus(),
       }
+      setState(getUserListState())
     }
 
-    connect()
-
-    // Update state periodically
-    const interval = setInterval(() => {
-      const currentState = getUserListState()
-      setState(currentState)
-    }, 500)
+    const unsubscribers = [
+      meetingClient.on('participants', sync),
+      meetingClient.on('status', sync),
+      meetingClient.on('local-media', setLocalMedia),
+    ]
+    sync()
+
+    getMallRoomId().then((channelId) => {
+      if (cancelled) return
+      joined = true
+      meetingClient.join(channelId).catch(() => {
+        // Error connecting
+      })
+    })
 
     return () => {
-      clearInterval(interval)
-      if (socketInstance) {
-        socketInstance.emit('leave-room')
-        socketInstance.disconnect()
-      }
+      cancelled = true
+      unsubscribers.forEach(unsubscribe => unsubscribe())
+      if (joined) meetingClient.leave()
     }
   }, [])
 
@@ -149,8 +63,8 @@ export function UserListOverlay() {
     {
       userId: 'local',
       userName: 'Me (You)',
-      isMuted: false, // You'd need to track this from local state if possible, or leave generic
-      isVideoOff: false,
+      isMuted: !localMedia.audioEnabled,
+      isVideoOff: !localMedia.videoEnabled,
       role: 'me'
     },
     ...state.users
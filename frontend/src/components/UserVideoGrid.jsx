@@ -2,276 +2,83 @@ import React, { useEffect, useState, useRef } from 'react'
 import { useFrame } from '@react-three/fiber'
 import { Html } from '@react-three/drei'
 import * as THREE from 'three'
-import io from 'socket.io-client'
-import { getAllRoomsFromRedis } from '../services/api'
-
-if (!import.meta.env.VITE_API_BASE_URL) {
-  throw new Error('❌ VITE_API_BASE_URL is required!')
-}
-const API_BASE_URL = import.meta.env.VITE_API_BASE_URL
+import { meetingClient, getMallRoomId } from '../services/meetingClient'
 
 /**
  * UserVideoGrid - Google Meet style user display in virtual world
  */
 export default function UserVideoGrid({ position = [0, 5, -90], rotation = [0, 0, 0], playerPosition = [0, 0, 0] }) {
-  const [socket, setSocket] = useState(null)
-  const [roomId, setRoomId] = useState(null)
-  const [users, setUsers] = useState([])
+  const [mySocketId, setMySocketId] = useState(null)
+  const [users, setUsers] = useState([]) // Everyone else in the room (participants from the meeting client)
   const [userStreams, setUserStreams] = useState(new Map()) // Map of socketId -> stream
-  const [currentUserId, setCurrentUserId] = useState(null)
   const [isBroadcasting, setIsBroadcasting] = useState(false)
 
-  const peerConnectionsRef = useRef(new Map()) // Map of socketId -> RTCPeerConnection
   const videoElementsRef = useRef(new Map()) // Map of socketId -> video element
   const texturesRef = useRef(new Map()) // Map of socketId -> texture
   const groupRef = useRef()
-  const localStreamRef = useRef(null)
 
-  // Socket setup
+  // Join the mall's meeting room through the shared meeting client (the TV screen and user list use it too)
   useEffect(() => {
-    let socketInstance = null
-
-    async function init() {
-      try {
-        // 1. Determine Room ID (Priority: 'fashion-1' -> API first room -> Default)
-        let channelId = 'fashion-1'
-        try {
-          const roomsData = await getAllRoomsFromRedis()
-          if (roomsData.success && roomsData.rooms && roomsData.rooms.length > 0) {
-            const fashionRoom = roomsData.rooms.find(r => r.roomId === 'fashion-1')
-            if (fashionRoom) channelId = fashionRoom.roomId
-          }
-        } catch (e) {
-          console.error("Error fetching rooms, using default", e)
+    let cancelled = false
+    let joined = false
+
+    const syncParticipants = (participants) => {
+      setUsers(participants)
+      setUserStreams(new Map(participants.filter(p => p.stream).map(p => [p.socketId, p.stream])))
+
+      participants.forEach((participant) => {
+        const video = videoElementsRef.current.get(participant.socketId)
+        if (!participant.stream) {
+          removeVideoTexture(participant.socketId)
+        } else if (!video) {
+          createVideoTextureForStream(participant.socketId, participant.stream)
+        } else if (video.srcObject !== participant.stream) {
+          video.srcObject = participant.stream
+          video.play().catch(() => { })
         }
-
-        setRoomId(channelId)
-
-        // 2. Get User ID
-        const userId = localStorage.getItem('userId') || `user-${Date.now()}`
-        localStorage.setItem('userId', userId)
-        setCurrentUserId(userId)
-
-        // 3. Connect Socket
-        const serverUrl = window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1'
-          ? API_BASE_URL
-          : API_BASE_URL
-
-        const socketUrl = `${serverUrl}/meeting`
-        console.log(`🟢 UserVideoGrid: Connecting to ${socketUrl} for room ${channelId}`)
-
-        socketInstance = io(socketUrl, {
-          transports: ['websocket', 'polling'],
-          reconnection: true,
-        })
-
-        socketInstance.on('connect', () => {
-          socketInstance.emit('join-room', {
-            roomId: channelId,
-            userId: userId,
-            userName: `User ${userId.slice(-4)}`,
-            productCategory: 'General'
-          })
-        })
-
-        socketInstance.on('room-users', async (data) => {
-          if (data && data.users) {
-            setUsers(data.users)
-
-            // Initiate connections to existing users
-            const mySocketId = socketInstance.id
-            for (const user of data.users) {
-              if (user.socketId && user.socketId !== mySocketId) {
-                await createPeerConnection(user.socketId, user.userName, true, socketInstance)
-                await new Promise(resolve => setTimeout(resolve, 200))
-              }
-            }
-          }
-        })
-
-        socketInstance.on('user-joined', async (data) => {
-          if (data) {
-            setUsers(prev => {
-              const exists = prev.find(u => u.socketId === data.socketId)
-              if (!exists) {
-                return [...prev, {
-                  userId: data.userId,
-                  userName: data.userName,
-                  socketId: data.socketId,
-                  role: data.role || 'participant'
-                }]
-              }
-              return prev
-            })
-
-            const mySocketId = socketInstance.id
-            if (data.socketId && data.socketId !== mySocketId) {
-              await createPeerConnection(data.socketId, data.userName, false, socketInstance)
-            }
-          }
-        })
-
-        socketInstance.on('user-left', (data) => {
-          handleUserLeft(data)
-        })
-
-        // WebRTC Handlers
-        socketInstance.on('offer', async (data) => {
-          const { offer, senderSocketId } = data
-          let pc = peerConnectionsRef.current.get(senderSocketId)
-
-          if (!pc) {
-            const user = users.find(u => u.socketId === senderSocketId)
-            pc = createPeerConnection(senderSocketId, user?.userName || 'User', false, socketInstance)
-          }
-
-          try {
-            if (pc.signalingState === 'stable') {
-              await pc.setRemoteDescription(new RTCSessionDescription(offer))
-              const answer = await pc.createAnswer()
-              await pc.setLocalDescription(answer)
-              socketInstance.emit('answer', {
-                answer,
-                targetSocketId: senderSocketId,
-                roomId: channelId
-              })
-            }
-          } catch (e) { console.error("Error handling offer", e) }
-        })
-
-        socketInstance.on('answer', async (data) => {
-          const pc = peerConnectionsRef.current.get(data.senderSocketId)
-          if (pc) {
-            try {
-              await pc.setRemoteDescription(new RTCSessionDescription(data.answer))
-            } catch (e) {
-              console.error("Error handling answer", e)
-            }
-          }
-        })
-
-        socketInstance.on('ice-candidate', async (data) => {
-          const pc = peerConnectionsRef.current.get(data.senderSocketId)
-          if (pc && data.candidate) {
-            try {
-              await pc.addIceCandidate(new RTCIceCandidate(data.candidate))
-            } catch (e) { console.error("Error adding ice candidate", e) }
-          }
-        })
-
-        setSocket(socketInstance)
-
-      } catch (error) {
-        console.error('Socket init error:', error)
-      }
+      })
+      // Drop textures for people who left
+      const present = new Set(participants.map(p => p.socketId))
+      ;[...videoElementsRef.current.keys()].forEach(id => {
+        if (!present.has(id)) removeVideoTexture(id)
+      })
     }
 
-    init()
+    const unsubscribers = [
+      meetingClient.on('participants', syncParticipants),
+      meetingClient.on('local-media', ({ videoEnabled }) => setIsBroadcasting(videoEnabled)),
+      meetingClient.on('joined', ({ socketId }) => setMySocketId(socketId)),
+    ]
+    syncParticipants(meetingClient.getParticipants())
+    setIsBroadcasting(meetingClient.getLocalMedia().videoEnabled)
+    setMySocketId(meetingClient.getSelf()?.socketId || null)
+
+    getMallRoomId().then((channelId) => {
+      if (cancelled) return
+      joined = true
+      meetingClient.join(channelId).catch(error => console.error('UserVideoGrid: could not join room', error))
+    })
 
     return () => {
-      if (socketInstance) {
-        socketInstance.emit('leave-room')
-        socketInstance.disconnect()
-      }
-      peerConnectionsRef.current.forEach(pc => pc.close())
-      peerConnectionsRef.current.clear()
-
-      // Stop local tracks
-      if (localStreamRef.current) {
-        localStreamRef.current.getTracks().forEach(t => t.stop())
-      }
+      cancelled = true
+      unsubscribers.forEach(unsubscribe => unsubscribe())
+      if (joined) meetingClient.leave()
 
       // Cleanup videos/textures
-      videoElementsRef.current.forEach(video => {
-        if (video && video.parentNode) document.body.removeChild(video)
-      })
-      videoElementsRef.current.clear()
-      texturesRef.current.forEach(t => t.dispose())
-      texturesRef.current.clear()
+      ;[...videoElementsRef.current.keys()].forEach(removeVideoTexture)
     }
   }, [])
 
-
-  function createPeerConnection(socketId, userName, isInitiator, socket) {
-    if (peerConnectionsRef.current.has(socketId)) return peerConnectionsRef.current.get(socketId)
-
-    const pc = new RTCPeerConnection({
-      iceServers: [{ urls: 'stun:stun.l.google.com:19302' }]
-    })
-
-    // ADD LOCAL TRACKS IF BROADCASTING
-    if (localStreamRef.current) {
-      localStreamRef.current.getTracks().forEach(track => {
-        pc.addTrack(track, localStreamRef.current)
-      })
-    }
-
-    pc.ontrack = (event) => {
-      console.log(`🎥 UserVideoGrid: Received track from ${socketId}`, event.streams[0])
-      const stream = event.streams[0]
-      if (stream) {
-        console.log(`✅ UserVideoGrid: Setting stream for ${socketId}, tracks:`, stream.getTracks().length)
-        setUserStreams(prev => {
-          const next = new Map(prev)
-          next.set(socketId, stream) // Use socketId as key
-          console.log(`📊 UserVideoGrid: Total streams now:`, next.size)
-          return next
-        })
-        createVideoTextureForStream(socketId, stream)
-      }
-    }
-
-    pc.onicecandidate = (event) => {
-      if (event.candidate && socket) {
-        socket.emit('ice-candidate', {
-          candidate: event.candidate,
-          targetSocketId: socketId,
-          roomId
-        })
-      }
-    }
-
-    peerConnectionsRef.current.set(socketId, pc)
-
-    if (isInitiator) {
-      pc.createOffer().then(offer => {
-        pc.setLocalDescription(offer)
-        if (socket) {
-          socket.emit('offer', {
-            offer,
-            targetSocketId: socketId,
-            roomId
-          })
-        }
-      })
-    }
-
-    return pc
-  }
-
-  function handleUserLeft(data) {
-    setUsers(prev => prev.filter(u => u.socketId !== data.socketId))
-
-    if (peerConnectionsRef.current.has(data.socketId)) {
-      peerConnectionsRef.current.get(data.socketId).close()
-      peerConnectionsRef.current.delete(data.socketId)
-    }
-
-    setUserStreams(prev => {
-      const next = new Map(prev)
-      next.delete(data.socketId)
-      return next
-    })
-
-    if (videoElementsRef.current.has(data.socketId)) {
-      const v = videoElementsRef.current.get(data.socketId)
-      if (v.parentNode) document.body.removeChild(v)
-      videoElementsRef.current.delete(data.socketId)
+  function removeVideoTexture(id) {
+    const video = videoElementsRef.current.get(id)
+    if (video) {
+      video.srcObject = null
+      if (video.parentNode) document.body.removeChild(video)
+      videoElementsRef.current.delete(id)
     }
-
-    if (texturesRef.current.has(data.socketId)) {
-      texturesRef.current.get(data.socketId).dispose()
-      texturesRef.current.delete(data.socketId)
+    if (texturesRef.current.has(id)) {
+      texturesRef.current.get(id).dispose()
+      texturesRef.current.delete(id)
     }
   }
 
@@ -301,69 +108,15 @@ export default function UserVideoGrid({ position = [0, 5, -90], rotation = [0, 0
     video.play().catch(e => console.error("Video play error", e))
   }
 
-  // Toggle Broadcasting Logic
+  // Toggle Broadcasting Logic - camera and microphone together, sent by the meeting client
   const toggleBroadcast = async () => {
     console.log(`🔄 UserVideoGrid: toggleBroadcast called, current state: ${isBroadcasting}`)
-    if (isBroadcasting) {
-      // Stop Broadcasting
-      console.log(`⏹️ UserVideoGrid: Stopping broadcast...`)
-      if (localStreamRef.current) {
-        localStreamRef.current.getTracks().forEach(t => {
-          t.stop()
-          console.log(`🚫 UserVideoGrid: Stopped track: ${t.kind}`)
-        })
-        localStreamRef.current = null
-      }
-
-      // Remove tracks from existing connections
-      peerConnectionsRef.current.forEach(async (pc, socketId) => {
-        pc.getSenders().forEach(sender => pc.removeTrack(sender))
-        // Renegotiate removal
-        try {
-          const offer = await pc.createOffer()
-          await pc.setLocalDescription(offer)
-          if (socket) socket.emit('offer', { offer, targetSocketId: socketId, roomId })
-        } catch (e) {
-          console.error("Error renegotiating stop", e)
-        }
-      })
-
-      setIsBroadcasting(false)
-      setUserStreams(prev => {
-        const next = new Map(prev)
-        next.delete('local')
-        return next
-      })
-    } else {
-      // Start Broadcasting
-      console.log(`▶️ UserVideoGrid: Starting broadcast, requesting media...`)
-      try {
-        const stream = await navigator.mediaDevices.getUserMedia({ video: true, audio: true })
-        console.log(`✅ UserVideoGrid: Got media stream with ${stream.getTracks().length} tracks`)
-        stream.getTracks().forEach(t => console.log(`  - ${t.kind}: ${t.label}`))
-        localStreamRef.current = stream
-
-        // Only store local stream for reference, DO NOT DISPLAY IT (as requested)
-        // But we might need it for logic, just don't put it in 'renderUsers'
-
-        // Add tracks to all existing connections
-        peerConnectionsRef.current.forEach(async (pc, socketId) => {
-          stream.getTracks().forEach(track => pc.addTrack(track, stream))
-          // Renegotiate addition
-          try {
-            const offer = await pc.createOffer()
-            await pc.setLocalDescription(offer)
-            if (socket) socket.emit('offer', { offer, targetSocketId: socketId, roomId })
-          } catch (e) {
-            console.error("Error renegotiating start", e)
-          }
-        })
-
-        setIsBroadcasting(true)
-      } catch (e) {
-        console.error("Error starting broadcast", e)
-        alert("Could not access camera/microphone")
-      }
+    try {
+      await meetingClient.setVideoEnabled(!isBroadcasting)
+      await meetingClient.setAudioEnabled(!isBroadcasting)
+    } catch (e) {
+      console.error("Error starting broadcast", e)
+      alert("Could not access camera/microphone")
     }
   }
 
@@ -418,7 +171,7 @@ export default function UserVideoGrid({ position = [0, 5, -90], rotation = [0, 0
   })
 
   // Render - Display all remote videos on a single TV screen plane
-  const renderUsers = users.filter(u => u.socketId !== socket?.id && u.socketId !== 'local')
+  const renderUsers = users.filter(u => u.socketId !== mySocketId && u.socketId !== 'local')
 
   // If there are remote users, show the first one's video on the TV screen
   // (For multiple users, we'd need a canvas composite, but for now show first user)
@@ -1,10 +1,11 @@
 import React, { useState, useEffect, useRef } from 'react'
-import io from 'socket.io-client'
-
-if (!import.meta.env.VITE_API_BASE_URL) {
-    throw new Error('❌ VITE_API_BASE_URL is required!')
-}
-const API_BASE_URL = import.meta.env.VITE_API_BASE_URL
+import GroupCartPanel from './GroupCartPanel'
+import LiveShowPanel from './LiveShowPanel'
+import MeetingChat from './MeetingChat'
+import ConnectionQualityIndicator from './ConnectionQualityIndicator'
+import { getCurrentUserName } from '../stores/authStore'
+import { meetingClient } from '../services/meetingClient'
+import { fetchInvite } from '../services/api'
 
 export default function VideoMeeting() {
     const [step, setStep] = useState('lobby') // 'lobby' or 'meeting'
@@ -12,7 +13,10 @@ export default function VideoMeeting() {
         const params = new URLSearchParams(window.location.search)
         return params.get('roomID') || 'fashion-1'
     })
-    const [userName, setUserName] = useState(`User-${Math.floor(Math.random() * 1000)}`)
+    // Invite links (?invite=<token>) let people into invite-only rooms
+    const [inviteToken] = useState(() => new URLSearchParams(window.location.search).get('invite'))
+    const [joinError, setJoinError] = useState(null)
+    const [userName, setUserName] = useState(() => getCurrentUserName() || `User-${Math.floor(Math.random() * 1000)}`)
 
     // Media State
     const [permissionGranted, setPermissionGranted] = useState(false)
@@ -21,29 +25,48 @@ export default function VideoMeeting() {
     const [isVideoOff, setIsVideoOff] = useState(false)
     const [error, setError] = useState(null)
 
-    // Socket & WebRTC
-    const socketRef = useRef(null)
-    const peerConnectionsRef = useRef(new Map())
-    const [remoteStreams, setRemoteStreams] = useState([])
-    const [connected, setConnected] = useState(false)
+    // Meeting (connections live in the shared meeting client)
+    const inMeetingRef = useRef(false)
+    const [participants, setParticipants] = useState([])
+    const [socket, setSocket] = useState(null)
 
     // Refs
     const localVideoRef = useRef(null)
 
-    // RTC Config
-    const rtcConfig = {
-        iceServers: [
-            { urls: 'stun:stun.l.google.com:19302' },
-            { urls: 'stun:stun1.l.google.com:19302' }
-        ]
-    }
-
     useEffect(() => {
         // Request permissions on load
         startCamera()
+
+        // An invite link without a room ID: look up the room it leads to
+        if (inviteToken && !new URLSearchParams(window.location.search).get('roomID')) {
+            fetchInvite(inviteToken)
+                .then(({ room }) => setRoomId(room.roomId))
+                .catch(err => setJoinError(err.message))
+        }
+
+        const unsubscribers = [
+            meetingClient.on('participants', setParticipants),
+            meetingClient.on('status', () => setSocket(meetingClient.getSocket())),
+            meetingClient.on('error', (err) => setError(err.message)),
+            // The owner closed the room: back to the lobby
+            meetingClient.on('room-closed', ({ by }) => {
+                if (!inMeetingRef.current) return
+                meetingClient.leave()
+                inMeetingRef.current = false
+                setStep('lobby')
+                setJoinError(`The room was closed${by ? ` by ${by}` : ''}`)
+            }),
+            // A live show can turn our microphone/camera off when we become a viewer
+            meetingClient.on('local-media', ({ audioEnabled, videoEnabled }) => {
+                if (!inMeetingRef.current) return
+                setIsAudioMuted(!audioEnabled)
+                setIsVideoOff(!videoEnabled)
+            }),
+        ]
         return () => {
+            unsubscribers.forEach(unsubscribe => unsubscribe())
+            if (inMeetingRef.current) meetingClient.leave()
             stopCamera()
-            if (socketRef.current) socketRef.current.disconnect()
         }
     }, [])
 
@@ -74,177 +97,59 @@ export default function VideoMeeting() {
     }
 
     const toggleAudio = () => {
+        if (isAudioMuted && inMeetingRef.current && meetingClient.isMutedByOwner()) {
+            alert('The room owner muted you.')
+            return
+        }
+        if (isAudioMuted && inMeetingRef.current && !meetingClient.canPublish()) {
+            alert('A live show is running. Raise your hand to ask the host to let you speak.')
+            return
+        }
         if (mediaStream) {
             const newState = !isAudioMuted
             mediaStream.getAudioTracks().forEach(t => t.enabled = !newState)
             setIsAudioMuted(newState)
+            // Tell the room too (the tracks are the ones the meeting client sends)
+            if (inMeetingRef.current) meetingClient.setAudioEnabled(!newState)
         }
     }
 
     const toggleVideo = () => {
+        if (isVideoOff && inMeetingRef.current && !meetingClient.canPublish()) {
+            alert('A live show is running. Raise your hand to ask the host to let you on camera.')
+            return
+        }
         if (mediaStream) {
             const newState = !isVideoOff
             mediaStream.getVideoTracks().forEach(t => t.enabled = !newState)
             setIsVideoOff(newState)
+            if (inMeetingRef.current) meetingClient.setVideoEnabled(!newState)
         }
     }
 
-    const joinMeeting = () => {
+    const joinMeeting = async () => {
         if (!mediaStream) return
         setStep('meeting')
-        connectToSocket()
-    }
-
-    const connectToSocket = () => {
-        const serverUrl = window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1'
-            ? API_BASE_URL
-            : API_BASE_URL
-        const socketUrl = `${serverUrl}/meeting`
-
-        socketRef.current = io(socketUrl, {
-            transports: ['websocket', 'polling']
-        })
-
-        const socket = socketRef.current
-
-        socket.on('connect', () => {
-            setConnected(true)
-            // Join room with full payload needed for UserVideoGrid
-            socket.emit('join-room', {
-                roomId,
-                userId: userName, // Ideally this should be a unique ID, but userName works for now
-                userName,
-                productCategory: 'General'
-            })
-        })
-
-        socket.on('disconnect', () => setConnected(false))
-
-        socket.on('room-users', (data) => {
-            if (data.users) {
-                const mySocketId = socket.id
-                data.users.forEach(user => {
-                    // Filter out ourselves
-                    if (user.socketId && user.socketId !== mySocketId) {
-                        createPeerConnection(user.socketId, user.userName, false)
-                    }
-                })
-            }
-        })
-
-        socket.on('user-joined', (data) => {
-            const mySocketId = socket.id
-            if (data.socketId && data.socketId !== mySocketId) {
-                createPeerConnection(data.socketId, data.userName, true)
-            }
-        })
-
-        socket.on('user-left', (data) => {
-            removePeerConnection(data.socketId)
-        })
-
-        socket.on('offer', async (data) => {
-            const pc = createPeerConnection(data.senderSocketId, data.senderUserName, false)
-            await pc.setRemoteDescription(new RTCSessionDescription(data.offer))
-            const answer = await pc.createAnswer()
-            await pc.setLocalDescription(answer)
-            socket.emit('answer', {
-                answer,
-                targetSocketId: data.senderSocketId,
-                roomId
-            })
-        })
-
-        socket.on('answer', async (data) => {
-            const pc = peerConnectionsRef.current.get(data.senderSocketId)
-            if (pc) {
-                await pc.setRemoteDescription(new RTCSessionDescription(data.answer))
-            }
-        })
-
-        socket.on('ice-candidate', async (data) => {
-            const pc = peerConnectionsRef.current.get(data.senderSocketId)
-            if (pc) {
-                try {
-                    await pc.addIceCandidate(new RTCIceCandidate(data.candidate))
-                } catch (e) {
-                    console.error("Error adding ice candidate", e)
-                }
-            }
-        })
-    }
-
-    const createPeerConnection = (socketId, remoteName, isInitiator) => {
-        if (peerConnectionsRef.current.has(socketId)) return peerConnectionsRef.current.get(socketId)
-
-        const pc = new RTCPeerConnection(rtcConfig)
-        peerConnectionsRef.current.set(socketId, pc)
-
-        // Add local tracks
-        mediaStream.getTracks().forEach(track => pc.addTrack(track, mediaStream))
-
-        pc.onicecandidate = (event) => {
-            if (event.candidate && socketRef.current) {
-                socketRef.current.emit('ice-candidate', {
-                    candidate: event.candidate,
-                    targetSocketId: socketId,
-                    roomId
-                })
-            }
-        }
-
-        pc.ontrack = (event) => {
-            setRemoteStreams(prev => {
-                const existing = prev.find(p => p.socketId === socketId)
-                if (existing) {
-                    // Update stream if it changed (though usually unnecessary for simple tracks)
-                    if (existing.stream.id !== event.streams[0].id) {
-                        return prev.map(p => p.socketId === socketId ? { ...p, stream: event.streams[0] } : p)
-                    }
-                    return prev
-                }
-                return [...prev, { socketId, userName: remoteName, stream: event.streams[0] }]
-            })
-        }
-
-        pc.onconnectionstatechange = () => {
-            if (['disconnected', 'failed', 'closed'].includes(pc.connectionState)) {
-                removePeerConnection(socketId)
-            }
-        }
-
-        if (isInitiator) {
-            pc.createOffer().then(offer => {
-                pc.setLocalDescription(offer)
-                if (socketRef.current) {
-                    socketRef.current.emit('offer', {
-                        offer,
-                        targetSocketId: socketId,
-                        roomId
-                    })
-                }
-            })
-        }
-
-        return pc
-    }
-
-    const removePeerConnection = (socketId) => {
-        const pc = peerConnectionsRef.current.get(socketId)
-        if (pc) {
-            pc.close()
-            peerConnectionsRef.current.delete(socketId)
+        setJoinError(null)
+        inMeetingRef.current = true
+        // Our preview stream is what we send; the meeting client leaves it running when we hang up
+        meetingClient.setLocalStream(mediaStream)
+        try {
+            await meetingClient.join(roomId, { userName, inviteToken: inviteToken || undefined })
+        } catch (err) {
+            // Refused (full, invite-only, not open yet...): back to the lobby with the reason
+            if (!inMeetingRef.current) return
+            meetingClient.leave()
+            inMeetingRef.current = false
+            setStep('lobby')
+            setJoinError(err.message)
         }
-        setRemoteStreams(prev => prev.filter(p => p.socketId !== socketId))
     }
 
     const leaveMeeting = () => {
-        if (socketRef.current) socketRef.current.disconnect()
-        peerConnectionsRef.current.forEach(pc => pc.close())
-        peerConnectionsRef.current.clear()
-        setRemoteStreams([])
+        if (inMeetingRef.current) meetingClient.leave()
+        inMeetingRef.current = false
         setStep('lobby')
-        setConnected(false)
     }
 
     // --- Modern Google Meet-inspired UI Styles ---
@@ -498,6 +403,9 @@ export default function VideoMeeting() {
                         >
                             Join now
                         </button>
+                        {joinError && (
+                            <div style={{ color: '#f28b82', fontSize: '14px', marginTop: '12px' }}>{joinError}</div>
+                        )}
                     </div>
                 </div>
             </div>
@@ -532,7 +440,7 @@ export default function VideoMeeting() {
                 </div>
 
                 {/* Remote Users */}
-                {remoteStreams.map(user => (
+                {participants.map(user => (
                     <RemoteVideo
                         key={user.socketId}
                         user={user}
@@ -543,6 +451,15 @@ export default function VideoMeeting() {
                 ))}
             </div>
 
+            {/* Shared group cart for this room */}
+            <GroupCartPanel socket={socket} roomId={roomId} style={{ top: '70px' }} />
+
+            {/* Host-led live show: pinned product, raised hands and speakers */}
+            <LiveShowPanel showProduct style={{ top: '70px' }} />
+
+            {/* Room chat (history, reactions, owner moderation) */}
+            <MeetingChat />
+
             {/* Bottom Control Bar */}
             <div style={styles.bottomBar}>
                 <button
@@ -575,8 +492,8 @@ function RemoteVideo({ user, cardStyle, videoStyle, nameTagStyle }) {
     const videoRef = useRef(null)
 
     useEffect(() => {
-        if (videoRef.current && user.stream) {
-            videoRef.current.srcObject = user.stream
+        if (videoRef.current) {
+            videoRef.current.srcObject = user.stream || null
         }
     }, [user.stream])
 
@@ -589,7 +506,8 @@ function RemoteVideo({ user, cardStyle, videoStyle, nameTagStyle }) {
                 style={videoStyle}
             />
             <div style={nameTagStyle}>
-                {user.userName}
+                {user.userName} {user.isMuted ? '(Muted)' : ''}
+                <ConnectionQualityIndicator quality={user.quality} style={{ marginLeft: '6px' }} />
             </div>
         </div>
     )
@@ -1,6 +1,6 @@
 import React, { Suspense, useEffect, useState, useRef } from 'react'
 import { useFrame } from '@react-three/fiber'
-import { PerspectiveCamera, useTexture, useGLTF } from '@react-three/drei'
+import { PerspectiveCamera, useTexture, useGLTF, Html } from '@react-three/drei'
 import * as THREE from 'three'
 import { io } from 'socket.io-client'
 import Player from './Player'
@@ -11,7 +11,15 @@ import UserVideoGrid from './UserVideoGrid'
 import FloorGLBModels from './FloorGLBModels'
 import OtherPlayer from './OtherPlayer'
 import { usePlayerStore } from '../stores/playerStore'
+import { useCartStore } from '../stores/cartStore'
+import { useGroupCartStore } from '../stores/groupCartStore'
+import { useProductHighlightStore } from '../stores/productHighlightStore'
+import { useCatalogStore } from '../stores/catalogStore'
+import { useProfileStore } from '../stores/profileStore'
+import { socketAuth } from '../stores/authStore'
 import { checkCameraCollision } from '../utils/collision'
+import { pushSnapshot, removePlayer, clearSnapshots, sampleAt } from '../utils/interpolation'
+import { proximityVoiceService } from '../services/proximityVoice'
 import { fetchCategories, fetchRoomsByCategory, fetchProducts } from '../services/api'
 
 // Wall image constants
@@ -26,6 +34,23 @@ const WALL_IMAGES = {
   west: `${API_BASE_URL}/api/products/files/westwall.webp`,
 }
 
+// Position updates sent to the player socket per second
+const MOVE_SEND_RATE = 20
+
+// Normalize an API product so racks can rely on the fields they render
+function normalizeProduct(product, index = 0) {
+  return {
+    id: product.id || product._id || `product-${index}`,
+    name: product.name || product.title || 'Product',
+    category: product.category || product.categoryName || 'General',
+    imageUrl: product.imageUrl || product.image || product.thumbnail || null,
+    modelUrl: product.modelUrl || product.model || null,
+    price: product.price || 0,
+    description: product.description || '',
+    ...product // Include all other fields
+  }
+}
+
 export default function VirtualMall() {
   const playerPosition = usePlayerStore((state) => state.position)
 
@@ -83,16 +108,7 @@ export default function VirtualMall() {
           const fetchedProducts = productsData.products || productsData.data || []
 
           // Normalize products to ensure they have required fields
-          const normalizedProducts = fetchedProducts.map((product, index) => ({
-            id: product.id || product._id || `product-${index}`,
-            name: product.name || product.title || 'Product',
-            category: product.category || product.categoryName || 'General',
-            imageUrl: product.imageUrl || product.image || product.thumbnail || null,
-            modelUrl: product.modelUrl || product.model || null,
-            price: product.price || 0,
-            description: product.description || '',
-            ...product // Include all other fields
-          }))
+          const normalizedProducts = fetchedProducts.map(normalizeProduct)
 
           // Limit to available slots (remove extra products)
           const limitedProducts = normalizedProducts.slice(0, TOTAL_PRODUCT_SLOTS)
@@ -114,6 +130,37 @@ export default function VirtualMall() {
     loadData()
   }, [])
 
+  // Live catalog: apply product, price and stock changes without a reload
+  useEffect(() => {
+    if (!import.meta.env.VITE_API_BASE_URL) return
+
+    const catalogSocket = io(`${import.meta.env.VITE_API_BASE_URL}/catalog`, { auth: socketAuth })
+
+    catalogSocket.on('product-created', (product) => {
+      setProducts(prev => (prev.length >= TOTAL_PRODUCT_SLOTS || prev.some(p => p.id === product.id))
+        ? prev
+        : [...prev, normalizeProduct(product)])
+    })
+
+    catalogSocket.on('product-updated', (product) => {
+      // The stored product is complete, so replace rather than merge (drops cleared fields)
+      setProducts(prev => prev.map(p => (p.id === product.id ? normalizeProduct(product) : p)))
+    })
+
+    catalogSocket.on('product-deleted', ({ id }) => {
+      setProducts(prev => prev.filter(p => p.id !== id))
+    })
+
+    const { setLowStockThreshold, pushAlert } = useCatalogStore.getState()
+    catalogSocket.on('catalog-settings', ({ lowStockThreshold }) => setLowStockThreshold(lowStockThreshold))
+    catalogSocket.on('stock-low', (alert) => pushAlert('stock-low', alert))
+    catalogSocket.on('out-of-stock', (alert) => pushAlert('out-of-stock', alert))
+
+    return () => {
+      catalogSocket.disconnect()
+    }
+  }, [])
+
 
   // Helper function to get product image URL (handles API product structure)
   const getProductImageUrl = (product) => {
@@ -207,6 +254,8 @@ export default function VirtualMall() {
   const playerSocketRef = useRef(null) // Player socket - separate from video call socket
   const lastPositionRef = useRef([0, 0, 0])
   const lastRotationRef = useRef(0)
+  const lastMoveSentAtRef = useRef(0)
+  const moveSeqRef = useRef(0)
 
   // Initialize Socket.IO connection for MULTIPLAYER (player positions only)
   useEffect(() => {
@@ -219,8 +268,12 @@ export default function VirtualMall() {
     }
 
     const API_BASE_URL = import.meta.env.VITE_API_BASE_URL
-    const playerSocket = io(`${API_BASE_URL}/player`)
+    const playerSocket = io(`${API_BASE_URL}/player`, { auth: socketAuth })
     playerSocketRef.current = playerSocket
+    // Our own profile arrives on connect and is edited over this socket
+    useProfileStore.getState().bind(playerSocket)
+    // Proximity voice is signaled over this socket too (the server knows who is near whom)
+    proximityVoiceService.attach(playerSocket)
 
     console.log('🔵 Player Socket Connecting to:', `${API_BASE_URL}/player`)
 
@@ -232,6 +285,7 @@ export default function VirtualMall() {
         const playersObj = Array.isArray(players)
           ? players.reduce((acc, p) => ({ ...acc, [p.id]: p }), {})
           : players
+        clearSnapshots()
         setRemotePlayers(playersObj)
         console.log(`🔵 Rendering ${Object.keys(playersObj).length} remote players`)
       } else {
@@ -259,31 +313,65 @@ export default function VirtualMall() {
       }
     })
 
-    // Listen for player movements
-    playerSocket.on('player-moved', (data) => {
-      if (!data || !data.id) return
+    // Batched, server-validated positions. Each server instance numbers its own snapshots,
+    // so anything older than the last one seen from that instance is stale.
+    const lastSnapshotSeq = {}
+    playerSocket.on('players-snapshot', ({ instanceId, seq, t, players } = {}) => {
+      if (!Array.isArray(players)) return
+      if (seq <= (lastSnapshotSeq[instanceId] ?? 0)) return
+      lastSnapshotSeq[instanceId] = seq
+
+      const newPlayers = []
+      for (const player of players) {
+        if (!player?.id || player.id === playerSocket.id) continue
+        pushSnapshot(player.id, t, player.position, player.rotation, player.teleport)
+        newPlayers.push(player)
+      }
 
+      // OtherPlayer reads positions from the snapshot buffers every frame, so React state
+      // only changes when a player we haven't rendered yet shows up
       setRemotePlayers(prev => {
-        if (data.id === playerSocket.id) {
-          // Don't update our own player
-          return prev
-        }
-        const updated = {
-          ...prev,
-          [data.id]: {
-            ...prev[data.id],
-            id: data.id,
-            position: data.position || prev[data.id]?.position || [0, 0, 0],
-            rotation: data.rotation || prev[data.id]?.rotation || [0, 0, 0]
-          }
-        }
+        const missing = newPlayers.filter(player => !prev[player.id])
+        if (missing.length === 0) return prev
+        const updated = { ...prev }
+        for (const player of missing) updated[player.id] = player
         return updated
       })
     })
 
+    // The server rejected (part of) a move - e.g. through a wall or faster than allowed
+    playerSocket.on('position-corrected', ({ position } = {}) => {
+      if (!Array.isArray(position)) return
+      const current = usePlayerStore.getState().position
+      // Ignore rounding-sized differences - the client runs the same bounds checks
+      if (Math.hypot(position[0] - current[0], position[2] - current[2]) < 0.5) return
+      console.warn('🔵 Position corrected by server:', position)
+      usePlayerStore.setState({ position, velocity: [0, 0, 0] })
+      lastPositionRef.current = [...position]
+    })
+
+    // Deliberate jumps (e.g. "take me to this product") are sent as teleports, which the
+    // server accepts anywhere in bounds instead of treating them as impossibly fast moves
+    const unsubscribeTeleport = usePlayerStore.subscribe((state, prevState) => {
+      if (state.teleportSeq === prevState.teleportSeq) return
+      playerSocket.emit('teleport', {
+        position: state.position,
+        rotation: [0, state.rotation, 0]
+      })
+      lastPositionRef.current = [...state.position]
+      lastRotationRef.current = state.rotation
+    })
+
+    // Someone changed their name, avatar or color
+    playerSocket.on('player-profile', ({ id, profile } = {}) => {
+      if (!id || id === playerSocket.id) return
+      setRemotePlayers(prev => (prev[id] ? { ...prev, [id]: { ...prev[id], profile } } : prev))
+    })
+
     // Listen for players leaving
     playerSocket.on('player-left', (id) => {
       console.log('Player left:', id)
+      removePlayer(id)
       setRemotePlayers(prev => {
         const newState = { ...prev }
         delete newState[id]
@@ -293,6 +381,9 @@ export default function VirtualMall() {
 
     // Cleanup on unmount
     return () => {
+      unsubscribeTeleport()
+      useProfileStore.getState().bind(null)
+      proximityVoiceService.attach(null)
       if (playerSocket) {
         console.log('🔵 Player Socket Disconnected')
         playerSocket.disconnect()
@@ -300,10 +391,20 @@ export default function VirtualMall() {
     }
   }, [])
 
-  // Send position updates to MULTIPLAYER server (not video call server)
+  // Place nearby voices at their avatars and our ears at ours
+  useFrame(() => {
+    const { position, rotation } = usePlayerStore.getState()
+    proximityVoiceService.updatePositions(position, rotation, (peerId) => sampleAt(peerId)?.position || null)
+  })
+
+  // Send position updates to MULTIPLAYER server (not video call server), at most
+  // MOVE_SEND_RATE times per second - the server only simulates at its tick rate anyway
   useFrame(() => {
     if (!playerSocketRef.current) return
 
+    const now = performance.now()
+    if (now - lastMoveSentAtRef.current < 1000 / MOVE_SEND_RATE) return
+
     const currentPosition = usePlayerStore.getState().position
     const currentRotation = usePlayerStore.getState().rotation
 
@@ -315,10 +416,13 @@ export default function VirtualMall() {
     const rotChanged = Math.abs(currentRotation - lastRotationRef.current) > 0.1
 
     if (posChanged || rotChanged) {
+      moveSeqRef.current += 1
       playerSocketRef.current.emit('move', {
+        seq: moveSeqRef.current,
         position: currentPosition,
         rotation: [0, currentRotation, 0]
       })
+      lastMoveSentAtRef.current = now
 
       lastPositionRef.current = [...currentPosition]
       lastRotationRef.current = currentRotation
@@ -784,6 +888,7 @@ export default function VirtualMall() {
                 position={pos}
                 rotation={rot}
                 playerId={player.id}
+                profile={player.profile}
               />
             </Suspense>
           )
@@ -1055,7 +1160,7 @@ const DEFAULT_PRODUCT_IMAGE = 'https://via.placeholder.com/500x500/cccccc/666666
 
 // Product Image Display Component - Shows 2D product image (initial view)
 // Product Image Display with Error Handling
-function ProductImageDisplayWrapper({ position, wallRotation, imageUrl, width = 1.5, height = 1.5, onClick }) {
+function ProductImageDisplayWrapper({ position, wallRotation, imageUrl, width = 1.5, height = 1.5, onClick, dimmed = false }) {
   const [texture, setTexture] = React.useState(null)
   const [hasError, setHasError] = React.useState(false)
   const [isLoading, setIsLoading] = React.useState(true)
@@ -1173,7 +1278,8 @@ function ProductImageDisplayWrapper({ position, wallRotation, imageUrl, width =
       <planeGeometry args={[width, height]} />
       <meshStandardMaterial
         map={texture}
-        color="#ffffff"
+        color={dimmed ? '#555555' : '#ffffff'} // Greyed out when sold out
+        opacity={dimmed ? 0.6 : 1}
         transparent={true}
         roughness={0.3}
         metalness={0.1}
@@ -1184,7 +1290,7 @@ function ProductImageDisplayWrapper({ position, wallRotation, imageUrl, width =
 }
 
 // Product Display Component - Shows image initially, 3D model after click
-function ProductDisplay({ position, wallRotation, product, productIndex = 0, isClicked = false, onClick, imageUrl }) {
+function ProductDisplay({ position, wallRotation, product, productIndex = 0, isClicked = false, onClick, imageUrl, isSoldOut = false }) {
   // Check if product exists
   if (!product) {
     return (
@@ -1238,10 +1344,95 @@ function ProductDisplay({ position, wallRotation, product, productIndex = 0, isC
       wallRotation={wallRotation}
       imageUrl={finalImageUrl}
       onClick={onClick}
+      dimmed={isSoldOut}
     />
   )
 }
 
+// Add To Cart Tag - HTML overlay with product info and an "Add to cart" action
+function AddToCartTag({ position, product }) {
+  const addItem = useCartStore((state) => state.addItem)
+  const isLoading = useCartStore((state) => state.isLoading)
+  const groupRoomId = useGroupCartStore((state) => state.roomId)
+  const addGroupItem = useGroupCartStore((state) => state.addItem)
+  const [added, setAdded] = React.useState(false)
+
+  // Fallback products are not in the catalog and cannot be bought
+  const purchasable = product.price > 0 && !String(product.id).startsWith('product-fallback')
+  const outOfStock = product.stock !== undefined && product.stock <= 0
+
+  const handleAdd = async (e) => {
+    e.stopPropagation()
+    await addItem(product.id, 1)
+    if (!useCartStore.getState().error) {
+      setAdded(true)
+      setTimeout(() => setAdded(false), 1500)
+    }
+  }
+
+  return (
+    <Html position={position} center distanceFactor={8}>
+      <div
+        style={{
+          background: 'rgba(0, 0, 0, 0.9)',
+          color: 'white',
+          padding: '8px 12px',
+          borderRadius: '6px',
+          border: '2px solid #4facfe',
+          fontFamily: 'sans-serif',
+          fontSize: '12px',
+          whiteSpace: 'nowrap',
+          textAlign: 'center',
+          minWidth: '140px',
+        }}
+      >
+        <div style={{ fontWeight: 'bold', marginBottom: '4px' }}>{product.name}</div>
+        {purchasable && (
+          <>
+            <div style={{ color: '#4facfe', fontSize: '14px', marginBottom: '6px' }}>${product.price}</div>
+            <button
+              onClick={handleAdd}
+              disabled={isLoading || outOfStock}
+              style={{
+                padding: '6px 12px',
+                backgroundColor: outOfStock ? '#777' : added ? '#4CAF50' : '#ff9f00',
+                color: 'white',
+                border: 'none',
+                borderRadius: '4px',
+                cursor: isLoading || outOfStock ? 'not-allowed' : 'pointer',
+                fontWeight: 'bold',
+              }}
+            >
+              {outOfStock ? 'Sold out' : added ? '✓ Added' : '🛒 Add to cart'}
+            </button>
+            {groupRoomId && !outOfStock && (
+              <button
+                onClick={(e) => {
+                  e.stopPropagation()
+                  addGroupItem(product.id, 1)
+                }}
+                style={{
+                  display: 'block',
+                  margin: '6px auto 0',
+                  padding: '6px 12px',
+                  backgroundColor: '#2196F3',
+                  color: 'white',
+                  border: 'none',
+                  borderRadius: '4px',
+                  cursor: 'pointer',
+                  fontWeight: 'bold',
+                }}
+              >
+                👥 Add to group cart
+              </button>
+            )}
+          </>
+        )}
+      </div>
+    </Html>
+  )
+}
+
 // Wall Rack Component - Shelf for displaying products (simple rectangular shape)
 // Single rack below the product (image or 3D model)
 function WallRack({ position, rotation, width = 10, depth = 1.2, height = 0.15, product, productIndex = 0, productId, isClicked = false, onProductClick, imageUrl }) {
@@ -1249,14 +1440,83 @@ function WallRack({ position, rotation, width = 10, depth = 1.2, height = 0.15,
   const gap = 0.2 // Gap between rack and product
   const collisionBlockHeight = 2.0 // Height of collision blocks to prevent entry
   const collisionBlockDepth = 0.3 // Depth of collision blocks
+  const isHighlighted = useProductHighlightStore((state) => !!product && state.highlightedIds.includes(product.id))
+  const lowStockThreshold = useCatalogStore((state) => state.lowStockThreshold)
+  const highlightRef = useRef()
+
+  // Live stock state (stock is undefined for fallback products)
+  const isSoldOut = product?.stock !== undefined && product.stock <= 0
+  const isLowStock = !isSoldOut && product?.stock !== undefined && product.stock <= lowStockThreshold
+
+  // Flash the slot for a few seconds when the price drops
+  const previousPriceRef = useRef({ id: product?.id, price: product?.price })
+  const [priceDrop, setPriceDrop] = useState(null) // { from, to }
+  useEffect(() => {
+    const previous = previousPriceRef.current
+    previousPriceRef.current = { id: product?.id, price: product?.price }
+    // Only compare prices of the same product (slots are reassigned when products are removed)
+    if (previous.id !== product?.id || previous.price === undefined || product?.price === undefined) return
+    if (product.price >= previous.price) return
+
+    setPriceDrop({ from: previousPrice, to: product.price })
+    const timeout = setTimeout(() => setPriceDrop(null), 4000)
+    return () => clearTimeout(timeout)
+  }, [product?.id, product?.price])
+
+  // Register the rack so the sales assistant can send the player here
+  useEffect(() => {
+    if (!product || !productId) return
+    const { registerRack, unregisterRack } = useProductHighlightStore.getState()
+    registerRack(productId, product.id, position, rotation[1])
+    return () => unregisterRack(productId)
+  }, [productId, product?.id, position[0], position[1], position[2], rotation[1]])
+
+  // Pulse the highlight frame (faster while flashing a price drop)
+  useFrame(({ clock }) => {
+    if (highlightRef.current) {
+      const speed = priceDrop ? 10 : 4
+      highlightRef.current.material.emissiveIntensity = 0.6 + Math.sin(clock.elapsedTime * speed) * 0.4
+    }
+  })
+
+  const frameColor = priceDrop ? '#00E676' : '#FFD700'
 
   return (
     <group position={position} rotation={rotation}>
+      {/* Highlight frame - gold while the sales assistant recommends this product, green on a price drop */}
+      {(isHighlighted || priceDrop) && (
+        <mesh ref={highlightRef} position={[0, 0, 0]}>
+          <boxGeometry args={[1.9, 1.9, 0.02]} />
+          <meshStandardMaterial color={frameColor} emissive={frameColor} emissiveIntensity={1} transparent opacity={0.8} />
+        </mesh>
+      )}
+
+      {/* Stock / price badge */}
+      {product && (isSoldOut || isLowStock || priceDrop) && (
+        <Html position={[0, -0.95, 0.4]} center distanceFactor={8}>
+          <div style={{
+            padding: '3px 8px',
+            borderRadius: '4px',
+            fontFamily: 'sans-serif',
+            fontSize: '11px',
+            fontWeight: 'bold',
+            whiteSpace: 'nowrap',
+            color: 'white',
+            backgroundColor: priceDrop ? '#00A152' : isSoldOut ? '#B71C1C' : '#E67800',
+            pointerEvents: 'none',
+          }}>
+            {priceDrop
+              ? `⬇ Price drop: $${priceDrop.from} → $${priceDrop.to}`
+              : isSoldOut ? 'SOLD OUT' : `Only ${product.stock} left`}
+          </div>
+        </Html>
+      )}
+
       {/* Single rack - below the product - increased depth for better visibility */}
       <mesh position={[0, -productHeight / 2 - gap - height / 2, 0]} castShadow receiveShadow>
         <boxGeometry args={[width, height, depth]} />
         <meshStandardMaterial
-          color="#8B7355"
+          color={isSoldOut ? '#5a5a5a' : '#8B7355'}
           roughness={0.7}
           metalness={0.1}
         />
@@ -1290,6 +1550,11 @@ function WallRack({ position, rotation, width = 10, depth = 1.2, height = 0.15,
         <meshStandardMaterial transparent opacity={0} />
       </mesh>
 
+      {/* Add to cart tag - shown above the product once it is clicked */}
+      {product && isClicked && (
+        <AddToCartTag position={[0, 1.1, 0.3]} product={product} />
+      )}
+
       {/* Product display - above the rack, centered in depth */}
       {/* Shows image initially, 3D model after click */}
       {product ? (
@@ -1301,6 +1566,7 @@ function WallRack({ position, rotation, width = 10, depth = 1.2, height = 0.15,
           isClicked={isClicked}
           onClick={onProductClick}
           imageUrl={imageUrl}
+          isSoldOut={isSoldOut}
         />
       ) : (
         // Fallback if product is missing
@@ -1,5 +1,6 @@
 // AI Agent Socket.IO service for NPC interaction
 import io from 'socket.io-client'
+import { socketAuth, getCurrentUserId } from '../stores/authStore'
 
 class AIAgentService {
   constructor() {
@@ -7,6 +8,8 @@ class AIAgentService {
     this.isConnected = false
     this.roomId = null
     this.onResponse = null
+    this.onChunk = null
+    this.partialText = ''
     this.audioContext = null
     this.speechSynthesis = null
   }
@@ -37,6 +40,7 @@ class AIAgentService {
       const socketUrl = `${serverUrl}/ai-agent`
       this.aiSocket = io(socketUrl, {
         transports: ['websocket', 'polling'],
+        auth: socketAuth,
         reconnection: true,
         reconnectionDelay: 1000,
         reconnectionAttempts: 5
@@ -59,8 +63,22 @@ class AIAgentService {
         reject(error)
       })
 
+      // Partial text streams in before the final response
+      this.aiSocket.on('ai-response-chunk', (data) => {
+        this.partialText += data.text
+        if (this.onChunk) {
+          this.onChunk(data, this.partialText)
+        }
+      })
+
+      this.aiSocket.on('ai-error', (data) => {
+        console.error('AI Agent error:', data.message)
+        this.partialText = ''
+      })
+
       // Listen for AI responses
       this.aiSocket.on('ai-response', (data) => {
+        this.partialText = ''
         console.log('AI Response:', data.text)
         if (this.onResponse) {
           this.onResponse(data)
@@ -82,6 +100,8 @@ class AIAgentService {
   disconnect() {
     if (this.aiSocket) {
       this.aiSocket.off('ai-response')
+      this.aiSocket.off('ai-response-chunk')
+      this.aiSocket.off('ai-error')
       this.aiSocket.disconnect()
       this.aiSocket = null
       this.isConnected = false
@@ -99,8 +119,10 @@ class AIAgentService {
       return
     }
 
+    this.partialText = ''
     this.aiSocket.emit('ask-ai', {
       roomId: this.roomId,
+      userId: getCurrentUserId(), // Guests' cart for the assistant's cart tools
       text: text
     })
   }
@@ -113,6 +135,14 @@ class AIAgentService {
     this.onResponse = callback
   }
 
+  /**
+   * Set callback for streamed partial responses
+   * @param {Function} callback - Callback function(chunkData, textSoFar)
+   */
+  setOnChunk(callback) {
+    this.onChunk = callback
+  }
+
   /**
    * Speak AI response using Web Speech API
    * @param {string} text - Text to speak
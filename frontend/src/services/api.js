@@ -48,16 +48,27 @@ export async function fetchCategories() {
 }
 
 /**
- * Fetch rooms for a specific category
+ * Fetch the public rooms of a category, most popular first
  * @param {string} category - The category name
+ * @param {Object} filters - Optional filters
+ * @param {boolean} filters.active - Only rooms open now (true) or scheduled ones not open yet (false)
+ * @param {boolean} filters.live - Only rooms with someone in them (true) or empty ones (false)
+ * @param {number} filters.minUsers - At least this many people in the room
+ * @param {number} filters.maxUsers - At most this many people in the room
+ * @param {boolean} filters.available - Leave out full rooms
+ * @param {string} filters.sort - 'popular' (default), 'newest' or 'title'
  * @returns {Promise<{category: string, rooms: Array, count: number}>}
- * Rooms should include: { roomId, productCategory, createdAt, creatorId }
+ * Rooms include: { roomId, title, productCategory, createdAt, creatorId, userCount, maxParticipants,
+ *   isActive, channelActive, isFull }
  */
-export async function fetchRoomsByCategory(category) {
-  const url = `${API_BASE_URL}/api/rooms/${encodeURIComponent(category)}`
+export async function fetchRoomsByCategory(category, filters = {}) {
+  const url = new URL(`${API_BASE_URL}/api/rooms/${encodeURIComponent(category)}`)
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) url.searchParams.append(key, value.toString())
+  })
 
   try {
-    const response = await fetch(url)
+    const response = await fetch(url.toString())
 
     if (!response.ok) {
       throw new Error(`Failed to fetch rooms for ${category}: ${response.status} ${response.statusText}`)
@@ -113,9 +124,10 @@ export async function fetchLiveChatCount() {
 }
 
 /**
- * Check room status - whether the room is active and channel is available
+ * Check room status - whether the room can be joined now (isActive) and whether anyone is in it (channelActive)
  * @param {string} roomId - Room ID to check
- * @returns {Promise<{roomId: string, isActive: boolean, channelActive: boolean}>}
+ * @returns {Promise<{roomId: string, isActive: boolean, channelActive: boolean, userCount: number|null,
+ *   maxParticipants: number|null, isFull: boolean, liveShow: boolean}>}
  */
 export async function checkRoomStatus(roomId) {
   const url = `${API_BASE_URL}/api/rooms/${encodeURIComponent(roomId)}/status`
@@ -123,9 +135,13 @@ export async function checkRoomStatus(roomId) {
   try {
     const response = await fetch(url)
 
+    if (response.status === 404) {
+      // The room doesn't exist (any more)
+      return { roomId, isActive: false, channelActive: false, userCount: 0, maxParticipants: null, isFull: false, liveShow: false }
+    }
     if (!response.ok) {
       // If endpoint doesn't exist, assume room is active for backward compatibility
-      return { roomId, isActive: true, channelActive: true }
+      return { roomId, isActive: true, channelActive: true, userCount: null, maxParticipants: null, isFull: false, liveShow: false }
     }
     const data = await response.json()
 
@@ -133,49 +149,76 @@ export async function checkRoomStatus(roomId) {
       roomId,
       isActive: data.isActive !== false, // Default to true if not specified
       channelActive: data.channelActive !== false, // Default to true if not specified
+      userCount: data.userCount ?? null,
+      maxParticipants: data.maxParticipants ?? null,
+      isFull: Boolean(data.isFull),
+      liveShow: Boolean(data.liveShow),
     }
   } catch (error) {
     // On error, assume room is active (backward compatibility)
-    return { roomId, isActive: true, channelActive: true }
+    return { roomId, isActive: true, channelActive: true, userCount: null, maxParticipants: null, isFull: false, liveShow: false }
+  }
+}
+
+/**
+ * Full URL of a product image. Generated images are served by the backend (/product-images/...),
+ * so relative paths are resolved against it.
+ * @param {string} imagePath - Absolute URL or a path on the backend
+ * @returns {string|null}
+ */
+export function toImageUrl(imagePath) {
+  if (!imagePath) return null
+  return imagePath.startsWith('http') ? imagePath : `${IMAGE_API_BASE_URL}${imagePath}`
+}
+
+// Image jobs go 'queued' -> 'running' -> 'done' | 'failed'; imageUrl is set once one is done
+function withImageUrl(job) {
+  return job ? { ...job, imageUrl: toImageUrl(job.imagePath) } : job
+}
+
+async function imageRequest(path, options = {}) {
+  const response = await fetch(`${IMAGE_API_BASE_URL}/api/products${path}`, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      ...authHeaders(),
+      ...(options.headers || {}),
+    },
+  })
+
+  const data = await response.json().catch(() => ({}))
+  if (!response.ok) {
+    const error = new Error(data.error || `Image request failed: ${response.status} ${response.statusText}`)
+    error.status = response.status
+    throw error
   }
+  return data
 }
 
 /**
- * Generate a single product image
+ * Queue a product image. Generation runs in the background: poll fetchImageJob (or listen on the
+ * /images socket) until the job is 'done'. A prompt generated before comes back already done.
+ * Needs a signed-in user; new images count against their hourly allowance (429 once it is used up).
  * @param {string} category - The category name
  * @param {string} description - Optional description
- * @returns {Promise<{success: boolean, category: string, imagePath: string}>}
+ * @param {string} productId - Optional product to set the image on when it's ready (admins only)
+ * @returns {Promise<{jobId: string, status: string, job: Object, imagePath: string|null, imageUrl: string|null}>}
  */
-export async function generateProductImage(category, description = null) {
-  const url = `${IMAGE_API_BASE_URL}/api/products/generate-image`
-
+export async function generateProductImage(category, description = null, productId = null) {
   try {
     const body = { category }
     if (description) {
       body.description = description
     }
-
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(body),
-    })
-
-    if (!response.ok) {
-      throw new Error(`Failed to generate image: ${response.status} ${response.statusText}`)
+    if (productId) {
+      body.productId = productId
     }
 
-    const data = await response.json()
-    // Convert relative path to full URL
-    const imageUrl = data.imagePath?.startsWith('http')
-      ? data.imagePath
-      : `${IMAGE_API_BASE_URL}${data.imagePath}`
-
+    const data = await imageRequest('/generate-image', { method: 'POST', body: JSON.stringify(body) })
     return {
       ...data,
-      imageUrl,
+      job: withImageUrl(data.job),
+      imageUrl: toImageUrl(data.imagePath),
     }
   } catch (error) {
     console.error(`Error generating image for ${category}:`, error)
@@ -184,40 +227,30 @@ export async function generateProductImage(category, description = null) {
 }
 
 /**
- * Generate multiple product images
+ * Queue several product images
  * @param {string[]} categories - Array of category names
- * @returns {Promise<Array<{success: boolean, category: string, imagePath?: string, imageUrl?: string}>>}
+ * @returns {Promise<Array<{category: string, job?: Object, error?: string}>>} One entry per category, in order
  */
 export async function generateProductImages(categories) {
-  const url = `${IMAGE_API_BASE_URL}/api/products/generate-images`
-
   try {
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({ categories }),
-    })
-
-    if (!response.ok) {
-      throw new Error(`Failed to generate images: ${response.status} ${response.statusText}`)
-    }
-
-    const data = await response.json()
-    // Convert relative paths to full URLs
-    return data.map(item => ({
-      ...item,
-      imageUrl: item.imagePath?.startsWith('http')
-        ? item.imagePath
-        : item.imagePath ? `${IMAGE_API_BASE_URL}${item.imagePath}` : null,
-    }))
+    const data = await imageRequest('/generate-images', { method: 'POST', body: JSON.stringify({ categories }) })
+    return data.results.map(result => ({ ...result, job: withImageUrl(result.job) }))
   } catch (error) {
     console.error('Error generating images:', error)
     throw error
   }
 }
 
+/**
+ * Fetch an image generation job
+ * @param {string} jobId - The job ID
+ * @returns {Promise<Object>} Job { jobId, status, imagePath, imageUrl, placeholder, cached, error }
+ */
+export async function fetchImageJob(jobId) {
+  const data = await imageRequest(`/image-jobs/${encodeURIComponent(jobId)}`)
+  return withImageUrl(data.job)
+}
+
 /**
  * Get all product images organized by category
  * @returns {Promise<{success: boolean, images: Object, categories: string[]}>}
@@ -288,39 +321,82 @@ export async function getProductImagesByCategory(category) {
 }
 
 
+async function catalogGenerationRequest(path, options = {}) {
+  const response = await fetch(`${GEMINI_API_BASE_URL}/api/gemini/products${path}`, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      ...authHeaders(),
+      ...(options.headers || {}),
+    },
+  })
+
+  const data = await response.json().catch(() => ({}))
+  if (!response.ok) {
+    const error = new Error(data.error || `Product generation request failed: ${response.status} ${response.statusText}`)
+    error.status = response.status
+    error.details = data.details
+    throw error
+  }
+  return data
+}
+
 /**
- * Generate products for a category using Gemini API
+ * Draft new products for a category with the configured LLM (admins only). Drafts stay out of the
+ * catalog until approved with approveProductDraft. A category that doesn't exist yet is added on approval.
  * @param {string} category - The category name
- * @param {number} count - Number of products to generate
- * @returns {Promise<{success: boolean, category: string, products: Array}>}
+ * @param {number} count - Number of products to generate (1-20)
+ * @returns {Promise<{success: boolean, category: string, newCategory: boolean, products: Array, rejected: Array,
+ *   duplicates: string[]}>} products are drafts { draftId, product, newCategory, provider, createdAt }
  */
 export async function generateProductsWithGemini(category, count = 3) {
-  const url = `${GEMINI_API_BASE_URL}/api/gemini/products/generate`
-
   try {
-    const response = await fetch(url, {
+    return await catalogGenerationRequest('/generate', {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
       body: JSON.stringify({
         category,
         count
       }),
     })
-
-    if (!response.ok) {
-      throw new Error(`Failed to generate products: ${response.status} ${response.statusText}`)
-    }
-
-    const data = await response.json()
-    return data
   } catch (error) {
     console.error(`Error generating products for ${category}:`, error)
     throw error
   }
 }
 
+/**
+ * Fetch generated products waiting for review (admins only)
+ * @param {string} category - Optional category filter
+ * @returns {Promise<Array>} Drafts { draftId, product, newCategory, provider, createdBy, createdAt }, oldest first
+ */
+export async function fetchProductDrafts(category = null) {
+  const query = category ? `?category=${encodeURIComponent(category)}` : ''
+  const data = await catalogGenerationRequest(`/drafts${query}`)
+  return data.drafts
+}
+
+/**
+ * Add a generated product to the catalog (admins only)
+ * @param {string} draftId - The draft ID
+ * @param {Object} changes - Optional product field edits, e.g. { price, stock }
+ * @returns {Promise<Object>} The new product (generated: true)
+ */
+export async function approveProductDraft(draftId, changes = {}) {
+  const data = await catalogGenerationRequest(`/drafts/${encodeURIComponent(draftId)}/approve`, {
+    method: 'POST',
+    body: JSON.stringify(changes),
+  })
+  return data.product
+}
+
+/**
+ * Discard a generated product (admins only)
+ * @param {string} draftId - The draft ID
+ */
+export async function rejectProductDraft(draftId) {
+  await catalogGenerationRequest(`/drafts/${encodeURIComponent(draftId)}`, { method: 'DELETE' })
+}
+
 /**
  * Get all rooms from Redis
  * @returns {Promise<{success: boolean, rooms: Array, count: number}>}
@@ -392,6 +468,27 @@ export async function getRoomsByCategoryFromRedis(category) {
   }
 }
 
+/**
+ * Fetch a page of a meeting room's chat history (oldest message first). Needs a signed-in user who may see
+ * into the room; people in the room (guests too) use meetingClient.fetchChatHistory instead.
+ * @param {string} roomId - The room ID
+ * @param {Object} options - Paging options
+ * @param {string} options.before - Only messages older than this message ID (to load earlier history)
+ * @param {number} options.limit - Messages per page (default: 50, max: 100)
+ * @returns {Promise<{success: boolean, messages: Array, count: number, hasMore: boolean}>}
+ */
+export async function fetchRoomMessages(roomId, { before, limit } = {}) {
+  const url = new URL(`${API_BASE_URL}/api/rooms/${encodeURIComponent(roomId)}/messages`)
+  if (before) url.searchParams.append('before', before)
+  if (limit) url.searchParams.append('limit', limit.toString())
+
+  const response = await fetch(url.toString(), { headers: authHeaders() })
+  if (!response.ok) {
+    throw new Error(`Failed to fetch chat history: ${response.status} ${response.statusText}`)
+  }
+  return response.json()
+}
+
 /**
  * Fetch products from products API
  * @param {Object} options - Query options
@@ -431,3 +528,321 @@ export async function fetchProducts(options = {}) {
     throw error
   }
 }
+
+/**
+ * Fetch a single product
+ * @param {string} productId - Product ID
+ * @returns {Promise<Object|null>} The product, or null when it does not exist
+ */
+export async function fetchProductById(productId) {
+  const PRODUCTS_API_BASE_URL = import.meta.env.VITE_PRODUCTS_API_BASE_URL || API_BASE_URL
+
+  const response = await fetch(`${PRODUCTS_API_BASE_URL}/api/products/${encodeURIComponent(productId)}`)
+  if (response.status === 404) return null
+  if (!response.ok) {
+    throw new Error(`Failed to fetch product: ${response.status} ${response.statusText}`)
+  }
+
+  const data = await response.json()
+  return data.product
+}
+
+/**
+ * Send a JSON request to the cart/order API and unwrap errors from the response body
+ * @param {string} url - Request URL
+ * @param {Object} options - fetch options
+ * @returns {Promise<Object>} Parsed JSON response
+ */
+async function cartRequest(url, options = {}) {
+  const response = await fetch(url, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      ...authHeaders(),
+      ...(options.headers || {}),
+    },
+  })
+
+  const data = await response.json().catch(() => ({}))
+  if (!response.ok) {
+    throw new Error(data.error || `Cart request failed: ${response.status} ${response.statusText}`)
+  }
+  return data
+}
+
+/**
+ * Fetch a cart
+ * @param {string} cartId - Cart ID (the current user ID)
+ * @returns {Promise<{cartId: string, items: Array, itemCount: number, subtotal: number}>}
+ */
+export async function fetchCart(cartId) {
+  const data = await cartRequest(`${API_BASE_URL}/api/cart/${encodeURIComponent(cartId)}`)
+  return data.cart
+}
+
+/**
+ * Add a product to the cart
+ * @param {string} cartId - Cart ID
+ * @param {string} productId - Product ID
+ * @param {number} quantity - Quantity to add (default: 1)
+ * @returns {Promise<Object>} Updated cart
+ */
+export async function addToCart(cartId, productId, quantity = 1) {
+  const data = await cartRequest(`${API_BASE_URL}/api/cart/${encodeURIComponent(cartId)}/items`, {
+    method: 'POST',
+    body: JSON.stringify({ productId, quantity }),
+  })
+  return data.cart
+}
+
+/**
+ * Set the quantity of a cart item (0 removes it)
+ * @param {string} cartId - Cart ID
+ * @param {string} productId - Product ID
+ * @param {number} quantity - New quantity
+ * @returns {Promise<Object>} Updated cart
+ */
+export async function updateCartItem(cartId, productId, quantity) {
+  const data = await cartRequest(
+    `${API_BASE_URL}/api/cart/${encodeURIComponent(cartId)}/items/${encodeURIComponent(productId)}`,
+    {
+      method: 'PUT',
+      body: JSON.stringify({ quantity }),
+    }
+  )
+  return data.cart
+}
+
+/**
+ * Remove a product from the cart
+ * @param {string} cartId - Cart ID
+ * @param {string} productId - Product ID
+ * @returns {Promise<Object>} Updated cart
+ */
+export async function removeFromCart(cartId, productId) {
+  const data = await cartRequest(
+    `${API_BASE_URL}/api/cart/${encodeURIComponent(cartId)}/items/${encodeURIComponent(productId)}`,
+    { method: 'DELETE' }
+  )
+  return data.cart
+}
+
+/**
+ * Check out the cart - decrements stock and returns the order record
+ * @param {string} cartId - Cart ID
+ * @param {Object} details - Optional { shippingAddress: { name, line1, line2?, city, state?, postalCode, country, phone? } } (the order belongs to the cart's owner)
+ * @returns {Promise<Object>} Order record
+ */
+export async function checkoutCart(cartId, details = {}) {
+  const data = await cartRequest(`${API_BASE_URL}/api/cart/${encodeURIComponent(cartId)}/checkout`, {
+    method: 'POST',
+    body: JSON.stringify(details),
+  })
+  return data.order
+}
+
+// ==================== AUTH ====================
+
+// Session token sent as a bearer token with API requests (set by the auth store)
+let authToken = null
+
+/**
+ * Set (or clear) the session token used for authenticated requests
+ * @param {string|null} token - Signed session token
+ */
+export function setAuthToken(token) {
+  authToken = token || null
+}
+
+/**
+ * Authorization header for the current session (empty for guests)
+ * @returns {Object}
+ */
+export function authHeaders() {
+  return authToken ? { Authorization: `Bearer ${authToken}` } : {}
+}
+
+async function authRequest(path, options = {}) {
+  const response = await fetch(`${API_BASE_URL}/api/auth${path}`, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      ...authHeaders(),
+      ...(options.headers || {}),
+    },
+  })
+
+  const data = await response.json().catch(() => ({}))
+  if (!response.ok) {
+    const error = new Error(data.error || `Auth request failed: ${response.status} ${response.statusText}`)
+    error.status = response.status
+    throw error
+  }
+  return data
+}
+
+/**
+ * Create an account
+ * @param {Object} details - { email, password, displayName }
+ * @returns {Promise<{user: Object, token: string}>}
+ */
+export async function signup({ email, password, displayName }) {
+  const data = await authRequest('/signup', {
+    method: 'POST',
+    body: JSON.stringify({ email, password, displayName }),
+  })
+  return { user: data.user, token: data.token }
+}
+
+/**
+ * Log in with email and password
+ * @param {Object} credentials - { email, password }
+ * @returns {Promise<{user: Object, token: string}>}
+ */
+export async function login({ email, password }) {
+  const data = await authRequest('/login', {
+    method: 'POST',
+    body: JSON.stringify({ email, password }),
+  })
+  return { user: data.user, token: data.token }
+}
+
+/**
+ * Fetch the user for the current session token
+ * @returns {Promise<Object>} User { userId, email, displayName, createdAt }
+ */
+export async function fetchCurrentUser() {
+  const data = await authRequest('/me')
+  return data.user
+}
+
+// ==================== MEETING ROOMS ====================
+
+async function roomRequest(path, options = {}) {
+  const response = await fetch(`${API_BASE_URL}/api${path}`, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      ...authHeaders(),
+      ...(options.headers || {}),
+    },
+  })
+
+  const data = await response.json().catch(() => ({}))
+  if (!response.ok) {
+    const error = new Error(data.message || data.error || `Room request failed: ${response.status} ${response.statusText}`)
+    error.status = response.status
+    error.code = data.code
+    throw error
+  }
+  return data
+}
+
+/**
+ * Create a meeting room ahead of time (signed-in users). It stays, even when empty, until its owner closes it.
+ * @param {Object} details - { title, productCategory, roomId?, scheduledFor? (ISO date), maxParticipants?,
+ *   visibility?: 'public' | 'private' | 'invite' }
+ * @returns {Promise<Object>} The room
+ */
+export async function createRoom(details) {
+  const data = await roomRequest('/rooms', { method: 'POST', body: JSON.stringify(details) })
+  return data.room
+}
+
+/**
+ * Change a room's title, schedule, capacity or visibility (room owner only)
+ * @param {string} roomId - The room ID
+ * @param {Object} changes - Any of { title, scheduledFor, maxParticipants, visibility }
+ * @returns {Promise<Object>} The updated room
+ */
+export async function updateRoom(roomId, changes) {
+  const data = await roomRequest(`/rooms/${encodeURIComponent(roomId)}`, {
+    method: 'PATCH',
+    body: JSON.stringify(changes),
+  })
+  return data.room
+}
+
+/**
+ * Close a room for good; everyone in it is sent out (room owner only)
+ * @param {string} roomId - The room ID
+ */
+export async function closeRoom(roomId) {
+  await roomRequest(`/rooms/${encodeURIComponent(roomId)}`, { method: 'DELETE' })
+}
+
+/**
+ * Hand a room to another account (room owner only)
+ * @param {string} roomId - The room ID
+ * @param {string} userId - Account ID of the new owner
+ * @returns {Promise<Object>} The updated room
+ */
+export async function transferRoomOwnership(roomId, userId) {
+  const data = await roomRequest(`/rooms/${encodeURIComponent(roomId)}/transfer`, {
+    method: 'POST',
+    body: JSON.stringify({ userId }),
+  })
+  return data.room
+}
+
+/**
+ * Create a shareable invite for a room (room owner only). Share it as /meeting?invite=<token>.
+ * @param {string} roomId - The room ID
+ * @param {Object} options - { expiresInHours (default: 168), maxUses (default: unlimited) }
+ * @returns {Promise<{token: string, roomId: string, createdAt: string, expiresAt: string, maxUses: number|null, uses: number}>}
+ */
+export async function createRoomInvite(roomId, options = {}) {
+  const data = await roomRequest(`/rooms/${encodeURIComponent(roomId)}/invites`, {
+    method: 'POST',
+    body: JSON.stringify(options),
+  })
+  return data.invite
+}
+
+/**
+ * List a room's invites (room owner only)
+ * @param {string} roomId - The room ID
+ * @returns {Promise<Array>} Invites, as returned by createRoomInvite
+ */
+export async function fetchRoomInvites(roomId) {
+  const data = await roomRequest(`/rooms/${encodeURIComponent(roomId)}/invites`)
+  return data.invites
+}
+
+/**
+ * Stop an invite from working (room owner only)
+ * @param {string} roomId - The room ID
+ * @param {string} token - The invite token
+ */
+export async function revokeRoomInvite(roomId, token) {
+  await roomRequest(`/rooms/${encodeURIComponent(roomId)}/invites/${encodeURIComponent(token)}`, { method: 'DELETE' })
+}
+
+/**
+ * Look up the room an invite leads to
+ * @param {string} token - The invite token
+ * @returns {Promise<{invite: Object, room: Object}>}
+ */
+export async function fetchInvite(token) {
+  const data = await roomRequest(`/invites/${encodeURIComponent(token)}`)
+  return { invite: data.invite, room: data.room }
+}
+
+// ==================== WEBRTC ====================
+
+/**
+ * Fetch the ICE servers to use for peer connections (includes short-lived TURN credentials when the
+ * backend has a TURN relay configured)
+ * @param {string} userId - Current user ID; guests need to send their guest ID to get TURN credentials
+ * @returns {Promise<{iceServers: Array, ttl: number, expiresAt: string}>}
+ */
+export async function fetchIceServers(userId) {
+  const query = userId ? `?userId=${encodeURIComponent(userId)}` : ''
+  const response = await fetch(`${API_BASE_URL}/api/ice-servers${query}`, { headers: authHeaders() })
+  if (!response.ok) {
+    throw new Error(`Failed to fetch ICE servers: ${response.status} ${response.statusText}`)
+  }
+
+  const data = await response.json()
+  return { iceServers: data.iceServers, ttl: data.ttl, expiresAt: data.expiresAt }
+}
@@ -0,0 +1,1012 @@
+// Meeting client: the one /meeting socket, peer connections (or media-server session) and participant list
+// for a meeting room. Every view of a room - the TV screen, the video grid, the user list, the /meeting page
+// and the room store - subscribes to this client instead of opening its own socket, so joining once powers all of them.
+//
+// Events (subscribe with meetingClient.on(event, handler), which returns an unsubscribe function):
+//   status         - 'disconnected' | 'connecting' | 'joining' | 'joined'
+//   joined         - { roomId, socketId, userId, userName, role, owner, room, mediaMode, liveShow, mutedByOwner }
+//   participants   - Participant[] (everyone else in the room), after any change
+//   participant-joined / participant-left - Participant
+//   track          - { participant, stream } when a participant's incoming media changes (stream is null once it's gone)
+//   media-state    - { participant, isMuted, isVideoOff } when someone mutes or turns their camera off
+//   quality        - { participant, quality } from monitorConnectionQuality (level may be 'reconnecting')
+//   local-media    - { stream, audioEnabled, videoEnabled } for our own microphone/camera
+//   chat-message   - ChatMessage, for new messages (ours included, once the server has stored them)
+//   chat-updated   - ChatMessage after an edit or a reaction
+//   chat-deleted   - { messageId, deletedBy }
+//   chat-typing    - { userId, socketId, userName, isTyping }
+//   moderation     - { action: 'mute' | 'unmute' | 'kick', by } when the room owner moderates us
+//   owner-changed  - { userId, userName } after the room was handed to a new owner
+//   room-closed    - { roomId, by } when the owner closed the room (we are out of it)
+//   media-mode     - 'mesh' | 'sfu'
+//   live-show      - LiveShow | null when the room's host-led show starts, changes or ends
+//   error          - Error (live show and chat failures carry error.event, e.g. 'live-show-pin' or 'chat-edit';
+//                    refused joins carry error.code, e.g. 'ROOM_FULL', 'INVITE_REQUIRED' or 'ROOM_NOT_OPEN')
+//
+// Participant: { socketId, userId, userName, role, isMuted, isVideoOff, mutedByOwner, stream, quality }
+// ChatMessage: { messageId, userId, userName, message, timestamp, editedAt, reactions: { emoji: [userId] }, isLocal }
+// LiveShow: { roomId, host: { userId, userName }, pinnedProduct, speakers: [userId], raisedHands: [{ userId, userName, raisedAt }], startedAt }
+import io from 'socket.io-client'
+import { socketAuth, getCurrentUserId, getCurrentUserName } from '../stores/authStore'
+import { getAllRoomsFromRedis } from './api'
+import { ICE_SERVERS, getIceServers, monitorConnectionQuality } from './webrtc'
+import { SfuSession } from './sfuClient'
+
+if (!import.meta.env.VITE_API_BASE_URL) {
+  throw new Error('❌ VITE_API_BASE_URL is required!')
+}
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL
+
+const MALL_ROOM_ID = 'fashion-1'
+const DISCONNECT_GRACE_MS = 3000 // 'disconnected' often recovers by itself; wait before restarting ICE
+const RESTART_TIMEOUT_MS = 10000 // How long one ICE restart gets to reconnect
+const MAX_ICE_RESTARTS = 3 // Then their media is dropped (they stay in the participant list)
+const HISTORY_TIMEOUT_MS = 10000
+
+let mallRoomRequest = null
+
+/**
+ * Meeting room shown on the mall's screens: 'fashion-1' if it exists, otherwise the first room the backend lists
+ * @returns {Promise<string>}
+ */
+export function getMallRoomId() {
+  if (!mallRoomRequest) {
+    mallRoomRequest = getAllRoomsFromRedis()
+      .then((data) => {
+        const rooms = data?.success && Array.isArray(data.rooms) ? data.rooms : []
+        const room = rooms.find(r => r.roomId === MALL_ROOM_ID) || rooms[0]
+        return room ? room.roomId : MALL_ROOM_ID
+      })
+      .catch((error) => {
+        console.warn('Could not list meeting rooms, using the default:', error.message)
+        mallRoomRequest = null
+        return MALL_ROOM_ID
+      })
+  }
+  return mallRoomRequest
+}
+
+class MeetingClient {
+  constructor() {
+    this.socket = null
+    this.status = 'disconnected'
+    this.listeners = new Map() // event -> Set of handlers
+    this.holders = 0 // Components currently using the room; we leave when the last one lets go
+    this.roomId = null
+    this.joinOptions = null
+    this.joinPromise = null
+    this.pendingJoin = null // { resolve, reject } until 'joined-room' arrives
+    this.self = null // { socketId, userId, userName, role } once joined
+    this.owner = null
+    this.participants = new Map() // socketId -> Participant
+    this.peers = new Map() // socketId -> { pc, polite, makingOffer, ignoreOffer, pendingCandidates, stream, recovery, stopQuality }
+    this.iceServers = ICE_SERVERS
+    this.mediaMode = 'mesh' // 'sfu' once the room is big enough for the backend to forward media
+    this.sfuSession = null
+    this.localStream = null
+    this.ownedTracks = new Set() // Tracks we captured ourselves (stopped on leave); the rest belong to the caller
+    this.audioEnabled = false
+    this.videoEnabled = false
+    this.liveShow = null // While set, only the host and speakers send media
+    this.mutedByOwner = false // The room owner muted us: no chat, microphone stays off
+    this.mutedUserIds = new Set() // Everyone the room owner muted
+  }
+
+  // ==================== EVENTS ====================
+
+  /**
+   * Subscribe to a client event (see the list at the top of this file)
+   * @returns {Function} Unsubscribes
+   */
+  on(event, handler) {
+    if (!this.listeners.has(event)) this.listeners.set(event, new Set())
+    this.listeners.get(event).add(handler)
+    return () => this.off(event, handler)
+  }
+
+  off(event, handler) {
+    this.listeners.get(event)?.delete(handler)
+  }
+
+  emit(event, payload) {
+    this.listeners.get(event)?.forEach((handler) => {
+      try {
+        handler(payload)
+      } catch (error) {
+        console.error(`Meeting client: '${event}' handler failed:`, error)
+      }
+    })
+  }
+
+  setStatus(status) {
+    if (this.status === status) return
+    this.status = status
+    this.emit('status', status)
+  }
+
+  // ==================== ROOM ====================
+
+  /**
+   * Join a meeting room. Several components can join the same room; it is only left once every one of them
+   * has called leave(). Joining a different room moves everyone over.
+   * @param {string} roomId
+   * @param {Object} options - { userName, productCategory, inviteToken } (productCategory is needed when the room
+   *   doesn't exist yet, inviteToken for invite-only rooms)
+   * @returns {Promise<Object>} The 'joined' payload
+   */
+  join(roomId, { userName, productCategory = 'General', inviteToken } = {}) {
+    this.holders += 1
+    if (this.roomId === roomId && this.joinPromise) return this.joinPromise
+    if (this.roomId) this.resetRoom()
+
+    this.roomId = roomId
+    this.joinOptions = {
+      userName: userName || getCurrentUserName() || `User ${getCurrentUserId().slice(-4)}`,
+      productCategory,
+      inviteToken,
+    }
+    this.joinPromise = new Promise((resolve, reject) => {
+      this.pendingJoin = { resolve, reject }
+    })
+    // Nobody may be awaiting it; failures are reported through 'error' too
+    this.joinPromise.catch(() => {})
+
+    getIceServers().then((iceServers) => { this.iceServers = iceServers })
+    this.connect()
+    if (this.socket.connected) this.sendJoin()
+    return this.joinPromise
+  }
+
+  /**
+   * Let go of the room joined with join(). The last holder actually leaves and disconnects.
+   */
+  leave() {
+    if (this.holders === 0) return
+    this.holders -= 1
+    if (this.holders > 0) return
+
+    this.resetRoom()
+    this.releaseLocalMedia()
+    if (this.socket) {
+      this.socket.disconnect()
+      this.socket = null
+    }
+    this.setStatus('disconnected')
+  }
+
+  connect() {
+    if (this.socket) return
+    this.setStatus('connecting')
+    this.socket = io(`${API_BASE_URL}/meeting`, {
+      transports: ['websocket', 'polling'],
+      auth: socketAuth,
+      reconnection: true,
+      reconnectionDelay: 1000,
+      reconnectionDelayMax: 5000,
+    })
+    this.registerSocketHandlers(this.socket)
+  }
+
+  sendJoin() {
+    this.setStatus('joining')
+    this.socket.emit('join-room', {
+      roomId: this.roomId,
+      userId: getCurrentUserId(),
+      userName: this.joinOptions.userName,
+      productCategory: this.joinOptions.productCategory,
+      inviteToken: this.joinOptions.inviteToken,
+      isMuted: !this.audioEnabled,
+      isVideoOff: !this.videoEnabled,
+    })
+  }
+
+  registerSocketHandlers(socket) {
+    socket.on('connect', () => {
+      // Also runs after a reconnect: the server dropped us from the room along with the old socket
+      if (this.roomId) this.sendJoin()
+    })
+
+    socket.on('disconnect', () => {
+      this.closeAllMedia()
+      this.self = null
+      if (this.roomId) this.setStatus('connecting')
+    })
+
+    socket.on('error', ({ message, code } = {}) => {
+      const error = new Error(message || 'Meeting error')
+      if (code) error.code = code
+      if (this.pendingJoin) {
+        this.pendingJoin.reject(error)
+        this.pendingJoin = null
+        // Let the next join() try again instead of returning this failure
+        this.joinPromise = null
+      }
+      this.emit('error', error)
+    })
+
+    socket.on('joined-room', (data) => {
+      this.self = { socketId: socket.id, userId: data.userId, userName: data.userName, role: data.role }
+      this.owner = data.owner || null
+      this.mutedByOwner = Boolean(data.mutedByOwner)
+      this.setLiveShow(data.liveShow || null)
+      const joined = { ...data, socketId: socket.id }
+      this.setStatus('joined')
+      this.emit('joined', joined)
+      this.pendingJoin?.resolve(joined)
+      this.pendingJoin = null
+      // Big rooms skip the mesh entirely
+      if (data.mediaMode === 'sfu') this.switchToSfu()
+    })
+
+    socket.on('room-users', ({ users = [], owner, muted = [] } = {}) => {
+      if (owner) this.owner = owner
+      this.mutedUserIds = new Set(muted)
+      users.forEach(user => this.addParticipant(user))
+      if (this.mediaMode === 'mesh') users.forEach(user => this.connectPeer(user.socketId))
+    })
+
+    socket.on('user-joined', (user) => {
+      this.addParticipant(user)
+      if (this.mediaMode === 'mesh') this.connectPeer(user.socketId)
+    })
+
+    socket.on('user-left', ({ socketId }) => this.removeParticipant(socketId))
+
+    socket.on('user-audio-changed', ({ socketId, isMuted }) => {
+      const participant = this.updateParticipant(socketId, { isMuted })
+      if (participant) this.emit('media-state', { participant, isMuted, isVideoOff: participant.isVideoOff })
+    })
+
+    socket.on('user-video-changed', ({ socketId, isVideoOff }) => {
+      const participant = this.updateParticipant(socketId, { isVideoOff })
+      if (participant) this.emit('media-state', { participant, isMuted: participant.isMuted, isVideoOff })
+    })
+
+    // The room grew past the mesh limit - everyone moves to the media server
+    socket.on('media-mode', ({ mode }) => {
+      if (mode === 'sfu') this.switchToSfu()
+    })
+
+    socket.on('offer', ({ offer, senderSocketId }) => this.handleDescription(senderSocketId, offer))
+    socket.on('answer', ({ answer, senderSocketId }) => this.handleDescription(senderSocketId, answer))
+    socket.on('ice-candidate', ({ candidate, senderSocketId }) => this.handleCandidate(senderSocketId, candidate))
+
+    socket.on('chat-message', (message) => this.emit('chat-message', this.toChatMessage(message)))
+    socket.on('chat-message-updated', (message) => this.emit('chat-updated', this.toChatMessage(message)))
+    socket.on('chat-message-deleted', ({ messageId, deletedBy }) => this.emit('chat-deleted', { messageId, deletedBy }))
+    socket.on('chat-typing', ({ userId, socketId, userName, isTyping }) => {
+      this.emit('chat-typing', { userId, socketId, userName, isTyping })
+    })
+    socket.on('chat-error', ({ event, message } = {}) => this.emitServerError(event, message || 'Chat error'))
+
+    socket.on('room-user-muted', ({ userId, muted }) => {
+      if (muted) this.mutedUserIds.add(userId)
+      else this.mutedUserIds.delete(userId)
+      this.participants.forEach((participant, socketId) => {
+        if (participant.userId === userId) this.updateParticipant(socketId, { mutedByOwner: muted })
+      })
+    })
+
+    socket.on('room-moderated', ({ action, by }) => this.handleModeration(action, by))
+
+    socket.on('room-owner-changed', ({ roomId, owner }) => {
+      if (roomId === this.roomId) this.setOwner(owner)
+    })
+
+    socket.on('room-closed', ({ roomId, by }) => {
+      if (roomId !== this.roomId) return
+      this.dropRoom(`The room was closed${by ? ` by ${by}` : ''}`)
+      this.emit('room-closed', { roomId, by })
+    })
+
+    socket.on('live-show-updated', ({ roomId, show }) => {
+      if (roomId === this.roomId) this.setLiveShow(show || null)
+    })
+
+    socket.on('live-show-error', ({ event, message } = {}) => this.emitServerError(event, message || 'Live show error'))
+  }
+
+  /**
+   * Report a failed room action (error.event names it, so views can tell these apart from connection errors)
+   */
+  emitServerError(event, message) {
+    const error = new Error(message)
+    error.event = event
+    this.emit('error', error)
+  }
+
+  /**
+   * Forget the current room (peers, participants, media-server session) without touching the socket
+   */
+  resetRoom() {
+    if (this.socket?.connected && this.self) this.socket.emit('leave-room')
+    this.pendingJoin?.reject(new Error('Left the room'))
+    this.pendingJoin = null
+    this.joinPromise = null
+    this.closeAllMedia()
+    this.roomId = null
+    this.joinOptions = null
+    this.self = null
+    this.owner = null
+    this.mutedByOwner = false
+    this.mutedUserIds.clear()
+    this.setLiveShow(null)
+  }
+
+  closeAllMedia() {
+    ;[...this.peers.keys()].forEach(socketId => this.closePeer(socketId))
+    this.sfuSession?.close()
+    this.sfuSession = null
+    if (this.mediaMode !== 'mesh') {
+      this.mediaMode = 'mesh'
+      this.emit('media-mode', 'mesh')
+    }
+    if (this.participants.size > 0) {
+      this.participants.clear()
+      this.emit('participants', [])
+    }
+  }
+
+  // ==================== PARTICIPANTS ====================
+
+  addParticipant({ socketId, userId, userName, role, isMuted, isVideoOff }) {
+    if (!socketId || socketId === this.socket?.id) return
+    const existing = this.participants.get(socketId)
+    const participant = {
+      socketId,
+      userId,
+      userName: userName || `User ${String(userId || socketId).slice(-4)}`,
+      role: role || 'participant',
+      isMuted: isMuted !== false,
+      isVideoOff: isVideoOff !== false,
+      mutedByOwner: this.mutedUserIds.has(userId),
+      stream: existing?.stream || null,
+      quality: existing?.quality || null,
+    }
+    this.participants.set(socketId, participant)
+    if (!existing) this.emit('participant-joined', participant)
+    this.emit('participants', this.getParticipants())
+  }
+
+  removeParticipant(socketId) {
+    this.closePeer(socketId)
+    this.sfuSession?.removeParticipant(socketId)
+    const participant = this.participants.get(socketId)
+    if (!participant) return
+    this.participants.delete(socketId)
+    this.emit('participant-left', participant)
+    this.emit('participants', this.getParticipants())
+  }
+
+  /**
+   * Replace a participant's record with an updated copy (so React sees the change)
+   * @returns {Object|null} The updated participant, or null if they're not in the room
+   */
+  updateParticipant(socketId, changes) {
+    const current = this.participants.get(socketId)
+    if (!current) return null
+    const participant = { ...current, ...changes }
+    this.participants.set(socketId, participant)
+    this.emit('participants', this.getParticipants())
+    return participant
+  }
+
+  setParticipantStream(socketId, stream) {
+    const participant = this.updateParticipant(socketId, { stream })
+    if (participant) this.emit('track', { participant, stream })
+  }
+
+  setParticipantQuality(socketId, quality) {
+    const participant = this.updateParticipant(socketId, { quality })
+    if (participant) this.emit('quality', { participant, quality })
+  }
+
+  // ==================== MESH ====================
+
+  signal(event, socketId, payload) {
+    this.socket?.emit(event, { [event === 'ice-candidate' ? 'candidate' : event]: payload, targetSocketId: socketId, roomId: this.roomId })
+  }
+
+  /**
+   * Open a peer connection to someone in the room. Negotiation follows the "perfect negotiation" pattern:
+   * either side may offer whenever its tracks change, and on a collision the polite side (the one with the
+   * higher socket ID) rolls back and answers instead.
+   */
+  connectPeer(socketId) {
+    if (!socketId || socketId === this.socket?.id) return null
+    if (this.peers.has(socketId)) return this.peers.get(socketId)
+
+    const pc = new RTCPeerConnection({ iceServers: this.iceServers })
+    const peer = {
+      pc,
+      polite: this.socket.id > socketId,
+      makingOffer: false,
+      ignoreOffer: false,
+      pendingCandidates: [],
+      stream: null,
+      recovery: null, // { attempts, timer } while the connection is being restored
+      stopQuality: null,
+    }
+    this.peers.set(socketId, peer)
+
+    if (this.localStream && this.canPublish()) {
+      this.localStream.getTracks().forEach(track => pc.addTrack(track, this.localStream))
+    }
+
+    pc.onnegotiationneeded = async () => {
+      try {
+        peer.makingOffer = true
+        await pc.setLocalDescription()
+        this.signal('offer', socketId, pc.localDescription)
+      } catch (error) {
+        console.error('Error creating offer:', error)
+      } finally {
+        peer.makingOffer = false
+      }
+    }
+
+    pc.onicecandidate = ({ candidate }) => {
+      if (candidate) this.signal('ice-candidate', socketId, candidate)
+    }
+
+    pc.ontrack = ({ track, streams }) => {
+      const stream = streams[0] || peer.stream || new MediaStream()
+      if (!stream.getTracks().includes(track)) stream.addTrack(track)
+      peer.stream = stream
+      this.setParticipantStream(socketId, stream)
+    }
+
+    // Try to restore a dropped connection before giving up on it
+    pc.onconnectionstatechange = () => {
+      switch (pc.connectionState) {
+        case 'connected':
+          this.connectionRestored(socketId)
+          break
+        case 'disconnected':
+          this.scheduleRecovery(socketId, DISCONNECT_GRACE_MS)
+          break
+        case 'failed':
+          this.scheduleRecovery(socketId, 0)
+          break
+      }
+    }
+
+    return peer
+  }
+
+  async handleDescription(socketId, description) {
+    if (this.mediaMode !== 'mesh' || !description) return
+    const peer = this.peers.get(socketId) || this.connectPeer(socketId)
+    if (!peer) return
+    const { pc } = peer
+
+    try {
+      const collision = description.type === 'offer' && (peer.makingOffer || pc.signalingState !== 'stable')
+      peer.ignoreOffer = !peer.polite && collision
+      if (peer.ignoreOffer) return
+
+      // On a collision this implicitly rolls back our own offer
+      await pc.setRemoteDescription(description)
+      for (const candidate of peer.pendingCandidates.splice(0)) {
+        await pc.addIceCandidate(candidate).catch(() => {})
+      }
+      if (description.type === 'offer') {
+        await pc.setLocalDescription()
+        this.signal('answer', socketId, pc.localDescription)
+      }
+    } catch (error) {
+      console.error(`Error handling ${description.type} from ${socketId}:`, error)
+    }
+  }
+
+  async handleCandidate(socketId, candidate) {
+    const peer = this.peers.get(socketId)
+    if (!peer || !candidate) return
+    if (!peer.pc.remoteDescription) {
+      peer.pendingCandidates.push(candidate)
+      return
+    }
+    try {
+      await peer.pc.addIceCandidate(candidate)
+    } catch (error) {
+      // Candidates for an offer we ignored are expected to fail
+      if (!peer.ignoreOffer) console.warn('Error adding ICE candidate:', error)
+    }
+  }
+
+  /**
+   * Start (or keep) restoring a connection that dropped
+   * @param {string} socketId - Peer socket ID
+   * @param {number} delay - Milliseconds to wait first
+   */
+  scheduleRecovery(socketId, delay) {
+    const peer = this.peers.get(socketId)
+    if (!peer) return
+    const recovery = peer.recovery || { attempts: 0, timer: null }
+    // A restart is already pending; 'failed' only brings it forward
+    if (recovery.timer && delay > 0) return
+    clearTimeout(recovery.timer)
+    recovery.timer = setTimeout(() => this.restartConnection(socketId), delay)
+    peer.recovery = recovery
+    this.setParticipantQuality(socketId, { level: 'reconnecting', rtt: null, packetLoss: 0, jitter: 0 })
+  }
+
+  /**
+   * Renegotiate ICE with fresh servers, and drop the connection after MAX_ICE_RESTARTS attempts
+   */
+  async restartConnection(socketId) {
+    const peer = this.peers.get(socketId)
+    if (!peer?.recovery) return
+    const { pc, recovery } = peer
+    recovery.timer = null
+    if (pc.connectionState === 'connected') return this.connectionRestored(socketId)
+
+    if (recovery.attempts >= MAX_ICE_RESTARTS) {
+      console.warn(`Giving up on ${socketId} after ${recovery.attempts} ICE restarts`)
+      this.closePeer(socketId)
+      this.updateParticipant(socketId, { quality: null })
+      return
+    }
+    recovery.attempts += 1
+    // Check again if this attempt doesn't bring the connection back
+    recovery.timer = setTimeout(() => this.restartConnection(socketId), RESTART_TIMEOUT_MS)
+
+    try {
+      // TURN credentials may have expired since the connection was made
+      this.iceServers = await getIceServers()
+      pc.setConfiguration({ ...pc.getConfiguration(), iceServers: this.iceServers })
+    } catch (error) {
+      console.warn('Could not update ICE servers before restart:', error)
+    }
+    // Fires negotiationneeded; a restart offer crossing the other side's is resolved like any other collision
+    pc.restartIce()
+  }
+
+  connectionRestored(socketId) {
+    const peer = this.peers.get(socketId)
+    if (!peer) return
+    if (peer.recovery) {
+      clearTimeout(peer.recovery.timer)
+      peer.recovery = null
+    }
+    if (!peer.stopQuality) {
+      peer.stopQuality = monitorConnectionQuality(peer.pc, (quality) => {
+        // Keep showing 'reconnecting' until the connection is back
+        if (!peer.recovery) this.setParticipantQuality(socketId, quality)
+      })
+    }
+  }
+
+  closePeer(socketId) {
+    const peer = this.peers.get(socketId)
+    if (!peer) return
+    clearTimeout(peer.recovery?.timer)
+    peer.stopQuality?.()
+    peer.pc.close()
+    this.peers.delete(socketId)
+    if (peer.stream) this.setParticipantStream(socketId, null)
+  }
+
+  // ==================== SFU ====================
+
+  /**
+   * Replace every mesh connection with one session on the backend's media server (SFU)
+   */
+  async switchToSfu() {
+    if (this.mediaMode === 'sfu' || !this.socket) return
+    this.mediaMode = 'sfu'
+    this.emit('media-mode', 'sfu')
+
+    // Their mesh streams die with the connections; the SFU delivers new ones
+    ;[...this.peers.keys()].forEach(socketId => this.closePeer(socketId))
+
+    const session = new SfuSession(this.socket)
+    this.sfuSession = session
+    session.onStream = (socketId, stream, { userId, userName }) => {
+      if (!this.participants.has(socketId)) this.addParticipant({ socketId, userId, userName })
+      this.setParticipantStream(socketId, stream)
+    }
+    session.onStreamEnded = (socketId) => this.setParticipantStream(socketId, null)
+
+    try {
+      await session.start()
+      if (this.localStream && this.canPublish() && this.sfuSession === session) await session.publish(this.localStream)
+    } catch (error) {
+      console.error('Could not join the media server:', error)
+      this.emit('error', error)
+    }
+  }
+
+  // ==================== LOCAL MEDIA ====================
+
+  /**
+   * Send a stream the caller manages (e.g. a camera preview). It is not stopped when the room is left.
+   * @param {MediaStream|null} stream
+   */
+  setLocalStream(stream) {
+    if (this.localStream && this.localStream !== stream) this.releaseLocalMedia()
+    this.localStream = stream
+    this.audioEnabled = Boolean(stream?.getAudioTracks().some(track => track.enabled))
+    this.videoEnabled = Boolean(stream?.getVideoTracks().some(track => track.enabled))
+    this.syncTracks()
+    this.announceMediaState()
+    this.emitLocalMedia()
+  }
+
+  /**
+   * Unmute/mute the microphone, asking for it the first time
+   * @throws When microphone access is denied
+   */
+  async setAudioEnabled(enabled) {
+    await this.setKindEnabled('audio', enabled)
+  }
+
+  /**
+   * Turn the camera on/off, asking for it the first time
+   * @throws When camera access is denied
+   */
+  async setVideoEnabled(enabled) {
+    await this.setKindEnabled('video', enabled)
+  }
+
+  async setKindEnabled(kind, enabled) {
+    if (enabled && kind === 'audio' && this.mutedByOwner) {
+      throw new Error('The room owner muted you')
+    }
+    if (enabled && !this.canPublish()) {
+      throw new Error('Only the host and speakers can use their microphone or camera during a live show')
+    }
+    const tracksOf = stream => (kind === 'audio' ? stream.getAudioTracks() : stream.getVideoTracks())
+
+    if (enabled && (!this.localStream || tracksOf(this.localStream).length === 0)) {
+      const captured = await navigator.mediaDevices.getUserMedia({ [kind]: true })
+      if (!this.localStream) this.localStream = new MediaStream()
+      tracksOf(captured).forEach((track) => {
+        this.ownedTracks.add(track)
+        this.localStream.addTrack(track)
+      })
+    }
+
+    if (this.localStream) {
+      tracksOf(this.localStream).forEach((track) => {
+        track.enabled = enabled
+      })
+    }
+    if (kind === 'audio') this.audioEnabled = enabled
+    else this.videoEnabled = enabled
+
+    this.syncTracks()
+    this.announceMediaState()
+    this.emitLocalMedia()
+  }
+
+  /**
+   * Make every connection send our current tracks (new tracks trigger renegotiation)
+   */
+  syncTracks() {
+    const stream = this.localStream
+    if (!stream || !this.canPublish()) return
+
+    this.peers.forEach(({ pc }) => {
+      const senders = pc.getSenders()
+      stream.getTracks().forEach((track) => {
+        if (senders.some(sender => sender.track === track)) return
+        const sender = senders.find(s => s.track?.kind === track.kind)
+        if (sender) {
+          sender.replaceTrack(track).catch(error => console.error(`Error replacing ${track.kind} track:`, error))
+        } else {
+          pc.addTrack(track, stream)
+        }
+      })
+    })
+
+    // The media server forwards whatever we publish; make sure it has our current tracks
+    this.sfuSession?.publish(stream).catch(error => console.error('Error publishing to the media server:', error))
+  }
+
+  announceMediaState() {
+    if (!this.socket || !this.self) return
+    this.socket.emit('toggle-audio', { isMuted: !this.audioEnabled, roomId: this.roomId })
+    this.socket.emit('toggle-video', { isVideoOff: !this.videoEnabled, roomId: this.roomId })
+  }
+
+  emitLocalMedia() {
+    this.emit('local-media', this.getLocalMedia())
+  }
+
+  /**
+   * Stop the tracks we captured and forget the local stream
+   */
+  releaseLocalMedia() {
+    this.ownedTracks.forEach(track => track.stop())
+    this.ownedTracks.clear()
+    if (!this.localStream && !this.audioEnabled && !this.videoEnabled) return
+    this.localStream = null
+    this.audioEnabled = false
+    this.videoEnabled = false
+    this.emitLocalMedia()
+  }
+
+  /**
+   * Stop sending our tracks everywhere and turn the microphone/camera off (we became a live show viewer)
+   */
+  stopSending() {
+    this.peers.forEach(({ pc }) => {
+      // Removing the senders renegotiates, so the other side drops our tracks as well
+      pc.getSenders().filter(sender => sender.track).forEach(sender => pc.removeTrack(sender))
+    })
+    this.sfuSession?.unpublish('audio')
+    this.sfuSession?.unpublish('video')
+
+    if (!this.audioEnabled && !this.videoEnabled) return
+    this.localStream?.getTracks().forEach((track) => {
+      track.enabled = false
+    })
+    this.audioEnabled = false
+    this.videoEnabled = false
+    this.announceMediaState()
+    this.emitLocalMedia()
+  }
+
+  // ==================== LIVE SHOW ====================
+
+  setLiveShow(show) {
+    if (!show && !this.liveShow) return
+    const couldPublish = this.canPublish()
+    this.liveShow = show
+    const canPublish = this.canPublish()
+    if (couldPublish && !canPublish) this.stopSending()
+    else if (!couldPublish && canPublish) this.syncTracks()
+    this.emit('live-show', show)
+  }
+
+  /**
+   * Whether we may send audio/video: always, unless a live show is running and we're neither its host nor a speaker
+   */
+  canPublish() {
+    if (!this.liveShow) return true
+    const userId = this.self?.userId
+    return Boolean(userId) && (this.liveShow.host.userId === userId || this.liveShow.speakers.includes(userId))
+  }
+
+  liveShowAction(event, data = {}) {
+    if (!this.socket || !this.self) return
+    this.socket.emit(event, { roomId: this.roomId, ...data })
+  }
+
+  /**
+   * Start a live show in the room (room owner only). Everyone else becomes a receive-only viewer.
+   */
+  startLiveShow() {
+    this.liveShowAction('live-show-start')
+  }
+
+  endLiveShow() {
+    this.liveShowAction('live-show-end')
+  }
+
+  /**
+   * Show a product card to every viewer (host only)
+   * @param {string} productId
+   */
+  pinProduct(productId) {
+    this.liveShowAction('live-show-pin', { productId })
+  }
+
+  unpinProduct() {
+    this.liveShowAction('live-show-unpin')
+  }
+
+  raiseHand() {
+    this.liveShowAction('live-show-raise-hand')
+  }
+
+  lowerHand() {
+    this.liveShowAction('live-show-lower-hand')
+  }
+
+  /**
+   * Let a viewer send audio/video (host only)
+   * @param {string} userId
+   */
+  promoteSpeaker(userId) {
+    this.liveShowAction('live-show-promote', { userId })
+  }
+
+  /**
+   * Make a speaker a viewer again (host, or the speaker themselves)
+   * @param {string} userId
+   */
+  demoteSpeaker(userId) {
+    this.liveShowAction('live-show-demote', { userId })
+  }
+
+  // ==================== CHAT ====================
+
+  toChatMessage(message) {
+    return { ...message, isLocal: Boolean(this.self) && message.userId === this.self.userId }
+  }
+
+  chatAction(event, data = {}) {
+    if (!this.socket || !this.self) return false
+    this.socket.emit(event, { roomId: this.roomId, ...data })
+    return true
+  }
+
+  /**
+   * Load a page of the room's chat history (oldest message first). Only people in the room get it.
+   * @param {Object} options - { before: message ID to page back from, limit (default 50, max 100) }
+   * @returns {Promise<{messages: Array, hasMore: boolean}>}
+   */
+  fetchChatHistory({ before, limit } = {}) {
+    return new Promise((resolve, reject) => {
+      if (!this.socket || !this.self) {
+        reject(new Error('Not in a room'))
+        return
+      }
+      const timer = setTimeout(() => reject(new Error('chat-history timed out')), HISTORY_TIMEOUT_MS)
+      this.socket.emit('chat-history', { roomId: this.roomId, before, limit }, (response) => {
+        clearTimeout(timer)
+        if (response?.success) resolve({ messages: response.messages, hasMore: response.hasMore })
+        else reject(new Error(response?.error || 'chat-history failed'))
+      })
+    })
+  }
+
+  /**
+   * Send a chat message to the room. It comes back through 'chat-message' (with isLocal: true) once the
+   * server has stored it; rejections (too long, muted) come back through 'error'.
+   * @returns {boolean} Whether anything was sent
+   */
+  sendChat(message) {
+    const text = String(message ?? '').trim()
+    if (!text) return false
+    return this.chatAction('chat-message', { message: text })
+  }
+
+  /**
+   * Change the text of one of our messages
+   */
+  editChat(messageId, message) {
+    const text = String(message ?? '').trim()
+    if (!text) return false
+    return this.chatAction('chat-edit', { messageId, message: text })
+  }
+
+  /**
+   * Delete one of our messages (the room owner can delete anyone's)
+   */
+  deleteChat(messageId) {
+    return this.chatAction('chat-delete', { messageId })
+  }
+
+  /**
+   * Add a reaction to a message, or take ours back
+   * @param {string} messageId
+   * @param {string} emoji - One of CHAT_REACTIONS (shared/roomChat.js)
+   */
+  reactToChat(messageId, emoji) {
+    return this.chatAction('chat-react', { messageId, emoji })
+  }
+
+  /**
+   * Tell the room we started/stopped typing
+   */
+  setTyping(isTyping) {
+    return this.chatAction('chat-typing', { isTyping })
+  }
+
+  // ==================== MODERATION ====================
+
+  /**
+   * Stop someone chatting and speaking in the room, or let them again (room owner only)
+   * @param {string} userId
+   * @param {boolean} muted
+   */
+  muteUser(userId, muted = true) {
+    return this.chatAction(muted ? 'room-mute-user' : 'room-unmute-user', { userId })
+  }
+
+  /**
+   * Remove someone from the room; they can't come back until it empties (room owner only)
+   * @param {string} userId
+   */
+  kickUser(userId) {
+    return this.chatAction('room-kick-user', { userId })
+  }
+
+  handleModeration(action, by) {
+    if (action === 'mute') {
+      this.mutedByOwner = true
+      if (this.audioEnabled) {
+        this.setKindEnabled('audio', false).catch(error => console.error('Error muting microphone:', error))
+      }
+    } else if (action === 'unmute') {
+      this.mutedByOwner = false
+    }
+    this.emit('moderation', { action, by })
+
+    if (action === 'kick') this.dropRoom(`You were removed from the room${by ? ` by ${by}` : ''}`)
+  }
+
+  /**
+   * The server already took us out of the room (kicked, or the room was closed): drop the room and the socket.
+   * Holders still call leave().
+   */
+  dropRoom(message) {
+    this.resetRoom()
+    if (this.socket) {
+      this.socket.disconnect()
+      this.socket = null
+    }
+    this.setStatus('disconnected')
+    this.emit('error', new Error(message))
+  }
+
+  /**
+   * The room was handed to someone else: update our role and everyone's badge
+   */
+  setOwner(owner) {
+    this.owner = owner
+    const roleOf = (userId) => (userId === owner.userId ? 'owner' : 'participant')
+    if (this.self) this.self = { ...this.self, role: roleOf(this.self.userId) }
+    this.participants.forEach((participant, socketId) => {
+      if (participant.role !== roleOf(participant.userId)) this.updateParticipant(socketId, { role: roleOf(participant.userId) })
+    })
+    this.emit('owner-changed', owner)
+  }
+
+  // ==================== STATE ====================
+
+  getParticipants() {
+    return [...this.participants.values()]
+  }
+
+  getLocalMedia() {
+    return { stream: this.localStream, audioEnabled: this.audioEnabled, videoEnabled: this.videoEnabled }
+  }
+
+  /**
+   * Ourselves in the room ({ socketId, userId, userName, role }), or null until joined
+   */
+  getSelf() {
+    return this.self
+  }
+
+  getRoomId() {
+    return this.roomId
+  }
+
+  getStatus() {
+    return this.status
+  }
+
+  getMediaMode() {
+    return this.mediaMode
+  }
+
+  /**
+   * Whether the room owner muted us
+   */
+  isMutedByOwner() {
+    return this.mutedByOwner
+  }
+
+  getLiveShow() {
+    return this.liveShow
+  }
+
+  getPeerCount() {
+    return this.peers.size
+  }
+
+  /**
+   * The /meeting socket once joined (for features that share it, like the group cart), otherwise null
+   */
+  getSocket() {
+    return this.self ? this.socket : null
+  }
+}
+
+// Export singleton instance
+export const meetingClient = new MeetingClient()
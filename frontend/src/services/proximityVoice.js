@@ -0,0 +1,241 @@
+// Proximity voice chat between avatars in the mall, signaled over the /player socket.
+// The server decides who is in earshot (`voice-connect` / `voice-disconnect`) and relays
+// `voice-signal`; each remote voice plays through a Web Audio PannerNode placed at that
+// player's avatar, so volume and direction follow them around.
+import { ICE_SERVERS, getIceServers } from './webrtc'
+
+const HEAD_HEIGHT = 1.6 // Ears and mouths sit about this high above the avatar's feet
+const DEFAULT_MAX_DISTANCE = 15 // Used until the server says how far voices carry
+const RESTART_TIMEOUT_MS = 10000 // How long an ICE restart gets before the link is dropped
+
+class ProximityVoiceService {
+  constructor() {
+    this.socket = null
+    this.handlers = {} // Events bound on this.socket, so detach() only removes ours
+    this.enabled = false
+    this.localStream = null
+    this.audioContext = null
+    this.iceServers = ICE_SERVERS
+    this.peers = new Map() // peerId -> { pc, panner, source, audioElement, pendingCandidates, restarted, restartTimer }
+    this.onPeersChanged = null // (peerIds: string[]) => void
+  }
+
+  /**
+   * Use a /player socket for signaling (call again with null to detach)
+   * @param {import('socket.io-client').Socket|null} socket
+   */
+  attach(socket) {
+    if (this.socket === socket) return
+    this.detach()
+    if (!socket) return
+
+    this.socket = socket
+    this.handlers = {
+      'voice-connect': ({ peerId, initiator, maxDistance }) => this.connectPeer(peerId, initiator, maxDistance),
+      'voice-disconnect': ({ peerId }) => this.closePeer(peerId),
+      'voice-signal': (data) => this.handleSignal(data),
+      // The server forgets us on reconnect; tell it again that we're listening
+      'connect': () => {
+        if (this.enabled) socket.emit('voice-enable')
+      },
+    }
+    Object.entries(this.handlers).forEach(([event, handler]) => socket.on(event, handler))
+    if (this.enabled && socket.connected) socket.emit('voice-enable')
+  }
+
+  detach() {
+    if (!this.socket) return
+    Object.entries(this.handlers).forEach(([event, handler]) => this.socket.off(event, handler))
+    this.handlers = {}
+    this.closeAllPeers()
+    this.socket = null
+  }
+
+  /**
+   * Turn on the microphone and start talking to nearby players
+   * (must be called from a user gesture so the AudioContext may start)
+   */
+  async enable() {
+    if (this.enabled) return
+    this.localStream = await navigator.mediaDevices.getUserMedia({
+      audio: { echoCancellation: true, noiseSuppression: true, autoGainControl: true },
+      video: false
+    })
+    this.audioContext = this.audioContext || new AudioContext()
+    await this.audioContext.resume()
+    this.iceServers = await getIceServers()
+
+    this.enabled = true
+    this.socket?.emit('voice-enable')
+  }
+
+  disable() {
+    if (!this.enabled) return
+    this.enabled = false
+    this.socket?.emit('voice-disable')
+    this.closeAllPeers()
+    this.localStream?.getTracks().forEach(track => track.stop())
+    this.localStream = null
+  }
+
+  /**
+   * Set up the audio link to a player the server says is in earshot
+   * @param {string} peerId - Their /player socket ID
+   * @param {boolean} initiator - Whether we make the offer
+   * @param {number} maxDistance - Distance at which the link is dropped (voice fades out by then)
+   */
+  connectPeer(peerId, initiator, maxDistance = DEFAULT_MAX_DISTANCE) {
+    if (!this.enabled || this.peers.has(peerId)) return this.peers.get(peerId)
+
+    const pc = new RTCPeerConnection({ iceServers: this.iceServers })
+    this.localStream.getAudioTracks().forEach(track => pc.addTrack(track, this.localStream))
+
+    const panner = new PannerNode(this.audioContext, {
+      panningModel: 'HRTF',
+      distanceModel: 'linear', // Silent at maxDistance, so the hang-up is inaudible
+      refDistance: 2,
+      maxDistance,
+      rolloffFactor: 1
+    })
+    panner.connect(this.audioContext.destination)
+
+    const peer = { pc, panner, source: null, audioElement: null, pendingCandidates: [], restarted: false, restartTimer: null }
+    this.peers.set(peerId, peer)
+
+    pc.onicecandidate = (event) => {
+      if (event.candidate) this.socket?.emit('voice-signal', { targetId: peerId, candidate: event.candidate })
+    }
+
+    pc.ontrack = (event) => {
+      const [stream] = event.streams
+      if (!stream || peer.source) return
+      // Chrome only feeds a remote WebRTC stream into Web Audio while a media element plays it
+      peer.audioElement = new Audio()
+      peer.audioElement.muted = true
+      peer.audioElement.srcObject = stream
+      peer.audioElement.play().catch(() => {})
+
+      peer.source = this.audioContext.createMediaStreamSource(stream)
+      peer.source.connect(panner)
+    }
+
+    pc.onconnectionstatechange = () => {
+      if (pc.connectionState === 'connected') {
+        clearTimeout(peer.restartTimer)
+        peer.restarted = false
+      }
+      if (pc.connectionState !== 'failed') return
+      if (peer.restarted) return this.closePeer(peerId)
+
+      // One ICE restart before dropping the link: the initiator re-offers, the other side waits for it
+      peer.restarted = true
+      peer.restartTimer = setTimeout(() => {
+        if (pc.connectionState !== 'connected') this.closePeer(peerId)
+      }, RESTART_TIMEOUT_MS)
+      if (initiator) this.restartPeer(peerId)
+    }
+
+    if (initiator) this.sendOffer(peerId)
+
+    this.onPeersChanged?.([...this.peers.keys()])
+    return peer
+  }
+
+  sendOffer(peerId, options = {}) {
+    const pc = this.peers.get(peerId)?.pc
+    if (!pc) return
+    pc.createOffer(options)
+      .then(offer => pc.setLocalDescription(offer))
+      .then(() => this.socket?.emit('voice-signal', { targetId: peerId, description: pc.localDescription }))
+      .catch(error => console.error('Proximity voice: failed to create offer:', error))
+  }
+
+  async restartPeer(peerId) {
+    const peer = this.peers.get(peerId)
+    if (!peer) return
+    // TURN credentials may have expired since the link was made
+    this.iceServers = await getIceServers()
+    peer.pc.setConfiguration({ ...peer.pc.getConfiguration(), iceServers: this.iceServers })
+    peer.pc.restartIce()
+    this.sendOffer(peerId, { iceRestart: true })
+  }
+
+  async handleSignal({ fromId, description, candidate }) {
+    if (!this.enabled) return
+    // The offer can beat our own voice-connect when the other player is on another server
+    const peer = this.peers.get(fromId) || (description?.type === 'offer' ? this.connectPeer(fromId, false) : null)
+    if (!peer) return
+
+    try {
+      if (description) {
+        await peer.pc.setRemoteDescription(description)
+        if (description.type === 'offer') {
+          await peer.pc.setLocalDescription(await peer.pc.createAnswer())
+          this.socket?.emit('voice-signal', { targetId: fromId, description: peer.pc.localDescription })
+        }
+        for (const queued of peer.pendingCandidates) await peer.pc.addIceCandidate(queued)
+        peer.pendingCandidates = []
+      } else if (candidate) {
+        if (peer.pc.remoteDescription) await peer.pc.addIceCandidate(candidate)
+        else peer.pendingCandidates.push(candidate)
+      }
+    } catch (error) {
+      console.error('Proximity voice: signaling failed:', error)
+    }
+  }
+
+  closePeer(peerId) {
+    const peer = this.peers.get(peerId)
+    if (!peer) return
+    clearTimeout(peer.restartTimer)
+    peer.pc.close()
+    peer.source?.disconnect()
+    peer.panner.disconnect()
+    if (peer.audioElement) peer.audioElement.srcObject = null
+    this.peers.delete(peerId)
+    this.onPeersChanged?.([...this.peers.keys()])
+  }
+
+  closeAllPeers() {
+    ;[...this.peers.keys()].forEach(peerId => this.closePeer(peerId))
+  }
+
+  /**
+   * Move the listener to our avatar and each voice to theirs (call every frame)
+   * @param {number[]} position - Our position [x, y, z]
+   * @param {number} yaw - Our Y rotation (forward is -sin/-cos, see Player.jsx)
+   * @param {(peerId: string) => number[]|null} getPeerPosition
+   */
+  updatePositions(position, yaw, getPeerPosition) {
+    if (!this.audioContext || this.peers.size === 0) return
+
+    const { listener } = this.audioContext
+    const [x, y, z] = position
+    const forward = [-Math.sin(yaw), 0, -Math.cos(yaw)]
+    if (listener.positionX) {
+      listener.positionX.value = x
+      listener.positionY.value = y + HEAD_HEIGHT
+      listener.positionZ.value = z
+      listener.forwardX.value = forward[0]
+      listener.forwardY.value = forward[1]
+      listener.forwardZ.value = forward[2]
+      listener.upX.value = 0
+      listener.upY.value = 1
+      listener.upZ.value = 0
+    } else {
+      // Firefox only has the older setter methods on the listener
+      listener.setPosition(x, y + HEAD_HEIGHT, z)
+      listener.setOrientation(...forward, 0, 1, 0)
+    }
+
+    for (const [peerId, { panner }] of this.peers) {
+      const peerPosition = getPeerPosition(peerId)
+      if (!peerPosition) continue
+      panner.positionX.value = peerPosition[0]
+      panner.positionY.value = peerPosition[1] + HEAD_HEIGHT
+      panner.positionZ.value = peerPosition[2]
+    }
+  }
+}
+
+export const proximityVoiceService = new ProximityVoiceService()
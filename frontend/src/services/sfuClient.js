@@ -0,0 +1,203 @@
+// Selective-forwarding client for large meeting rooms. Instead of one RTCPeerConnection per participant,
+// we send our tracks to the backend's media server once (send transport) and receive everyone else's
+// over a single receive transport. Signaling runs over the /meeting socket with acks (see backend sfuSocket.js).
+import { Device } from 'mediasoup-client'
+import { getIceServers } from './webrtc'
+
+const REQUEST_TIMEOUT_MS = 10000
+
+export class SfuSession {
+  /**
+   * @param {import('socket.io-client').Socket} socket - A /meeting socket that has joined a room in 'sfu' media mode
+   */
+  constructor(socket) {
+    this.socket = socket
+    this.device = null
+    this.iceServers = []
+    this.sendTransport = null
+    this.recvTransport = null
+    this.producers = new Map() // kind -> Producer
+    this.consumers = new Map() // producerId -> { consumer, socketId }
+    this.streams = new Map() // socketId -> MediaStream of everything we receive from them
+    this.pendingProducers = [] // Announced before our receive transport existed
+    this.closed = false
+
+    // (socketId, stream, { userId, userName }) => void - called whenever a participant's stream gains a track
+    this.onStream = null
+    // (socketId) => void - called when a participant has no tracks left
+    this.onStreamEnded = null
+
+    this.handlers = {
+      'sfu-new-producer': (producer) => {
+        this.consume(producer).catch(error => console.error('SFU: could not subscribe:', error))
+      },
+      'sfu-producer-closed': ({ producerId }) => this.closeConsumer(producerId),
+    }
+  }
+
+  request(event, data = {}) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error(`${event} timed out`)), REQUEST_TIMEOUT_MS)
+      this.socket.emit(event, data, (response) => {
+        clearTimeout(timer)
+        if (response?.success) resolve(response)
+        else reject(new Error(response?.error || `${event} failed`))
+      })
+    })
+  }
+
+  /**
+   * Load the media server's codecs and subscribe to everything already being published
+   */
+  async start() {
+    Object.entries(this.handlers).forEach(([event, handler]) => this.socket.on(event, handler))
+
+    const [{ rtpCapabilities, producers }, iceServers] = await Promise.all([
+      this.request('sfu-get-capabilities'),
+      getIceServers(),
+    ])
+    this.iceServers = iceServers
+    this.device = new Device()
+    await this.device.load({ routerRtpCapabilities: rtpCapabilities })
+
+    this.recvTransport = await this.createTransport('recv')
+    const existing = producers.map(producer => ({
+      producerId: producer.producerId,
+      socketId: producer.socketId,
+      userId: producer.appData?.userId,
+      userName: producer.appData?.userName,
+    }))
+    for (const producer of [...existing, ...this.pendingProducers]) {
+      await this.consume(producer).catch(error => console.error('SFU: could not subscribe:', error))
+    }
+    this.pendingProducers = []
+  }
+
+  async createTransport(direction) {
+    const { transport: params } = await this.request('sfu-create-transport', { direction })
+    const options = { ...params, iceServers: this.iceServers }
+    const transport = direction === 'send'
+      ? this.device.createSendTransport(options)
+      : this.device.createRecvTransport(options)
+
+    transport.on('connect', ({ dtlsParameters }, callback, errback) => {
+      this.request('sfu-connect-transport', { transportId: transport.id, dtlsParameters })
+        .then(() => callback())
+        .catch(errback)
+    })
+
+    if (direction === 'send') {
+      transport.on('produce', ({ kind, rtpParameters, appData }, callback, errback) => {
+        this.request('sfu-produce', { transportId: transport.id, kind, rtpParameters, appData })
+          .then(({ producerId }) => callback({ id: producerId }))
+          .catch(errback)
+      })
+    }
+
+    transport.on('connectionstatechange', (state) => {
+      // Same idea as mesh peers: renegotiate ICE with the media server before anything is torn down
+      if (state === 'failed' && !this.closed) {
+        this.request('sfu-restart-ice', { transportId: transport.id })
+          .then(({ iceParameters }) => transport.restartIce({ iceParameters }))
+          .catch(error => console.error(`SFU: could not restart ${direction} transport:`, error))
+      }
+    })
+
+    return transport
+  }
+
+  /**
+   * Publish (or switch) our camera/microphone tracks. Tracks that are disabled keep flowing as
+   * silence/black, so muting is still done with track.enabled.
+   * @param {MediaStream} stream
+   */
+  async publish(stream) {
+    if (this.closed || !stream) return
+    if (!this.sendTransport) this.sendTransport = await this.createTransport('send')
+
+    for (const track of stream.getTracks()) {
+      if (track.readyState !== 'live' || !this.device.canProduce(track.kind)) continue
+      const existing = this.producers.get(track.kind)
+      if (existing) {
+        if (existing.track !== track) await existing.replaceTrack({ track })
+        continue
+      }
+      const producer = await this.sendTransport.produce({ track, appData: { kind: track.kind } })
+      this.producers.set(track.kind, producer)
+    }
+  }
+
+  /**
+   * Stop publishing a kind of track ('audio' or 'video')
+   */
+  unpublish(kind) {
+    const producer = this.producers.get(kind)
+    if (!producer) return
+    producer.close()
+    this.producers.delete(kind)
+    this.request('sfu-close-producer', { producerId: producer.id }).catch(() => {})
+  }
+
+  async consume({ producerId, socketId, userId, userName }) {
+    if (this.closed || this.consumers.has(producerId)) return
+    if (!this.recvTransport) {
+      this.pendingProducers.push({ producerId, socketId, userId, userName })
+      return
+    }
+
+    const { consumer: params } = await this.request('sfu-consume', {
+      transportId: this.recvTransport.id,
+      producerId,
+      rtpCapabilities: this.device.rtpCapabilities,
+    })
+    const consumer = await this.recvTransport.consume(params)
+    this.consumers.set(producerId, { consumer, socketId })
+
+    let stream = this.streams.get(socketId)
+    if (!stream) {
+      stream = new MediaStream()
+      this.streams.set(socketId, stream)
+    }
+    stream.addTrack(consumer.track)
+    this.onStream?.(socketId, stream, { userId, userName })
+
+    // Consumers start paused on the server so the first keyframe isn't sent before we can decode it
+    await this.request('sfu-resume-consumer', { consumerId: consumer.id })
+  }
+
+  closeConsumer(producerId) {
+    const entry = this.consumers.get(producerId)
+    if (!entry) return
+    const { consumer, socketId } = entry
+    consumer.close()
+    this.consumers.delete(producerId)
+
+    const stream = this.streams.get(socketId)
+    if (!stream) return
+    stream.removeTrack(consumer.track)
+    if (stream.getTracks().length === 0) {
+      this.streams.delete(socketId)
+      this.onStreamEnded?.(socketId)
+    }
+  }
+
+  /**
+   * Forget a participant who left (the server closes their producers too)
+   */
+  removeParticipant(socketId) {
+    for (const [producerId, entry] of this.consumers) {
+      if (entry.socketId === socketId) this.closeConsumer(producerId)
+    }
+  }
+
+  close() {
+    if (this.closed) return
+    this.closed = true
+    Object.entries(this.handlers).forEach(([event, handler]) => this.socket.off(event, handler))
+    this.sendTransport?.close()
+    this.recvTransport?.close()
+    this.producers.clear()
+    this.consumers.clear()
+    this.streams.clear()
+  }
+}
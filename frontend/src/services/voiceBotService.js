@@ -1,5 +1,8 @@
 // Voice Bot Service - Uses REST API for voice-to-voice communication
-// Backend: http://localhost:3001/api/bot/chat
+// Backend: http://localhost:3001/api/bot/chat (and /api/bot/chat/stream for streamed replies)
+
+import { authHeaders } from './api'
+import { getCurrentUserId } from '../stores/authStore'
 
 if (!import.meta.env.VITE_API_BASE_URL) {
   throw new Error('❌ VITE_API_BASE_URL is required!')
@@ -12,6 +15,10 @@ class VoiceBotService {
     this.roomId = null
     this.onResponse = null
     this.onError = null
+    this.onChunk = null
+    this.onSentence = null
+    this.audioQueue = [] // Sentence audio waiting to be played, in order
+    this.isPlayingQueue = false
   }
 
   /**
@@ -35,7 +42,7 @@ class VoiceBotService {
   /**
    * Send message to bot and get voice response
    * @param {string} text - Message text
-   * @returns {Promise<{message: string, audio: string, audioFormat: string}>}
+   * @returns {Promise<{message: string, productIds: string[], audio: string, audioFormat: string}>}
    */
   async sendMessage(text) {
     if (!this.roomId) {
@@ -47,10 +54,12 @@ class VoiceBotService {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          ...authHeaders(),
         },
         body: JSON.stringify({
           message: text,
           roomId: this.roomId,
+          userId: getCurrentUserId(), // Lets the assistant use the shopper's cart
           includeAudio: true // Request audio response
         })
       })
@@ -66,6 +75,7 @@ class VoiceBotService {
         if (this.onResponse) {
           this.onResponse({
             text: data.message,
+            productIds: data.productIds || [],
             audio: data.audio,
             audioFormat: data.audioFormat || 'mp3'
           })
@@ -84,6 +94,130 @@ class VoiceBotService {
     }
   }
 
+  /**
+   * Send message to bot and stream the reply
+   * Text arrives through onChunk as it is generated; each finished sentence's audio is
+   * queued and played right away, so speech starts before the full answer is done.
+   * @param {string} text - Message text
+   * @returns {Promise<{message: string, productIds: string[]}>} - Resolves with the full reply
+   */
+  async sendMessageStream(text) {
+    if (!this.roomId) {
+      throw new Error('Room ID not set. Call connect() first.')
+    }
+
+    try {
+      const response = await fetch(`${BOT_API_BASE_URL}/api/bot/chat/stream`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...authHeaders(),
+        },
+        body: JSON.stringify({
+          message: text,
+          roomId: this.roomId,
+          userId: getCurrentUserId(), // Lets the assistant use the shopper's cart
+          includeAudio: true // Request per-sentence audio
+        })
+      })
+
+      if (!response.ok || !response.body) {
+        throw new Error(`HTTP error! status: ${response.status}`)
+      }
+
+      const reader = response.body.getReader()
+      const decoder = new TextDecoder()
+      let buffer = ''
+      let textSoFar = ''
+      let result = null
+
+      const handleEvent = (event, data) => {
+        if (event === 'chunk') {
+          textSoFar += data.text
+          if (this.onChunk) this.onChunk(data.text, textSoFar)
+        } else if (event === 'sentence') {
+          if (this.onSentence) this.onSentence(data)
+          if (data.audio) this.enqueueAudio(data.audio, data.audioFormat || 'mp3')
+        } else if (event === 'done') {
+          result = data
+        } else if (event === 'error') {
+          throw new Error(data.error || 'Failed to get response from bot')
+        }
+      }
+
+      while (true) {
+        const { value, done } = await reader.read()
+        if (done) break
+        buffer += decoder.decode(value, { stream: true })
+
+        // SSE messages are separated by a blank line
+        let boundary
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+          const raw = buffer.slice(0, boundary)
+          buffer = buffer.slice(boundary + 2)
+
+          let event = 'message'
+          let data = ''
+          for (const line of raw.split('\n')) {
+            if (line.startsWith('event:')) event = line.slice(6).trim()
+            else if (line.startsWith('data:')) data += line.slice(5).trim()
+          }
+          if (data) handleEvent(event, JSON.parse(data))
+        }
+      }
+
+      if (!result) {
+        throw new Error('Stream ended before the bot finished responding')
+      }
+
+      if (this.onResponse) {
+        this.onResponse({ text: result.message, productIds: result.productIds || [], streamed: true })
+      }
+      return result
+    } catch (error) {
+      console.error('Error streaming message to bot:', error)
+      if (this.onError) {
+        this.onError(error)
+      }
+      throw error
+    }
+  }
+
+  /**
+   * Queue sentence audio; clips play one after another
+   * @param {string} base64Audio - Base64 encoded audio
+   * @param {string} format - Audio format (mp3, wav, etc.)
+   */
+  enqueueAudio(base64Audio, format = 'mp3') {
+    this.audioQueue.push({ base64Audio, format })
+    if (!this.isPlayingQueue) {
+      this._playNextInQueue()
+    }
+  }
+
+  async _playNextInQueue() {
+    const next = this.audioQueue.shift()
+    if (!next) {
+      this.isPlayingQueue = false
+      return
+    }
+
+    this.isPlayingQueue = true
+    try {
+      const audio = await this.playAudio(next.base64Audio, next.format)
+      if (audio) {
+        await new Promise(resolve => {
+          audio.addEventListener('ended', resolve, { once: true })
+          audio.addEventListener('error', resolve, { once: true })
+          audio.addEventListener('pause', resolve, { once: true }) // stopAudio()
+        })
+      }
+    } catch (error) {
+      console.error('Error playing queued audio:', error)
+    }
+    this._playNextInQueue()
+  }
+
   /**
    * Play audio from base64 string
    * @param {string} base64Audio - Base64 encoded audio
@@ -118,8 +252,8 @@ class VoiceBotService {
 
         audio.onended = () => {
           console.log('Audio playback finished')
-          // Trigger callback if set
-          if (this.onAudioEnded) {
+          // Trigger callback if set (once the sentence queue has drained)
+          if (this.onAudioEnded && this.audioQueue.length === 0) {
             this.onAudioEnded()
           }
         }
@@ -140,6 +274,7 @@ class VoiceBotService {
    * Stop current audio playback
    */
   stopAudio() {
+    this.audioQueue = []
     if (this.currentAudio) {
       this.currentAudio.pause()
       this.currentAudio.currentTime = 0
@@ -163,6 +298,22 @@ class VoiceBotService {
     this.onResponse = callback
   }
 
+  /**
+   * Set callback for streamed text
+   * @param {Function} callback - Callback function(chunk, textSoFar)
+   */
+  setOnChunk(callback) {
+    this.onChunk = callback
+  }
+
+  /**
+   * Set callback for each completed sentence of a streamed reply
+   * @param {Function} callback - Callback function({ index, text, audio, audioFormat })
+   */
+  setOnSentence(callback) {
+    this.onSentence = callback
+  }
+
   /**
    * Set callback for errors
    * @param {Function} callback - Callback function(error)
@@ -0,0 +1,111 @@
+import { create } from 'zustand'
+import { login, signup, fetchCurrentUser, setAuthToken } from '../services/api'
+
+const TOKEN_KEY = 'authToken'
+const GUEST_ID_KEY = 'userId'
+
+// Same shape the server accepts for guest IDs
+const GUEST_ID_PATTERN = /^guest-[A-Za-z0-9_-]{1,64}$/
+
+// Guests keep a random ID in localStorage so their cart survives reloads.
+// Older builds stored `user-<timestamp>-...` IDs under the same key; those are replaced.
+const getGuestId = () => {
+  let guestId = localStorage.getItem(GUEST_ID_KEY)
+  if (!guestId || !GUEST_ID_PATTERN.test(guestId)) {
+    guestId = `guest-${crypto.randomUUID()}`
+    localStorage.setItem(GUEST_ID_KEY, guestId)
+  }
+  return guestId
+}
+
+export const useAuthStore = create((set, get) => ({
+  user: null, // { userId, email, displayName } when signed in
+  token: null,
+  isGuest: false,
+  status: 'checking', // 'checking' | 'signed-out' | 'ready'
+  isLoading: false,
+  error: null,
+
+  clearError: () => set({ error: null }),
+
+  // Restore a saved session on startup; falls back to the sign-in prompt
+  restore: async () => {
+    const token = localStorage.getItem(TOKEN_KEY)
+    if (!token) {
+      set({ status: 'signed-out' })
+      return
+    }
+
+    setAuthToken(token)
+    try {
+      const user = await fetchCurrentUser()
+      set({ user, token, isGuest: false, status: 'ready' })
+    } catch (error) {
+      console.warn('Saved session is no longer valid:', error.message)
+      localStorage.removeItem(TOKEN_KEY)
+      setAuthToken(null)
+      set({ user: null, token: null, status: 'signed-out' })
+    }
+  },
+
+  _startSession: ({ user, token }) => {
+    localStorage.setItem(TOKEN_KEY, token)
+    setAuthToken(token)
+    set({ user, token, isGuest: false, status: 'ready', isLoading: false, error: null })
+  },
+
+  login: async (email, password) => {
+    set({ isLoading: true, error: null })
+    try {
+      get()._startSession(await login({ email, password }))
+    } catch (error) {
+      set({ isLoading: false, error: error.message })
+    }
+  },
+
+  signup: async (email, password, displayName) => {
+    const name = (displayName || '').trim()
+    if (!name) {
+      set({ error: 'Display name is required' })
+      return
+    }
+    set({ isLoading: true, error: null })
+    try {
+      get()._startSession(await signup({ email, password, displayName: name }))
+    } catch (error) {
+      set({ isLoading: false, error: error.message })
+    }
+  },
+
+  continueAsGuest: () => {
+    set({ user: null, token: null, isGuest: true, status: 'ready', error: null })
+  },
+
+  logout: () => {
+    localStorage.removeItem(TOKEN_KEY)
+    setAuthToken(null)
+    set({ user: null, token: null, isGuest: false, status: 'signed-out' })
+  },
+}))
+
+/**
+ * ID of the current user: the account ID when signed in, otherwise a persistent guest ID
+ * @returns {string}
+ */
+export const getCurrentUserId = () => useAuthStore.getState().user?.userId || getGuestId()
+
+/**
+ * Display name of the current user, or null for guests
+ * @returns {string|null}
+ */
+export const getCurrentUserName = () => useAuthStore.getState().user?.displayName || null
+
+/**
+ * Socket.IO `auth` option - evaluated on every (re)connect so the latest token is sent.
+ * Guests send their guest ID instead, so the server can keep their player profile.
+ * Usage: io(url, { auth: socketAuth })
+ */
+export const socketAuth = (cb) => {
+  const { token } = useAuthStore.getState()
+  cb(token ? { token } : { guestId: getGuestId() })
+}
@@ -0,0 +1,67 @@
+import { create } from 'zustand'
+import { fetchCart, addToCart, updateCartItem, removeFromCart, checkoutCart } from '../services/api'
+import { useRoomStore } from './roomStore'
+
+// Cart is keyed by the current user ID
+const getCartId = () => useRoomStore.getState().currentUserId
+
+export const useCartStore = create((set, get) => ({
+  items: [],
+  itemCount: 0,
+  subtotal: 0,
+  isOpen: false,
+  isLoading: false,
+  error: null,
+  lastOrder: null,
+
+  setOpen: (isOpen) => set({ isOpen }),
+  toggleOpen: () => set(state => ({ isOpen: !state.isOpen })),
+  clearError: () => set({ error: null }),
+
+  // Apply a cart payload from the API
+  _applyCart: (cart) => {
+    set({
+      items: cart?.items || [],
+      itemCount: cart?.itemCount || 0,
+      subtotal: cart?.subtotal || 0,
+      isLoading: false,
+      error: null,
+    })
+  },
+
+  // Run a cart API call, keeping loading/error state in sync
+  _run: async (fn) => {
+    const cartId = getCartId()
+    if (!cartId) return null
+    set({ isLoading: true, error: null })
+    try {
+      return await fn(cartId)
+    } catch (error) {
+      console.error('Cart error:', error)
+      set({ isLoading: false, error: error.message })
+      return null
+    }
+  },
+
+  loadCart: () => get()._run(async (cartId) => {
+    get()._applyCart(await fetchCart(cartId))
+  }),
+
+  addItem: (productId, quantity = 1) => get()._run(async (cartId) => {
+    get()._applyCart(await addToCart(cartId, productId, quantity))
+  }),
+
+  updateQuantity: (productId, quantity) => get()._run(async (cartId) => {
+    get()._applyCart(await updateCartItem(cartId, productId, quantity))
+  }),
+
+  removeItem: (productId) => get()._run(async (cartId) => {
+    get()._applyCart(await removeFromCart(cartId, productId))
+  }),
+
+  checkout: () => get()._run(async (cartId) => {
+    const order = await checkoutCart(cartId)
+    set({ lastOrder: order, items: [], itemCount: 0, subtotal: 0, isLoading: false })
+    return order
+  }),
+}))
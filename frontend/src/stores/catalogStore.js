@@ -0,0 +1,26 @@
+import { create } from 'zustand'
+
+// How long a stock alert stays on screen
+const ALERT_DURATION_MS = 6000
+const MAX_ALERTS = 4
+
+/**
+ * Live catalog state pushed over the /catalog socket (see VirtualMall.jsx):
+ * the server's low-stock threshold and recent stock alerts for CatalogAlerts
+ */
+export const useCatalogStore = create((set, get) => ({
+  lowStockThreshold: 5,
+  alerts: [], // [{ id, type: 'stock-low' | 'out-of-stock', productId, name, stock }]
+
+  setLowStockThreshold: (lowStockThreshold) => set({ lowStockThreshold }),
+
+  pushAlert: (type, { id: productId, name, stock }) => {
+    const id = `${type}-${productId}-${Date.now()}`
+    set((state) => ({
+      alerts: [...state.alerts.filter(a => a.productId !== productId), { id, type, productId, name, stock }].slice(-MAX_ALERTS)
+    }))
+    setTimeout(() => get().dismissAlert(id), ALERT_DURATION_MS)
+  },
+
+  dismissAlert: (id) => set((state) => ({ alerts: state.alerts.filter(a => a.id !== id) })),
+}))
@@ -0,0 +1,71 @@
+import { create } from 'zustand'
+
+// Handlers currently attached to the bound socket, so they can be detached without touching other listeners
+let boundHandlers = {}
+
+/**
+ * Shared group cart for the current meeting room.
+ * State is owned by the server and pushed over the /meeting socket; this store only mirrors it.
+ */
+export const useGroupCartStore = create((set, get) => ({
+  socket: null,
+  roomId: null,
+  cart: null,
+  you: null, // { userId, isOwner }
+  error: null,
+  lastOrder: null,
+  lastAction: null,
+
+  // Attach to a meeting socket/room (call again with nulls to detach)
+  bind: (socket, roomId) => {
+    const current = get()
+    if (current.socket === socket && current.roomId === roomId) return
+
+    if (current.socket) {
+      Object.entries(boundHandlers).forEach(([event, handler]) => current.socket.off(event, handler))
+      boundHandlers = {}
+    }
+
+    set({ socket, roomId, cart: null, you: null, error: null, lastAction: null })
+    if (!socket || !roomId) return
+
+    boundHandlers = {
+      'group-cart-updated': (data) => {
+        if (data.roomId !== get().roomId) return
+        set(state => ({
+          cart: data.cart,
+          you: data.you || state.you,
+          lastAction: data.action || null,
+          error: null,
+        }))
+      },
+      'group-cart-error': (data) => {
+        set({ error: data.message })
+      },
+      'group-cart-checked-out': (data) => {
+        if (data.roomId !== get().roomId) return
+        set({ lastOrder: data.order })
+      },
+      // Membership (and ownership) is only known after joining, so refresh then
+      'joined-room': (data) => {
+        if (data.roomId === get().roomId) socket.emit('group-cart-get', { roomId })
+      },
+    }
+    Object.entries(boundHandlers).forEach(([event, handler]) => socket.on(event, handler))
+
+    socket.emit('group-cart-get', { roomId })
+  },
+
+  _emit: (event, payload = {}) => {
+    const { socket, roomId } = get()
+    if (!socket || !roomId) return
+    socket.emit(event, { roomId, ...payload })
+  },
+
+  addItem: (productId, quantity = 1) => get()._emit('group-cart-add', { productId, quantity }),
+  updateQuantity: (productId, quantity) => get()._emit('group-cart-update', { productId, quantity }),
+  removeItem: (productId) => get()._emit('group-cart-remove', { productId }),
+  vote: (approve = true) => get()._emit('group-cart-vote', { approve }),
+  checkout: () => get()._emit('group-cart-checkout'),
+  clearError: () => set({ error: null }),
+}))
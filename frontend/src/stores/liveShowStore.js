@@ -0,0 +1,56 @@
+import { create } from 'zustand'
+import { meetingClient } from '../services/meetingClient'
+
+// Our part in the show: the host sends media, speakers were promoted by the host, everyone else watches
+const roleIn = (show) => {
+  const userId = meetingClient.getSelf()?.userId
+  if (!show || !userId) return { isHost: false, isSpeaker: false, handRaised: false }
+  return {
+    isHost: show.host.userId === userId,
+    isSpeaker: show.speakers.includes(userId),
+    handRaised: show.raisedHands.some(hand => hand.userId === userId),
+  }
+}
+
+/**
+ * Host-led live show in the current meeting room.
+ * The server owns the show and the meeting client keeps it; this store only mirrors it for the UI.
+ */
+export const useLiveShowStore = create((set) => ({
+  show: null, // LiveShow (see meetingClient.js) or null
+  you: roleIn(null),
+  inRoom: false, // Whether the meeting client has joined a room
+  isOwner: false, // Room owners are the ones who can start a show
+  error: null,
+
+  start: () => meetingClient.startLiveShow(),
+  end: () => meetingClient.endLiveShow(),
+  pinProduct: (productId) => meetingClient.pinProduct(productId),
+  unpinProduct: () => meetingClient.unpinProduct(),
+  raiseHand: () => meetingClient.raiseHand(),
+  lowerHand: () => meetingClient.lowerHand(),
+  promote: (userId) => meetingClient.promoteSpeaker(userId),
+  demote: (userId) => meetingClient.demoteSpeaker(userId),
+  clearError: () => set({ error: null }),
+}))
+
+meetingClient.on('live-show', (show) => {
+  useLiveShowStore.setState({ show, you: roleIn(show), error: null })
+})
+
+meetingClient.on('joined', ({ role }) => {
+  useLiveShowStore.setState({ isOwner: role === 'owner' })
+})
+
+meetingClient.on('owner-changed', () => {
+  useLiveShowStore.setState({ isOwner: meetingClient.getSelf()?.role === 'owner' })
+})
+
+meetingClient.on('status', (status) => {
+  if (status === 'joined') useLiveShowStore.setState({ inRoom: true })
+  else useLiveShowStore.setState({ inRoom: false, isOwner: false })
+})
+
+meetingClient.on('error', (error) => {
+  if (error.event?.startsWith('live-show')) useLiveShowStore.setState({ error: error.message })
+})
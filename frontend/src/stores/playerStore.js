@@ -10,6 +10,7 @@ export const usePlayerStore = create((set) => ({
   currentShop: null,
   currentFloor: 0, // Current floor (0 = ground, 1 = first, 2 = second)
   cameraMode: 'first-person', // 'first-person' or 'third-person'
+  teleportSeq: 0, // Bumped on every deliberate jump so the multiplayer socket can announce it as a teleport
   setPosition: (pos) => set({ position: pos }),
   setRotation: (rot) => set({ rotation: rot }),
   setPitch: (pitch) => set({ pitch: Math.max(-Math.PI / 2, Math.min(Math.PI / 2, pitch)) }), // Limit pitch to -90 to 90 degrees
@@ -18,6 +19,14 @@ export const usePlayerStore = create((set) => ({
   setIsInsideShop: (inside, shopName = null) => set({ isInsideShop: inside, currentShop: shopName }),
   setCurrentFloor: (floor) => set({ currentFloor: floor }),
   setCameraMode: (mode) => set({ cameraMode: mode }),
+  // Jump straight to a spot instead of walking there (the server only accepts this as a teleport)
+  teleportTo: (pos, rot) => set((state) => ({
+    position: pos,
+    rotation: rot ?? state.rotation,
+    velocity: [0, 0, 0],
+    pitch: 0,
+    teleportSeq: state.teleportSeq + 1
+  })),
   toggleCameraMode: () => set((state) => {
     // Cycle through: first-person -> third-person -> first-person
     const modes = ['first-person', 'third-person']
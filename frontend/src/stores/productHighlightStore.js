@@ -0,0 +1,48 @@
+import { create } from 'zustand'
+import { usePlayerStore } from './playerStore'
+
+// How far in front of a rack the player is placed when navigating to it
+const STAND_OFF_DISTANCE = 4
+
+/**
+ * Products the sales assistant is talking about, and where their racks are in the mall.
+ * WallRack registers its world position per slot so the assistant's answer can be turned
+ * into a highlight or a "take me there" jump.
+ */
+export const useProductHighlightStore = create((set, get) => ({
+  highlightedIds: [],
+  racks: {}, // slotKey -> { productId, position: [x, y, z], rotationY }
+
+  highlight: (productIds) => set({ highlightedIds: [...new Set(productIds || [])] }),
+  clear: () => set({ highlightedIds: [] }),
+
+  registerRack: (slotKey, productId, position, rotationY = 0) => set((state) => ({
+    racks: { ...state.racks, [slotKey]: { productId, position, rotationY } }
+  })),
+  unregisterRack: (slotKey) => set((state) => {
+    const { [slotKey]: _removed, ...racks } = state.racks
+    return { racks }
+  }),
+
+  // Move the player in front of the nearest rack holding the product and face it
+  navigateTo: (productId) => {
+    const { position: playerPosition } = usePlayerStore.getState()
+    const racks = Object.values(get().racks).filter(rack => rack.productId === productId)
+    if (racks.length === 0) return false
+
+    const distanceTo = ([x, , z]) => Math.hypot(x - playerPosition[0], z - playerPosition[2])
+    const nearest = racks.reduce((best, rack) => (distanceTo(rack.position) < distanceTo(best.position) ? rack : best))
+
+    // Racks face along their local +Z, so stand a few units out along that direction
+    const [rackX, , rackZ] = nearest.position
+    const standX = rackX + Math.sin(nearest.rotationY) * STAND_OFF_DISTANCE
+    const standZ = rackZ + Math.cos(nearest.rotationY) * STAND_OFF_DISTANCE
+
+    // Player forward is (-sin r, -cos r) - see Player.jsx
+    const rotation = Math.atan2(-(rackX - standX), -(rackZ - standZ))
+
+    usePlayerStore.getState().teleportTo([standX, playerPosition[1], standZ], rotation)
+    set((state) => ({ highlightedIds: [...new Set([productId, ...state.highlightedIds])] }))
+    return true
+  },
+}))
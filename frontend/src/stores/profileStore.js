@@ -0,0 +1,62 @@
+import { create } from 'zustand'
+import { AVATAR_PRESETS } from '../../../shared/avatarPresets.js'
+
+// Handler currently attached to the bound socket, so it can be detached without touching other listeners
+let boundHandler = null
+
+/**
+ * How the current player appears to others (name, avatar, color).
+ * The server keeps the saved profile and sends it when the /player socket connects;
+ * changes go back over the same socket and are broadcast to everyone.
+ */
+export const useProfileStore = create((set, get) => ({
+  socket: null,
+  profile: null, // { displayName, avatarPreset, avatarUrl, color }
+  isSaving: false,
+  error: null,
+
+  // Attach to the /player socket (call again with null to detach)
+  bind: (socket) => {
+    const current = get().socket
+    if (current === socket) return
+    if (current && boundHandler) current.off('profile', boundHandler)
+
+    boundHandler = socket ? (profile) => set({ profile }) : null
+    set({ socket, error: null })
+    if (socket) socket.on('profile', boundHandler)
+  },
+
+  // Save changes ({ displayName?, avatarPreset?, avatarUrl?, color? }); resolves to whether they were accepted
+  updateProfile: (changes) => new Promise((resolve) => {
+    const { socket } = get()
+    if (!socket || !socket.connected) {
+      set({ error: 'Not connected to the mall yet' })
+      resolve(false)
+      return
+    }
+
+    set({ isSaving: true, error: null })
+    socket.emit('update-profile', changes, (response) => {
+      if (response?.success) {
+        set({ profile: response.profile, isSaving: false })
+        resolve(true)
+      } else {
+        set({ isSaving: false, error: response?.error || 'Failed to save profile' })
+        resolve(false)
+      }
+    })
+  }),
+
+  clearError: () => set({ error: null }),
+}))
+
+/**
+ * The model to render for a profile: its custom GLB, else its preset's
+ * @param {object|null} profile
+ * @returns {{ url: string|null, scale: number, offsetY: number }} - url null means the sprite avatar
+ */
+export function resolveAvatar(profile) {
+  if (profile?.avatarUrl) return { url: profile.avatarUrl, scale: 1, offsetY: 0 }
+  const preset = AVATAR_PRESETS[profile?.avatarPreset] || { url: null }
+  return { url: preset.url, scale: preset.scale ?? 1, offsetY: preset.offsetY ?? 0 }
+}
@@ -0,0 +1,125 @@
+import { create } from 'zustand'
+import { meetingClient } from '../services/meetingClient'
+
+const TYPING_TIMEOUT_MS = 5000 // Stop showing someone as typing if we don't hear from them again
+
+const typingTimers = new Map() // userId -> timer
+
+// Keep messages in order without duplicates (history pages and live messages can overlap)
+const mergeMessages = (current, incoming) => {
+  const byId = new Map(current.map(message => [message.messageId, message]))
+  incoming.forEach(message => byId.set(message.messageId, message))
+  return [...byId.values()].sort((a, b) => a.timestamp.localeCompare(b.timestamp))
+}
+
+/**
+ * Chat for the meeting room the meeting client is in.
+ * History comes from the client's chat-history requests and live changes from its chat events.
+ */
+export const useRoomChatStore = create((set, get) => ({
+  roomId: null,
+  messages: [], // ChatMessage[] (see meetingClient.js), oldest first
+  hasMore: false,
+  isLoading: false,
+  typing: [], // [{ userId, userName }] of others currently typing
+  mutedByOwner: false,
+  error: null,
+
+  // Load the latest page of history for the room we just joined
+  loadHistory: async (roomId) => {
+    set({ roomId, messages: [], hasMore: false, typing: [], error: null, isLoading: true })
+    try {
+      const { messages, hasMore } = await meetingClient.fetchChatHistory()
+      if (get().roomId !== roomId) return
+      set(state => ({
+        messages: mergeMessages(state.messages, messages.map(m => meetingClient.toChatMessage(m))),
+        hasMore,
+        isLoading: false,
+      }))
+    } catch (error) {
+      console.error('Error loading chat history:', error)
+      set({ isLoading: false, error: 'Could not load earlier messages' })
+    }
+  },
+
+  // Page back through older history
+  loadOlder: async () => {
+    const { roomId, messages, hasMore, isLoading } = get()
+    if (!roomId || !hasMore || isLoading || messages.length === 0) return
+    set({ isLoading: true })
+    try {
+      const page = await meetingClient.fetchChatHistory({ before: messages[0].messageId })
+      if (get().roomId !== roomId) return
+      set(state => ({
+        messages: mergeMessages(state.messages, page.messages.map(m => meetingClient.toChatMessage(m))),
+        hasMore: page.hasMore,
+        isLoading: false,
+      }))
+    } catch (error) {
+      console.error('Error loading older messages:', error)
+      set({ isLoading: false, error: 'Could not load earlier messages' })
+    }
+  },
+
+  send: (message) => meetingClient.sendChat(message),
+  edit: (messageId, message) => meetingClient.editChat(messageId, message),
+  remove: (messageId) => meetingClient.deleteChat(messageId),
+  react: (messageId, emoji) => meetingClient.reactToChat(messageId, emoji),
+  setTyping: (isTyping) => meetingClient.setTyping(isTyping),
+  muteUser: (userId, muted = true) => meetingClient.muteUser(userId, muted),
+  kickUser: (userId) => meetingClient.kickUser(userId),
+  clearError: () => set({ error: null }),
+}))
+
+const stopTyping = (userId) => {
+  clearTimeout(typingTimers.get(userId))
+  typingTimers.delete(userId)
+  useRoomChatStore.setState(state => ({ typing: state.typing.filter(t => t.userId !== userId) }))
+}
+
+meetingClient.on('joined', ({ roomId, mutedByOwner }) => {
+  typingTimers.forEach(timer => clearTimeout(timer))
+  typingTimers.clear()
+  useRoomChatStore.setState({ mutedByOwner: Boolean(mutedByOwner) })
+  useRoomChatStore.getState().loadHistory(roomId)
+})
+
+meetingClient.on('status', (status) => {
+  if (status !== 'disconnected') return
+  typingTimers.forEach(timer => clearTimeout(timer))
+  typingTimers.clear()
+  useRoomChatStore.setState({ roomId: null, messages: [], hasMore: false, typing: [], mutedByOwner: false })
+})
+
+meetingClient.on('chat-message', (message) => {
+  stopTyping(message.userId)
+  useRoomChatStore.setState(state => ({ messages: mergeMessages(state.messages, [message]) }))
+})
+
+meetingClient.on('chat-updated', (message) => {
+  useRoomChatStore.setState(state => ({
+    messages: state.messages.map(m => (m.messageId === message.messageId ? message : m)),
+  }))
+})
+
+meetingClient.on('chat-deleted', ({ messageId }) => {
+  useRoomChatStore.setState(state => ({ messages: state.messages.filter(m => m.messageId !== messageId) }))
+})
+
+meetingClient.on('chat-typing', ({ userId, userName, isTyping }) => {
+  if (!isTyping) return stopTyping(userId)
+  clearTimeout(typingTimers.get(userId))
+  typingTimers.set(userId, setTimeout(() => stopTyping(userId), TYPING_TIMEOUT_MS))
+  useRoomChatStore.setState(state => ({
+    typing: [...state.typing.filter(t => t.userId !== userId), { userId, userName }],
+  }))
+})
+
+meetingClient.on('moderation', ({ action }) => {
+  if (action === 'mute' || action === 'unmute') useRoomChatStore.setState({ mutedByOwner: action === 'mute' })
+})
+
+meetingClient.on('error', (error) => {
+  // Chat and moderation failures ('chat-*', 'room-*-user')
+  if (/^(chat|room)-/.test(error.event || '')) useRoomChatStore.setState({ error: error.message })
+})
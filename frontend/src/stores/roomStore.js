@@ -1,5 +1,5 @@
 import { create } from 'zustand'
-import { webrtcService } from '../services/webrtc'
+import { meetingClient } from '../services/meetingClient'
 
 export const useRoomStore = create((set, get) => ({
   currentRoom: null,
@@ -9,7 +9,7 @@ export const useRoomStore = create((set, get) => ({
   currentUserId: null, // Current user's ID (set when app initializes)
   channelActive: false, // Whether the video channel is active
   roomActive: false, // Whether the room is active
-  participants: [], // Array of { id, stream, audioEnabled, videoEnabled }
+  participants: [], // Array of { id, socketId, userName, stream, audioEnabled, videoEnabled, quality } (from meetingClient)
   localStream: null,
   audioEnabled: false,
   videoEnabled: false,
@@ -19,14 +19,20 @@ export const useRoomStore = create((set, get) => ({
   },
   
   joinRoom: (roomId, category, creatorId = null, channelActive = false, roomActive = true) => {
+    // Hand our hold on the previous room back before taking one on this room
+    if (get().isInRoom) meetingClient.leave()
+    meetingClient.join(roomId, { productCategory: category }).catch(error => {
+      console.error('Error joining room:', error)
+    })
+    const { audioEnabled, videoEnabled } = meetingClient.getLocalMedia()
     set({ 
       currentRoom: { roomId, category },
       isInRoom: true,
       roomCreatorId: creatorId,
       channelActive,
       roomActive,
-      audioEnabled: false, // Default: audio off
-      videoEnabled: false, // Default: video off
+      audioEnabled, // Off unless another view of the meeting already turned them on
+      videoEnabled,
     })
   },
   
@@ -38,8 +44,9 @@ export const useRoomStore = create((set, get) => ({
   },
   
   leaveRoom: () => {
-    // Leave room via webrtc service (stops streams and connections)
-    webrtcService.leaveRoom()
+    // Leave via the meeting client. Once no other view holds the room it closes the connections and stops
+    // the tracks it captured, and participants/local media are cleared through its events below.
+    if (get().isInRoom) meetingClient.leave()
     
     set({ 
       currentRoom: null,
@@ -48,10 +55,6 @@ export const useRoomStore = create((set, get) => ({
       creatorStream: null,
       channelActive: false,
       roomActive: false,
-      participants: [],
-      localStream: null,
-      audioEnabled: false,
-      videoEnabled: false,
     })
   },
   
@@ -63,62 +66,35 @@ export const useRoomStore = create((set, get) => ({
     set({ localStream: stream })
   },
   
-  toggleAudio: () => {
-    const { localStream, audioEnabled } = get()
-    const newState = !audioEnabled
-    if (localStream) {
-      localStream.getAudioTracks().forEach(track => {
-        track.enabled = newState
-      })
+  toggleAudio: async () => {
+    if (!get().audioEnabled && meetingClient.isMutedByOwner()) {
+      alert('The room owner muted you.')
+      return
+    }
+    if (!get().audioEnabled && !meetingClient.canPublish()) {
+      alert('A live show is running. Raise your hand to ask the host to let you speak.')
+      return
+    }
+    try {
+      // The meeting client asks for the microphone the first time and notifies the room
+      await meetingClient.setAudioEnabled(!get().audioEnabled)
+    } catch (error) {
+      console.error('Error requesting microphone permission:', error)
+      alert('Microphone permission denied. Please allow microphone access to enable audio.')
     }
-    // Update webrtc service (will notify via Socket.IO)
-    webrtcService.toggleAudio()
-    set({ audioEnabled: newState })
   },
   
   toggleVideo: async () => {
-    const { localStream, videoEnabled } = get()
-    const newState = !videoEnabled
-    
-    // If enabling video and no local stream, request permission
-    if (newState && !localStream) {
-      try {
-        // Request camera permission
-        const stream = await navigator.mediaDevices.getUserMedia({
-          audio: false, // Only request video for now
-          video: true
-        })
-        
-        // Get existing audio tracks if any
-        const existingAudioTracks = localStream?.getAudioTracks() || []
-        
-        // Create new stream with video + existing audio
-        const newStream = new MediaStream()
-        stream.getVideoTracks().forEach(track => newStream.addTrack(track))
-        existingAudioTracks.forEach(track => newStream.addTrack(track))
-        
-        set({ localStream: newStream })
-        webrtcService.localStream = newStream
-        
-        // Enable video tracks
-        newStream.getVideoTracks().forEach(track => track.enabled = true)
-        set({ videoEnabled: true })
-        return
-      } catch (error) {
-        console.error('Error requesting video permission:', error)
-        alert('Camera permission denied. Please allow camera access to enable video.')
-        return
-      }
+    if (!get().videoEnabled && !meetingClient.canPublish()) {
+      alert('A live show is running. Raise your hand to ask the host to let you on camera.')
+      return
     }
-    
-    if (localStream) {
-      localStream.getVideoTracks().forEach(track => {
-        track.enabled = newState
-      })
+    try {
+      await meetingClient.setVideoEnabled(!get().videoEnabled)
+    } catch (error) {
+      console.error('Error requesting video permission:', error)
+      alert('Camera permission denied. Please allow camera access to enable video.')
     }
-    // Update webrtc service (will notify via Socket.IO)
-    webrtcService.toggleVideo()
-    set({ videoEnabled: newState })
   },
   
   addParticipant: (participant) => {
@@ -141,3 +117,23 @@ export const useRoomStore = create((set, get) => ({
     }))
   },
 }))
+
+// Participants (with their streams and connection quality) and our own media come from the meeting client
+const toParticipant = (participant) => ({
+  id: participant.userId || participant.socketId,
+  userId: participant.userId,
+  socketId: participant.socketId,
+  userName: participant.userName,
+  stream: participant.stream,
+  audioEnabled: !participant.isMuted,
+  videoEnabled: !participant.isVideoOff,
+  quality: participant.quality,
+})
+
+meetingClient.on('participants', (participants) => {
+  useRoomStore.setState({ participants: participants.map(toParticipant) })
+})
+
+meetingClient.on('local-media', ({ stream, audioEnabled, videoEnabled }) => {
+  useRoomStore.setState({ localStream: stream, audioEnabled, videoEnabled })
+})
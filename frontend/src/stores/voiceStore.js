@@ -0,0 +1,35 @@
+import { create } from 'zustand'
+import { proximityVoiceService } from '../services/proximityVoice'
+
+/**
+ * Proximity voice status for the UI. The audio links themselves live in proximityVoiceService;
+ * VirtualMall attaches it to the /player socket and feeds it positions every frame.
+ */
+export const useVoiceStore = create((set, get) => ({
+  enabled: false,
+  isStarting: false,
+  peerIds: [], // Players we currently have an audio link with
+  error: null,
+
+  toggle: async () => {
+    if (get().enabled) {
+      proximityVoiceService.disable()
+      set({ enabled: false, peerIds: [] })
+      return
+    }
+
+    set({ isStarting: true, error: null })
+    try {
+      await proximityVoiceService.enable()
+      set({ enabled: true, isStarting: false })
+    } catch (error) {
+      console.error('Proximity voice: could not start:', error)
+      set({
+        isStarting: false,
+        error: error.name === 'NotAllowedError' ? 'Microphone permission denied' : 'Could not start the microphone'
+      })
+    }
+  },
+}))
+
+proximityVoiceService.onPeersChanged = (peerIds) => useVoiceStore.setState({ peerIds })
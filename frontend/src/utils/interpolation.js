@@ -0,0 +1,99 @@
+// Snapshot interpolation for remote players.
+// The server broadcasts player positions a few times per second; rendering them a little in
+// the past lets every frame blend between two known snapshots instead of guessing ahead.
+
+const INTERPOLATION_DELAY_MS = 150 // About two server ticks behind
+// Distant players are updated less often; render them this many of their own update intervals behind
+const INTERVALS_BEHIND = 1.2
+const MAX_UPDATE_INTERVAL_MS = 1000
+const MAX_SNAPSHOTS = 30 // Per player
+const CLOCK_DRIFT_RATE = 0.05 // How quickly the clock offset follows slower-arriving snapshots
+
+const buffers = new Map() // playerId -> { snapshots: [{ t, position, rotation }] oldest first, interval }
+let clockOffset = null // Estimated server time minus local time, in ms
+
+// Snapshots that arrive late only ever make the offset look smaller, so jump up to a larger
+// estimate straight away but drift down slowly
+function updateClockOffset(serverTime) {
+  const sample = serverTime - Date.now()
+  if (clockOffset === null || sample > clockOffset) clockOffset = sample
+  else clockOffset += (sample - clockOffset) * CLOCK_DRIFT_RATE
+}
+
+// Shortest way round between two yaw angles
+function lerpAngle(a, b, alpha) {
+  const delta = Math.atan2(Math.sin(b - a), Math.cos(b - a))
+  return a + delta * alpha
+}
+
+/**
+ * Record a player's position from a server snapshot
+ * @param {string} id - Player (socket) ID
+ * @param {number} t - Server timestamp of the snapshot, in ms
+ * @param {number[]} position - [x, y, z]
+ * @param {number[]} rotation - [x, yaw, z]
+ * @param {boolean} teleport - The player jumped; don't slide them across the mall
+ */
+export function pushSnapshot(id, t, position, rotation, teleport = false) {
+  updateClockOffset(t)
+
+  let buffer = buffers.get(id)
+  if (!buffer || teleport) {
+    buffer = { snapshots: [], interval: buffer?.interval ?? 0 }
+    buffers.set(id, buffer)
+  }
+  const { snapshots } = buffer
+  const previous = snapshots[snapshots.length - 1]
+  // Out-of-order snapshots (e.g. from another server instance) are dropped
+  if (previous && previous.t >= t) return
+
+  // Track how often this player is updated (the server sends distant players less often).
+  // Longer gaps mean they stood still, not that updates are slow.
+  const gap = previous ? t - previous.t : Infinity
+  if (gap <= MAX_UPDATE_INTERVAL_MS) buffer.interval = buffer.interval ? buffer.interval * 0.8 + gap * 0.2 : gap
+
+  snapshots.push({ t, position, rotation })
+  if (snapshots.length > MAX_SNAPSHOTS) snapshots.shift()
+}
+
+/**
+ * Where to draw a player this frame
+ * @param {string} id - Player (socket) ID
+ * @returns {{ position: number[], rotation: number[] } | null} - null when no snapshot has arrived yet
+ */
+export function sampleAt(id) {
+  const snapshots = buffers.get(id)?.snapshots
+  if (!snapshots || snapshots.length === 0) return null
+
+  const delay = Math.max(INTERPOLATION_DELAY_MS, buffers.get(id).interval * INTERVALS_BEHIND)
+  const renderTime = Date.now() + clockOffset - delay
+  const latest = snapshots[snapshots.length - 1]
+  // Not enough history (or the player stopped moving) - hold the newest known state
+  if (snapshots.length === 1 || renderTime >= latest.t) return latest
+  if (renderTime <= snapshots[0].t) return snapshots[0]
+
+  let i = snapshots.length - 1
+  while (snapshots[i - 1].t > renderTime) i--
+  const from = snapshots[i - 1]
+  const to = snapshots[i]
+  const alpha = (renderTime - from.t) / (to.t - from.t)
+
+  // Snapshots this old will never be sampled again
+  if (i > 1) snapshots.splice(0, i - 1)
+
+  return {
+    position: from.position.map((value, axis) => value + (to.position[axis] - value) * alpha),
+    rotation: [0, lerpAngle(from.rotation[1], to.rotation[1], alpha), 0]
+  }
+}
+
+// Forget a player who left
+export function removePlayer(id) {
+  buffers.delete(id)
+}
+
+// Forget everyone (e.g. on reconnect, when the server sends a fresh player list)
+export function clearSnapshots() {
+  buffers.clear()
+  clockOffset = null
+}
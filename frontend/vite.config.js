@@ -5,6 +5,10 @@ export default defineConfig({
   plugins: [react],
   server: {
     port: 5173,
-    open: true
+    open: true,
+    fs: {
+      // Movement bounds live in ../shared so the backend can validate against them
+      allow: ['..']
+    }
   }
 })
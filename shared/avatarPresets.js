@@ -0,0 +1,24 @@
+// Avatars players can pick without supplying their own model.
+// `url: null` is the flat billboard sprite (public/avatar-players.png).
+export const AVATAR_PRESETS = {
+  shopper: { label: 'Shopper', url: null },
+  robot: { label: 'Robot', url: '/glb/RobotExpressive.glb', scale: 0.6 },
+  duck: { label: 'Duck', url: '/glb/Duck.glb', scale: 1.5 },
+  helmet: { label: 'Helmet', url: '/glb/DamagedHelmet.glb', scale: 1, offsetY: 1.2 },
+}
+
+export const DEFAULT_AVATAR_PRESET = 'shopper'
+
+// Name tag / marker colors offered in the profile editor (any #rrggbb is accepted)
+export const PROFILE_COLORS = ['#e74c3c', '#e67e22', '#f1c40f', '#2ecc71', '#1abc9c', '#3498db', '#9b59b6', '#ec407a']
+
+/**
+ * Color for a player who hasn't picked one, stable per user
+ * @param {string} seed - User ID
+ * @returns {string}
+ */
+export function defaultProfileColor(seed = '') {
+  let hash = 0
+  for (const char of seed) hash = (hash * 31 + char.charCodeAt(0)) >>> 0
+  return PROFILE_COLORS[hash % PROFILE_COLORS.length]
+}
@@ -0,0 +1,133 @@
+// Boundary box definition (matches ground plane size: 200x200)
+const BOUNDARY_SIZE = 100 // Half size (so total is 200x200, from -100 to +100)
+const MIN_X = -BOUNDARY_SIZE
+const MAX_X = BOUNDARY_SIZE
+const MIN_Z = -BOUNDARY_SIZE
+const MAX_Z = BOUNDARY_SIZE
+const WALL_THICKNESS = 0.5 // Half thickness of walls (walls are 1 unit thick, so 0.5 on each side)
+
+// Player movement (Player.jsx moves this far per 1/60 s; the server allows MAX_SPEED per second)
+export const MOVE_SPEED = 0.15
+export const SPRINT_SPEED = 0.35
+export const MAX_SPEED = SPRINT_SPEED * 60 // Sprinting, in units per second
+export const MAX_PLAYER_HEIGHT = 120 // Highest point of a jump
+
+/**
+ * Clamp any position into the walkable mall area at a sane height
+ * (used by the server before trusting a position sent by a client)
+ */
+export function clampToMall(position) {
+  const [x, y, z] = position
+  const [clampedX, , clampedZ] = checkCollision(position, [x, y, z], 0)
+  const clampedY = Math.min(Math.max(y, getFloorY(0)), MAX_PLAYER_HEIGHT)
+  return [clampedX, clampedY, clampedZ]
+}
+
+/**
+ * Check if a position is within the boundary box
+ */
+export function isWalkable(x, z, floor) {
+  return x >= MIN_X && x <= MAX_X && z >= MIN_Z && z <= MAX_Z
+}
+
+/**
+ * Check collision and enforce boundary limits (with wall buffer to prevent seeing through)
+ */
+export function checkCollision(currentPos, newPos, floor) {
+  const [newX, newY, newZ] = newPos
+  const [currentX, currentY, currentZ] = currentPos
+
+  // Add buffer to prevent player from getting too close to walls (prevents seeing through)
+  const PLAYER_RADIUS = 0.5
+  const WALL_BUFFER = WALL_THICKNESS + PLAYER_RADIUS
+
+  // Clamp X position to boundary with buffer
+  let clampedX = newX
+  if (newX < MIN_X + WALL_BUFFER) {
+    clampedX = MIN_X + WALL_BUFFER
+  } else if (newX > MAX_X - WALL_BUFFER) {
+    clampedX = MAX_X - WALL_BUFFER
+  }
+
+  // Clamp Z position to boundary with buffer
+  let clampedZ = newZ
+  if (newZ < MIN_Z + WALL_BUFFER) {
+    clampedZ = MIN_Z + WALL_BUFFER
+  } else if (newZ > MAX_Z - WALL_BUFFER) {
+    clampedZ = MAX_Z - WALL_BUFFER
+  }
+
+  // Return clamped position (keep Y unchanged)
+  return [clampedX, newY, clampedZ]
+}
+
+/**
+ * Check if camera position is valid (not too close to walls)
+ * Walls are positioned at x=±100 and z=±100 with thickness of 1 unit
+ * Inner edge of walls: x=±99.5, z=±99.5
+ */
+export function checkCameraCollision(cameraPos, playerPos) {
+  const [camX, camY, camZ] = cameraPos
+  const WALL_THICKNESS = 1 // Wall thickness
+  const CAMERA_BUFFER = 0.5 // Buffer to prevent camera from going through walls
+  
+  // Wall positions (center of walls)
+  const WALL_POS_X = 100 // East and West walls
+  const WALL_POS_Z = 100 // North and South walls
+  
+  // Inner edge of walls (facing inward)
+  const INNER_EDGE_X = WALL_POS_X - WALL_THICKNESS / 2 // 99.5
+  const INNER_EDGE_Z = WALL_POS_Z - WALL_THICKNESS / 2 // 99.5
+  
+  // Clamp camera X position to stay inside walls with buffer
+  let clampedX = camX
+  if (camX < -INNER_EDGE_X + CAMERA_BUFFER) {
+    clampedX = -INNER_EDGE_X + CAMERA_BUFFER // West wall inner edge + buffer
+  } else if (camX > INNER_EDGE_X - CAMERA_BUFFER) {
+    clampedX = INNER_EDGE_X - CAMERA_BUFFER // East wall inner edge - buffer
+  }
+
+  // Clamp camera Z position to stay inside walls with buffer
+  let clampedZ = camZ
+  if (camZ < -INNER_EDGE_Z + CAMERA_BUFFER) {
+    clampedZ = -INNER_EDGE_Z + CAMERA_BUFFER // South wall inner edge + buffer
+  } else if (camZ > INNER_EDGE_Z - CAMERA_BUFFER) {
+    clampedZ = INNER_EDGE_Z - CAMERA_BUFFER // North wall inner edge - buffer
+  }
+
+  return [clampedX, camY, clampedZ]
+}
+
+/**
+ * Get the correct Y position based on floor (always 0 for single floor)
+ */
+export function getFloorY(floor) {
+  return 0 // Single floor only
+}
+
+/**
+ * Check if position is on stairs (always false for single floor)
+ */
+export function isOnStairs(x, z, y, floor) {
+  return false // No stairs in single floor mode
+}
+
+// Aisles in front of each wall of racks. Shoppers in the same aisle are browsing the same
+// shelves, so the server keeps them in sync even when they are far apart along the wall.
+const AISLE_DEPTH = 20
+export const MALL_ZONES = [
+  { id: 'north-aisle', minX: MIN_X, maxX: MAX_X, minZ: MIN_Z, maxZ: MIN_Z + AISLE_DEPTH },
+  { id: 'south-aisle', minX: MIN_X, maxX: MAX_X, minZ: MAX_Z - AISLE_DEPTH, maxZ: MAX_Z },
+  { id: 'east-aisle', minX: MAX_X - AISLE_DEPTH, maxX: MAX_X, minZ: MIN_Z, maxZ: MAX_Z },
+  { id: 'west-aisle', minX: MIN_X, maxX: MIN_X + AISLE_DEPTH, minZ: MIN_Z, maxZ: MAX_Z },
+]
+
+/**
+ * Which zone a position is in (corners belong to the north/south aisle)
+ * @returns {string|null} Zone ID, or null in the open middle of the mall
+ */
+export function getZone(position) {
+  const [x, , z] = position
+  const zone = MALL_ZONES.find(({ minX, maxX, minZ, maxZ }) => x >= minX && x <= maxX && z >= minZ && z <= maxZ)
+  return zone ? zone.id : null
+}
@@ -0,0 +1,5 @@
+// Meeting room chat limits, checked by the server and mirrored by the chat box.
+export const MAX_CHAT_MESSAGE_LENGTH = 1000
+
+// Reactions people can add to a chat message
+export const CHAT_REACTIONS = ['👍', '❤️', '😂', '😮', '😢', '🔥', '🎉', '👏']